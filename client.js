@@ -7,6 +7,7 @@
 const { createMcpClient } = require('@modelcontextprotocol/typescript-sdk');
 const fs = require('fs');
 const path = require('path');
+const LlmProvider = require('./src/integrations/LlmProvider');
 
 // Configure the MCP client
 const client = createMcpClient({
@@ -15,6 +16,15 @@ const client = createMcpClient({
   serverUrl: process.env.MCP_SERVER_URL || "http://localhost:3000"
 });
 
+// Completions go through the same LLM providers as the analyzer: set LLM_PROVIDER=replay
+// (and LLM_FIXTURES_DIR) to run the example without network access to Claude
+const provider = LlmProvider.create({
+  provider: process.env.LLM_PROVIDER || "anthropic",
+  apiKey: process.env.CLAUDE_API_KEY,
+  model: "claude-3-opus-20240229",  // Update with the current Claude model
+  fixturesDir: process.env.LLM_FIXTURES_DIR
+});
+
 // Example usage
 async function main() {
   try {
@@ -79,16 +89,12 @@ async function main() {
     console.log("System prompt:", filledPrompt.systemPrompt.substring(0, 100) + "...");
     console.log("User prompt:", filledPrompt.userPrompt.substring(0, 100) + "...");
     
-    // Example: Generate a response from Claude using the MCP server
+    // Example: Generate a response from Claude with the prompt the MCP server filled in
     console.log("\n--- Generating Claude response ---");
     
-    // Create a chat completion
-    const completion = await client.createChatCompletion({
+    const completion = await provider.complete({
+      system: filledPrompt.systemPrompt,
       messages: [
-        {
-          role: "system",
-          content: filledPrompt.systemPrompt
-        },
         {
           role: "user",
           content: filledPrompt.userPrompt
@@ -96,7 +102,8 @@ async function main() {
       ]
     });
     
-    console.log("Claude response:", completion.choices[0].message.content.substring(0, 500) + "...");
+    console.log("Claude response:", completion.text.substring(0, 500) + "...");
+    console.log(`Tokens used: ${completion.usage.inputTokens} input, ${completion.usage.outputTokens} output`);
     
     console.log("\nMCP client example completed successfully!");
   } catch (error) {
@@ -191,5 +198,6 @@ if (require.main === module) {
 
 module.exports = {
   client,
+  provider,
   main
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * mock-claude-server.js
+ *
+ * Local stand-in for the Claude Messages API that plays back a scenario of
+ * responses, to exercise the analyzer's retry, backoff and timeout handling
+ * without calling Claude. Each request takes the next step of the scenario;
+ * the last step repeats once the scenario runs out.
+ *
+ * Steps:
+ *   ok                  200 with the answer text (see --answer)
+ *   429, 529, 500, ...  That HTTP status with an API error body
+ *   429:5               That status with a retry-after header of 5 seconds
+ *   timeout             Never answers, so the client's request timeout fires
+ *   reset               Drops the connection without a response
+ *
+ * Usage:
+ *   node scripts/mock-claude-server.js --port 8787 --scenario "429:1,529,reset,ok"
+ *   node src/cli.js --fields ./output/loan_fields.json --api-key test --api-url http://localhost:8787/v1/messages
+ *
+ * From code:
+ *   const { startMockClaudeServer } = require('./scripts/mock-claude-server');
+ *   const mock = await startMockClaudeServer({ scenario: ['529', 'ok'], answer: '{...}' });
+ *   // ... new nCinoAnalyzer({ apiUrl: mock.url, ... }), then mock.requests and mock.close()
+ */
+
+const http = require('http');
+
+// API error types the real API sends with each status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  529: 'overloaded_error'
+};
+
+/**
+ * Start the mock server
+ * @param {Object} options - Server options
+ * @param {Array} options.scenario - Steps, e.g. ['429:2', '529', 'ok'] (default: ['ok'])
+ * @param {string|Function} options.answer - Answer text of 'ok' steps, or a function of the request
+ *   body returning it (default: an empty JSON object)
+ * @param {number} options.port - Port (default: any free port)
+ * @returns {Promise<Object>} { url, requests, close } where requests lists { step, body } in order
+ */
+function startMockClaudeServer(options = {}) {
+  const scenario = options.scenario && options.scenario.length > 0 ? options.scenario : ['ok'];
+  const answer = options.answer || '{}';
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const step = String(scenario[Math.min(requests.length, scenario.length - 1)]);
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // Recorded as null; the step is played regardless
+      }
+      requests.push({ step, body });
+
+      if (step === 'timeout') {
+        return;
+      }
+      if (step === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      if (step === 'ok') {
+        const text = typeof answer === 'function' ? answer(body) : answer;
+        res.end(JSON.stringify({
+          id: `msg_mock_${requests.length}`,
+          type: 'message',
+          role: 'assistant',
+          content: [{ type: 'text', text }],
+          stop_reason: 'end_turn',
+          // Rough token counts, so usage reporting has something to add up
+          usage: { input_tokens: Math.ceil(raw.length / 4), output_tokens: Math.ceil(text.length / 4) }
+        }));
+        return;
+      }
+
+      const [status, retryAfter] = step.split(':').map(Number);
+      if (retryAfter !== undefined && !Number.isNaN(retryAfter)) {
+        res.setHeader('retry-after', String(retryAfter));
+      }
+      res.statusCode = status;
+      res.end(JSON.stringify({
+        type: 'error',
+        error: { type: ERROR_TYPES[status] || 'api_error', message: `Mock ${status} response` }
+      }));
+    });
+  });
+
+  // Track connections so close() doesn't wait for 'timeout' steps that never answer
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1/messages`,
+        requests,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = { scenario: ['ok'] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && i + 1 < args.length) {
+      options.port = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--scenario' && i + 1 < args.length) {
+      options.scenario = args[i + 1].split(',').map(step => step.trim()).filter(Boolean);
+      i++;
+    } else if (args[i] === '--answer' && i + 1 < args.length) {
+      options.answer = args[i + 1];
+      i++;
+    }
+  }
+
+  startMockClaudeServer(options).then(mock => {
+    console.log(`Mock Claude API listening on ${mock.url}`);
+    console.log(`Scenario: ${options.scenario.join(', ')}`);
+    process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+  }).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockClaudeServer };
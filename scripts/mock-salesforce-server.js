@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * mock-salesforce-server.js
+ *
+ * Local stand-in for the Salesforce Tooling, Metadata and SOAP login APIs that
+ * serves recorded responses, to exercise the API extraction backend
+ * (MetadataExtractor with backend 'api') without an org. Each request is
+ * answered by the first fixture, in file name order, whose method and path
+ * match and whose match strings all appear in the decoded query string or the
+ * request body. Requests no fixture answers get a 404 REST error naming them.
+ *
+ * Fixtures are JSON files (schema salesforce-fixture); fixtures/salesforce
+ * holds a loan object with a field, a validation rule, a trigger and a flow.
+ *
+ * Usage:
+ *   node scripts/mock-salesforce-server.js --port 8089 --fixtures ./fixtures/salesforce
+ *
+ * From code:
+ *   const { startMockSalesforceServer } = require('./scripts/mock-salesforce-server');
+ *   const mock = await startMockSalesforceServer();
+ *   // ... extractor.extractMetadata({ instanceUrl: mock.url, accessToken: 'test' }), then mock.requests and mock.close()
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const SchemaValidator = require('../src/models/SchemaValidator');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/salesforce');
+
+/**
+ * Read and validate the fixture files of a directory
+ * @param {string} dir - Fixtures directory
+ * @returns {Array} Fixtures { file, fixture } in file name order
+ */
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Salesforce fixtures directory not found: ${dir}`);
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      const file = path.join(dir, name);
+      let fixture;
+      try {
+        fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`${file}: Could not parse fixture: ${error.message}`);
+      }
+      const { valid, errors } = SchemaValidator.shared().validate('salesforce-fixture', fixture);
+      if (!valid) {
+        throw new Error(`${file}: Invalid fixture: ${errors.slice(0, 5).join('; ')}`);
+      }
+      return { file, fixture };
+    });
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - Server options
+ * @param {string} options.fixturesDir - Directory of fixture files (default: fixtures/salesforce)
+ * @param {number} options.port - Port (default: any free port)
+ * @returns {Promise<Object>} { url, requests, close } where url is the instance URL to extract from
+ *   and requests lists { method, path, query, body, fixture } in order, with the query string decoded
+ *   (fixture is the answering file's name, or null when none answered)
+ */
+function startMockSalesforceServer(options = {}) {
+  const fixtures = loadFixtures(options.fixturesDir || DEFAULT_FIXTURES_DIR);
+  const requests = [];
+  const sockets = new Set();
+  let baseUrl = null;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      let query = url.search;
+      try {
+        query = decodeURIComponent(url.search.replace(/\+/g, ' '));
+      } catch (error) {
+        // Matched undecoded
+      }
+      const text = `${query}\n${raw}`;
+
+      const entry = fixtures.find(({ fixture }) => fixture.request.method === req.method &&
+        fixture.request.path === url.pathname &&
+        (fixture.request.match || []).every(candidate => text.includes(candidate)));
+      requests.push({ method: req.method, path: url.pathname, query, body: raw, fixture: entry ? path.basename(entry.file) : null });
+
+      if (!entry) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify([{
+          errorCode: 'NOT_FOUND',
+          message: `No mock fixture answers ${req.method} ${url.pathname}${query}`
+        }]));
+        return;
+      }
+
+      const response = entry.fixture.response;
+      res.statusCode = response.status || 200;
+      if (typeof response.body === 'string') {
+        res.setHeader('Content-Type', 'text/xml; charset=UTF-8');
+        res.end(response.body.split('{baseUrl}').join(baseUrl));
+      } else {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response.body));
+      }
+    });
+  });
+
+  // Track connections so close() doesn't wait for idle keep-alive connections
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url: baseUrl,
+        requests,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && i + 1 < args.length) {
+      options.port = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--fixtures' && i + 1 < args.length) {
+      options.fixturesDir = path.resolve(args[i + 1]);
+      i++;
+    }
+  }
+
+  startMockSalesforceServer(options).then(mock => {
+    console.log(`Mock Salesforce API listening on ${mock.url}`);
+    console.log(`Fixtures: ${options.fixturesDir || DEFAULT_FIXTURES_DIR}`);
+    process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+  }).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockSalesforceServer };
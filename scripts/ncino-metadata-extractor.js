@@ -15,6 +15,8 @@ const path = require('path');
 const { execSync } = require('child_process');
 const xml2js = require('xml2js');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { flowValueToString } = require('../src/models/TextUtils');
+const { locateFlowElements } = require('../src/models/SourceLocation');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -153,6 +155,8 @@ function processFieldMetadata(fieldsDir, outputDir) {
         const fieldObj = result.CustomField;
         fieldData.push({
           apiName: fieldFile.replace('.field-meta.xml', ''),
+          filePath: toProjectPath(fieldPath),
+          namePosition: elementPosition(fieldXml, '<fullName>'),
           label: fieldObj.label || '',
           type: fieldObj.type || '',
           description: fieldObj.description || '',
@@ -217,6 +221,8 @@ function processValidationRules(validationRulesDir, outputDir) {
         const validationObj = result.ValidationRule;
         validationData.push({
           apiName: validationFile.replace('.validationRule-meta.xml', ''),
+          filePath: toProjectPath(validationPath),
+          formulaPosition: elementPosition(validationXml, '<errorConditionFormula>'),
           active: validationObj.active === 'true',
           description: validationObj.description || '',
           errorConditionFormula: validationObj.errorConditionFormula || '',
@@ -273,6 +279,7 @@ function processTriggers(triggersDir, outputDir) {
     
     triggerData.push({
       name: triggerFile.replace('.trigger', ''),
+      filePath: toProjectPath(triggerPath),
       content: triggerContent,
       active: isActive
     });
@@ -307,8 +314,10 @@ function processFlows(flowsDir, outputDir) {
         }
         
         const flowObj = result.Flow;
+        const spans = locateFlowElements(flowXml);
         const flowInfo = {
           apiName: flowFile.replace('.flow-meta.xml', ''),
+          filePath: toProjectPath(flowPath),
           status: flowObj.status ? flowObj.status[0] : 'Unknown',
           processType: flowObj.processType ? flowObj.processType[0] : 'Unknown',
           startElementReference: flowObj.startElementReference ? flowObj.startElementReference[0] : '',
@@ -318,18 +327,48 @@ function processFlows(flowsDir, outputDir) {
         // Extract decision elements to check for bypass patterns
         if (flowObj.decisions && flowObj.decisions.length > 0) {
           flowObj.decisions.forEach(decision => {
-            flowInfo.elements.push({
+            const decisionName = decision.name ? decision.name[0] : 'Unknown';
+            flowInfo.elements.push(Object.assign({
               type: 'Decision',
-              name: decision.name ? decision.name[0] : 'Unknown',
-              rules: decision.rules ? decision.rules.map(rule => ({
+              name: decisionName,
+              rules: decision.rules ? decision.rules.map(rule => Object.assign({
                 name: rule.name ? rule.name[0] : 'Unknown',
                 conditions: rule.conditions ? rule.conditions.map(condition => ({
                   leftValueReference: condition.leftValueReference ? condition.leftValueReference[0] : '',
                   operator: condition.operator ? condition.operator[0] : '',
-                  rightValue: condition.rightValue ? condition.rightValue[0] : ''
+                  rightValue: condition.rightValue ? flowValueToString(condition.rightValue[0]) : ''
                 })) : []
-              })) : []
-            });
+              }, flowElementPosition(spans, `decisions/${decisionName}/rules/${rule.name ? rule.name[0] : ''}`))) : []
+            }, flowElementPosition(spans, `decisions/${decisionName}`)));
+          });
+        }
+        
+        // Extract start element entry criteria (record-triggered flows)
+        if (flowObj.start && flowObj.start.length > 0) {
+          const start = flowObj.start[0];
+          flowInfo.elements.push(Object.assign({
+            type: 'Start',
+            name: 'Start',
+            object: start.object ? start.object[0] : '',
+            filterFormula: start.filterFormula ? start.filterFormula[0] : '',
+            conditions: start.filters ? start.filters.map(filter => ({
+              field: filter.field ? filter.field[0] : '',
+              operator: filter.operator ? filter.operator[0] : '',
+              value: filter.value ? flowValueToString(filter.value[0]) : ''
+            })) : []
+          }, flowElementPosition(spans, 'start')));
+        }
+        
+        // Extract formula resources, which decisions often reference
+        if (flowObj.formulas && flowObj.formulas.length > 0) {
+          flowObj.formulas.forEach(formula => {
+            const formulaName = formula.name ? formula.name[0] : 'Unknown';
+            flowInfo.elements.push(Object.assign({
+              type: 'Formula',
+              name: formulaName,
+              dataType: formula.dataType ? formula.dataType[0] : '',
+              expression: formula.expression ? formula.expression[0] : ''
+            }, flowElementPosition(spans, `formulas/${formulaName}`)));
           });
         }
         
@@ -345,3 +384,32 @@ function processFlows(flowsDir, outputDir) {
   fs.writeFileSync(jsonPath, JSON.stringify(flowData, null, 2));
   console.log(`Flows saved to ${jsonPath}`);
 }
+
+/**
+ * Path of an extracted metadata file relative to the project root, used in finding locations
+ */
+function toProjectPath(filePath) {
+  return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+/**
+ * Line and column just after the first occurrence of a marker in an XML document
+ */
+function elementPosition(xml, marker) {
+  const index = xml.indexOf(marker);
+  if (index === -1) {
+    return null;
+  }
+  const lines = xml.slice(0, index + marker.length).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Line and name columns of a flow element, from the spans of locateFlowElements (nulls when it isn't found)
+ */
+function flowElementPosition(spans, key) {
+  const span = spans[key];
+  return span ?
+    { line: span.line, column: span.column, endColumn: span.endColumn } :
+    { line: null, column: null, endColumn: null };
+}
@@ -6,9 +6,17 @@
  */
 
 const { createMcpServer } = require('@modelcontextprotocol/typescript-sdk');
-const { NamingConventionAnalyzer } = require('./src/models/NamingConventionAnalyzer');
-const { BypassPatternAnalyzer } = require('./src/models/BypassPatternAnalyzer');
-const { MetadataExtractor } = require('./src/controllers/MetadataExtractor');
+const NamingConventionAnalyzer = require('./src/models/NamingConventionAnalyzer');
+const BypassPatternAnalyzer = require('./src/models/BypassPatternAnalyzer');
+const MetadataExtractor = require('./src/controllers/MetadataExtractor');
+const RulePack = require('./src/models/RulePack');
+const SuppressionList = require('./src/models/SuppressionList');
+const ReportBuilder = require('./src/reports/ReportBuilder');
+const SarifExporter = require('./src/reports/SarifExporter');
+const BaselineComparator = require('./src/reports/BaselineComparator');
+const HistoryStore = require('./src/reports/HistoryStore');
+const ReportViewBuilder = require('./src/reports/ReportViewBuilder');
+const SchemaValidator = require('./src/models/SchemaValidator');
 const fs = require('fs');
 const path = require('path');
 
@@ -25,9 +33,21 @@ const server = createMcpServer({
 });
 
 // Initialize analyzers
-const namingAnalyzer = new NamingConventionAnalyzer();
-const bypassAnalyzer = new BypassPatternAnalyzer();
-const metadataExtractor = new MetadataExtractor({ tempDir: path.join(__dirname, 'temp') });
+// Accepted findings (SUPPRESSIONS_FILE) are left out of the scores of every tool
+const suppressions = SuppressionList.resolve(process.env.SUPPRESSIONS_FILE);
+const namingAnalyzer = new NamingConventionAnalyzer({ suppressions });
+const bypassAnalyzer = new BypassPatternAnalyzer({ suppressions });
+const reportBuilder = new ReportBuilder({ bypassAnalyzer });
+const baselineComparator = new BaselineComparator({ reportBuilder });
+const reportViewBuilder = new ReportViewBuilder({ bypassAnalyzer });
+const schemaValidator = SchemaValidator.shared();
+// The CLI records its runs in output/history.jsonl unless given another --history file
+const historyStore = new HistoryStore({ filePath: process.env.ANALYSIS_HISTORY_PATH });
+const metadataExtractor = new MetadataExtractor({
+  tempDir: path.join(__dirname, 'temp'),
+  // 'api' calls the Tooling/Metadata APIs directly, for deployments without the sfdx CLI
+  backend: process.env.METADATA_BACKEND || 'sfdx'
+});
 
 // =================================================================
 // RESOURCES
@@ -99,6 +119,73 @@ server.addResource({
   }
 });
 
+// Resource: Flows
+server.addResource({
+  id: "salesforce.flows",
+  name: "Salesforce Flows",
+  description: "Flow definitions (decisions, start criteria and formulas) from Salesforce/nCino objects",
+  contentType: "application/json",
+  getContent: async (params) => {
+    try {
+      const flowData = await loadResourceData(params.source);
+      return {
+        content: flowData,
+        metadata: {
+          count: flowData.length,
+          objectName: params.objectName || "LLC_BI__Loan__c"
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to load flows: ${error.message}`);
+    }
+  }
+});
+
+// Resource: Run History
+server.addResource({
+  id: "salesforce.history",
+  name: "Analysis Run History",
+  description: "Recorded analysis runs (scores, risk counts and per-object metrics), oldest first, for trend analysis",
+  contentType: "application/json",
+  getContent: async (params = {}) => {
+    try {
+      const entries = historyStore.query({
+        org: params.org,
+        since: params.since,
+        until: params.until,
+        limit: params.limit ? Number(params.limit) : undefined
+      });
+      return {
+        content: entries,
+        metadata: {
+          count: entries.length,
+          orgs: historyStore.orgs()
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to load run history: ${error.message}`);
+    }
+  }
+});
+
+// Resources: JSON Schemas for the metadata input, every analyzer result and the report,
+// e.g. salesforce.schema.naming-results
+schemaValidator.list().forEach(schemaName => {
+  const schema = schemaValidator.getSchema(schemaName);
+  server.addResource({
+    id: `salesforce.schema.${schemaName}`,
+    name: `Schema: ${schema.title}`,
+    description: schema.description,
+    contentType: "application/schema+json",
+    getContent: async () => ({
+      content: schema,
+      metadata: {
+        schemaId: schema.$id
+      }
+    })
+  });
+});
+
 // =================================================================
 // TOOLS
 // =================================================================
@@ -119,31 +206,44 @@ server.addTool({
         type: "string",
         description: "Salesforce access token"
       },
+      objects: {
+        type: "array",
+        items: { type: "string" },
+        description: "Object API names or wildcards to extract, e.g. [\"LLC_BI__*\", \"nc_*__c\"] (default: [\"LLC_BI__Loan__c\"])"
+      },
       objectName: {
         type: "string",
-        description: "Object name to extract (default: LLC_BI__Loan__c)",
-        default: "LLC_BI__Loan__c"
+        description: "Single object name to extract (used when objects is not provided)"
+      },
+      backend: {
+        type: "string",
+        enum: ["sfdx", "api"],
+        description: "Extract with the sfdx CLI or directly through the Tooling/Metadata APIs (default: METADATA_BACKEND or sfdx)"
       }
     },
     required: ["instanceUrl", "accessToken"]
   },
-  handler: async ({ instanceUrl, accessToken, objectName }) => {
+  handler: async ({ instanceUrl, accessToken, objects, objectName, backend }) => {
     try {
       const credentials = {
         instanceUrl,
         accessToken
       };
       
-      const metadata = await metadataExtractor.extractMetadata(credentials);
+      const requestedObjects = objects && objects.length > 0 ? objects : [objectName || "LLC_BI__Loan__c"];
+      const metadata = await metadataExtractor.extractMetadata(credentials, { objects: requestedObjects, backend });
+      const objectNames = Object.keys(metadata.objects || {});
       
       return {
         success: true,
         data: {
+          objects: metadata.objects || {},
           fields: metadata.fields || [],
           validationRules: metadata.validationRules || [],
-          triggers: metadata.triggers || []
+          triggers: metadata.triggers || [],
+          flows: metadata.flows || []
         },
-        message: `Successfully extracted metadata for ${objectName}`
+        message: `Successfully extracted metadata for ${objectNames.length} object(s): ${objectNames.join(', ')}`
       };
     } catch (error) {
       return {
@@ -155,6 +255,52 @@ server.addTool({
   }
 });
 
+// Tool: Extract Project Metadata
+server.addTool({
+  id: "salesforce.extractProjectMetadata",
+  name: "Extract Local Project Metadata",
+  description: "Read metadata from a local SFDX source-format project or an unzipped MDAPI retrieve, without an org connection",
+  parameters: {
+    type: "object",
+    properties: {
+      projectDir: {
+        type: "string",
+        description: "Path of the project or retrieve directory on the server"
+      },
+      objects: {
+        type: "array",
+        items: { type: "string" },
+        description: "Object API names or wildcards to include (default: every object found)"
+      }
+    },
+    required: ["projectDir"]
+  },
+  handler: async ({ projectDir, objects }) => {
+    try {
+      const metadata = await metadataExtractor.extractFromDirectory(projectDir, { objects });
+      const objectNames = Object.keys(metadata.objects);
+      
+      return {
+        success: true,
+        data: {
+          objects: metadata.objects,
+          fields: metadata.fields,
+          validationRules: metadata.validationRules,
+          triggers: metadata.triggers,
+          flows: metadata.flows
+        },
+        message: `Successfully read metadata for ${objectNames.length} object(s) from ${projectDir}`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        message: `Failed to read project metadata: ${error.message}`
+      };
+    }
+  }
+});
+
 // Tool: Analyze Naming Conventions
 server.addTool({
   id: "salesforce.analyzeNamingConventions",
@@ -173,6 +319,10 @@ server.addTool({
       resourceId: {
         type: "string",
         description: "Optional resource ID to analyze instead of providing fields directly"
+      },
+      rulePack: {
+        type: "string",
+        description: `Naming rule pack to check against (available: ${RulePack.list().join(', ')}; default: ${RulePack.DEFAULT_RULE_PACK})`
       }
     },
     anyOf: [
@@ -180,7 +330,7 @@ server.addTool({
       { required: ["resourceId"] }
     ]
   },
-  handler: async ({ fields, resourceId }) => {
+  handler: async ({ fields, resourceId, rulePack }) => {
     try {
       let fieldsToAnalyze = fields;
       
@@ -194,8 +344,9 @@ server.addTool({
         throw new Error("No valid fields provided for analysis");
       }
       
-      const results = namingAnalyzer.analyzeFields(fieldsToAnalyze);
-      const summary = namingAnalyzer.generateSummaryReport(results);
+      const analyzer = rulePack ? new NamingConventionAnalyzer({ rulePack, suppressions }) : namingAnalyzer;
+      const results = analyzer.analyzeFields(fieldsToAnalyze);
+      const summary = analyzer.generateSummaryReport(results);
       
       return {
         success: true,
@@ -333,6 +484,66 @@ server.addTool({
   }
 });
 
+// Tool: Analyze Flow Bypass Patterns
+server.addTool({
+  id: "salesforce.analyzeFlows",
+  name: "Analyze Flow Bypass Patterns",
+  description: "Detect bypass patterns in Flow decisions, start criteria and formulas",
+  parameters: {
+    type: "object",
+    properties: {
+      flows: {
+        type: "array",
+        description: "Array of flow metadata objects",
+        items: {
+          type: "object"
+        }
+      },
+      resourceId: {
+        type: "string",
+        description: "Optional resource ID to analyze instead of providing flows directly"
+      }
+    },
+    anyOf: [
+      { required: ["flows"] },
+      { required: ["resourceId"] }
+    ]
+  },
+  handler: async ({ flows, resourceId }) => {
+    try {
+      let flowsToAnalyze = flows;
+      
+      // If resourceId is provided, get the flows from that resource
+      if (resourceId && !flows) {
+        const resource = await server.getResourceContent(resourceId);
+        flowsToAnalyze = resource.content;
+      }
+      
+      if (!flowsToAnalyze || !Array.isArray(flowsToAnalyze)) {
+        throw new Error("No valid flows provided for analysis");
+      }
+      
+      const results = bypassAnalyzer.analyzeFlows(flowsToAnalyze);
+      const priorities = bypassAnalyzer.generateRefactoringPriorities(results, 'flow');
+      const recommendations = bypassAnalyzer.generateGeneralRecommendations(results, 'flow');
+      
+      return {
+        success: true,
+        results,
+        refactoringPriorities: priorities,
+        recommendations,
+        message: `Analyzed ${flowsToAnalyze.length} flows. Security score: ${results.securityScore}/100`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        message: `Failed to analyze flows: ${error.message}`
+      };
+    }
+  }
+});
+
 // Tool: Generate Comprehensive Report
 server.addTool({
   id: "salesforce.generateReport",
@@ -352,11 +563,25 @@ server.addTool({
       triggerResults: {
         type: "object",
         description: "Results from trigger analysis"
+      },
+      flowResults: {
+        type: "object",
+        description: "Results from flow analysis"
+      },
+      format: {
+        type: "string",
+        enum: ["json", "sarif"],
+        description: "'json' for the comprehensive report (default), 'sarif' for a SARIF 2.1.0 log for code scanning tools"
+      },
+      profile: {
+        type: "string",
+        enum: ReportViewBuilder.PROFILES,
+        description: "Audience of a 'json' report: 'full' (default), 'executive' (score, top risks, trend), 'manager' (compliance by area, issues by priority, remediation effort) or 'technical' (every finding with its location and fix)"
       }
     },
     required: []
   },
-  handler: async ({ namingResults, validationResults, triggerResults }) => {
+  handler: async ({ namingResults, validationResults, triggerResults, flowResults, format, profile }) => {
     try {
       // Build analyses object
       const analyses = {};
@@ -378,13 +603,25 @@ server.addTool({
         analyses.triggersRecommendations = triggerResults.recommendations;
       }
       
+      if (flowResults) {
+        analyses.flows = flowResults.results;
+        analyses.flowsRefactoringPriorities = flowResults.refactoringPriorities;
+        analyses.flowsRecommendations = flowResults.recommendations;
+      }
+      
       // Generate report structure
-      const report = generateComprehensiveReport(analyses);
+      const report = format === 'sarif' ?
+        new SarifExporter({ bypassAnalyzer }).export(analyses) :
+        reportViewBuilder.build(reportBuilder.build(analyses), profile || 'full');
       
       return {
         success: true,
         report,
-        message: "Successfully generated comprehensive report"
+        message: format === 'sarif' ?
+          `Exported ${report.runs[0].results.length} findings as SARIF` :
+          profile && profile !== 'full' ?
+            `Successfully generated ${profile} report` :
+            "Successfully generated comprehensive report"
       };
     } catch (error) {
       return {
@@ -396,6 +633,83 @@ server.addTool({
   }
 });
 
+// Tool: Compare Analyses
+server.addTool({
+  id: "salesforce.compareAnalyses",
+  name: "Compare Analyses",
+  description: "Compare an analysis run against a baseline snapshot: new, resolved and unchanged findings, score changes and added or removed components",
+  parameters: {
+    type: "object",
+    properties: {
+      baseline: {
+        type: "object",
+        description: "Baseline snapshot (from a previous call's 'snapshot' or cli.js --save-baseline)"
+      },
+      current: {
+        type: "object",
+        description: "Snapshot of the current run; when omitted, it is built from the results below"
+      },
+      namingResults: {
+        type: "object",
+        description: "Current results from naming convention analysis"
+      },
+      validationResults: {
+        type: "object",
+        description: "Current results from validation rule analysis"
+      },
+      triggerResults: {
+        type: "object",
+        description: "Current results from trigger analysis"
+      },
+      flowResults: {
+        type: "object",
+        description: "Current results from flow analysis"
+      },
+      metadata: {
+        type: "object",
+        description: "The metadata the current results were produced from, so added and removed components can be reported"
+      }
+    },
+    required: ["baseline"]
+  },
+  handler: async ({ baseline, current, namingResults, validationResults, triggerResults, flowResults, metadata }) => {
+    try {
+      let snapshot = current;
+      if (!snapshot) {
+        const analyses = {};
+        if (namingResults) {
+          analyses.namingConventions = namingResults.results;
+        }
+        if (validationResults) {
+          analyses.validationRules = validationResults.results;
+        }
+        if (triggerResults) {
+          analyses.triggers = triggerResults.results;
+        }
+        if (flowResults) {
+          analyses.flows = flowResults.results;
+        }
+        snapshot = baselineComparator.createSnapshot(analyses, metadata || {});
+      }
+      
+      const comparison = baselineComparator.compare(baseline, snapshot);
+      
+      return {
+        success: true,
+        comparison,
+        snapshot,
+        message: `${comparison.summary.new} new, ${comparison.summary.resolved} resolved and ${comparison.summary.unchanged} unchanged findings since the baseline`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        message: `Failed to compare analyses: ${error.message}`
+      };
+    }
+  }
+});
+
 // =================================================================
 // PROMPTS
 // =================================================================
@@ -516,201 +830,6 @@ async function loadResourceData(source) {
   throw new Error("Unsupported resource source format");
 }
 
-// Helper function to generate a comprehensive report
-function generateComprehensiveReport(analyses) {
-  // Create report structure
-  const report = {
-    executiveSummary: generateExecutiveSummary(analyses),
-    detailedFindings: {},
-    recommendations: generateRecommendations(analyses),
-    overallScore: calculateOverallScore(analyses)
-  };
-  
-  // Add detailed findings
-  if (analyses.namingConventions) {
-    report.detailedFindings.namingConventions = {
-      compliancePercentage: analyses.namingConventions.compliancePercentage,
-      violations: analyses.namingConventions.violations.map(v => ({
-        field: v.apiName,
-        issues: v.violations.map(issue => issue.rule),
-        recommendation: v.recommendedFix
-      })),
-      topIssues: analyses.namingConventionsSummary?.topIssues || []
-    };
-  }
-  
-  if (analyses.validationRules) {
-    report.detailedFindings.validationRules = {
-      securityScore: analyses.validationRules.securityScore,
-      bypassPercentage: analyses.validationRules.bypassPercentage,
-      patterns: analyses.validationRules.bypassPatterns.map(p => ({
-        rule: p.apiName,
-        patterns: p.patterns.map(pattern => pattern.name),
-        severity: p.highestSeverity
-      })),
-      refactoringPriorities: analyses.validationRulesRefactoringPriorities?.slice(0, 5) || []
-    };
-  }
-  
-  if (analyses.triggers) {
-    report.detailedFindings.triggers = {
-      securityScore: analyses.triggers.securityScore,
-      bypassPercentage: analyses.triggers.bypassPercentage,
-      patterns: analyses.triggers.bypassPatterns.map(p => ({
-        trigger: p.name,
-        patterns: p.patterns.map(pattern => pattern.name),
-        severity: p.highestSeverity
-      })),
-      refactoringPriorities: analyses.triggersRefactoringPriorities?.slice(0, 5) || []
-    };
-  }
-  
-  return report;
-}
-
-// Helper function to generate executive summary
-function generateExecutiveSummary(analyses) {
-  const summary = {
-    overallAssessment: '',
-    keyFindings: [],
-    risksIdentified: {
-      critical: 0,
-      medium: 0,
-      low: 0
-    }
-  };
-  
-  // Count risks by severity
-  if (analyses.namingConventions) {
-    summary.risksIdentified.critical += analyses.namingConventions.bySeverity.critical.length;
-    summary.risksIdentified.medium += analyses.namingConventions.bySeverity.medium.length;
-    summary.risksIdentified.low += analyses.namingConventions.bySeverity.low.length;
-  }
-  
-  if (analyses.validationRules) {
-    summary.risksIdentified.critical += analyses.validationRules.rulesBySeverity.High.length;
-    summary.risksIdentified.medium += analyses.validationRules.rulesBySeverity.Medium.length;
-    summary.risksIdentified.low += analyses.validationRules.rulesBySeverity.Low.length;
-  }
-  
-  if (analyses.triggers) {
-    summary.risksIdentified.critical += analyses.triggers.triggersBySeverity.High.length;
-    summary.risksIdentified.medium += analyses.triggers.triggersBySeverity.Medium.length;
-    summary.risksIdentified.low += analyses.triggers.triggersBySeverity.Low.length;
-  }
-  
-  // Generate overall assessment
-  const totalIssues = summary.risksIdentified.critical + summary.risksIdentified.medium + summary.risksIdentified.low;
-  const criticalPercent = (summary.risksIdentified.critical / totalIssues) * 100 || 0;
-  
-  if (summary.risksIdentified.critical > 5 || criticalPercent > 20) {
-    summary.overallAssessment = 'Critical attention required. The configuration contains significant risk factors that should be addressed immediately.';
-  } else if (summary.risksIdentified.critical > 0 || summary.risksIdentified.medium > 10) {
-    summary.overallAssessment = 'Moderate risk identified. The configuration has several issues that should be addressed in the near term.';
-  } else {
-    summary.overallAssessment = 'Low risk identified. The configuration is generally sound with minor improvements recommended.';
-  }
-  
-  // Add key findings
-  if (analyses.namingConventions) {
-    summary.keyFindings.push(`${analyses.namingConventions.compliancePercentage}% of fields comply with naming conventions.`);
-  }
-  
-  if (analyses.validationRules) {
-    summary.keyFindings.push(`${analyses.validationRules.bypassPercentage}% of validation rules contain bypass patterns.`);
-  }
-  
-  if (analyses.triggers) {
-    summary.keyFindings.push(`${analyses.triggers.bypassPercentage}% of Apex triggers contain bypass patterns.`);
-  }
-  
-  return summary;
-}
-
-// Helper function to generate recommendations
-function generateRecommendations(analyses) {
-  const recommendations = [];
-  
-  // Add naming convention recommendations
-  if (analyses.namingConventionsSummary?.recommendations) {
-    recommendations.push(...analyses.namingConventionsSummary.recommendations);
-  }
-  
-  // Add validation rule recommendations
-  if (analyses.validationRulesRecommendations) {
-    recommendations.push(...analyses.validationRulesRecommendations);
-  }
-  
-  // Add trigger recommendations
-  if (analyses.triggersRecommendations) {
-    recommendations.push(...analyses.triggersRecommendations);
-  }
-  
-  // Add general recommendations
-  recommendations.push(
-    "Implement a governance process to regularly review and audit configuration changes.",
-    "Document all configuration standards and patterns in a central location.",
-    "Provide training to developers on secure and maintainable configuration practices."
-  );
-  
-  // Remove any duplicates
-  return [...new Set(recommendations)];
-}
-
-// Helper function to calculate overall score
-function calculateOverallScore(analyses) {
-  let scores = [];
-  let weights = [];
-  
-  if (analyses.namingConventions) {
-    scores.push(analyses.namingConventions.compliancePercentage);
-    weights.push(1);
-  }
-  
-  if (analyses.validationRules) {
-    scores.push(analyses.validationRules.securityScore);
-    weights.push(1.5);
-  }
-  
-  if (analyses.triggers) {
-    scores.push(analyses.triggers.securityScore);
-    weights.push(1.5);
-  }
-  
-  // Calculate weighted average
-  if (scores.length === 0) {
-    return { score: 0, rating: 'N/A' };
-  }
-  
-  let totalWeight = weights.reduce((sum, w) => sum + w, 0);
-  let weightedSum = scores.reduce((sum, score, i) => sum + (score * weights[i]), 0);
-  let weightedAverage = Math.round(weightedSum / totalWeight);
-  
-  // Determine rating
-  let rating;
-  if (weightedAverage >= 90) {
-    rating = 'Excellent';
-  } else if (weightedAverage >= 75) {
-    rating = 'Good';
-  } else if (weightedAverage >= 60) {
-    rating = 'Fair';
-  } else if (weightedAverage >= 40) {
-    rating = 'Poor';
-  } else {
-    rating = 'Critical';
-  }
-  
-  return {
-    score: weightedAverage,
-    rating,
-    componentScores: {
-      namingConventions: analyses.namingConventions?.compliancePercentage || 0,
-      validationRules: analyses.validationRules?.securityScore || 0,
-      triggers: analyses.triggers?.securityScore || 0
-    }
-  };
-}
-
 // Start the server
 const port = process.env.PORT || 3000;
 server.start(port).then(() => {
@@ -7,19 +7,63 @@
  * 
  * Usage:
  *   node cli.js --fields ./output/loan_fields.json --validation-rules ./output/validation_rules.json --triggers ./output/loan_triggers.json
+ *   node cli.js --project ./my-sfdx-project --objects "LLC_BI__*,nc_*__c"
+ *   node cli.js --project ./my-sfdx-project --sarif ./output/findings.sarif
+ *   node cli.js --project ./my-sfdx-project --offline
+ *   node cli.js --project ./my-sfdx-project --offline --html ./output/report.html
+ *   node cli.js --project ./my-sfdx-project --offline --profile executive
+ *   node cli.js --ci --project ./my-sfdx-project --gates "high>0,naming<90,score<75"
+ *   node cli.js --project ./my-sfdx-project --offline --save-baseline ./baselines/release-1.json
+ *   node cli.js compare ./baselines/release-1.json --project ./my-sfdx-project
  */
 
 const fs = require('fs');
 const path = require('path');
 const nCinoAnalyzer = require('./nCinoAnalyzer');
+const MetadataExtractor = require('./controllers/MetadataExtractor');
+const QualityGate = require('./reports/QualityGate');
+const ReportViewBuilder = require('./reports/ReportViewBuilder');
+const PromptChunker = require('./integrations/PromptChunker');
+const ResponseCache = require('./integrations/ResponseCache');
+const LlmProvider = require('./integrations/LlmProvider');
 
-// Parse command line arguments
+// Parse command line arguments; 'compare' is the only subcommand
 const args = process.argv.slice(2);
+const command = args[0] === 'compare' ? args.shift() : null;
+const positional = [];
 const options = {
   apiKey: process.env.CLAUDE_API_KEY,
+  apiUrl: process.env.CLAUDE_API_URL,
+  provider: 'anthropic',
+  fixturesDir: null,
+  recordDir: null,
   fieldsPath: null,
   validationRulesPath: null,
   triggersPath: null,
+  projectDir: null,
+  objects: null,
+  rulePack: null,
+  suppressionsPath: null,
+  sarifPath: null,
+  htmlPath: null,
+  profile: null,
+  engine: 'claude',
+  concurrency: null,
+  chunkSize: null,
+  maxRetries: null,
+  requestTimeout: null,
+  maxRequests: null,
+  cache: true,
+  refreshCache: false,
+  cacheTtl: null,
+  cacheMaxSize: null,
+  ci: false,
+  junitPath: null,
+  gates: null,
+  saveBaselinePath: null,
+  org: null,
+  historyPath: null,
+  history: true,
   outputDir: path.join(__dirname, '..', 'output'),
   promptDir: path.join(__dirname, '..', 'prompts'),
   analyzeNamingConventions: true,
@@ -34,6 +78,20 @@ for (let i = 0; i < args.length; i++) {
   if (arg === '--api-key' && i + 1 < args.length) {
     options.apiKey = args[i + 1];
     i++;
+  } else if (arg === '--api-url' && i + 1 < args.length) {
+    options.apiUrl = args[i + 1];
+    i++;
+  } else if (arg === '--provider' && i + 1 < args.length) {
+    options.provider = args[i + 1];
+    i++;
+  } else if (arg.startsWith('--provider=')) {
+    options.provider = arg.slice('--provider='.length);
+  } else if (arg === '--fixtures' && i + 1 < args.length) {
+    options.fixturesDir = args[i + 1];
+    i++;
+  } else if (arg === '--record' && i + 1 < args.length) {
+    options.recordDir = args[i + 1];
+    i++;
   } else if (arg === '--fields' && i + 1 < args.length) {
     options.fieldsPath = args[i + 1];
     i++;
@@ -43,6 +101,78 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '--triggers' && i + 1 < args.length) {
     options.triggersPath = args[i + 1];
     i++;
+  } else if (arg === '--project' && i + 1 < args.length) {
+    options.projectDir = args[i + 1];
+    i++;
+  } else if (arg === '--objects' && i + 1 < args.length) {
+    options.objects = args[i + 1].split(',').map(name => name.trim()).filter(Boolean);
+    i++;
+  } else if (arg === '--rule-pack' && i + 1 < args.length) {
+    options.rulePack = args[i + 1];
+    i++;
+  } else if (arg === '--suppressions' && i + 1 < args.length) {
+    options.suppressionsPath = args[i + 1];
+    i++;
+  } else if (arg === '--sarif' && i + 1 < args.length) {
+    options.sarifPath = args[i + 1];
+    i++;
+  } else if (arg === '--html' && i + 1 < args.length) {
+    options.htmlPath = args[i + 1];
+    i++;
+  } else if (arg === '--profile' && i + 1 < args.length) {
+    options.profile = args[i + 1];
+    i++;
+  } else if (arg === '--offline') {
+    options.engine = 'rules';
+  } else if (arg === '--engine' && i + 1 < args.length) {
+    options.engine = args[i + 1];
+    i++;
+  } else if (arg.startsWith('--engine=')) {
+    options.engine = arg.slice('--engine='.length);
+  } else if (arg === '--concurrency' && i + 1 < args.length) {
+    options.concurrency = parseInt(args[i + 1], 10);
+    i++;
+  } else if (arg === '--chunk-size' && i + 1 < args.length) {
+    options.chunkSize = parseInt(args[i + 1], 10);
+    i++;
+  } else if (arg === '--max-retries' && i + 1 < args.length) {
+    options.maxRetries = parseInt(args[i + 1], 10);
+    i++;
+  } else if (arg === '--request-timeout' && i + 1 < args.length) {
+    options.requestTimeout = parseFloat(args[i + 1]);
+    i++;
+  } else if (arg === '--max-requests' && i + 1 < args.length) {
+    options.maxRequests = parseInt(args[i + 1], 10);
+    i++;
+  } else if (arg === '--no-cache') {
+    options.cache = false;
+  } else if (arg === '--refresh') {
+    options.refreshCache = true;
+  } else if (arg === '--cache-ttl' && i + 1 < args.length) {
+    options.cacheTtl = parseFloat(args[i + 1]);
+    i++;
+  } else if (arg === '--cache-max-size' && i + 1 < args.length) {
+    options.cacheMaxSize = parseFloat(args[i + 1]);
+    i++;
+  } else if (arg === '--ci') {
+    options.ci = true;
+  } else if (arg === '--junit' && i + 1 < args.length) {
+    options.junitPath = args[i + 1];
+    i++;
+  } else if (arg === '--gates' && i + 1 < args.length) {
+    options.gates = args[i + 1];
+    i++;
+  } else if (arg === '--save-baseline' && i + 1 < args.length) {
+    options.saveBaselinePath = args[i + 1];
+    i++;
+  } else if (arg === '--org' && i + 1 < args.length) {
+    options.org = args[i + 1];
+    i++;
+  } else if (arg === '--history' && i + 1 < args.length) {
+    options.historyPath = args[i + 1];
+    i++;
+  } else if (arg === '--no-history') {
+    options.history = false;
   } else if (arg === '--output-dir' && i + 1 < args.length) {
     options.outputDir = args[i + 1];
     i++;
@@ -58,7 +188,56 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '--help' || arg === '-h') {
     showHelp();
     process.exit(0);
+  } else if (!arg.startsWith('-')) {
+    positional.push(arg);
+  }
+}
+
+// compare <baseline.json> [<current.json>]
+if (command === 'compare') {
+  [options.baselinePath, options.currentSnapshotPath] = positional;
+  if (!options.baselinePath) {
+    console.error('Error: compare needs a baseline file: node cli.js compare <baseline.json> [<current.json>] [options]');
+    process.exit(1);
+  }
+  [options.baselinePath, options.currentSnapshotPath].filter(Boolean).forEach(filePath => {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: Snapshot file not found at ${filePath}`);
+      process.exit(1);
+    }
+  });
+}
+
+// The comprehensive report is always written, so --profile picks one of the audience views
+const viewProfiles = ReportViewBuilder.PROFILES.filter(profile => profile !== 'full');
+if (options.profile && !viewProfiles.includes(options.profile)) {
+  console.error(`Error: Unknown report profile '${options.profile}' (available: ${viewProfiles.join(', ')})`);
+  process.exit(1);
+}
+
+// Chunking and request limits must be positive numbers
+[
+  ['--concurrency', options.concurrency],
+  ['--chunk-size', options.chunkSize],
+  ['--request-timeout', options.requestTimeout],
+  ['--max-requests', options.maxRequests],
+  ['--cache-ttl', options.cacheTtl],
+  ['--cache-max-size', options.cacheMaxSize]
+].forEach(([flag, value]) => {
+  if (value !== null && !(value > 0)) {
+    console.error(`Error: ${flag} must be a positive number`);
+    process.exit(1);
   }
+});
+if (options.maxRetries !== null && !(options.maxRetries >= 0)) {
+  console.error('Error: --max-retries must be 0 or more');
+  process.exit(1);
+}
+
+// Check if the project directory exists
+if (options.projectDir && !fs.existsSync(options.projectDir)) {
+  console.error(`Error: Project directory not found at ${options.projectDir}`);
+  process.exit(1);
 }
 
 // Check if required files exist
@@ -77,27 +256,85 @@ if (options.analyzeApexTriggers && options.triggersPath && !fs.existsSync(option
   process.exit(1);
 }
 
-// Create analyzer instance
-const analyzer = new nCinoAnalyzer({
-  apiKey: options.apiKey,
-  outputDir: options.outputDir,
-  promptDir: options.promptDir
-});
+// Parse the quality gates up front so a typo fails before any analysis runs
+let qualityGate;
+try {
+  qualityGate = new QualityGate(options.gates || undefined);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Create analyzer instance (this loads the rule pack and suppressions, so report a bad file before starting)
+let analyzer;
+try {
+  analyzer = new nCinoAnalyzer({
+    apiKey: options.apiKey,
+    apiUrl: options.apiUrl || undefined,
+    provider: options.provider,
+    fixturesDir: options.fixturesDir || undefined,
+    recordDir: options.recordDir || undefined,
+    rulePack: options.rulePack,
+    suppressions: options.suppressionsPath || undefined,
+    engine: options.engine,
+    concurrency: options.concurrency || undefined,
+    chunkSize: options.chunkSize || undefined,
+    maxRetries: options.maxRetries === null ? undefined : options.maxRetries,
+    requestTimeoutMs: options.requestTimeout ? options.requestTimeout * 1000 : undefined,
+    requestBudget: options.maxRequests || undefined,
+    cache: options.cache,
+    refreshCache: options.refreshCache,
+    cacheTtlMs: options.cacheTtl ? options.cacheTtl * 60 * 60 * 1000 : undefined,
+    cacheMaxBytes: options.cacheMaxSize ? Math.round(options.cacheMaxSize * 1024 * 1024) : undefined,
+    // History entries are tagged with --org, or the project directory name
+    org: options.org || (options.projectDir ? path.basename(path.resolve(options.projectDir)) : undefined),
+    history: options.history ? options.historyPath : false,
+    outputDir: options.outputDir,
+    promptDir: options.promptDir
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
 // Run analysis
 async function runAnalysis() {
   console.log('Starting nCino configuration analysis...');
   
   try {
-    const results = await analyzer.runCompleteAnalysis({
-      analyzeNamingConventions: options.analyzeNamingConventions,
-      analyzeValidationRules: options.analyzeValidationRules,
-      analyzeApexTriggers: options.analyzeApexTriggers,
-      fieldsPath: options.fieldsPath,
-      validationRulesPath: options.validationRulesPath,
-      triggersPath: options.triggersPath
-    });
+    if (options.projectDir) {
+      await extractProjectMetadata();
+    }
+    
+    if (command === 'compare') {
+      await runComparison();
+      return;
+    }
+    
+    if (options.ci) {
+      await runCiChecks();
+      return;
+    }
+    
+    const analyses = await analyzer.runCompleteAnalysis(analysisOptions());
+    
+    // Every engine returns the local analyzers' results, which the SARIF, HTML, view and baseline files are built from
+    if (options.sarifPath || options.htmlPath || options.profile || options.saveBaselinePath) {
+      if (!analyses.report) {
+        throw new Error('The local analyzers failed, so the SARIF, HTML, report view and baseline files could not be written');
+      }
+      writeLocalOutputs(analyses);
+    }
     
+    const usage = analyzer.usage;
+    if (usage.requests > 0) {
+      console.log(`LLM usage (${analyzer.provider.name}): ${usage.requests} request${usage.requests === 1 ? '' : 's'}, ` +
+        `${usage.inputTokens} input and ${usage.outputTokens} output tokens`);
+    }
+    const cacheStats = analyzer.cache ? analyzer.cache.stats : null;
+    if (cacheStats && cacheStats.hits + cacheStats.misses > 0) {
+      console.log(`Claude responses: ${cacheStats.hits} from the cache, ${cacheStats.misses} requested (cache: ${analyzer.cache.dir})`);
+    }
     console.log('Analysis completed successfully!');
     console.log(`Comprehensive report saved to: ${path.join(options.outputDir, 'comprehensive_report.md')}`);
   } catch (error) {
@@ -106,6 +343,148 @@ async function runAnalysis() {
   }
 }
 
+// Read metadata from a local project and write the JSON files the analyzer reads
+async function extractProjectMetadata() {
+  const extractor = new MetadataExtractor({ tempDir: options.outputDir });
+  const metadata = await extractor.extractFromDirectory(options.projectDir, { objects: options.objects });
+  
+  const writeJson = (fileName, data) => {
+    const filePath = path.join(options.outputDir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+  };
+  
+  options.fieldsPath = options.fieldsPath || writeJson('project_fields.json', metadata.fields);
+  options.validationRulesPath = options.validationRulesPath || writeJson('project_validation_rules.json', metadata.validationRules);
+  options.triggersPath = options.triggersPath || writeJson('project_triggers.json', metadata.triggers);
+  options.flowsPath = writeJson('project_flows.json', metadata.flows);
+  
+  console.log(`Read ${metadata.fields.length} fields, ${metadata.validationRules.length} validation rules and ${metadata.triggers.length} triggers from ${Object.keys(metadata.objects).length} object(s)`);
+}
+
+// Options passed to the analyzer for the input files
+function analysisOptions() {
+  return {
+    analyzeNamingConventions: options.analyzeNamingConventions,
+    analyzeValidationRules: options.analyzeValidationRules,
+    analyzeApexTriggers: options.analyzeApexTriggers,
+    fieldsPath: options.fieldsPath,
+    validationRulesPath: options.validationRulesPath,
+    triggersPath: options.triggersPath,
+    flowsPath: options.flowsPath
+  };
+}
+
+// Write the files built from the local analyzers' results (--sarif, --html, --profile, --save-baseline)
+function writeLocalOutputs({ results, inputData, report }) {
+  if (options.sarifPath) {
+    writeSarif(results);
+  }
+  if (options.htmlPath) {
+    writeHtml(report);
+  }
+  if (options.profile) {
+    writeReportView(report);
+  }
+  if (options.saveBaselinePath) {
+    writeBaseline(analyzer.getPresenter().controller.createSnapshot(results, inputData));
+  }
+}
+
+// Save a snapshot of the run as a baseline for later comparisons
+function writeBaseline(snapshot) {
+  fs.mkdirSync(path.dirname(path.resolve(options.saveBaselinePath)), { recursive: true });
+  fs.writeFileSync(options.saveBaselinePath, JSON.stringify(snapshot, null, 2));
+  console.log(`Baseline (${snapshot.findings.length} findings) saved to: ${options.saveBaselinePath}`);
+}
+
+// Compare the current metadata (or a second snapshot) against a baseline and write the differences
+async function runComparison() {
+  const presenter = analyzer.getPresenter();
+  const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  const baseline = readJson(options.baselinePath);
+  let current;
+  if (options.currentSnapshotPath) {
+    current = readJson(options.currentSnapshotPath);
+  } else {
+    const { results, inputData } = await analyzer.runRulesAnalysis(analysisOptions());
+    current = presenter.controller.createSnapshot(results, inputData);
+  }
+  
+  if (options.saveBaselinePath) {
+    writeBaseline(current);
+  }
+  
+  const comparison = presenter.controller.compareAnalyses(baseline, current);
+  const jsonPath = path.join(options.outputDir, 'comparison.json');
+  const markdownPath = path.join(options.outputDir, 'comparison.md');
+  fs.mkdirSync(options.outputDir, { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify(comparison, null, 2));
+  fs.writeFileSync(markdownPath, presenter.formatComparison(comparison));
+  
+  const overall = comparison.scores.overall;
+  console.log(`New findings: ${comparison.summary.new}, resolved: ${comparison.summary.resolved}, unchanged: ${comparison.summary.unchanged}`);
+  if (overall.delta !== null) {
+    console.log(`Overall score: ${overall.baseline} -> ${overall.current} (${overall.delta >= 0 ? '+' : ''}${overall.delta})`);
+  }
+  console.log(`Comparison saved to: ${markdownPath} and ${jsonPath}`);
+}
+
+// Write the local analyzers' findings as SARIF
+function writeSarif(results) {
+  const sarif = analyzer.getPresenter().controller.exportSarif(results);
+  fs.mkdirSync(path.dirname(path.resolve(options.sarifPath)), { recursive: true });
+  fs.writeFileSync(options.sarifPath, JSON.stringify(sarif, null, 2));
+  console.log(`SARIF report (${sarif.runs[0].results.length} findings) saved to: ${options.sarifPath}`);
+}
+
+// Write the local analyzers' report as a self-contained HTML page
+function writeHtml(report) {
+  fs.mkdirSync(path.dirname(path.resolve(options.htmlPath)), { recursive: true });
+  fs.writeFileSync(options.htmlPath, analyzer.getPresenter().renderHtmlReport(report));
+  console.log(`HTML report saved to: ${options.htmlPath}`);
+}
+
+// Write the local analyzers' report for one audience, as Markdown and JSON
+function writeReportView(report) {
+  const presenter = analyzer.getPresenter();
+  const view = presenter.controller.buildReportView(report, options.profile);
+  const jsonPath = path.join(options.outputDir, `report_${options.profile}.json`);
+  const markdownPath = path.join(options.outputDir, `report_${options.profile}.md`);
+  fs.mkdirSync(options.outputDir, { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify(view, null, 2));
+  fs.writeFileSync(markdownPath, presenter.formatReportView(view));
+  console.log(`${options.profile.charAt(0).toUpperCase()}${options.profile.slice(1)} report saved to: ${markdownPath} and ${jsonPath}`);
+}
+
+// CI mode: run the local analyzers only (no Claude), write JUnit XML and fail the build on the quality gates
+async function runCiChecks() {
+  const analyses = await analyzer.runRulesAnalysis(analysisOptions());
+  const { inputData, results } = analyses;
+  const report = analyzer.recordRun(analyses);
+  const controller = analyzer.getPresenter().controller;
+  const gateResults = qualityGate.evaluate(report);
+  
+  const junitPath = options.junitPath || path.join(options.outputDir, 'analysis-junit.xml');
+  fs.mkdirSync(path.dirname(path.resolve(junitPath)), { recursive: true });
+  fs.writeFileSync(junitPath, controller.exportJunit(results, inputData, gateResults));
+  console.log(`JUnit report saved to: ${junitPath}`);
+  
+  writeLocalOutputs({ results, inputData, report });
+  
+  console.log(`Overall score: ${report.overallScore.score} (${report.overallScore.rating})`);
+  console.log('Quality gates:');
+  gateResults.results.forEach(result => console.log(`  ${result.message}`));
+  
+  if (gateResults.passed) {
+    console.log('All quality gates passed.');
+  } else {
+    console.error('Quality gates failed.');
+    process.exitCode = 2;
+  }
+}
+
 // Show help text
 function showHelp() {
   console.log(`
@@ -115,12 +494,63 @@ A tool for analyzing Salesforce/nCino configurations using Claude's AI capabilit
 
 Usage:
   node cli.js [options]
+  node cli.js compare <baseline.json> [<current.json>] [options]
+
+Commands:
+  compare                     Compare a run against a baseline saved with --save-baseline: new, resolved and
+                              unchanged findings, score changes and added or removed components. The current
+                              run is analyzed from the input options (local analyzers only) unless a second
+                              snapshot is given. Writes comparison.md and comparison.json to the output directory.
 
 Options:
   --api-key <key>             Claude API key (can also set CLAUDE_API_KEY env variable)
+  --api-url <url>             Claude Messages API URL, e.g. a local mock server (can also set CLAUDE_API_URL;
+                              default: https://api.anthropic.com/v1/messages)
+  --provider <name>           LLM provider the prompts go to: ${LlmProvider.providers().join(', ')} (default: anthropic).
+                              replay serves recorded responses from fixture files, with no network or API key
+  --fixtures <path>           Fixture directory of the replay provider (default: fixtures/replay)
+  --record <path>             Also write every response from the provider as a replay fixture to this directory
   --fields <path>             Path to fields JSON file
   --validation-rules <path>   Path to validation rules JSON file
   --triggers <path>           Path to triggers JSON file
+  --project <path>            Read metadata from a local SFDX project or MDAPI directory (no org needed)
+  --objects <list>            Comma-separated object names or wildcards to read from --project (default: all)
+  --rule-pack <name|path>     Naming rule pack from rule-packs/ or a .yaml/.json file (default: ncino-default)
+  --suppressions <path>       YAML/JSON file of accepted findings, left out of the scores and listed as accepted
+                              risk until they expire
+  --sarif <path>              Also write the local analyzers' findings as a SARIF 2.1.0 file
+  --html <path>               Also write the local analyzers' report as a self-contained HTML page with charts
+  --profile <profile>         Also write the local analyzers' report for one audience to report_<profile>.md and
+                              .json in the output directory: executive (score, top 5 risks, trend), manager
+                              (compliance by area, issues by priority, remediation effort) or technical (every
+                              finding with its location and fix)
+  --offline                   Run the local rule-based analyzers only (same as --engine rules)
+  --engine <engine>           claude (default): Claude analyzes the metadata; rules: local analyzers only, no
+                              network or API key; hybrid: local analyzers, then Claude writes the narrative and fixes
+  --concurrency <n>           Claude requests run at the same time when the metadata is split into chunks
+                              (default: 3)
+  --chunk-size <n>            Components (fields, validation rules or triggers) per Claude prompt at most
+                              (default: ${PromptChunker.DEFAULT_CHUNK_SIZE}); prompts are also kept under an estimated token budget
+  --max-retries <n>           Retries of a Claude request that failed with a rate limit (429), overload (529),
+                              server error or dropped connection, with exponential backoff (default: 4)
+  --request-timeout <seconds> Time limit of one Claude request (default: 120)
+  --max-requests <n>          Claude requests one run may send, retries and repair prompts included; the run
+                              stops sending once they are used up (default: no limit)
+  --no-cache                  Don't read or write the cache of Claude responses (<output-dir>/claude-cache)
+  --refresh                   Send every Claude request again and replace its cached response
+  --cache-ttl <hours>         Age after which a cached Claude response is requested again (default: ${ResponseCache.DEFAULT_TTL_MS / (60 * 60 * 1000)})
+  --cache-max-size <MB>       Size of the response cache at most; least recently used responses are removed
+                              first (default: ${ResponseCache.DEFAULT_MAX_BYTES / (1024 * 1024)})
+  --ci                        CI mode: run the local analyzers only (no Claude, no API key), write JUnit XML
+                              and exit 2 when a quality gate fails
+  --junit <path>              JUnit XML file written in CI mode (default: <output-dir>/analysis-junit.xml)
+  --gates <list>              Comma-separated quality gates, <metric><op><number> with op one of < <= > >= =
+                              (default: ${QualityGate.DEFAULT_GATES.join(',')})
+                              Metrics: ${Object.keys(QualityGate.metrics()).join(', ')}
+  --save-baseline <path>      Save a snapshot of the local analyzers' results as a baseline for compare
+  --org <name>                Org or project name the run history is kept for (default: --project directory name)
+  --history <path>            Run history file (default: <output-dir>/history.jsonl)
+  --no-history                Don't record this run in the history
   --output-dir <path>         Directory to store output files (default: ../output)
   --prompt-dir <path>         Directory containing prompt templates (default: ../prompts)
   --skip-naming               Skip naming convention analysis
@@ -130,6 +560,18 @@ Options:
 
 Example:
   node cli.js --fields ./output/loan_fields.json --validation-rules ./output/validation_rules.json --triggers ./output/loan_triggers.json
+  node cli.js --project ./force-app-checkout --objects "LLC_BI__*,nc_*__c"
+  node cli.js --project ./force-app-checkout --sarif ./output/findings.sarif
+  node cli.js --project ./force-app-checkout --offline --html ./output/report.html
+  node cli.js --project ./force-app-checkout --offline --profile manager
+  node cli.js --project ./force-app-checkout --engine=hybrid
+  node cli.js --project ./force-app-checkout --refresh
+  node cli.js --project ./force-app-checkout --record ./fixtures/my-org
+  node cli.js --project ./force-app-checkout --provider replay --fixtures ./fixtures/my-org
+  node cli.js --project ./force-app-checkout --offline --suppressions ./suppressions.yaml
+  node cli.js --project ./force-app-checkout --offline --save-baseline ./baselines/sprint-12.json
+  node cli.js compare ./baselines/sprint-12.json --project ./force-app-checkout
+  node cli.js --ci --project ./force-app-checkout --junit ./output/junit.xml --gates "high>0,naming<90"
   `);
 }
 
@@ -9,13 +9,24 @@ const { execSync } = require('child_process');
 const NamingConventionAnalyzer = require('../models/NamingConventionAnalyzer');
 const BypassPatternAnalyzer = require('../models/BypassPatternAnalyzer');
 const MetadataExtractor = require('./MetadataExtractor');
+const ReportBuilder = require('../reports/ReportBuilder');
+const SarifExporter = require('../reports/SarifExporter');
+const JunitExporter = require('../reports/JunitExporter');
+const QualityGate = require('../reports/QualityGate');
+const BaselineComparator = require('../reports/BaselineComparator');
+const ReportViewBuilder = require('../reports/ReportViewBuilder');
+const SuppressionList = require('../models/SuppressionList');
 
 class AnalysisController {
   constructor(options = {}) {
     this.options = options;
     this.tempDir = options.tempDir || path.join(__dirname, '../../temp');
-    this.namingAnalyzer = new NamingConventionAnalyzer();
-    this.bypassAnalyzer = new BypassPatternAnalyzer();
+    this.suppressions = SuppressionList.resolve(options.suppressions);
+    this.namingAnalyzer = new NamingConventionAnalyzer({ rulePack: options.rulePack, suppressions: this.suppressions });
+    this.bypassAnalyzer = new BypassPatternAnalyzer({ suppressions: this.suppressions });
+    this.reportBuilder = new ReportBuilder({ bypassAnalyzer: this.bypassAnalyzer });
+    this.baselineComparator = new BaselineComparator({ reportBuilder: this.reportBuilder });
+    this.reportViewBuilder = new ReportViewBuilder({ bypassAnalyzer: this.bypassAnalyzer });
     this.metadataExtractor = new MetadataExtractor(options);
     
     // Create temp directory if it doesn't exist
@@ -26,8 +37,9 @@ class AnalysisController {
 
   /**
    * Main method to run a complete analysis
-   * @param {Object} params - Analysis parameters
-   * @returns {Object} Analysis results
+   * @param {Object} params - Analysis parameters (params.format 'sarif' returns a SARIF log;
+   *   params.profile 'executive', 'manager' or 'technical' returns that view of the report)
+   * @returns {Object} Comprehensive report, report view, or SARIF log
    */
   async runAnalysis(params) {
     try {
@@ -37,10 +49,12 @@ class AnalysisController {
       const inputData = await this.prepareInputData(params);
       
       // Step 2: Perform the analyses
-      const results = await this.performAnalyses(inputData);
+      const results = await this.performAnalyses(inputData, { rulePack: params.rulePack });
       
-      // Step 3: Generate the comprehensive report
-      const report = this.generateComprehensiveReport(results);
+      // Step 3: Generate the comprehensive report (or its view for an audience), or a SARIF log for code scanning tools
+      const report = params.format === 'sarif' ?
+        this.exportSarif(results, params.rulePack) :
+        this.buildReportView(this.generateComprehensiveReport(results), params.profile);
       
       // Step 4: Clean up temporary files
       this.cleanupTempFiles();
@@ -61,11 +75,12 @@ class AnalysisController {
     const inputData = {
       fields: null,
       validationRules: null,
-      triggers: null
+      triggers: null,
+      flows: null
     };
     
     // If files were uploaded, process them
-    if (params.uploadedFiles) {
+    if (params.uploadedFiles && Object.keys(params.uploadedFiles).length > 0) {
       if (params.uploadedFiles.fields) {
         inputData.fields = await this.processUploadedFile(params.uploadedFiles.fields);
       }
@@ -75,13 +90,30 @@ class AnalysisController {
       if (params.uploadedFiles.triggers) {
         inputData.triggers = await this.processUploadedFile(params.uploadedFiles.triggers);
       }
+      if (params.uploadedFiles.flows) {
+        inputData.flows = await this.processUploadedFile(params.uploadedFiles.flows);
+      }
+    }
+    // If a local project or MDAPI directory was provided, read it without an org connection
+    else if (params.projectDir) {
+      const extractedData = await this.metadataExtractor.extractFromDirectory(params.projectDir, {
+        objects: params.objects
+      });
+      inputData.fields = extractedData.fields;
+      inputData.validationRules = extractedData.validationRules;
+      inputData.triggers = extractedData.triggers;
+      inputData.flows = extractedData.flows;
     }
     // If org credentials were provided, extract metadata
     else if (params.orgCredentials) {
-      const extractedData = await this.metadataExtractor.extractMetadata(params.orgCredentials);
+      const extractedData = await this.metadataExtractor.extractMetadata(params.orgCredentials, {
+        objects: params.objects,
+        backend: params.backend
+      });
       inputData.fields = extractedData.fields;
       inputData.validationRules = extractedData.validationRules;
       inputData.triggers = extractedData.triggers;
+      inputData.flows = extractedData.flows || null;
     }
     // If raw JSON data was provided
     else if (params.jsonData) {
@@ -94,11 +126,14 @@ class AnalysisController {
       if (params.jsonData.triggers) {
         inputData.triggers = params.jsonData.triggers;
       }
+      if (params.jsonData.flows) {
+        inputData.flows = params.jsonData.flows;
+      }
     }
     
     // Verify that we have some data to analyze
-    if (!inputData.fields && !inputData.validationRules && !inputData.triggers) {
-      throw new Error('No metadata provided for analysis. Please provide fields, validation rules, or triggers.');
+    if (!inputData.fields && !inputData.validationRules && !inputData.triggers && !inputData.flows) {
+      throw new Error('No metadata provided for analysis. Please provide fields, validation rules, triggers, or flows.');
     }
     
     return inputData;
@@ -153,17 +188,23 @@ class AnalysisController {
   /**
    * Perform the analyses on the input data
    * @param {Object} inputData - Prepared input data
+   * @param {Object} options - Analysis options ({ rulePack })
    * @returns {Object} Analysis results
    */
-  async performAnalyses(inputData) {
+  async performAnalyses(inputData, options = {}) {
     const results = {};
     
+    // A rule pack selected for this run overrides the one the controller was created with
+    const namingAnalyzer = options.rulePack ?
+      new NamingConventionAnalyzer({ rulePack: options.rulePack, suppressions: this.suppressions }) :
+      this.namingAnalyzer;
+    
     // Analyze field naming conventions
     if (inputData.fields) {
       try {
         console.log(`Analyzing naming conventions for ${inputData.fields.length} fields...`);
-        results.namingConventions = this.namingAnalyzer.analyzeFields(inputData.fields);
-        results.namingConventionsSummary = this.namingAnalyzer.generateSummaryReport(results.namingConventions);
+        results.namingConventions = namingAnalyzer.analyzeFields(inputData.fields);
+        results.namingConventionsSummary = namingAnalyzer.generateSummaryReport(results.namingConventions);
       } catch (error) {
         console.error('Error analyzing naming conventions:', error);
         results.namingConventionsError = error.message;
@@ -200,218 +241,95 @@ class AnalysisController {
       }
     }
     
+    // Analyze Flow bypass patterns
+    if (inputData.flows) {
+      try {
+        console.log(`Analyzing bypass patterns in ${inputData.flows.length} flows...`);
+        results.flows = this.bypassAnalyzer.analyzeFlows(inputData.flows);
+        results.flowsRefactoringPriorities = 
+          this.bypassAnalyzer.generateRefactoringPriorities(results.flows, 'flow');
+        results.flowsRecommendations = 
+          this.bypassAnalyzer.generateGeneralRecommendations(results.flows, 'flow');
+      } catch (error) {
+        console.error('Error analyzing flows:', error);
+        results.flowsError = error.message;
+      }
+    }
+    
     return results;
   }
   
   /**
    * Generate a comprehensive report from the analysis results
    * @param {Object} results - Analysis results
-   * @returns {Object} Comprehensive report
+   * @returns {Object} Comprehensive report (see docs/report_schema.md)
    */
   generateComprehensiveReport(results) {
-    // Start building the report
-    const report = {
-      executiveSummary: this.generateExecutiveSummary(results),
-      detailedFindings: {},
-      recommendations: this.generateRecommendations(results),
-      overallScore: this.calculateOverallScore(results)
-    };
-    
-    // Add detailed findings
-    if (results.namingConventions) {
-      report.detailedFindings.namingConventions = {
-        compliancePercentage: results.namingConventions.compliancePercentage,
-        violations: results.namingConventions.violations.map(v => ({
-          field: v.apiName,
-          issues: v.violations.map(issue => issue.rule),
-          recommendation: v.recommendedFix
-        })),
-        topIssues: results.namingConventionsSummary?.topIssues || []
-      };
-    }
-    
-    if (results.validationRules) {
-      report.detailedFindings.validationRules = {
-        securityScore: results.validationRules.securityScore,
-        bypassPercentage: results.validationRules.bypassPercentage,
-        patterns: results.validationRules.bypassPatterns.map(p => ({
-          rule: p.apiName,
-          patterns: p.patterns.map(pattern => pattern.name),
-          severity: p.highestSeverity
-        })),
-        refactoringPriorities: results.validationRulesRefactoringPriorities?.slice(0, 5).map(p => p.apiName) || []
-      };
-    }
-    
-    if (results.triggers) {
-      report.detailedFindings.triggers = {
-        securityScore: results.triggers.securityScore,
-        bypassPercentage: results.triggers.bypassPercentage,
-        patterns: results.triggers.bypassPatterns.map(p => ({
-          trigger: p.name,
-          patterns: p.patterns.map(pattern => pattern.name),
-          severity: p.highestSeverity
-        })),
-        refactoringPriorities: results.triggersRefactoringPriorities?.slice(0, 5).map(p => p.name) || []
-      };
-    }
-    
-    return report;
+    return this.reportBuilder.build(results);
   }
   
   /**
-   * Generate the executive summary for the report
+   * Build the view of a comprehensive report for an audience
+   * @param {Object} report - Comprehensive report
+   * @param {string} profile - 'full' (default), 'executive', 'manager' or 'technical'
+   * @returns {Object} The report, or its view (schemas/report-view.schema.json)
+   */
+  buildReportView(report, profile) {
+    return this.reportViewBuilder.build(report, profile || 'full');
+  }
+  
+  /**
+   * Export the analysis results as a SARIF 2.1.0 log
    * @param {Object} results - Analysis results
-   * @returns {Object} Executive summary
+   * @param {RulePack|Object|string} rulePack - Rule pack used for this run (default: the controller's)
+   * @returns {Object} SARIF log
    */
-  generateExecutiveSummary(results) {
-    const summary = {
-      overallAssessment: '',
-      keyFindings: [],
-      risksIdentified: {
-        critical: 0,
-        medium: 0,
-        low: 0
-      }
-    };
-    
-    // Count risks by severity
-    if (results.namingConventions) {
-      summary.risksIdentified.critical += results.namingConventions.bySeverity.critical.length;
-      summary.risksIdentified.medium += results.namingConventions.bySeverity.medium.length;
-      summary.risksIdentified.low += results.namingConventions.bySeverity.low.length;
-    }
-    
-    if (results.validationRules) {
-      summary.risksIdentified.critical += results.validationRules.rulesBySeverity.High.length;
-      summary.risksIdentified.medium += results.validationRules.rulesBySeverity.Medium.length;
-      summary.risksIdentified.low += results.validationRules.rulesBySeverity.Low.length;
-    }
-    
-    if (results.triggers) {
-      summary.risksIdentified.critical += results.triggers.triggersBySeverity.High.length;
-      summary.risksIdentified.medium += results.triggers.triggersBySeverity.Medium.length;
-      summary.risksIdentified.low += results.triggers.triggersBySeverity.Low.length;
-    }
-    
-    // Generate overall assessment
-    const totalIssues = summary.risksIdentified.critical + summary.risksIdentified.medium + summary.risksIdentified.low;
-    const criticalPercent = (summary.risksIdentified.critical / totalIssues) * 100 || 0;
-    
-    if (summary.risksIdentified.critical > 5 || criticalPercent > 20) {
-      summary.overallAssessment = 'Critical attention required. The configuration contains significant risk factors that should be addressed immediately.';
-    } else if (summary.risksIdentified.critical > 0 || summary.risksIdentified.medium > 10) {
-      summary.overallAssessment = 'Moderate risk identified. The configuration has several issues that should be addressed in the near term.';
-    } else {
-      summary.overallAssessment = 'Low risk identified. The configuration is generally sound with minor improvements recommended.';
-    }
-    
-    // Add key findings
-    if (results.namingConventions) {
-      summary.keyFindings.push(`${results.namingConventions.compliancePercentage}% of fields comply with naming conventions.`);
-    }
-    
-    if (results.validationRules) {
-      summary.keyFindings.push(`${results.validationRules.bypassPercentage}% of validation rules contain bypass patterns.`);
-    }
-    
-    if (results.triggers) {
-      summary.keyFindings.push(`${results.triggers.bypassPercentage}% of Apex triggers contain bypass patterns.`);
-    }
-    
-    return summary;
+  exportSarif(results, rulePack) {
+    return new SarifExporter({
+      bypassAnalyzer: this.bypassAnalyzer,
+      rulePack: rulePack || this.namingAnalyzer.rulePack
+    }).export(results);
+  }
+  
+  /**
+   * Evaluate CI quality gates against a comprehensive report
+   * @param {Object} report - Comprehensive report
+   * @param {Array|string} gates - Gate expressions such as 'naming<90' (default: QualityGate.DEFAULT_GATES)
+   * @returns {Object} Gate results { passed, results }
+   */
+  evaluateGates(report, gates) {
+    return new QualityGate(gates).evaluate(report);
   }
   
   /**
-   * Generate prioritized recommendations
+   * Export the analysis results as JUnit XML, one test case per analyzed component
    * @param {Object} results - Analysis results
-   * @returns {Array} Prioritized recommendations
+   * @param {Object} inputData - Metadata the results were produced from
+   * @param {Object} gateResults - Result of evaluateGates(), added as a test suite
+   * @returns {string} JUnit XML
    */
-  generateRecommendations(results) {
-    const recommendations = [];
-    
-    // Add naming convention recommendations
-    if (results.namingConventionsSummary?.recommendations) {
-      recommendations.push(...results.namingConventionsSummary.recommendations);
-    }
-    
-    // Add validation rule recommendations
-    if (results.validationRulesRecommendations) {
-      recommendations.push(...results.validationRulesRecommendations);
-    }
-    
-    // Add trigger recommendations
-    if (results.triggersRecommendations) {
-      recommendations.push(...results.triggersRecommendations);
-    }
-    
-    // Add general recommendations
-    recommendations.push(
-      "Implement a governance process to regularly review and audit configuration changes.",
-      "Document all configuration standards and patterns in a central location.",
-      "Provide training to developers on secure and maintainable configuration practices."
-    );
-    
-    // Remove any duplicates
-    return [...new Set(recommendations)];
+  exportJunit(results, inputData, gateResults) {
+    return new JunitExporter().export(results, inputData, gateResults);
   }
   
   /**
-   * Calculate an overall score for the configuration
+   * Snapshot the analysis results, to save as a baseline for later comparisons
    * @param {Object} results - Analysis results
-   * @returns {Object} Overall score information
+   * @param {Object} inputData - Metadata the results were produced from (records the component lists)
+   * @returns {Object} Snapshot with fingerprinted findings
    */
-  calculateOverallScore(results) {
-    let scores = [];
-    let weights = [];
-    
-    if (results.namingConventions) {
-      scores.push(results.namingConventions.compliancePercentage);
-      weights.push(1);
-    }
-    
-    if (results.validationRules) {
-      scores.push(results.validationRules.securityScore);
-      weights.push(1.5);
-    }
-    
-    if (results.triggers) {
-      scores.push(results.triggers.securityScore);
-      weights.push(1.5);
-    }
-    
-    // Calculate weighted average
-    if (scores.length === 0) {
-      return { score: 0, rating: 'N/A' };
-    }
-    
-    let totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let weightedSum = scores.reduce((sum, score, i) => sum + (score * weights[i]), 0);
-    let weightedAverage = Math.round(weightedSum / totalWeight);
-    
-    // Determine rating
-    let rating;
-    if (weightedAverage >= 90) {
-      rating = 'Excellent';
-    } else if (weightedAverage >= 75) {
-      rating = 'Good';
-    } else if (weightedAverage >= 60) {
-      rating = 'Fair';
-    } else if (weightedAverage >= 40) {
-      rating = 'Poor';
-    } else {
-      rating = 'Critical';
-    }
-    
-    return {
-      score: weightedAverage,
-      rating,
-      componentScores: {
-        namingConventions: results.namingConventions?.compliancePercentage || 0,
-        validationRules: results.validationRules?.securityScore || 0,
-        triggers: results.triggers?.securityScore || 0
-      }
-    };
+  createSnapshot(results, inputData) {
+    return this.baselineComparator.createSnapshot(results, inputData);
+  }
+  
+  /**
+   * Compare a run against a baseline snapshot
+   * @param {Object} baseline - Baseline snapshot
+   * @param {Object} current - Snapshot of the current run
+   * @returns {Object} New, resolved and unchanged findings, score deltas and component changes
+   */
+  compareAnalyses(baseline, current) {
+    return this.baselineComparator.compare(baseline, current);
   }
   
   /**
@@ -5,14 +5,40 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const axios = require('axios');
 const xml2js = require('xml2js');
 const csv = require('csv-parser');
+const ApexLexer = require('../models/ApexLexer');
+const SchemaValidator = require('../models/SchemaValidator');
+const CommandRunner = require('../integrations/CommandRunner');
+const SalesforceApiClient = require('../integrations/SalesforceApiClient');
+const { findElementContent, findElementBlocks, locateFlowElements } = require('../models/SourceLocation');
+const { escapeXml, isObjectPattern, matchesObjectPattern, flowValueToString } = require('../models/TextUtils');
+
+const DEFAULT_OBJECTS = ['LLC_BI__Loan__c'];
+const API_VERSION = '56.0';
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const METADATA_DIRECTORIES = ['objects', 'triggers', 'flows'];
+const MAX_PROJECT_DEPTH = 6;
+
+/**
+ * Quote a value as a SOQL string literal
+ * @param {string} value - Raw value
+ * @returns {string} Quoted literal
+ */
+function soqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
 
 class MetadataExtractor {
   constructor(options = {}) {
     this.options = options;
     this.tempDir = options.tempDir || path.join(__dirname, '../../temp');
+    this.apexLexer = new ApexLexer();
+    this.commandRunner = options.commandRunner || new CommandRunner();
+    this.httpClient = options.httpClient || axios;
+    this.sfdxCommand = options.sfdxCommand || 'sfdx';
+    this.backend = options.backend || 'sfdx';
     
     // Create temp directory if it doesn't exist
     if (!fs.existsSync(this.tempDir)) {
@@ -23,27 +49,43 @@ class MetadataExtractor {
   /**
    * Extract metadata from a Salesforce org
    * @param {Object} credentials - Salesforce org credentials
+   * @param {Object} options - Extraction options
+   * @param {Array} options.objects - Object API names or wildcards (e.g. 'LLC_BI__*'), default LLC_BI__Loan__c
+   * @param {string} options.backend - 'sfdx' to use the Salesforce CLI, 'api' to call the APIs directly
    * @returns {Object} Extracted metadata
    */
-  async extractMetadata(credentials) {
+  async extractMetadata(credentials, options = {}) {
     try {
       console.log('Extracting metadata from Salesforce org...');
       
+      if ((options.backend || this.backend) === 'api') {
+        return SchemaValidator.shared().assertValid('metadata', await this.extractWithApi(credentials, options));
+      }
+      
       // Create a unique directory for this extraction
       const extractionId = `extraction_${Date.now()}`;
       const extractionDir = path.join(this.tempDir, extractionId);
       fs.mkdirSync(extractionDir, { recursive: true });
       
       // Authenticate with Salesforce
-      await this.authenticateWithSalesforce(credentials, extractionDir);
-      
-      // Extract the metadata
-      await this.extractLoanObjectMetadata(extractionDir);
-      
-      // Process the extracted metadata
-      const metadata = await this.processExtractedMetadata(extractionDir);
+      const alias = await this.authenticateWithSalesforce(credentials, extractionDir);
       
-      return metadata;
+      try {
+        // Expand wildcards into concrete object names
+        const objectNames = await this.resolveObjectNames(options.objects || DEFAULT_OBJECTS, extractionDir, alias);
+        if (objectNames.length === 0) {
+          throw new Error(`No objects in the org match ${(options.objects || DEFAULT_OBJECTS).join(', ')}`);
+        }
+        
+        // Extract the metadata
+        await this.extractObjectMetadata(extractionDir, objectNames, alias);
+        
+        // Process the extracted metadata
+        const metadata = await this.processExtractedMetadata(extractionDir, objectNames);
+        return SchemaValidator.shared().assertValid('metadata', metadata);
+      } finally {
+        await this.logoutFromSalesforce(alias, extractionDir);
+      }
     } catch (error) {
       console.error('Error extracting metadata:', error);
       throw error;
@@ -51,97 +93,470 @@ class MetadataExtractor {
   }
   
   /**
-   * Authenticate with Salesforce using provided credentials
+   * Extract metadata through the Tooling and Metadata APIs instead of the Salesforce CLI.
+   * Components are listed with Tooling API queries and their full definitions read with
+   * readMetadata. The result has the same shape as the CLI backend, without file paths.
+   * @param {Object} credentials - instanceUrl + accessToken, or username + password
+   * @param {Object} options - Extraction options
+   * @param {Array} options.objects - Object API names or wildcards, default LLC_BI__Loan__c
+   * @returns {Object} Extracted metadata
+   */
+  async extractWithApi(credentials, options = {}) {
+    let session;
+    if (credentials.instanceUrl && credentials.accessToken) {
+      session = { instanceUrl: credentials.instanceUrl, sessionId: credentials.accessToken };
+    } else if (credentials.username && credentials.password) {
+      console.log(`Authenticating as ${credentials.username}...`);
+      session = await this.loginWithPassword(credentials);
+    } else {
+      throw new Error('The API backend needs instanceUrl+accessToken or username+password.');
+    }
+    
+    const client = new SalesforceApiClient({
+      instanceUrl: session.instanceUrl,
+      accessToken: session.sessionId,
+      apiVersion: API_VERSION,
+      httpClient: this.httpClient
+    });
+    
+    const patterns = options.objects || DEFAULT_OBJECTS;
+    const entities = await this.resolveApiEntities(client, patterns);
+    if (entities.length === 0) {
+      throw new Error(`No objects in the org match ${patterns.join(', ')}`);
+    }
+    
+    const metadata = this.createMetadata();
+    const objectsById = {};
+    entities.forEach(entity => {
+      this.ensureObject(metadata, entity.QualifiedApiName);
+      objectsById[entity.DurableId] = entity.QualifiedApiName;
+    });
+    const idList = Object.keys(objectsById).map(id => soqlString(id)).join(', ');
+    const namespaced = (record, name) => record.NamespacePrefix ? `${record.NamespacePrefix}__${name}` : name;
+    
+    console.log(`Querying metadata for ${entities.map(entity => entity.QualifiedApiName).join(', ')}...`);
+    
+    // Fields: list custom fields, then read their definitions
+    const fieldRows = await client.toolingQuery(
+      `SELECT Id, DeveloperName, NamespacePrefix, TableEnumOrId FROM CustomField WHERE TableEnumOrId IN (${idList})`
+    );
+    const fieldNames = fieldRows.map(row => `${objectsById[row.TableEnumOrId]}.${namespaced(row, row.DeveloperName)}__c`);
+    const fieldDefinitions = await client.readMetadata('CustomField', fieldNames);
+    fieldDefinitions.forEach(definition => {
+      const [objectName, apiName] = definition.fullName.split('.');
+      const field = this.buildFieldMetadata(definition, { apiName, objectName, filePath: null, namePosition: null });
+      this.ensureObject(metadata, objectName).fields.push(field);
+      metadata.fields.push(field);
+    });
+    
+    // Validation rules: the error condition formula is only available through readMetadata
+    const ruleRows = await client.toolingQuery(
+      `SELECT Id, ValidationName, NamespacePrefix, EntityDefinitionId FROM ValidationRule WHERE EntityDefinitionId IN (${idList})`
+    );
+    const ruleNames = ruleRows.map(row => `${objectsById[row.EntityDefinitionId]}.${namespaced(row, row.ValidationName)}`);
+    const ruleDefinitions = await client.readMetadata('ValidationRule', ruleNames);
+    ruleDefinitions.forEach(definition => {
+      const [objectName, apiName] = definition.fullName.split('.');
+      const rule = this.buildValidationRuleMetadata(definition, { apiName, objectName, filePath: null, formulaPosition: null });
+      this.ensureObject(metadata, objectName).validationRules.push(rule);
+      metadata.validationRules.push(rule);
+    });
+    
+    // Triggers: the Tooling API returns the body directly
+    const triggerRows = await client.toolingQuery(
+      `SELECT Id, Name, NamespacePrefix, TableEnumOrId, Status, Body FROM ApexTrigger WHERE TableEnumOrId IN (${idList})`
+    );
+    triggerRows.forEach(row => {
+      const objectName = objectsById[row.TableEnumOrId];
+      const trigger = {
+        name: namespaced(row, row.Name),
+        objectName,
+        filePath: null,
+        content: row.Body || '',
+        active: row.Status !== 'Inactive'
+      };
+      this.ensureObject(metadata, objectName).triggers.push(trigger);
+      metadata.triggers.push(trigger);
+    });
+    
+    // Flows: keep record-triggered flows on the requested objects (and unscoped flows
+    // when every object was requested), then read their definitions
+    const flowRows = await client.toolingQuery(
+      'SELECT ApiName, NamespacePrefix, ProcessType, TriggerObjectOrEventId FROM FlowDefinitionView'
+    );
+    const flowNames = flowRows
+      .filter(row => row.TriggerObjectOrEventId ? objectsById[row.TriggerObjectOrEventId] : patterns.includes('*'))
+      .map(row => namespaced(row, row.ApiName));
+    const flowDefinitions = await client.readMetadata('Flow', flowNames);
+    flowDefinitions.forEach(definition => {
+      const flow = this.buildFlowMetadata(definition, { apiName: definition.fullName, filePath: null });
+      if (flow.objectName) {
+        flow.objectName = this.resolveComponentObject(metadata, flow.objectName, patterns) || flow.objectName;
+        this.ensureObject(metadata, flow.objectName).flows.push(flow);
+      }
+      metadata.flows.push(flow);
+    });
+    
+    return metadata;
+  }
+  
+  /**
+   * Resolve object names and wildcards to EntityDefinition records
+   * @param {SalesforceApiClient} client - API client
+   * @param {Array} patterns - Object API names or wildcards
+   * @returns {Array} { QualifiedApiName, DurableId } of each matching object
+   */
+  async resolveApiEntities(client, patterns) {
+    const entities = [];
+    const names = patterns.filter(pattern => !isObjectPattern(pattern));
+    const wildcards = patterns.filter(pattern => isObjectPattern(pattern));
+    
+    if (names.length > 0) {
+      entities.push(...await client.toolingQuery(
+        `SELECT QualifiedApiName, DurableId FROM EntityDefinition WHERE QualifiedApiName IN (${names.map(soqlString).join(', ')})`
+      ));
+    }
+    
+    // LIKE narrows the query; '_' is itself a LIKE wildcard, so filter exactly afterwards
+    for (const pattern of wildcards) {
+      const like = pattern.replace(/\*/g, '%').replace(/\?/g, '_');
+      const rows = await client.toolingQuery(
+        `SELECT QualifiedApiName, DurableId FROM EntityDefinition WHERE QualifiedApiName LIKE ${soqlString(like)}`
+      );
+      entities.push(...rows.filter(row => matchesObjectPattern(row.QualifiedApiName, pattern)));
+    }
+    
+    const seen = new Set();
+    return entities.filter(entity => {
+      const key = entity.QualifiedApiName.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  /**
+   * Read metadata from a local SFDX source-format project or an unzipped MDAPI
+   * retrieve, without connecting to an org
+   * @param {string} projectDir - Project or retrieve directory
+   * @param {Object} options - Extraction options
+   * @param {Array} options.objects - Object API names or wildcards (default: every object found)
+   * @returns {Object} Extracted metadata, in the same shape as extractMetadata()
+   */
+  async extractFromDirectory(projectDir, options = {}) {
+    if (!fs.existsSync(projectDir) || !fs.statSync(projectDir).isDirectory()) {
+      throw new Error(`Metadata directory not found: ${projectDir}`);
+    }
+    
+    const roots = this.findMetadataRoots(projectDir);
+    if (roots.length === 0) {
+      throw new Error(`No Salesforce metadata found in ${projectDir} (expected objects/, triggers/ or flows/ directories)`);
+    }
+    
+    console.log(`Reading metadata from ${roots.map(root => this.toRelativePath(projectDir, root) || '.').join(', ')}`);
+    
+    const metadata = this.createMetadata();
+    const patterns = options.objects && options.objects.length > 0 ? options.objects : ['*'];
+    for (const root of roots) {
+      await this.processMetadataRoot(projectDir, root, patterns, metadata);
+    }
+    
+    return SchemaValidator.shared().assertValid('metadata', metadata);
+  }
+  
+  /**
+   * Find the metadata roots in a directory tree: directories holding objects/,
+   * triggers/ or flows/ (e.g. force-app/main/default, or the root of an MDAPI retrieve)
+   * @param {string} dir - Directory to search
+   * @param {number} depth - Remaining depth to search
+   * @returns {Array} Metadata root directories
+   */
+  findMetadataRoots(dir, depth = MAX_PROJECT_DEPTH) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules');
+    const isRoot = entries.some(entry => METADATA_DIRECTORIES.includes(entry.name));
+    const roots = isRoot ? [dir] : [];
+    
+    if (depth > 0) {
+      entries
+        .filter(entry => !(isRoot && METADATA_DIRECTORIES.includes(entry.name)))
+        .forEach(entry => roots.push(...this.findMetadataRoots(path.join(dir, entry.name), depth - 1)));
+    }
+    
+    return roots;
+  }
+  
+  /**
+   * Authenticate with Salesforce using provided credentials. Credentials are passed to the
+   * Salesforce CLI through environment variables or stdin, never on the command line or on disk.
+   * Supported credential sets:
+   * - instanceUrl + accessToken: stored with force:auth:accesstoken:store
+   * - sfdxAuthUrl: stored with force:auth:sfdxurl:store, reading the URL from stdin
+   * - clientId + username + jwtKeyFile: JWT bearer flow with force:auth:jwt:grant
+   * - username + password (+ securityToken): SOAP login, then stored as an access token
    * @param {Object} credentials - Salesforce org credentials
    * @param {string} workingDir - Working directory for the operation
+   * @returns {string} Alias of the authenticated org, for later commands
    */
   async authenticateWithSalesforce(credentials, workingDir) {
-    // Create a temporary auth file
-    const authFile = path.join(workingDir, 'auth.json');
-    fs.writeFileSync(authFile, JSON.stringify(credentials), 'utf8');
+    const alias = `ncino_analyzer_${path.basename(workingDir)}`;
     
     try {
-      // Authenticate using SFDX
-      if (credentials.username && credentials.password) {
-        // Username-password flow
-        console.log(`Authenticating as ${credentials.username}...`);
-        execSync(
-          `sfdx force:auth:sfdxurl:store -f ${authFile} -a temp_auth`, 
-          { cwd: workingDir, stdio: 'pipe' }
-        );
-      } else if (credentials.instanceUrl && credentials.accessToken) {
+      if (credentials.instanceUrl && credentials.accessToken) {
         // Session ID flow
         console.log(`Authenticating to ${credentials.instanceUrl}...`);
-        const authUrl = `force://${credentials.instanceUrl}?sessionId=${credentials.accessToken}`;
-        fs.writeFileSync(authFile, authUrl, 'utf8');
-        execSync(
-          `sfdx force:auth:sfdxurl:store -f ${authFile} -a temp_auth`, 
-          { cwd: workingDir, stdio: 'pipe' }
-        );
+        await this.storeAccessToken(credentials.instanceUrl, credentials.accessToken, alias, workingDir);
+      } else if (credentials.sfdxAuthUrl) {
+        // SFDX auth URL flow (e.g. from `sfdx force:org:display --verbose`)
+        console.log('Authenticating with SFDX auth URL...');
+        await this.commandRunner.run(this.sfdxCommand, [
+          'force:auth:sfdxurl:store', '--sfdx-url-stdin', '-a', alias
+        ], { cwd: workingDir, input: credentials.sfdxAuthUrl });
+      } else if (credentials.clientId && credentials.username && credentials.jwtKeyFile) {
+        // JWT bearer flow for connected apps
+        console.log(`Authenticating as ${credentials.username} with JWT...`);
+        const args = [
+          'force:auth:jwt:grant',
+          '-i', credentials.clientId,
+          '-f', credentials.jwtKeyFile,
+          '-u', credentials.username,
+          '-a', alias
+        ];
+        if (credentials.instanceUrl || credentials.loginUrl) {
+          args.push('-r', credentials.instanceUrl || credentials.loginUrl);
+        }
+        await this.commandRunner.run(this.sfdxCommand, args, { cwd: workingDir });
+      } else if (credentials.username && credentials.password) {
+        // Username-password flow; the Salesforce CLI has no password login, so log in
+        // through the SOAP API and store the resulting session
+        console.log(`Authenticating as ${credentials.username}...`);
+        const session = await this.loginWithPassword(credentials);
+        await this.storeAccessToken(session.instanceUrl, session.sessionId, alias, workingDir);
       } else {
-        throw new Error('Insufficient credentials provided. Need username+password or instanceUrl+accessToken.');
+        throw new Error('Insufficient credentials provided. Need instanceUrl+accessToken, sfdxAuthUrl, clientId+username+jwtKeyFile or username+password.');
       }
       
       console.log('Authentication successful');
+      return alias;
     } catch (error) {
       console.error('Authentication failed:', error.message);
       throw new Error(`Salesforce authentication failed: ${error.message}`);
-    } finally {
-      // Remove the auth file
-      if (fs.existsSync(authFile)) {
-        fs.unlinkSync(authFile);
+    }
+  }
+  
+  /**
+   * Store an access token for an org; the token is passed in SFDX_ACCESS_TOKEN
+   * @param {string} instanceUrl - Org instance URL
+   * @param {string} accessToken - Access token or session ID
+   * @param {string} alias - Alias to store the org under
+   * @param {string} workingDir - Working directory for the operation
+   */
+  async storeAccessToken(instanceUrl, accessToken, alias, workingDir) {
+    await this.commandRunner.run(this.sfdxCommand, [
+      'force:auth:accesstoken:store', '-r', instanceUrl, '-a', alias, '--noprompt'
+    ], { cwd: workingDir, env: { SFDX_ACCESS_TOKEN: accessToken } });
+  }
+  
+  /**
+   * Log in with a username and password through the SOAP API
+   * @param {Object} credentials - { username, password, securityToken, loginUrl }
+   * @returns {Object} { sessionId, instanceUrl }
+   */
+  async loginWithPassword(credentials) {
+    const loginUrl = (credentials.loginUrl || DEFAULT_LOGIN_URL).replace(/\/+$/, '');
+    const envelope = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<env:Envelope xmlns:env="http://schemas.xmlsoap.org/soap/envelope/" xmlns:urn="urn:partner.soap.sforce.com">',
+      '<env:Body><urn:login>',
+      `<urn:username>${escapeXml(credentials.username)}</urn:username>`,
+      `<urn:password>${escapeXml(credentials.password + (credentials.securityToken || ''))}</urn:password>`,
+      '</urn:login></env:Body>',
+      '</env:Envelope>'
+    ].join('');
+    
+    let response;
+    try {
+      response = await this.httpClient.post(`${loginUrl}/services/Soap/u/${API_VERSION}`, envelope, {
+        headers: { 'Content-Type': 'text/xml; charset=UTF-8', SOAPAction: 'login' }
+      });
+    } catch (error) {
+      const fault = error.response && /<faultstring>([^<]*)<\/faultstring>/.exec(String(error.response.data));
+      throw new Error(fault ? fault[1] : error.message);
+    }
+    
+    const sessionId = /<sessionId>([^<]*)<\/sessionId>/.exec(String(response.data));
+    const serverUrl = /<serverUrl>([^<]*)<\/serverUrl>/.exec(String(response.data));
+    if (!sessionId || !serverUrl) {
+      throw new Error('Login response did not include a session');
+    }
+    
+    return {
+      sessionId: sessionId[1],
+      instanceUrl: new URL(serverUrl[1]).origin
+    };
+  }
+  
+  /**
+   * Remove the stored authorization for an org alias. Failures are logged, not thrown,
+   * so they never mask the outcome of the extraction.
+   * @param {string} alias - Org alias
+   * @param {string} workingDir - Working directory for the operation
+   */
+  async logoutFromSalesforce(alias, workingDir) {
+    try {
+      await this.commandRunner.run(this.sfdxCommand, ['force:auth:logout', '-u', alias, '-p'], { cwd: workingDir });
+    } catch (error) {
+      console.warn(`Could not remove stored authorization for ${alias}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Expand object patterns into concrete object API names.
+   * Plain names are kept as given; wildcards are matched against the org's object list.
+   * @param {Array} patterns - Object API names or wildcards
+   * @param {string} workingDir - Working directory for the operation
+   * @param {string} alias - Alias of the authenticated org
+   * @returns {Array} Object API names
+   */
+  async resolveObjectNames(patterns, workingDir, alias) {
+    const names = patterns.filter(pattern => !isObjectPattern(pattern));
+    const wildcards = patterns.filter(pattern => isObjectPattern(pattern));
+    
+    if (wildcards.length > 0) {
+      console.log(`Listing org objects to resolve ${wildcards.join(', ')}...`);
+      let orgObjects;
+      try {
+        const output = await this.commandRunner.run(this.sfdxCommand, [
+          'force:schema:sobject:list', '-c', 'all', '-u', alias, '--json'
+        ], { cwd: workingDir });
+        orgObjects = JSON.parse(output).result || [];
+      } catch (error) {
+        throw new Error(`Failed to list org objects: ${error.message}`);
       }
+      
+      orgObjects
+        .filter(objectName => wildcards.some(pattern => matchesObjectPattern(objectName, pattern)))
+        .forEach(objectName => names.push(objectName));
     }
+    
+    // Object API names are case-insensitive, so de-duplicate ignoring case
+    const seen = new Set();
+    return names.filter(objectName => {
+      const key = objectName.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  /**
+   * List the triggers and record-triggered flows of the given objects with Tooling API
+   * queries, so the manifest names just those rather than every trigger and flow in the org
+   * @param {Array} objectNames - Object API names
+   * @param {string} workingDir - Working directory for the operation
+   * @param {string} alias - Alias of the authenticated org
+   * @returns {Object} { triggers, flows } member names, with their namespace prefixes
+   */
+  async listObjectComponents(objectNames, workingDir, alias) {
+    const entities = await this.toolingQuery(
+      `SELECT DurableId FROM EntityDefinition WHERE QualifiedApiName IN (${objectNames.map(soqlString).join(', ')})`,
+      workingDir, alias
+    );
+    if (entities.length === 0) {
+      return { triggers: [], flows: [] };
+    }
+    
+    const idList = entities.map(entity => soqlString(entity.DurableId)).join(', ');
+    const namespaced = (record, name) => record.NamespacePrefix ? `${record.NamespacePrefix}__${name}` : name;
+    const triggerRows = await this.toolingQuery(
+      `SELECT Name, NamespacePrefix FROM ApexTrigger WHERE TableEnumOrId IN (${idList})`, workingDir, alias
+    );
+    const flowRows = await this.toolingQuery(
+      `SELECT ApiName, NamespacePrefix FROM FlowDefinitionView WHERE TriggerObjectOrEventId IN (${idList})`, workingDir, alias
+    );
+    
+    return {
+      triggers: triggerRows.map(row => namespaced(row, row.Name)),
+      flows: flowRows.map(row => namespaced(row, row.ApiName))
+    };
   }
   
   /**
-   * Extract nCino Loan object metadata
+   * Run a Tooling API query through the Salesforce CLI
+   * @param {string} soql - SOQL query
    * @param {string} workingDir - Working directory for the operation
+   * @param {string} alias - Alias of the authenticated org
+   * @returns {Array} Query records
    */
-  async extractLoanObjectMetadata(workingDir) {
+  async toolingQuery(soql, workingDir, alias) {
+    try {
+      const output = await this.commandRunner.run(this.sfdxCommand, [
+        'force:data:soql:query', '-t', '-q', soql, '-u', alias, '--json'
+      ], { cwd: workingDir });
+      return (JSON.parse(output).result || {}).records || [];
+    } catch (error) {
+      throw new Error(`Tooling API query failed (${soql}): ${error.message}`);
+    }
+  }
+  
+  /**
+   * Build a package.xml manifest covering the given objects and their triggers and flows
+   * @param {Array} objectNames - Object API names
+   * @param {Object} components - { triggers, flows } member names (see listObjectComponents)
+   * @returns {string} Manifest XML
+   */
+  buildPackageXml(objectNames, components = {}) {
+    // A type without members is left out rather than listed empty
+    const types = (name, members) => members.length === 0 ? [] : [
+      '    <types>',
+      ...members.map(member => `        <members>${escapeXml(member)}</members>`),
+      `        <name>${name}</name>`,
+      '    </types>'
+    ];
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Package xmlns="http://soap.sforce.com/2006/04/metadata">',
+      ...types('CustomObject', objectNames),
+      ...types('CustomField', objectNames.map(objectName => `${objectName}.*`)),
+      ...types('ValidationRule', objectNames.map(objectName => `${objectName}.*`)),
+      ...types('ApexTrigger', components.triggers || []),
+      ...types('Flow', components.flows || []),
+      `    <version>${API_VERSION}</version>`,
+      '</Package>'
+    ].join('\n');
+  }
+  
+  /**
+   * Retrieve field, validation rule, trigger and flow metadata for the given objects
+   * @param {string} workingDir - Working directory for the operation
+   * @param {Array} objectNames - Object API names
+   * @param {string} alias - Alias of the authenticated org
+   */
+  async extractObjectMetadata(workingDir, objectNames, alias) {
     // Create manifest directory
     const manifestDir = path.join(workingDir, 'manifest');
     fs.mkdirSync(manifestDir, { recursive: true });
     
-    // Create package.xml for nCino Loan object
-    const packageXml = `<?xml version="1.0" encoding="UTF-8"?>
-<Package xmlns="http://soap.sforce.com/2006/04/metadata">
-    <types>
-        <members>LLC_BI__Loan__c</members>
-        <name>CustomObject</name>
-    </types>
-    <types>
-        <members>LLC_BI__Loan__c.*</members>
-        <name>CustomField</name>
-    </types>
-    <types>
-        <members>LLC_BI__Loan__c.*</members>
-        <name>ValidationRule</name>
-    </types>
-    <version>56.0</version>
-</Package>`;
-
+    const components = await this.listObjectComponents(objectNames, workingDir, alias);
     const packageXmlPath = path.join(manifestDir, 'package.xml');
-    fs.writeFileSync(packageXmlPath, packageXml, 'utf8');
+    fs.writeFileSync(packageXmlPath, this.buildPackageXml(objectNames, components), 'utf8');
     
     // Create a directory for the retrieved metadata
     const retrieveDir = path.join(workingDir, 'retrieved');
     fs.mkdirSync(retrieveDir, { recursive: true });
     
     try {
-      // Extract metadata using SFDX
-      console.log('Retrieving nCino Loan object metadata...');
-      execSync(
-        `sfdx force:source:retrieve -x ${packageXmlPath} -r ${retrieveDir}`, 
-        { cwd: workingDir, stdio: 'pipe' }
-      );
-      
-      // Extract triggers separately
-      console.log('Retrieving Apex triggers...');
-      execSync(
-        `sfdx force:source:retrieve -m "ApexTrigger:LLC_BI__Loan*" -r ${retrieveDir}`, 
-        { cwd: workingDir, stdio: 'pipe' }
-      );
+      // Extract metadata using SFDX; triggers and flows are retrieved with the manifest
+      // and assigned to objects from their declarations when processed
+      console.log(`Retrieving metadata for ${objectNames.join(', ')}...`);
+      await this.commandRunner.run(this.sfdxCommand, [
+        'force:source:retrieve', '-x', packageXmlPath, '-r', retrieveDir, '-u', alias
+      ], { cwd: workingDir });
       
       console.log('Metadata extraction completed');
     } catch (error) {
@@ -153,21 +568,197 @@ class MetadataExtractor {
   /**
    * Process the extracted metadata files
    * @param {string} workingDir - Working directory with extracted metadata
-   * @returns {Object} Processed metadata
+   * @param {Array} objectNames - Object API names to process (default: every retrieved object)
+   * @returns {Object} Processed metadata, keyed by object under `objects` and flattened
+   *   into `fields`, `validationRules`, `triggers` and `flows` (each entry carries `objectName`)
+   */
+  async processExtractedMetadata(workingDir, objectNames) {
+    const retrieveDir = path.join(workingDir, 'retrieved');
+    const metadata = this.createMetadata();
+    
+    (objectNames || []).forEach(objectName => this.ensureObject(metadata, objectName));
+    await this.processMetadataRoot(retrieveDir, retrieveDir, objectNames || ['*'], metadata);
+    
+    return metadata;
+  }
+  
+  /**
+   * Create an empty metadata result
+   * @returns {Object} { objects, fields, validationRules, triggers, flows }
    */
-  async processExtractedMetadata(workingDir) {
-    const metadata = {
+  createMetadata() {
+    return {
+      objects: {},
       fields: [],
       validationRules: [],
-      triggers: []
+      triggers: [],
+      flows: []
     };
+  }
+  
+  /**
+   * Get the per-object entry of a metadata result, creating it if needed
+   * @param {Object} metadata - Metadata result
+   * @param {string} objectName - Object API name
+   * @returns {Object} { fields, validationRules, triggers, flows } for the object
+   */
+  ensureObject(metadata, objectName) {
+    if (!metadata.objects[objectName]) {
+      metadata.objects[objectName] = {
+        fields: [],
+        validationRules: [],
+        triggers: [],
+        flows: []
+      };
+    }
+    return metadata.objects[objectName];
+  }
+  
+  /**
+   * Find the object a component belongs to. Objects already in the result are matched
+   * ignoring case (Apex declarations need not match the API name's case); other objects
+   * are accepted when they match one of the requested patterns.
+   * @param {Object} metadata - Metadata result
+   * @param {string} objectName - Object API name as declared by the component
+   * @param {Array} patterns - Requested object names or wildcards
+   * @returns {string|null} Object API name, or null when the object wasn't requested
+   */
+  resolveComponentObject(metadata, objectName, patterns) {
+    if (!objectName) {
+      return null;
+    }
+    const existing = Object.keys(metadata.objects).find(key => key.toLowerCase() === objectName.toLowerCase());
+    if (existing) {
+      return existing;
+    }
+    return patterns.some(pattern => matchesObjectPattern(objectName, pattern)) ? objectName : null;
+  }
+  
+  /**
+   * Process one metadata root (a directory holding objects/, triggers/ and flows/)
+   * in either source format or MDAPI format
+   * @param {string} baseDir - Directory file paths are reported relative to
+   * @param {string} rootDir - Metadata root directory
+   * @param {Array} patterns - Object names or wildcards to include
+   * @param {Object} metadata - Metadata result to add to
+   */
+  async processMetadataRoot(baseDir, rootDir, patterns, metadata) {
+    // Process objects: source format has a directory per object, MDAPI a single .object file
+    const objectsDir = path.join(rootDir, 'objects');
+    if (fs.existsSync(objectsDir)) {
+      for (const entry of fs.readdirSync(objectsDir)) {
+        const entryPath = path.join(objectsDir, entry);
+        const isDirectory = fs.statSync(entryPath).isDirectory();
+        
+        if (!isDirectory && !entry.endsWith('.object')) {
+          continue;
+        }
+        
+        const objectName = isDirectory ? entry : entry.replace('.object', '');
+        if (!patterns.some(pattern => matchesObjectPattern(objectName, pattern))) {
+          continue;
+        }
+        
+        const objectMetadata = isDirectory ?
+          await this.processObjectDirectory(entryPath, objectName, baseDir) :
+          await this.processObjectFile(entryPath, objectName, baseDir);
+        
+        const objectEntry = this.ensureObject(metadata, objectName);
+        objectEntry.fields.push(...objectMetadata.fields);
+        objectEntry.validationRules.push(...objectMetadata.validationRules);
+        metadata.fields.push(...objectMetadata.fields);
+        metadata.validationRules.push(...objectMetadata.validationRules);
+      }
+    }
     
-    const retrieveDir = path.join(workingDir, 'retrieved');
-    const objectsDir = path.join(retrieveDir, 'objects');
-    const loanObjectDir = path.join(objectsDir, 'LLC_BI__Loan__c');
+    // Process triggers, keeping those declared on one of the requested objects
+    const triggersDir = path.join(rootDir, 'triggers');
+    if (fs.existsSync(triggersDir)) {
+      const triggerFiles = fs.readdirSync(triggersDir).filter(file => file.endsWith('.trigger'));
+      
+      for (const triggerFile of triggerFiles) {
+        const triggerPath = path.join(triggersDir, triggerFile);
+        const triggerContent = fs.readFileSync(triggerPath, 'utf8');
+        const objectName = this.resolveComponentObject(metadata, this.parseTriggerObject(triggerContent), patterns);
+        
+        if (!objectName) {
+          continue;
+        }
+        
+        // Get the metadata file
+        const metaFile = triggerFile + '-meta.xml';
+        const metaPath = path.join(triggersDir, metaFile);
+        let isActive = true;
+        
+        if (fs.existsSync(metaPath)) {
+          const metaContent = fs.readFileSync(metaPath, 'utf8');
+          const metaObj = await this.parseXml(metaContent);
+          
+          if (metaObj && metaObj.ApexTrigger) {
+            isActive = metaObj.ApexTrigger.status !== 'Inactive';
+          }
+        }
+        
+        const trigger = {
+          name: triggerFile.replace('.trigger', ''),
+          objectName,
+          filePath: this.toRelativePath(baseDir, triggerPath),
+          content: triggerContent,
+          active: isActive
+        };
+        this.ensureObject(metadata, objectName).triggers.push(trigger);
+        metadata.triggers.push(trigger);
+      }
+    }
+    
+    // Process flows; flows not tied to an object are only kept when every object was requested
+    const flowsDir = path.join(rootDir, 'flows');
+    if (fs.existsSync(flowsDir)) {
+      const flowFiles = fs.readdirSync(flowsDir).filter(file => file.endsWith('.flow-meta.xml') || file.endsWith('.flow'));
+      
+      for (const flowFile of flowFiles) {
+        const flowPath = path.join(flowsDir, flowFile);
+        const flow = await this.parseFlow(
+          fs.readFileSync(flowPath, 'utf8'),
+          flowFile.replace(/\.flow(-meta\.xml)?$/, ''),
+          this.toRelativePath(baseDir, flowPath)
+        );
+        
+        if (!flow) {
+          continue;
+        }
+        
+        if (flow.objectName) {
+          const objectName = this.resolveComponentObject(metadata, flow.objectName, patterns);
+          if (!objectName) {
+            continue;
+          }
+          flow.objectName = objectName;
+          this.ensureObject(metadata, objectName).flows.push(flow);
+        } else if (!patterns.includes('*')) {
+          continue;
+        }
+        metadata.flows.push(flow);
+      }
+    }
+  }
+  
+  /**
+   * Process the fields and validation rules of one object in source format
+   * (objects/<Object>/fields/*.field-meta.xml and objects/<Object>/validationRules/*.validationRule-meta.xml)
+   * @param {string} objectDir - Object directory
+   * @param {string} objectName - Object API name
+   * @param {string} baseDir - Directory file paths are reported relative to
+   * @returns {Object} { fields, validationRules } for the object
+   */
+  async processObjectDirectory(objectDir, objectName, baseDir) {
+    const objectMetadata = {
+      fields: [],
+      validationRules: []
+    };
     
     // Process fields
-    const fieldsDir = path.join(loanObjectDir, 'fields');
+    const fieldsDir = path.join(objectDir, 'fields');
     if (fs.existsSync(fieldsDir)) {
       const fieldFiles = fs.readdirSync(fieldsDir).filter(file => file.endsWith('.field-meta.xml'));
       
@@ -177,23 +768,18 @@ class MetadataExtractor {
         const fieldObj = await this.parseXml(fieldXml);
         
         if (fieldObj && fieldObj.CustomField) {
-          metadata.fields.push({
+          objectMetadata.fields.push(this.buildFieldMetadata(fieldObj.CustomField, {
             apiName: fieldFile.replace('.field-meta.xml', ''),
-            label: fieldObj.CustomField.label || '',
-            type: fieldObj.CustomField.type || '',
-            description: fieldObj.CustomField.description || '',
-            required: fieldObj.CustomField.required === 'true',
-            formula: fieldObj.CustomField.formula || '',
-            referenceTo: fieldObj.CustomField.referenceTo || '',
-            length: fieldObj.CustomField.length || '',
-            unique: fieldObj.CustomField.unique === 'true'
-          });
+            objectName,
+            filePath: this.toRelativePath(baseDir, fieldPath),
+            namePosition: findElementContent(fieldXml, 'fullName')
+          }));
         }
       }
     }
     
     // Process validation rules
-    const validationRulesDir = path.join(loanObjectDir, 'validationRules');
+    const validationRulesDir = path.join(objectDir, 'validationRules');
     if (fs.existsSync(validationRulesDir)) {
       const validationFiles = fs.readdirSync(validationRulesDir).filter(file => file.endsWith('.validationRule-meta.xml'));
       
@@ -203,51 +789,228 @@ class MetadataExtractor {
         const validationObj = await this.parseXml(validationXml);
         
         if (validationObj && validationObj.ValidationRule) {
-          metadata.validationRules.push({
+          objectMetadata.validationRules.push(this.buildValidationRuleMetadata(validationObj.ValidationRule, {
             apiName: validationFile.replace('.validationRule-meta.xml', ''),
-            active: validationObj.ValidationRule.active === 'true',
-            description: validationObj.ValidationRule.description || '',
-            errorConditionFormula: validationObj.ValidationRule.errorConditionFormula || '',
-            errorMessage: validationObj.ValidationRule.errorMessage || '',
-            errorDisplayField: validationObj.ValidationRule.errorDisplayField || ''
-          });
+            objectName,
+            filePath: this.toRelativePath(baseDir, validationPath),
+            formulaPosition: findElementContent(validationXml, 'errorConditionFormula')
+          }));
         }
       }
     }
     
-    // Process triggers
-    const triggersDir = path.join(retrieveDir, 'triggers');
-    if (fs.existsSync(triggersDir)) {
-      const triggerFiles = fs.readdirSync(triggersDir).filter(file => 
-        file.startsWith('LLC_BI__Loan') && file.endsWith('.trigger'));
-      
-      for (const triggerFile of triggerFiles) {
-        const triggerPath = path.join(triggersDir, triggerFile);
-        const triggerContent = fs.readFileSync(triggerPath, 'utf8');
-        
-        // Get the metadata file
-        const metaFile = triggerFile + '-meta.xml';
-        const metaPath = path.join(triggersDir, metaFile);
-        let isActive = true;
-        
-        if (fs.existsSync(metaPath)) {
-          const metaContent = fs.readFileSync(metaPath, 'utf8');
-          const metaObj = await this.parseXml(metaContent);
-          
-          if (metaObj && metaObj.ApexTrigger) {
-            isActive = metaObj.ApexTrigger.status !== 'Inactive';
-          }
+    return objectMetadata;
+  }
+  
+  /**
+   * Process the fields and validation rules of one object in MDAPI format,
+   * where they are all nested in objects/<Object>.object
+   * @param {string} objectFile - Path of the .object file
+   * @param {string} objectName - Object API name
+   * @param {string} baseDir - Directory file paths are reported relative to
+   * @returns {Object} { fields, validationRules } for the object
+   */
+  async processObjectFile(objectFile, objectName, baseDir) {
+    const objectXml = fs.readFileSync(objectFile, 'utf8');
+    const objectObj = await this.parseXml(objectXml);
+    const definition = (objectObj && objectObj.CustomObject) || {};
+    const filePath = this.toRelativePath(baseDir, objectFile);
+    
+    // Index where each nested element starts so positions point into the .object file
+    const blockOffsets = tag => {
+      const offsets = {};
+      findElementBlocks(objectXml, tag).forEach(block => {
+        const nameMatch = /<fullName>([^<]*)<\/fullName>/.exec(block.content);
+        if (nameMatch) {
+          offsets[nameMatch[1].trim()] = block.offset;
         }
-        
-        metadata.triggers.push({
-          name: triggerFile.replace('.trigger', ''),
-          content: triggerContent,
-          active: isActive
-        });
-      }
+      });
+      return offsets;
+    };
+    const fieldOffsets = blockOffsets('fields');
+    const ruleOffsets = blockOffsets('validationRules');
+    
+    return {
+      fields: this.asArray(definition.fields)
+        .filter(field => field && field.fullName)
+        .map(field => this.buildFieldMetadata(field, {
+          apiName: field.fullName,
+          objectName,
+          filePath,
+          namePosition: field.fullName in fieldOffsets ?
+            findElementContent(objectXml, 'fullName', fieldOffsets[field.fullName]) :
+            null
+        })),
+      validationRules: this.asArray(definition.validationRules)
+        .filter(rule => rule && rule.fullName)
+        .map(rule => this.buildValidationRuleMetadata(rule, {
+          apiName: rule.fullName,
+          objectName,
+          filePath,
+          formulaPosition: rule.fullName in ruleOffsets ?
+            findElementContent(objectXml, 'errorConditionFormula', ruleOffsets[rule.fullName]) :
+            null
+        }))
+    };
+  }
+  
+  /**
+   * Build a field metadata entry from a parsed CustomField definition
+   * @param {Object} definition - Parsed CustomField element
+   * @param {Object} source - { apiName, objectName, filePath, namePosition }
+   * @returns {Object} Field metadata
+   */
+  buildFieldMetadata(definition, source) {
+    return Object.assign({}, source, {
+      label: definition.label || '',
+      type: definition.type || '',
+      description: definition.description || '',
+      required: definition.required === 'true',
+      formula: definition.formula || '',
+      referenceTo: definition.referenceTo || '',
+      length: definition.length || '',
+      unique: definition.unique === 'true'
+    });
+  }
+  
+  /**
+   * Build a validation rule metadata entry from a parsed ValidationRule definition
+   * @param {Object} definition - Parsed ValidationRule element
+   * @param {Object} source - { apiName, objectName, filePath, formulaPosition }
+   * @returns {Object} Validation rule metadata
+   */
+  buildValidationRuleMetadata(definition, source) {
+    return Object.assign({}, source, {
+      active: definition.active === 'true',
+      description: definition.description || '',
+      errorConditionFormula: definition.errorConditionFormula || '',
+      errorMessage: definition.errorMessage || '',
+      errorDisplayField: definition.errorDisplayField || ''
+    });
+  }
+  
+  /**
+   * Parse a flow definition into the decision, start and formula elements the
+   * bypass analysis looks at (same shape as scripts/ncino-metadata-extractor.js)
+   * @param {string} flowXml - Flow XML
+   * @param {string} apiName - Flow API name
+   * @param {string} filePath - Flow file path
+   * @returns {Object|null} Flow metadata, or null when the file isn't a flow
+   */
+  async parseFlow(flowXml, apiName, filePath) {
+    const flowObj = await this.parseXml(flowXml);
+    if (!flowObj || !flowObj.Flow) {
+      return null;
     }
     
-    return metadata;
+    return this.buildFlowMetadata(flowObj.Flow, { apiName, filePath }, locateFlowElements(flowXml));
+  }
+  
+  /**
+   * Build flow metadata from a parsed Flow definition
+   * @param {Object} definition - Parsed Flow element
+   * @param {Object} source - { apiName, filePath }
+   * @param {Object} spans - Element spans in the flow file, from locateFlowElements (empty without a file)
+   * @returns {Object} Flow metadata
+   */
+  buildFlowMetadata(definition, source, spans = {}) {
+    const start = definition.start || null;
+    // Where an element (its name, or the <start> tag) sits in the file; nulls when it can't be located
+    const position = key => {
+      const span = spans[key];
+      return span ?
+        { line: span.line, column: span.column, endColumn: span.endColumn } :
+        { line: null, column: null, endColumn: null };
+    };
+    
+    const flow = {
+      apiName: source.apiName,
+      objectName: (start && start.object) || null,
+      filePath: source.filePath,
+      status: definition.status || 'Unknown',
+      processType: definition.processType || 'Unknown',
+      startElementReference: definition.startElementReference || '',
+      elements: []
+    };
+    
+    // Decision elements, where most bypass conditions live
+    this.asArray(definition.decisions).forEach(decision => {
+      flow.elements.push(Object.assign({
+        type: 'Decision',
+        name: decision.name || 'Unknown',
+        rules: this.asArray(decision.rules).map(rule => Object.assign({
+          name: rule.name || 'Unknown',
+          conditions: this.asArray(rule.conditions).map(condition => ({
+            leftValueReference: condition.leftValueReference || '',
+            operator: condition.operator || '',
+            rightValue: flowValueToString(condition.rightValue)
+          }))
+        }, position(`decisions/${decision.name}/rules/${rule.name}`)))
+      }, position(`decisions/${decision.name}`)));
+    });
+    
+    // Start element entry criteria (record-triggered flows)
+    if (start) {
+      flow.elements.push(Object.assign({
+        type: 'Start',
+        name: 'Start',
+        object: start.object || '',
+        filterFormula: start.filterFormula || '',
+        conditions: this.asArray(start.filters).map(filter => ({
+          field: filter.field || '',
+          operator: filter.operator || '',
+          value: flowValueToString(filter.value)
+        }))
+      }, position('start')));
+    }
+    
+    // Formula resources, which decisions often reference
+    this.asArray(definition.formulas).forEach(formula => {
+      flow.elements.push(Object.assign({
+        type: 'Formula',
+        name: formula.name || 'Unknown',
+        dataType: formula.dataType || '',
+        expression: formula.expression || ''
+      }, position(`formulas/${formula.name}`)));
+    });
+    
+    return flow;
+  }
+  
+  /**
+   * Normalize an element parsed without explicitArray (absent, single or repeated) to an array
+   * @param {*} value - Parsed element
+   * @returns {Array} Array of elements
+   */
+  asArray(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+  
+  /**
+   * Read the object a trigger is declared on (`trigger Name on Object (...)`)
+   * @param {string} content - Trigger source code
+   * @returns {string|null} Object API name, or null when the declaration can't be read
+   */
+  parseTriggerObject(content) {
+    const tokens = this.apexLexer.tokenize(content);
+    const isIdentifier = token => token.type === 'identifier';
+    const index = tokens.findIndex((token, i) =>
+      this.apexLexer.matchSequence(tokens, i, ['trigger', isIdentifier, 'on', isIdentifier]) !== -1);
+    return index === -1 ? null : tokens[index + 3].value;
+  }
+  
+  /**
+   * Express a metadata file path relative to the retrieve root, with forward slashes,
+   * so findings point at the same path developers see in their project
+   * @param {string} rootDir - Root directory of the retrieved metadata
+   * @param {string} filePath - Absolute path of the metadata file
+   * @returns {string} Relative path
+   */
+  toRelativePath(rootDir, filePath) {
+    return path.relative(rootDir, filePath).split(path.sep).join('/');
   }
   
   /**
@@ -0,0 +1,72 @@
+/**
+ * AnthropicProvider.js
+ * LLM provider for the Claude Messages API. Requests go through ClaudeClient,
+ * which retries rate limits, overload and dropped connections and enforces
+ * the request timeout and the per-run request budget.
+ */
+
+const LlmProvider = require('./LlmProvider');
+const ClaudeClient = require('./ClaudeClient');
+
+const DEFAULT_MODEL = 'claude-3-opus-20240229';
+const DEFAULT_MAX_TOKENS = 4096;
+
+class AnthropicProvider extends LlmProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Claude API key (default: the CLAUDE_API_KEY environment variable)
+   * @param {string} options.apiUrl - Messages API URL (default: the Anthropic API)
+   * @param {string} options.model - Model name (default: claude-3-opus-20240229)
+   * @param {number} options.maxTokens - Maximum tokens of an answer (default: 4096)
+   * @param {number} options.maxRetries - Retries of a failed request (see ClaudeClient)
+   * @param {number} options.retryDelayMs - Backoff before the first retry (see ClaudeClient)
+   * @param {number} options.requestTimeoutMs - Time limit of one request (see ClaudeClient)
+   * @param {number} options.requestBudget - Requests one run may send (see ClaudeClient)
+   * @param {Object} options.httpClient - axios-compatible client (default axios)
+   */
+  constructor(options = {}) {
+    super('anthropic');
+    this.apiKey = options.apiKey || process.env.CLAUDE_API_KEY;
+    this.model = options.model || DEFAULT_MODEL;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.client = new ClaudeClient({
+      apiKey: this.apiKey,
+      apiUrl: options.apiUrl,
+      model: this.model,
+      maxTokens: this.maxTokens,
+      maxRetries: options.maxRetries,
+      baseDelayMs: options.retryDelayMs,
+      timeoutMs: options.requestTimeoutMs,
+      requestBudget: options.requestBudget,
+      httpClient: options.httpClient
+    });
+  }
+
+  assertReady() {
+    if (!this.apiKey) {
+      throw new Error('Claude API key is required. Set CLAUDE_API_KEY environment variable or pass in config.');
+    }
+  }
+
+  resetBudget() {
+    this.client.resetBudget();
+  }
+
+  cacheIdentity() {
+    // The API URL is part of the identity so a mock server's answers aren't served for the real API
+    return { provider: this.name, apiUrl: this.client.apiUrl, model: this.model, maxTokens: this.maxTokens };
+  }
+
+  async complete(request) {
+    const response = await this.client.createMessage(request.messages, { system: request.system });
+    const usage = response.usage || {};
+    return {
+      text: LlmProvider.contentText(response.content),
+      content: response.content || [],
+      usage: { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 },
+      model: response.model || this.model
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
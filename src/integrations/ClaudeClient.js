@@ -0,0 +1,201 @@
+/**
+ * ClaudeClient.js
+ * Client for the Claude Messages API. Rate limits (429), overload (529),
+ * server errors and dropped connections are retried with exponential backoff
+ * and jitter, honoring retry-after headers; other errors fail at once. Each
+ * request has a timeout, and a request budget caps the calls of one run.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+// HTTP statuses worth retrying: timeout, conflict, rate limit, server errors and overload
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network error codes worth retrying: dropped or refused connections and timeouts
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_BAD_RESPONSE'];
+
+class ClaudeApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status, or null when no response arrived
+   * @param {string|null} details.type - API error type (e.g. 'rate_limit_error') or network error code
+   * @param {boolean} details.retryable - Whether the request could succeed when sent again
+   * @param {number} details.attempts - Requests sent before giving up
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ClaudeApiError';
+    this.status = details.status === undefined ? null : details.status;
+    this.type = details.type || null;
+    this.retryable = Boolean(details.retryable);
+    this.attempts = details.attempts || 0;
+  }
+}
+
+class RequestBudgetError extends ClaudeApiError {
+  constructor(budget) {
+    super(`Claude request budget of ${budget} requests for this run is used up`, { type: 'request_budget', retryable: false });
+    this.name = 'RequestBudgetError';
+    this.budget = budget;
+  }
+}
+
+class ClaudeClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiKey - Claude API key
+   * @param {string} options.apiUrl - Messages API URL (default: the Anthropic API)
+   * @param {string} options.model - Model name
+   * @param {number} options.maxTokens - Maximum tokens of an answer
+   * @param {number} options.maxRetries - Retries of a failed request (default: 4)
+   * @param {number} options.baseDelayMs - Backoff before the first retry; doubles with each retry (default: 1000)
+   * @param {number} options.maxDelayMs - Longest backoff between retries (default: 60000)
+   * @param {number} options.timeoutMs - Time limit of one request (default: 120000)
+   * @param {number|null} options.requestBudget - Requests one run may send, retries included (default: no limit)
+   * @param {Object} options.httpClient - axios-compatible client (default axios)
+   * @param {Function} options.sleep - Waits the given milliseconds (default: setTimeout)
+   * @param {Function} options.random - Returns a number in [0, 1) for the jitter (default: Math.random)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || DEFAULT_API_URL;
+    this.model = options.model;
+    this.maxTokens = options.maxTokens;
+    this.maxRetries = options.maxRetries === undefined ? 4 : options.maxRetries;
+    this.baseDelayMs = options.baseDelayMs === undefined ? 1000 : options.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs === undefined ? 60000 : options.maxDelayMs;
+    this.timeoutMs = options.timeoutMs || 120000;
+    this.requestBudget = options.requestBudget || null;
+    this.httpClient = options.httpClient || axios;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+    this.requestsSent = 0;
+  }
+
+  /**
+   * Start a new run: the request budget applies to the requests sent from here on
+   */
+  resetBudget() {
+    this.requestsSent = 0;
+  }
+
+  /**
+   * Send a conversation to Claude, retrying transient failures
+   * @param {Array} messages - Messages { role, content }
+   * @param {Object} options - Request options
+   * @param {string} options.system - System prompt (optional)
+   * @returns {Promise<Object>} Messages API response: content blocks, usage, model and stop reason
+   */
+  async createMessage(messages, options = {}) {
+    const data = { model: this.model, max_tokens: this.maxTokens, messages };
+    if (options.system) {
+      data.system = options.system;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.requestBudget !== null && this.requestsSent >= this.requestBudget) {
+        throw new RequestBudgetError(this.requestBudget);
+      }
+      this.requestsSent++;
+
+      try {
+        const response = await this.httpClient.request({
+          method: 'post',
+          url: this.apiUrl,
+          data,
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': API_VERSION
+          },
+          timeout: this.timeoutMs
+        });
+        return response.data;
+      } catch (error) {
+        const apiError = toApiError(error, attempt + 1);
+        if (!apiError.retryable || attempt >= this.maxRetries) {
+          throw apiError;
+        }
+        // No point waiting for a retry the budget won't allow
+        if (this.requestBudget !== null && this.requestsSent >= this.requestBudget) {
+          throw new RequestBudgetError(this.requestBudget);
+        }
+
+        const delay = this.retryDelay(attempt, error.response);
+        console.warn(`${apiError.message}; retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1} of ${this.maxRetries})...`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Work out how long to wait before a retry. A retry-after header is honored up to
+   * maxDelayMs, so one long rate limit can't stall the run; otherwise the backoff doubles
+   * with each retry, with full jitter so concurrent requests don't retry in step.
+   * @param {number} attempt - Retries so far
+   * @param {Object} response - Failed HTTP response, if any
+   * @returns {number} Delay in milliseconds, at most maxDelayMs
+   */
+  retryDelay(attempt, response) {
+    const retryAfter = parseRetryAfter(response && response.headers ? response.headers['retry-after'] : null);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelayMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(this.random() * ceiling);
+  }
+}
+
+/**
+ * Read a retry-after header: a number of seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turn an axios error into a ClaudeApiError, classified as retryable or fatal
+ * @param {Error} error - axios error
+ * @param {number} attempts - Requests sent so far
+ * @returns {ClaudeApiError} API error
+ */
+function toApiError(error, attempts) {
+  if (error instanceof ClaudeApiError) {
+    return error;
+  }
+  if (error.response) {
+    const status = error.response.status;
+    const body = error.response.data && error.response.data.error;
+    const description = body && body.message ? `${body.type}: ${body.message}` : error.message;
+    return new ClaudeApiError(`Claude API returned ${status} (${description})`, {
+      status,
+      type: body ? body.type : null,
+      retryable: RETRYABLE_STATUSES.includes(status),
+      attempts
+    });
+  }
+  return new ClaudeApiError(`Claude API request failed: ${error.message}`, {
+    type: error.code || null,
+    retryable: RETRYABLE_CODES.includes(error.code),
+    attempts
+  });
+}
+
+module.exports = ClaudeClient;
+module.exports.ClaudeApiError = ClaudeApiError;
+module.exports.RequestBudgetError = RequestBudgetError;
+module.exports.parseRetryAfter = parseRetryAfter;
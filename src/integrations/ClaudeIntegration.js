@@ -7,6 +7,8 @@
  */
 
 const AnalysisController = require('../controllers/AnalysisController');
+const HtmlReportWriter = require('../reports/HtmlReportWriter');
+const { formatLocation } = require('../models/SourceLocation');
 
 class ClaudeIntegration {
   constructor(options = {}) {
@@ -29,8 +31,8 @@ class ClaudeIntegration {
       // Run the analysis using the controller
       const results = await this.controller.runAnalysis(analysisParams);
       
-      // Format the results for presentation back to the user through Claude
-      const formattedResults = this.formatResultsForClaude(results);
+      // Format the results for presentation back to the user through Claude, for the requested audience
+      const formattedResults = this.formatResultsForClaude(results, { profile: request.profile });
       
       return formattedResults;
     } catch (error) {
@@ -57,10 +59,15 @@ class ClaudeIntegration {
       uploadedFiles: {},
       jsonData: {},
       orgCredentials: null,
+      projectDir: null,
+      objects: null,
+      backend: null,
+      rulePack: null,
       analysisTypes: {
         namingConventions: true,
         validationRules: true,
-        triggers: true
+        triggers: true,
+        flows: true
       }
     };
     
@@ -74,6 +81,8 @@ class ClaudeIntegration {
           params.uploadedFiles.validationRules = file;
         } else if (file.name.includes('trigger') || file.path.includes('trigger')) {
           params.uploadedFiles.triggers = file;
+        } else if (file.name.includes('flow') || file.path.includes('flow')) {
+          params.uploadedFiles.flows = file;
         }
       });
     }
@@ -83,11 +92,31 @@ class ClaudeIntegration {
       params.orgCredentials = request.orgCredentials;
     }
     
+    // Extraction backend for org credentials: 'sfdx' (CLI) or 'api' (Tooling/Metadata APIs)
+    if (request.backend) {
+      params.backend = request.backend;
+    }
+    
+    // Handle a local SFDX project or MDAPI directory if provided
+    if (request.projectDir) {
+      params.projectDir = request.projectDir;
+    }
+    
+    // Objects (or wildcards such as 'LLC_BI__*') to extract from the org
+    if (request.objects) {
+      params.objects = Array.isArray(request.objects) ? request.objects : [request.objects];
+    }
+    
     // Handle raw JSON data if provided
     if (request.jsonData) {
       params.jsonData = request.jsonData;
     }
     
+    // Naming rule pack (name or path), e.g. a client bank's naming standards
+    if (request.rulePack) {
+      params.rulePack = request.rulePack;
+    }
+    
     // Handle analysis type preferences
     if (request.analysisTypes) {
       if (typeof request.analysisTypes.namingConventions === 'boolean') {
@@ -99,6 +128,9 @@ class ClaudeIntegration {
       if (typeof request.analysisTypes.triggers === 'boolean') {
         params.analysisTypes.triggers = request.analysisTypes.triggers;
       }
+      if (typeof request.analysisTypes.flows === 'boolean') {
+        params.analysisTypes.flows = request.analysisTypes.flows;
+      }
     }
     
     return params;
@@ -107,21 +139,176 @@ class ClaudeIntegration {
   /**
    * Format analysis results for presentation by Claude
    * @param {Object} results - The analysis results
-   * @returns {Object} Formatted results for Claude to present
+   * @param {Object} options - Format options
+   * @param {string} options.profile - Audience: 'full' (default), 'executive', 'manager' or 'technical'
+   * @returns {Object} Formatted results for Claude to present; for a profile other than 'full',
+   *   { profile, view, report } with the view and its Markdown, plus the visualization data
    */
-  formatResultsForClaude(results) {
+  formatResultsForClaude(results, options = {}) {
+    const profile = options.profile || 'full';
+    if (profile !== 'full') {
+      const view = this.controller.buildReportView(results, profile);
+      return {
+        profile,
+        view,
+        report: this.formatReportView(view),
+        visualizationData: this.prepareVisualizationData(results)
+      };
+    }
+    
     // Create a structured response that Claude can present effectively
     const response = {
       executiveSummary: this.formatExecutiveSummary(results.executiveSummary),
       overallScore: this.formatOverallScore(results.overallScore),
       detailedFindings: this.formatDetailedFindings(results.detailedFindings),
       recommendations: results.recommendations || [],
+      trend: this.formatTrend(results.trend),
+      acceptedRisk: this.formatAcceptedRisk(results.acceptedRisk),
       visualizationData: this.prepareVisualizationData(results)
     };
     
     return response;
   }
   
+  /**
+   * Format a report view for its audience
+   * @param {Object} view - View from AnalysisController.buildReportView()
+   * @returns {string} Markdown report
+   */
+  formatReportView(view) {
+    const formatters = {
+      executive: () => this.formatExecutiveView(view),
+      manager: () => this.formatManagerView(view),
+      technical: () => this.formatTechnicalView(view)
+    };
+    return formatters[view.profile]();
+  }
+  
+  /**
+   * Format the executive view: score, top risks and trend
+   * @param {Object} view - Executive view
+   * @returns {string} Markdown report
+   */
+  formatExecutiveView(view) {
+    let formattedView = `## Configuration Health: ${view.overallScore.score}/100 (${view.overallScore.rating})\n\n`;
+    formattedView += `${view.assessment}\n\n`;
+    
+    view.keyFindings.forEach(finding => {
+      formattedView += `- ${finding}\n`;
+    });
+    formattedView += `\nRisks identified: ${view.risksIdentified.critical} critical, ${view.risksIdentified.medium} medium, ${view.risksIdentified.low} low.\n`;
+    
+    formattedView += `\n### Top Risks\n\n`;
+    if (view.topRisks.length > 0) {
+      formattedView += `| Priority | Component | Risk |\n`;
+      formattedView += `| -------- | --------- | ---- |\n`;
+      view.topRisks.forEach(risk => {
+        formattedView += `| ${risk.priority} | ${risk.component} | ${risk.issue.replace(/\|/g, '\\|')} |\n`;
+      });
+    } else {
+      formattedView += `No risks were found.\n`;
+    }
+    
+    if (view.trend) {
+      formattedView += `\n### Trend\n\n`;
+      if (view.trend.previous) {
+        const change = view.trend.overallChange;
+        formattedView += `Overall score change since the previous run (${view.trend.previous.timestamp}): ${change === null ? '-' : `${change > 0 ? '+' : ''}${change}`}\n\n`;
+        formattedView += `Overall score over the last ${view.trend.series.length} runs: ${view.trend.series.map(run => run.overallScore === null ? '-' : run.overallScore).join(' → ')}\n`;
+      } else {
+        formattedView += `This is the first recorded run.\n`;
+      }
+    }
+    
+    if (view.acceptedRisk) {
+      formattedView += `\n${view.acceptedRisk.accepted} finding(s) are accepted risks; ${view.acceptedRisk.expired} suppression(s) have expired.\n`;
+    }
+    
+    return formattedView;
+  }
+  
+  /**
+   * Format the manager view: compliance by area, issues by priority and remediation effort
+   * @param {Object} view - Manager view
+   * @returns {string} Markdown report
+   */
+  formatManagerView(view) {
+    let formattedView = `## Configuration Health: ${view.overallScore.score}/100 (${view.overallScore.rating})\n\n`;
+    
+    formattedView += `### Compliance by Area\n\n`;
+    formattedView += `| Area | Score | Findings | Estimated Effort |\n`;
+    formattedView += `| ---- | ----- | -------- | ---------------- |\n`;
+    view.complianceByArea.forEach(area => {
+      const metric = area.metric === 'compliancePercentage' ? `${area.score}% compliant` : `${area.score}/100`;
+      formattedView += `| ${area.label} | ${metric} | ${area.findings} | ${view.remediationEffort.byArea[area.area]}h |\n`;
+    });
+    
+    formattedView += `\n### Issues by Priority\n\n`;
+    formattedView += `| Priority | Issues | Estimated Effort |\n`;
+    formattedView += `| -------- | ------ | ---------------- |\n`;
+    ['critical', 'medium', 'low'].forEach(priority => {
+      formattedView += `| ${priority} | ${view.issuesByPriority[priority]} | ${view.remediationEffort.byPriority[priority]}h |\n`;
+    });
+    
+    formattedView += `\n### Remediation Effort\n\n`;
+    formattedView += `Estimated total: ${view.remediationEffort.totalHours} hours. `;
+    const naming = view.remediationEffort.hoursPerFinding.naming;
+    const bypass = view.remediationEffort.hoursPerFinding.bypass;
+    formattedView += `The estimate assumes ${naming.critical}/${naming.medium}/${naming.low}h per critical/medium/low naming issue and `;
+    formattedView += `${bypass.High}/${bypass.Medium}/${bypass.Low}h per High/Medium/Low bypass pattern in a component.\n`;
+    
+    if (view.refactoringPriorities.length > 0) {
+      formattedView += `\n### Refactoring Priorities\n\n`;
+      view.refactoringPriorities.forEach((priority, index) => {
+        formattedView += `${index + 1}. ${this.formatPriority(priority)}\n`;
+      });
+    }
+    
+    if (view.acceptedRisk) {
+      formattedView += `\n${view.acceptedRisk.accepted} finding(s) are accepted risks; ${view.acceptedRisk.expired} suppression(s) have expired.\n`;
+    }
+    
+    return formattedView;
+  }
+  
+  /**
+   * Format the technical view: every finding with its locations and fix
+   * @param {Object} view - Technical view
+   * @returns {string} Markdown report
+   */
+  formatTechnicalView(view) {
+    let formattedView = `## Findings\n\n`;
+    if (view.rulePack) {
+      formattedView += `Naming rule pack: ${view.rulePack}\n\n`;
+    }
+    
+    if (view.findings.length === 0) {
+      formattedView += `No findings.\n`;
+    }
+    
+    view.findings.forEach(finding => {
+      formattedView += `### ${finding.component} (${finding.severity})\n\n`;
+      formattedView += `${finding.issue}\n\n`;
+      finding.locations.forEach(location => {
+        const excerpt = (location.excerpt || '').replace(/\s*\n\s*/g, ' ').replace(/`/g, "'");
+        formattedView += `- \`${formatLocation(location)}\`${excerpt ? `: \`${excerpt}\`` : ''}\n`;
+      });
+      if (finding.locations.length > 0) {
+        formattedView += `\n`;
+      }
+      formattedView += `**Fix:** ${finding.fix}\n\n`;
+    });
+    
+    if (view.recommendations.length > 0) {
+      formattedView += `## Recommendations\n\n`;
+      view.recommendations.forEach(recommendation => {
+        formattedView += `- ${recommendation}\n`;
+      });
+    }
+    
+    return formattedView;
+  }
+  
   /**
    * Format the executive summary for Claude presentation
    * @param {Object} summary - The executive summary
@@ -162,17 +349,21 @@ class ClaudeIntegration {
     if (score.componentScores) {
       formattedScore += `### Component Scores\n\n`;
       
-      if (score.componentScores.namingConventions) {
+      if (typeof score.componentScores.namingConventions === 'number') {
         formattedScore += `- Naming Conventions: ${score.componentScores.namingConventions}/100\n`;
       }
       
-      if (score.componentScores.validationRules) {
+      if (typeof score.componentScores.validationRules === 'number') {
         formattedScore += `- Validation Rules: ${score.componentScores.validationRules}/100\n`;
       }
       
-      if (score.componentScores.triggers) {
+      if (typeof score.componentScores.triggers === 'number') {
         formattedScore += `- Apex Triggers: ${score.componentScores.triggers}/100\n`;
       }
+      
+      if (typeof score.componentScores.flows === 'number') {
+        formattedScore += `- Flows: ${score.componentScores.flows}/100\n`;
+      }
     }
     
     return formattedScore;
@@ -198,15 +389,15 @@ class ClaudeIntegration {
         // Only show the first 10 violations to keep it manageable
         const displayViolations = findings.namingConventions.violations.slice(0, 10);
         
-        formattedFindings += `| Field | Issues | Recommendation |\n`;
-        formattedFindings += `| ----- | ------ | -------------- |\n`;
+        formattedFindings += `| Field | Location | Issues | Recommendation |\n`;
+        formattedFindings += `| ----- | -------- | ------ | -------------- |\n`;
         
         displayViolations.forEach(violation => {
           const issues = Array.isArray(violation.issues) 
             ? violation.issues.join(', ') 
             : violation.issues;
             
-          formattedFindings += `| ${violation.field} | ${issues} | ${violation.recommendation} |\n`;
+          formattedFindings += `| ${violation.field} | ${this.formatLocationCell(violation.location ? [violation.location] : [])} | ${issues} | ${violation.recommendation} |\n`;
         });
         
         if (findings.namingConventions.violations.length > 10) {
@@ -234,17 +425,19 @@ class ClaudeIntegration {
         // Only show the first 10 to keep it manageable
         const displayPatterns = findings.validationRules.patterns.slice(0, 10);
         
-        formattedFindings += `| Rule | Patterns | Severity |\n`;
-        formattedFindings += `| ---- | -------- | -------- |\n`;
+        formattedFindings += `| Rule | Patterns | Severity | Location |\n`;
+        formattedFindings += `| ---- | -------- | -------- | -------- |\n`;
         
         displayPatterns.forEach(pattern => {
           const patternList = Array.isArray(pattern.patterns) 
             ? pattern.patterns.join(', ') 
             : pattern.patterns;
             
-          formattedFindings += `| ${pattern.rule} | ${patternList} | ${pattern.severity} |\n`;
+          formattedFindings += `| ${pattern.rule} | ${patternList} | ${pattern.severity} | ${this.formatLocationCell(pattern.locations)} |\n`;
         });
         
+        formattedFindings += this.formatLocationExcerpts(displayPatterns);
+        
         if (findings.validationRules.patterns.length > 10) {
           formattedFindings += `\n_...and ${findings.validationRules.patterns.length - 10} more validation rules with issues._\n`;
         }
@@ -254,7 +447,7 @@ class ClaudeIntegration {
         formattedFindings += `\n#### Validation Rules to Refactor (Priority Order)\n\n`;
         
         findings.validationRules.refactoringPriorities.forEach((rule, index) => {
-          formattedFindings += `${index + 1}. ${rule}\n`;
+          formattedFindings += `${index + 1}. ${this.formatPriority(rule)}\n`;
         });
       }
     }
@@ -270,17 +463,19 @@ class ClaudeIntegration {
         // Only show the first 10 to keep it manageable
         const displayPatterns = findings.triggers.patterns.slice(0, 10);
         
-        formattedFindings += `| Trigger | Patterns | Severity |\n`;
-        formattedFindings += `| ------- | -------- | -------- |\n`;
+        formattedFindings += `| Trigger | Patterns | Severity | Location |\n`;
+        formattedFindings += `| ------- | -------- | -------- | -------- |\n`;
         
         displayPatterns.forEach(pattern => {
           const patternList = Array.isArray(pattern.patterns) 
             ? pattern.patterns.join(', ') 
             : pattern.patterns;
             
-          formattedFindings += `| ${pattern.trigger} | ${patternList} | ${pattern.severity} |\n`;
+          formattedFindings += `| ${pattern.trigger} | ${patternList} | ${pattern.severity} | ${this.formatLocationCell(pattern.locations)} |\n`;
         });
         
+        formattedFindings += this.formatLocationExcerpts(displayPatterns);
+        
         if (findings.triggers.patterns.length > 10) {
           formattedFindings += `\n_...and ${findings.triggers.patterns.length - 10} more triggers with issues._\n`;
         }
@@ -290,7 +485,45 @@ class ClaudeIntegration {
         formattedFindings += `\n#### Triggers to Refactor (Priority Order)\n\n`;
         
         findings.triggers.refactoringPriorities.forEach((trigger, index) => {
-          formattedFindings += `${index + 1}. ${trigger}\n`;
+          formattedFindings += `${index + 1}. ${this.formatPriority(trigger)}\n`;
+        });
+      }
+    }
+    
+    // Flows
+    if (findings.flows) {
+      formattedFindings += `\n### Flow Security Score: ${findings.flows.securityScore}/100\n\n`;
+      formattedFindings += `${findings.flows.bypassPercentage}% of flows contain bypass patterns.\n\n`;
+      
+      if (findings.flows.patterns && findings.flows.patterns.length > 0) {
+        formattedFindings += `#### Flows with Bypass Patterns\n\n`;
+        
+        // Only show the first 10 to keep it manageable
+        const displayPatterns = findings.flows.patterns.slice(0, 10);
+        
+        formattedFindings += `| Flow | Patterns | Severity | Location |\n`;
+        formattedFindings += `| ---- | -------- | -------- | -------- |\n`;
+        
+        displayPatterns.forEach(pattern => {
+          const patternList = Array.isArray(pattern.patterns) 
+            ? pattern.patterns.join(', ') 
+            : pattern.patterns;
+            
+          formattedFindings += `| ${pattern.flow} | ${patternList} | ${pattern.severity} | ${this.formatLocationCell(pattern.locations)} |\n`;
+        });
+        
+        formattedFindings += this.formatLocationExcerpts(displayPatterns);
+        
+        if (findings.flows.patterns.length > 10) {
+          formattedFindings += `\n_...and ${findings.flows.patterns.length - 10} more flows with issues._\n`;
+        }
+      }
+      
+      if (findings.flows.refactoringPriorities && findings.flows.refactoringPriorities.length > 0) {
+        formattedFindings += `\n#### Flows to Refactor (Priority Order)\n\n`;
+        
+        findings.flows.refactoringPriorities.forEach((flow, index) => {
+          formattedFindings += `${index + 1}. ${this.formatPriority(flow)}\n`;
         });
       }
     }
@@ -298,6 +531,50 @@ class ClaudeIntegration {
     return formattedFindings;
   }
   
+  /**
+   * Format a refactoring priority entry
+   * @param {Object|string} priority - Priority from the report ({ name, severity, patterns }), or a bare name
+   * @returns {string} Priority text
+   */
+  formatPriority(priority) {
+    if (typeof priority === 'string') {
+      return priority;
+    }
+    const patterns = priority.patterns && priority.patterns.length > 0 ? `: ${priority.patterns.join(', ')}` : '';
+    return `${priority.name} (${priority.severity})${patterns}`;
+  }
+  
+  /**
+   * Format the first location of a finding for a report table cell
+   * @param {Array} locations - Finding locations
+   * @returns {string} Location cell text
+   */
+  formatLocationCell(locations) {
+    if (!locations || locations.length === 0) {
+      return '-';
+    }
+    const more = locations.length > 1 ? ` (+${locations.length - 1} more)` : '';
+    return `\`${formatLocation(locations[0])}\`${more}`;
+  }
+  
+  /**
+   * Format every location of the displayed findings with its code excerpt
+   * @param {Array} patterns - Displayed findings with a locations array
+   * @returns {string} Markdown list of locations, or an empty string if there are none
+   */
+  formatLocationExcerpts(patterns) {
+    const lines = [];
+    
+    patterns.forEach(pattern => {
+      (pattern.locations || []).forEach(location => {
+        const excerpt = (location.excerpt || '').replace(/\s*\n\s*/g, ' ').replace(/`/g, "'");
+        lines.push(`- \`${formatLocation(location)}\` ${location.pattern ? `(${location.pattern})` : ''}${excerpt ? `: \`${excerpt}\`` : ''}`);
+      });
+    });
+    
+    return lines.length > 0 ? `\n**Locations**\n\n${lines.join('\n')}\n` : '';
+  }
+  
   /**
    * Prepare visualization data for Claude to display
    * @param {Object} results - The analysis results
@@ -314,6 +591,19 @@ class ClaudeIntegration {
     return visualizationData;
   }
   
+  /**
+   * Render a report as a self-contained HTML page with the visualization data drawn as charts
+   * @param {Object} report - The comprehensive report
+   * @param {Object} options - Render options passed to HtmlReportWriter.render() (title, generatedAt)
+   * @returns {string} HTML document
+   */
+  renderHtmlReport(report, options = {}) {
+    return new HtmlReportWriter({ title: options.title }).render(report, {
+      visualizationData: this.prepareVisualizationData(report),
+      generatedAt: options.generatedAt
+    });
+  }
+  
   /**
    * Prepare data for the score chart visualization
    * @param {Object} results - The analysis results
@@ -330,22 +620,29 @@ class ClaudeIntegration {
     
     if (results.overallScore && results.overallScore.componentScores) {
       const scores = results.overallScore.componentScores;
+      // Analyses that didn't run have a null score
+      const ran = key => typeof scores[key] === 'number';
       
-      if (scores.namingConventions) {
+      if (ran('namingConventions')) {
         scoreData.labels.push('Naming Conventions');
         scoreData.datasets[0].data.push(scores.namingConventions);
       }
       
-      if (scores.validationRules) {
+      if (ran('validationRules')) {
         scoreData.labels.push('Validation Rules');
         scoreData.datasets[0].data.push(scores.validationRules);
       }
       
-      if (scores.triggers) {
+      if (ran('triggers')) {
         scoreData.labels.push('Apex Triggers');
         scoreData.datasets[0].data.push(scores.triggers);
       }
       
+      if (ran('flows')) {
+        scoreData.labels.push('Flows');
+        scoreData.datasets[0].data.push(scores.flows);
+      }
+      
       scoreData.labels.push('Overall');
       scoreData.datasets[0].data.push(results.overallScore.score);
     }
@@ -393,37 +690,25 @@ class ClaudeIntegration {
       }]
     };
     
-    // Collect all bypass patterns from validation rules and triggers
+    // Collect all bypass patterns from validation rules, triggers and flows
     const patternCounts = {};
     
     if (results.detailedFindings) {
-      // From validation rules
-      if (results.detailedFindings.validationRules && results.detailedFindings.validationRules.patterns) {
-        results.detailedFindings.validationRules.patterns.forEach(item => {
-          if (Array.isArray(item.patterns)) {
-            item.patterns.forEach(pattern => {
-              if (!patternCounts[pattern]) {
-                patternCounts[pattern] = 0;
-              }
-              patternCounts[pattern]++;
-            });
-          }
-        });
-      }
-      
-      // From triggers
-      if (results.detailedFindings.triggers && results.detailedFindings.triggers.patterns) {
-        results.detailedFindings.triggers.patterns.forEach(item => {
-          if (Array.isArray(item.patterns)) {
-            item.patterns.forEach(pattern => {
-              if (!patternCounts[pattern]) {
-                patternCounts[pattern] = 0;
-              }
-              patternCounts[pattern]++;
-            });
-          }
-        });
-      }
+      ['validationRules', 'triggers', 'flows'].forEach(section => {
+        const sectionFindings = results.detailedFindings[section];
+        if (sectionFindings && sectionFindings.patterns) {
+          sectionFindings.patterns.forEach(item => {
+            if (Array.isArray(item.patterns)) {
+              item.patterns.forEach(pattern => {
+                if (!patternCounts[pattern]) {
+                  patternCounts[pattern] = 0;
+                }
+                patternCounts[pattern]++;
+              });
+            }
+          });
+        }
+      });
     }
     
     // Convert to chart data format
@@ -434,6 +719,235 @@ class ClaudeIntegration {
     
     return patternData;
   }
+  
+  /**
+   * Format the trend of a run against the earlier runs of its org
+   * @param {Object} trend - Trend from the report (see HistoryStore.trend())
+   * @returns {string} Formatted trend section
+   */
+  formatTrend(trend) {
+    if (!trend) return '';
+    
+    let formattedTrend = `## Trend\n\n`;
+    
+    if (!trend.previous) {
+      formattedTrend += `This is the first recorded run for ${trend.org}. Later runs will show the change since this one.\n`;
+      return formattedTrend;
+    }
+    
+    const signed = value => value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+    formattedTrend += `Run ${trend.runs} for ${trend.org}. Changes since the previous run (${trend.previous.timestamp}):\n\n`;
+    formattedTrend += `- Overall score: ${signed(trend.deltas.overall)}\n`;
+    formattedTrend += `- Naming conventions: ${signed(trend.deltas.namingConventions)}\n`;
+    formattedTrend += `- Validation rules: ${signed(trend.deltas.validationRules)}\n`;
+    formattedTrend += `- Apex triggers: ${signed(trend.deltas.triggers)}\n`;
+    formattedTrend += `- Flows: ${signed(trend.deltas.flows)}\n`;
+    formattedTrend += `- Risks: ${signed(trend.deltas.critical)} critical, ${signed(trend.deltas.medium)} medium, ${signed(trend.deltas.low)} low\n`;
+    formattedTrend += `\nOverall score over the last ${trend.series.length} runs: ${trend.series.map(run => run.overallScore === null ? '-' : run.overallScore).join(' → ')}\n`;
+    
+    return formattedTrend;
+  }
+  
+  /**
+   * Format the accepted risk section: suppressed findings and expired suppressions
+   * @param {Object} acceptedRisk - Accepted risk from the report ({ accepted, expired })
+   * @returns {string} Formatted accepted risk section
+   */
+  formatAcceptedRisk(acceptedRisk) {
+    if (!acceptedRisk) return '';
+    
+    const table = (findings, expiryLabel) => {
+      let rows = `| Component | Finding | Severity | Location | Approved By | ${expiryLabel} | Reason |\n`;
+      rows += `| --------- | ------- | -------- | -------- | ----------- | ${'-'.repeat(expiryLabel.length)} | ------ |\n`;
+      findings.forEach(finding => {
+        const component = finding.objectName && finding.analysis !== 'triggers' ?
+          `${finding.objectName}.${finding.component}` : finding.component;
+        const cells = [component, finding.rule, finding.severity, this.formatLocationCell(finding.location ? [finding.location] : []),
+          finding.approvedBy, finding.expires, finding.reason];
+        rows += `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |\n`;
+      });
+      return rows;
+    };
+    
+    let formattedRisk = `## Accepted Risk\n\n`;
+    if (acceptedRisk.accepted.length > 0) {
+      formattedRisk += `${acceptedRisk.accepted.length} finding(s) are suppressed with an approved justification. They are left out of every score.\n\n`;
+      formattedRisk += table(acceptedRisk.accepted, 'Expires');
+    } else {
+      formattedRisk += `No findings are currently suppressed.\n`;
+    }
+    
+    if (acceptedRisk.expired.length > 0) {
+      formattedRisk += `\n### Expired Suppressions\n\n`;
+      formattedRisk += `${acceptedRisk.expired.length} suppression(s) have expired, so their findings are reported and scored again. Renew the approval or fix the finding.\n\n`;
+      formattedRisk += table(acceptedRisk.expired, 'Expired');
+    }
+    
+    return formattedRisk;
+  }
+  
+  /**
+   * Format one of Claude's structured analyses (naming, validation rules or triggers)
+   * @param {Object} analysis - Analysis (schemas/claude-analysis.schema.json)
+   * @returns {string} Markdown findings
+   */
+  formatClaudeAnalysis(analysis) {
+    const scoreLabel = analysis.analysis === 'namingConventions' ? 'Compliance' : 'Security score';
+    let formattedAnalysis = `${analysis.summary}\n\n`;
+    formattedAnalysis += `${scoreLabel}: ${analysis.score}${analysis.analysis === 'namingConventions' ? '%' : '/100'}\n\n`;
+    
+    const statistics = analysis.statistics;
+    if (statistics && statistics.failedChunks > 0) {
+      formattedAnalysis += `_${statistics.skippedComponents} of ${statistics.components + statistics.skippedComponents} components were not analyzed: ${statistics.failedChunks} of ${statistics.chunks} chunks failed._\n\n`;
+    }
+    
+    if (analysis.findings.length > 0) {
+      const cell = value => String(value === null || value === undefined ? '-' : value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+      formattedAnalysis += `| Component | Rule | Severity | Line | Issue | Recommendation |\n`;
+      formattedAnalysis += `| --------- | ---- | -------- | ---- | ----- | -------------- |\n`;
+      analysis.findings.forEach(finding => {
+        const component = finding.objectName && analysis.analysis !== 'triggers' ?
+          `${finding.objectName}.${finding.component}` : finding.component;
+        formattedAnalysis += `| ${[component, finding.rule, finding.severity, finding.line, finding.message, finding.recommendation].map(cell).join(' | ')} |\n`;
+      });
+    } else {
+      formattedAnalysis += `No findings.\n`;
+    }
+    
+    if (analysis.refactoringPriorities && analysis.refactoringPriorities.length > 0) {
+      formattedAnalysis += `\n**Refactoring priorities**\n\n`;
+      analysis.refactoringPriorities.forEach((name, index) => {
+        formattedAnalysis += `${index + 1}. ${name}\n`;
+      });
+    }
+    
+    if (analysis.recommendations.length > 0) {
+      formattedAnalysis += `\n**Recommendations**\n\n`;
+      analysis.recommendations.forEach(recommendation => {
+        formattedAnalysis += `- ${recommendation}\n`;
+      });
+    }
+    
+    return formattedAnalysis;
+  }
+  
+  /**
+   * Format the comparison of Claude's findings with the local analyzers' findings
+   * @param {Array} comparisons - Comparisons from nCinoAnalyzer.compareWithRules()
+   * @returns {string} Markdown section
+   */
+  formatClaudeComparison(comparisons) {
+    if (!comparisons || comparisons.length === 0) return '';
+    
+    const labels = {
+      namingConventions: 'Naming Conventions',
+      validationRules: 'Validation Rules',
+      triggers: 'Apex Triggers'
+    };
+    const list = findings => findings.map(finding => `${finding.component} (${finding.rule})`).join(', ');
+    
+    let formattedComparison = `## Agreement with the Local Analyzers\n\n`;
+    formattedComparison += `| Analysis | Claude Score | Local Score | Both Found | Claude Only | Local Only |\n`;
+    formattedComparison += `| -------- | ------------ | ----------- | ---------- | ----------- | ---------- |\n`;
+    comparisons.forEach(comparison => {
+      formattedComparison += `| ${labels[comparison.analysis]} | ${comparison.claudeScore} | ${comparison.localScore === null ? '-' : comparison.localScore} | ${comparison.matched.length} | ${comparison.claudeOnly.length} | ${comparison.localOnly.length} |\n`;
+    });
+    
+    comparisons.forEach(comparison => {
+      if (comparison.claudeOnly.length > 0) {
+        formattedComparison += `\n${labels[comparison.analysis]}, found by Claude only: ${list(comparison.claudeOnly)}\n`;
+      }
+      if (comparison.localOnly.length > 0) {
+        formattedComparison += `\n${labels[comparison.analysis]}, found by the local analyzers only: ${list(comparison.localOnly)}\n`;
+      }
+    });
+    
+    return formattedComparison;
+  }
+  
+  /**
+   * Format a baseline comparison for presentation
+   * @param {Object} comparison - Comparison from AnalysisController.compareAnalyses()
+   * @returns {string} Markdown comparison report
+   */
+  formatComparison(comparison) {
+    const labels = {
+      overall: 'Overall',
+      namingConventions: 'Naming Conventions',
+      validationRules: 'Validation Rules',
+      triggers: 'Apex Triggers',
+      flows: 'Flows'
+    };
+    const componentLabels = {
+      fields: 'Fields',
+      validationRules: 'Validation Rules',
+      triggers: 'Apex Triggers',
+      flows: 'Flows'
+    };
+    
+    let formatted = `# nCino Configuration Changes Since Baseline\n\n`;
+    formatted += `Baseline: ${comparison.baseline.createdAt}. Current run: ${comparison.current.createdAt}.\n\n`;
+    if (comparison.analyses.includes('namingConventions') && comparison.baseline.rulePack !== comparison.current.rulePack) {
+      formatted += `_The runs used different rule packs (${comparison.baseline.rulePack} and ${comparison.current.rulePack}), so some naming changes may come from the rules rather than the metadata._\n\n`;
+    }
+    formatted += `Compared analyses: ${comparison.analyses.map(key => labels[key]).join(', ') || 'none'}.\n\n`;
+    formatted += `- New findings: ${comparison.summary.new}\n`;
+    formatted += `- Resolved findings: ${comparison.summary.resolved}\n`;
+    formatted += `- Unchanged findings: ${comparison.summary.unchanged}\n`;
+    
+    formatted += `\n## Score Changes\n\n`;
+    formatted += `| Component | Baseline | Current | Change |\n`;
+    formatted += `| --------- | -------- | ------- | ------ |\n`;
+    Object.entries(comparison.scores).forEach(([key, score]) => {
+      if (score.baseline === null && score.current === null) {
+        return;
+      }
+      const delta = score.delta === null ? '-' : `${score.delta > 0 ? '+' : ''}${score.delta}`;
+      formatted += `| ${labels[key] || key} | ${score.baseline === null ? '-' : score.baseline} | ${score.current === null ? '-' : score.current} | ${delta} |\n`;
+    });
+    
+    const componentChanges = Object.entries(comparison.components)
+      .filter(([, change]) => change.added.length > 0 || change.removed.length > 0);
+    if (componentChanges.length > 0) {
+      formatted += `\n## Component Changes\n\n`;
+      componentChanges.forEach(([key, change]) => {
+        formatted += `### ${componentLabels[key] || key}\n\n`;
+        change.added.forEach(name => {
+          formatted += `- Added: ${name}\n`;
+        });
+        change.removed.forEach(name => {
+          formatted += `- Removed: ${name}\n`;
+        });
+        formatted += `\n`;
+      });
+    }
+    
+    formatted += this.formatComparisonFindings('New Findings', comparison.findings.new);
+    formatted += this.formatComparisonFindings('Resolved Findings', comparison.findings.resolved);
+    
+    return formatted;
+  }
+  
+  /**
+   * Format a list of comparison findings as a table
+   * @param {string} title - Section title
+   * @param {Array} findings - Fingerprinted findings
+   * @returns {string} Markdown section, or an empty string if there are no findings
+   */
+  formatComparisonFindings(title, findings) {
+    if (findings.length === 0) {
+      return '';
+    }
+    
+    let formatted = `\n## ${title}\n\n`;
+    formatted += `| Component | Finding | Severity | Location |\n`;
+    formatted += `| --------- | ------- | -------- | -------- |\n`;
+    findings.forEach(finding => {
+      formatted += `| ${finding.component} | ${finding.message} | ${finding.severity} | ${this.formatLocationCell(finding.location ? [finding.location] : [])} |\n`;
+    });
+    
+    return formatted;
+  }
 }
 
 module.exports = ClaudeIntegration;
\ No newline at end of file
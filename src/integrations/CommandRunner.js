@@ -0,0 +1,58 @@
+/**
+ * CommandRunner.js
+ * Runs external command-line tools (such as the Salesforce CLI) with argument
+ * arrays rather than shell strings, so paths and values are never interpreted by a shell.
+ * MetadataExtractor takes any object with the same run() method, which lets
+ * callers substitute their own runner and inspect the exact invocations.
+ */
+
+const { execFile } = require('child_process');
+
+const DEFAULT_MAX_BUFFER = 50 * 1024 * 1024;
+
+class CommandRunner {
+  constructor(options = {}) {
+    this.options = options;
+    this.maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+  }
+
+  /**
+   * Run a command and collect its output
+   * @param {string} command - Executable to run (e.g. 'sfdx')
+   * @param {Array} args - Arguments, passed to the executable as-is
+   * @param {Object} options - Run options
+   * @param {string} options.cwd - Working directory
+   * @param {Object} options.env - Extra environment variables, merged over the current environment
+   * @param {string} options.input - Text written to the command's stdin
+   * @returns {Promise<string>} The command's stdout
+   */
+  run(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(command, args, {
+        cwd: options.cwd,
+        env: Object.assign({}, process.env, options.env || {}),
+        maxBuffer: this.maxBuffer
+      }, (error, stdout, stderr) => {
+        if (error) {
+          // Only the command and subcommand are named, so no argument values end up in logs
+          const detail = (stderr || '').trim() || error.message;
+          const failure = new Error(`${command} ${args[0] || ''} failed: ${detail}`);
+          failure.exitCode = error.code;
+          failure.stdout = stdout;
+          failure.stderr = stderr;
+          reject(failure);
+        } else {
+          resolve(stdout);
+        }
+      });
+
+      // A command that exits without reading its input breaks the pipe (EPIPE)
+      child.stdin.on('error', error => {
+        reject(new Error(`${command} ${args[0] || ''} failed: could not write its input: ${error.message}`));
+      });
+      child.stdin.end(options.input);
+    });
+  }
+}
+
+module.exports = CommandRunner;
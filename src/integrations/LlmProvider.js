@@ -0,0 +1,99 @@
+/**
+ * LlmProvider.js
+ * Interface of the language model providers the analyzer sends its prompts
+ * to. A provider takes a system prompt and messages and returns the text of
+ * the answer with its token usage. AnthropicProvider calls the Claude
+ * Messages API; ReplayProvider serves recorded responses from fixture files,
+ * so runs can be reproduced without network access.
+ */
+
+// Provider modules by name, required on first use
+const PROVIDERS = {
+  anthropic: './AnthropicProvider',
+  replay: './ReplayProvider'
+};
+
+class LlmProvider {
+  /**
+   * @param {string} name - Provider name, e.g. 'anthropic'
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * List the available providers
+   * @returns {Array} Provider names
+   */
+  static providers() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Create the provider a configuration selects
+   * @param {Object} config - Analyzer configuration; config.provider is a provider name
+   *   (default: 'anthropic') or an LlmProvider instance, and the rest is passed to the provider
+   * @returns {LlmProvider} Provider
+   */
+  static create(config = {}) {
+    if (config.provider instanceof LlmProvider) {
+      return config.provider;
+    }
+    const name = config.provider || 'anthropic';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM provider '${name}' (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    const Provider = require(PROVIDERS[name]);
+    return new Provider(config);
+  }
+
+  /**
+   * Check the provider can send requests, e.g. that it has an API key
+   * @throws {Error} When the provider is not configured
+   */
+  assertReady() {}
+
+  /**
+   * Start a new run, e.g. resetting a per-run request budget
+   */
+  resetBudget() {}
+
+  /**
+   * Describe what besides the messages decides the answer, for the response cache key
+   * @returns {Object|null} Provider settings such as the model, or null when responses
+   *   shouldn't be cached
+   */
+  cacheIdentity() {
+    return null;
+  }
+
+  /**
+   * Send messages and get the answer
+   * @param {Object} request - Request
+   * @param {string} request.system - System prompt (optional)
+   * @param {Array} request.messages - Messages { role: 'user'|'assistant', content }
+   * @returns {Promise<Object>} { text, content, usage: { inputTokens, outputTokens }, model } where
+   *   content are the answer's content blocks
+   */
+  async complete(request) {
+    throw new Error(`LLM provider '${this.name}' does not implement complete()`);
+  }
+}
+
+/**
+ * Join the text blocks of an answer
+ * @param {Array|string} content - Content blocks, or text
+ * @returns {string} Text
+ */
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+module.exports = LlmProvider;
+module.exports.contentText = contentText;
@@ -0,0 +1,98 @@
+/**
+ * PromptChunker.js
+ * Splits large metadata sets into prompts Claude can take. Token counts are
+ * estimated from text length; components are packed into chunks that stay
+ * under a token budget and a component count, keeping the components of one
+ * group (e.g. the fields of one object) together where they fit.
+ */
+
+// Characters per token for estimates. English prose averages about 4; XML and
+// Apex tokenize denser, so the estimate errs on the large side.
+const CHARS_PER_TOKEN = 3.5;
+
+// Default prompt budget in tokens: well inside the context window, so a chunk's
+// metadata, instructions and answer fit with room to spare
+const DEFAULT_CHUNK_TOKENS = 30000;
+
+// Default components per chunk. Each finding takes about 100 tokens of JSON, so
+// this keeps the answer to one chunk under the default maxTokens of 4096.
+const DEFAULT_CHUNK_SIZE = 40;
+
+class PromptChunker {
+  /**
+   * @param {Object} options - Chunker options
+   * @param {number} options.chunkTokens - Estimated tokens a prompt may use, including the fixed
+   *   instructions (default: 30000)
+   * @param {number} options.chunkSize - Components per chunk at most (default: 40)
+   */
+  constructor(options = {}) {
+    this.chunkTokens = options.chunkTokens || DEFAULT_CHUNK_TOKENS;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Split components into chunks
+   * @param {Array} items - Components, e.g. field metadata
+   * @param {Object} options - Chunking options
+   * @param {Function} options.render - Renders one component as prompt text
+   * @param {number} options.overheadTokens - Estimated tokens of the prompt without components
+   * @param {Function} options.groupBy - Returns a component's group, e.g. its object (default: one group)
+   * @returns {Array} Chunks { items, tokens } in input order of their groups
+   */
+  chunk(items, options = {}) {
+    const render = options.render || (item => JSON.stringify(item));
+    const groupBy = options.groupBy || (() => '');
+    const budget = Math.max(this.chunkTokens - (options.overheadTokens || 0), 1);
+
+    const groups = new Map();
+    items.forEach(item => {
+      const group = groupBy(item) || '';
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push({ item, tokens: PromptChunker.estimateTokens(render(item)) });
+    });
+
+    const chunks = [];
+    let current = { items: [], tokens: 0 };
+    const fits = (count, tokens) => current.items.length + count <= this.chunkSize && current.tokens + tokens <= budget;
+    const close = () => {
+      if (current.items.length > 0) {
+        chunks.push(current);
+      }
+      current = { items: [], tokens: 0 };
+    };
+
+    groups.forEach(entries => {
+      const groupTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+      // A group that fits in a chunk of its own isn't split between two chunks
+      if (!fits(entries.length, groupTokens) && entries.length <= this.chunkSize && groupTokens <= budget) {
+        close();
+      }
+      entries.forEach(entry => {
+        if (!fits(1, entry.tokens)) {
+          close();
+        }
+        // A component over the budget on its own still gets a chunk; the prompt may be truncated by the API
+        current.items.push(entry.item);
+        current.tokens += entry.tokens;
+      });
+    });
+    close();
+
+    return chunks;
+  }
+}
+
+module.exports = PromptChunker;
+module.exports.DEFAULT_CHUNK_TOKENS = DEFAULT_CHUNK_TOKENS;
+module.exports.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
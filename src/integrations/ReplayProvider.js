@@ -0,0 +1,152 @@
+/**
+ * ReplayProvider.js
+ * Deterministic LLM provider that serves responses from fixture files
+ * instead of calling an API, so the CLI and runCompleteAnalysis can run
+ * end to end without network access. A recorded fixture (--record) answers
+ * exactly the request it was recorded for; a hand-written fixture answers
+ * any request containing all of its match strings. A request no fixture
+ * answers fails, naming the key to record it under.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LlmProvider = require('./LlmProvider');
+const SchemaValidator = require('../models/SchemaValidator');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/replay');
+
+class ReplayFixtureError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ReplayFixtureError';
+    this.source = source || null;
+  }
+}
+
+class ReplayProvider extends LlmProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.fixturesDir - Directory of fixture files (default: fixtures/replay)
+   */
+  constructor(options = {}) {
+    super('replay');
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.fixtures = null;
+  }
+
+  /**
+   * Hash a request into the key of its recorded fixture. The key covers the system prompt and
+   * messages only, so recordings replay whatever model they were recorded with.
+   * @param {Object} request - Request { system, messages }
+   * @returns {string} Hex SHA-256 key
+   */
+  static key(request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([request.system || null, request.messages]))
+      .digest('hex');
+  }
+
+  /**
+   * Write a response as the recorded fixture of its request
+   * @param {string} dir - Fixtures directory, created if missing
+   * @param {Object} request - Request { system, messages }
+   * @param {Object} response - Provider response { text, content, usage, model }
+   * @returns {string} Fixture file path
+   */
+  static record(dir, request, response) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const key = ReplayProvider.key(request);
+    const fixture = {
+      key,
+      recordedAt: new Date().toISOString(),
+      model: response.model,
+      content: response.content,
+      usage: response.usage
+    };
+    const filePath = path.join(dir, `${key}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(SchemaValidator.shared().assertValid('replay-fixture', fixture), null, 2), 'utf8');
+    return filePath;
+  }
+
+  assertReady() {
+    this.loadFixtures();
+  }
+
+  /**
+   * Read and validate the fixture files (once)
+   * @returns {Array} Fixtures { file, fixture } in file name order
+   */
+  loadFixtures() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+    if (!fs.existsSync(this.fixturesDir)) {
+      throw new ReplayFixtureError(`Replay fixtures directory not found: ${this.fixturesDir}`);
+    }
+
+    this.fixtures = fs.readdirSync(this.fixturesDir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => {
+        const file = path.join(this.fixturesDir, name);
+        let fixture;
+        try {
+          fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+          throw new ReplayFixtureError(`Could not parse fixture: ${error.message}`, file);
+        }
+        const { valid, errors } = SchemaValidator.shared().validate('replay-fixture', fixture);
+        if (!valid) {
+          throw new ReplayFixtureError(`Invalid fixture: ${errors.slice(0, 5).join('; ')}`, file);
+        }
+        return { file, fixture };
+      });
+    return this.fixtures;
+  }
+
+  /**
+   * Find the fixture answering a request: the one recorded for it, or else the first
+   * hand-written one whose match strings all appear in it
+   * @param {Object} request - Request { system, messages }
+   * @returns {Object|null} { file, fixture }, or null when no fixture answers the request
+   */
+  findFixture(request) {
+    const fixtures = this.loadFixtures();
+    const key = ReplayProvider.key(request);
+    const recorded = fixtures.find(entry => entry.fixture.key === key);
+    if (recorded) {
+      return recorded;
+    }
+
+    const text = [request.system || '']
+      .concat(request.messages.map(message => LlmProvider.contentText(message.content)))
+      .join('\n');
+    return fixtures.find(entry => entry.fixture.match &&
+      entry.fixture.match.every(candidate => text.includes(candidate))) || null;
+  }
+
+  async complete(request) {
+    const entry = this.findFixture(request);
+    if (!entry) {
+      throw new ReplayFixtureError(`No replay fixture answers this request (key ${ReplayProvider.key(request)}). ` +
+        'Record one with --record, or add a fixture with match strings from the prompt.', this.fixturesDir);
+    }
+
+    const fixture = entry.fixture;
+    const content = fixture.content || [{ type: 'text', text: fixture.text }];
+    const usage = fixture.usage || {};
+    return {
+      text: LlmProvider.contentText(content),
+      content,
+      usage: { inputTokens: usage.inputTokens || 0, outputTokens: usage.outputTokens || 0 },
+      model: fixture.model || 'replay'
+    };
+  }
+}
+
+module.exports = ReplayProvider;
+module.exports.ReplayFixtureError = ReplayFixtureError;
+module.exports.DEFAULT_FIXTURES_DIR = DEFAULT_FIXTURES_DIR;
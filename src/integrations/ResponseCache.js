@@ -0,0 +1,169 @@
+/**
+ * ResponseCache.js
+ * On-disk cache of Claude responses, so re-running an analysis on unchanged
+ * metadata doesn't send (and pay for) the same prompts again. Entries are
+ * keyed by a hash of the provider's settings (for the Claude API: the API
+ * URL, model and token limit) and the messages, expire after a time to live,
+ * and the least recently used entries are evicted once the cache outgrows its
+ * size limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the entry layout or the key changes, so old entries are no longer matched
+const CACHE_FORMAT_VERSION = 1;
+
+// Entries expire a week after they were written
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Entries are evicted, least recently used first, once the cache holds more than 50 MB
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Cache directory, created on the first write
+   * @param {number} options.ttlMs - Age in milliseconds after which an entry is no longer served (default: 7 days)
+   * @param {number} options.maxBytes - Size of the cache directory at most (default: 50 MB)
+   * @param {boolean} options.refresh - Don't serve cached responses, but still store the new ones (default: false)
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('ResponseCache requires a cache directory');
+    }
+    this.dir = options.dir;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.refresh = Boolean(options.refresh);
+    this.resetStats();
+  }
+
+  /**
+   * Hash a request into a cache key
+   * @param {Object} request - Request parameters
+   * @param {Object} request.provider - Provider settings that decide the answer (LlmProvider.cacheIdentity())
+   * @param {string} request.system - System prompt (optional)
+   * @param {Array} request.messages - Messages { role, content }
+   * @returns {string} Hex SHA-256 key
+   */
+  static key({ provider, system, messages }) {
+    const request = JSON.stringify([CACHE_FORMAT_VERSION, provider, system || null, messages]);
+    return crypto.createHash('sha256').update(request).digest('hex');
+  }
+
+  /**
+   * Start counting hits and misses afresh, e.g. for a new run
+   */
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Key from ResponseCache.key()
+   * @returns {Array|null} Content blocks of the cached answer, or null when there is no fresh entry
+   */
+  get(key) {
+    if (this.refresh) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const filePath = this.entryPath(key);
+    let entry = null;
+    try {
+      entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      // Missing or unreadable entries are misses; an unreadable one is overwritten on the next set()
+    }
+
+    if (!entry || entry.key !== key || Date.now() - Date.parse(entry.createdAt) > this.ttlMs) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // The modification time records the last use, which orders the evictions
+    const now = new Date();
+    try {
+      fs.utimesSync(filePath, now, now);
+    } catch (error) {
+      // A read-only cache still serves entries; they are just evicted in write order
+    }
+    this.stats.hits++;
+    return entry.content;
+  }
+
+  /**
+   * Store a response, then evict expired and least recently used entries beyond the size limit
+   * @param {string} key - Key from ResponseCache.key()
+   * @param {Array} content - Content blocks of the answer
+   * @param {Object} details - Stored with the entry for reference, e.g. { model }
+   */
+  set(key, content, details = {}) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const entry = Object.assign({ key, createdAt: new Date().toISOString() }, details, { content });
+    // Write to a temporary file first so a concurrent reader never sees half an entry
+    const filePath = this.entryPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    this.stats.writes++;
+
+    this.prune();
+  }
+
+  /**
+   * Remove expired entries, then the least recently used ones until the cache fits its size limit
+   * @returns {number} Entries removed
+   */
+  prune() {
+    if (!fs.existsSync(this.dir)) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const entries = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const filePath = path.join(this.dir, name);
+        const stat = fs.statSync(filePath);
+        return { filePath, size: stat.size, lastUsed: stat.mtimeMs };
+      })
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+    entries.forEach(entry => {
+      // An entry unused for the whole TTL was also written before it, so it has expired
+      if (now - entry.lastUsed > this.ttlMs || total > this.maxBytes) {
+        try {
+          fs.unlinkSync(entry.filePath);
+          removed++;
+        } catch (error) {
+          // Another run pruned it first
+        }
+        total -= entry.size;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Get the file of an entry
+   * @param {string} key - Key from ResponseCache.key()
+   * @returns {string} Entry file path
+   */
+  entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+module.exports = ResponseCache;
+module.exports.DEFAULT_TTL_MS = DEFAULT_TTL_MS;
+module.exports.DEFAULT_MAX_BYTES = DEFAULT_MAX_BYTES;
@@ -0,0 +1,143 @@
+/**
+ * SalesforceApiClient.js
+ * Minimal client for the Salesforce Tooling API (SOQL queries) and the Metadata API
+ * (readMetadata), used to extract metadata without the Salesforce CLI
+ */
+
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { escapeXml } = require('../models/TextUtils');
+
+const DEFAULT_API_VERSION = '56.0';
+
+// readMetadata accepts at most 10 full names per call
+const READ_METADATA_BATCH_SIZE = 10;
+
+class SalesforceApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.instanceUrl - Org instance URL
+   * @param {string} options.accessToken - Access token or session ID
+   * @param {string} options.apiVersion - API version (default 56.0)
+   * @param {Object} options.httpClient - axios-compatible client (default axios)
+   */
+  constructor(options = {}) {
+    if (!options.instanceUrl || !options.accessToken) {
+      throw new Error('instanceUrl and accessToken are required for the Salesforce API client');
+    }
+    this.instanceUrl = options.instanceUrl.replace(/\/+$/, '');
+    this.accessToken = options.accessToken;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.httpClient = options.httpClient || axios;
+  }
+
+  /**
+   * Run a Tooling API query, following nextRecordsUrl until every record is fetched
+   * @param {string} soql - SOQL query
+   * @returns {Array} Query records
+   */
+  async toolingQuery(soql) {
+    const records = [];
+    let url = `${this.instanceUrl}/services/data/v${this.apiVersion}/tooling/query?q=${encodeURIComponent(soql)}`;
+
+    while (url) {
+      const response = await this.request('get', url, null, {
+        Authorization: `Bearer ${this.accessToken}`,
+        Accept: 'application/json'
+      });
+      const body = response.data || {};
+      records.push(...(body.records || []));
+      url = body.done === false && body.nextRecordsUrl ? `${this.instanceUrl}${body.nextRecordsUrl}` : null;
+    }
+
+    return records;
+  }
+
+  /**
+   * Read full metadata definitions through the Metadata API
+   * @param {string} type - Metadata type (e.g. 'CustomField', 'ValidationRule', 'Flow')
+   * @param {Array} fullNames - Full names of the components to read
+   * @returns {Array} Parsed definitions (components that don't exist are omitted)
+   */
+  async readMetadata(type, fullNames) {
+    const records = [];
+
+    for (let i = 0; i < fullNames.length; i += READ_METADATA_BATCH_SIZE) {
+      const batch = fullNames.slice(i, i + READ_METADATA_BATCH_SIZE);
+      const envelope = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<env:Envelope xmlns:env="http://schemas.xmlsoap.org/soap/envelope/" xmlns:met="http://soap.sforce.com/2006/04/metadata">',
+        `<env:Header><met:SessionHeader><met:sessionId>${escapeXml(this.accessToken)}</met:sessionId></met:SessionHeader></env:Header>`,
+        '<env:Body><met:readMetadata>',
+        `<met:type>${escapeXml(type)}</met:type>`,
+        ...batch.map(fullName => `<met:fullNames>${escapeXml(fullName)}</met:fullNames>`),
+        '</met:readMetadata></env:Body>',
+        '</env:Envelope>'
+      ].join('');
+
+      const response = await this.request('post', `${this.instanceUrl}/services/Soap/m/${this.apiVersion}`, envelope, {
+        'Content-Type': 'text/xml; charset=UTF-8',
+        SOAPAction: 'readMetadata'
+      });
+
+      const parsed = await parseSoap(response.data);
+      const body = (parsed.Envelope && parsed.Envelope.Body) || {};
+      const result = (body.readMetadataResponse && body.readMetadataResponse.result) || {};
+      const batchRecords = Array.isArray(result.records) ? result.records : [result.records];
+
+      // Components that don't exist come back as records with no fullName
+      records.push(...batchRecords.filter(record => record && record.fullName));
+    }
+
+    return records;
+  }
+
+  /**
+   * Send a request and turn API errors into readable messages
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {*} data - Request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} HTTP response
+   */
+  async request(method, url, data, headers) {
+    try {
+      return await this.httpClient.request({ method, url, data, headers });
+    } catch (error) {
+      throw new Error(`Salesforce API request failed: ${describeApiError(error)}`);
+    }
+  }
+}
+
+/**
+ * Parse a SOAP response, dropping namespace prefixes and attributes (e.g. xsi:type)
+ * @param {string} xml - Response body
+ * @returns {Object} Parsed response
+ */
+function parseSoap(xml) {
+  const parser = new xml2js.Parser({
+    explicitArray: false,
+    ignoreAttrs: true,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+  return parser.parseStringPromise(String(xml));
+}
+
+/**
+ * Build a message from a REST error list or SOAP fault, falling back to the HTTP error
+ * @param {Error} error - axios error
+ * @returns {string} Error description
+ */
+function describeApiError(error) {
+  const data = error.response && error.response.data;
+  if (Array.isArray(data) && data.length > 0) {
+    return data.map(item => `${item.errorCode}: ${item.message}`).join('; ');
+  }
+  const fault = data && /<faultstring>([^<]*)<\/faultstring>/.exec(String(data));
+  if (fault) {
+    return fault[1];
+  }
+  return error.message;
+}
+
+module.exports = SalesforceApiClient;
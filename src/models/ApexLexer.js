@@ -0,0 +1,190 @@
+/**
+ * ApexLexer.js
+ * Model component for tokenizing Apex source so trigger patterns can match on
+ * code rather than on raw text (comments are dropped, string literals are kept whole)
+ */
+
+const PUNCTUATORS = [
+  '===', '!==', '>>=', '<<=',
+  '==', '!=', '<>', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '=>',
+  '(', ')', '{', '}', '[', ']', ';', ',', '.', '?', ':', '=', '<', '>', '!', '+', '-', '*', '/', '&', '|', '^', '%', '@'
+];
+
+class ApexLexer {
+  /**
+   * Split Apex source into tokens, dropping whitespace and comments
+   * @param {string} code - Apex source code
+   * @returns {Array} Tokens with type, value, offsets and line/column positions
+   */
+  tokenize(code) {
+    const source = code || '';
+    const tokens = [];
+    let offset = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = count => {
+      for (let i = 0; i < count; i++) {
+        if (source[offset] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        offset++;
+      }
+    };
+    const push = (type, value, start) => {
+      tokens.push({
+        type,
+        value,
+        offset: start.offset,
+        endOffset: offset,
+        line: start.line,
+        column: start.column,
+        endLine: line,
+        endColumn: column
+      });
+    };
+
+    while (offset < source.length) {
+      const char = source[offset];
+      const start = { offset, line, column };
+
+      if (/\s/.test(char)) {
+        advance(1);
+        continue;
+      }
+
+      // Line comments
+      if (source.startsWith('//', offset)) {
+        const newline = source.indexOf('\n', offset);
+        advance((newline === -1 ? source.length : newline) - offset);
+        continue;
+      }
+
+      // Block comments (an unterminated comment runs to the end of the file)
+      if (source.startsWith('/*', offset)) {
+        const close = source.indexOf('*/', offset + 2);
+        advance((close === -1 ? source.length : close + 2) - offset);
+        continue;
+      }
+
+      // String literals are single-quoted in Apex, with backslash escapes
+      if (char === '\'') {
+        let value = '';
+        advance(1);
+        while (offset < source.length && source[offset] !== '\'' && source[offset] !== '\n') {
+          if (source[offset] === '\\' && offset + 1 < source.length) {
+            advance(1);
+          }
+          value += source[offset];
+          advance(1);
+        }
+        if (source[offset] === '\'') {
+          advance(1);
+        }
+        push('string', value, start);
+        continue;
+      }
+
+      const numberMatch = /^\d+(\.\d+)?[lLdD]?/.exec(source.slice(offset));
+      if (numberMatch) {
+        advance(numberMatch[0].length);
+        push('number', numberMatch[0], start);
+        continue;
+      }
+
+      const identifierMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(offset));
+      if (identifierMatch) {
+        advance(identifierMatch[0].length);
+        push('identifier', identifierMatch[0], start);
+        continue;
+      }
+
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, offset));
+      advance(punctuator ? punctuator.length : 1);
+      push('punctuator', punctuator || char, start);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Match a sequence of tokens starting at an index.
+   * Sequence items are either literal values (compared case-insensitively, as Apex is,
+   * and never matching a string literal) or predicates called with the token.
+   * @param {Array} tokens - Token list
+   * @param {number} index - Index to start matching at
+   * @param {Array} sequence - Values or predicates to match in order
+   * @returns {number} Index of the last matched token, or -1 when there is no match
+   */
+  matchSequence(tokens, index, sequence) {
+    for (let i = 0; i < sequence.length; i++) {
+      const token = tokens[index + i];
+      const expected = sequence[i];
+      if (!token) {
+        return -1;
+      }
+      const matches = typeof expected === 'function' ?
+        expected(token) :
+        token.type !== 'string' && token.value.toLowerCase() === String(expected).toLowerCase();
+      if (!matches) {
+        return -1;
+      }
+    }
+    return index + sequence.length - 1;
+  }
+
+  /**
+   * Check whether a token is a given punctuator, rather than a string literal with the same text
+   * @param {Object} token - Token (may be undefined past the end of the list)
+   * @param {string} value - Punctuator, e.g. '('
+   * @returns {boolean} True when the token is that punctuator
+   */
+  isPunctuator(token, value) {
+    return Boolean(token) && token.type === 'punctuator' && token.value === value;
+  }
+
+  /**
+   * Find the index of the parenthesis closing the one at `index`
+   * @param {Array} tokens - Token list
+   * @param {number} index - Index of an opening parenthesis
+   * @returns {number} Index of the closing parenthesis, or -1 if unbalanced
+   */
+  findClosingParen(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      if (this.isPunctuator(tokens[i], '(')) {
+        depth++;
+      } else if (this.isPunctuator(tokens[i], ')')) {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the condition of every `if (...)` statement
+   * @param {Array} tokens - Token list
+   * @returns {Array} Token index ranges ({ start, end }) of each if condition, parentheses included
+   */
+  findIfGuards(tokens) {
+    const guards = [];
+    tokens.forEach((token, index) => {
+      if (token.type === 'identifier' && token.value.toLowerCase() === 'if' &&
+          this.isPunctuator(tokens[index + 1], '(')) {
+        const end = this.findClosingParen(tokens, index + 1);
+        if (end !== -1) {
+          guards.push({ start: index + 1, end });
+        }
+      }
+    });
+    return guards;
+  }
+}
+
+module.exports = ApexLexer;
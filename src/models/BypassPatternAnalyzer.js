@@ -3,71 +3,225 @@
  * Model component for detecting bypass patterns in Salesforce configurations
  */
 
+const FormulaParser = require('./FormulaParser');
+const ApexLexer = require('./ApexLexer');
+const { positionAt, buildLocation } = require('./SourceLocation');
+const SchemaValidator = require('./SchemaValidator');
+const SuppressionList = require('./SuppressionList');
+const { assignFingerprints } = require('./Fingerprint');
+const { flowValueToString, metadataFlag, metadataText } = require('./TextUtils');
+const { FormulaParseError } = FormulaParser;
+
+const EQUALITY_OPERATORS = ['=', '==', '!=', '<>'];
+const INEQUALITY_OPERATORS = ['!=', '<>'];
+const VALUE_CHECK_FUNCTIONS = ['ISPICKVAL', 'CONTAINS', 'BEGINS', 'INCLUDES', 'CASE'];
+const LOGICAL_FUNCTIONS = ['AND', 'OR', 'NOT', 'IF'];
+const LOGICAL_OPERATORS = ['&&', '||'];
+
+/**
+ * Build a predicate that matches a merge field by name, or by prefix when the name ends with '.'
+ */
+function mergeField(name) {
+  const target = name.toUpperCase();
+  return node => node.type === 'MergeField' && (target.endsWith('.') ?
+    node.name.toUpperCase().startsWith(target) :
+    node.name.toUpperCase() === target);
+}
+
+function anyOf(...predicates) {
+  return node => predicates.some(predicate => predicate(node));
+}
+
+function isLiteral(node) {
+  return node.type === 'Literal' && (node.valueType === 'string' || node.valueType === 'number');
+}
+
+/**
+ * Match a comparison where one operand satisfies `a` and the other satisfies `b`
+ */
+function isComparison(node, a, b, operators = EQUALITY_OPERATORS) {
+  return node.type === 'BinaryExpression' && operators.includes(node.operator) &&
+    ((a(node.left) && b(node.right)) || (b(node.left) && a(node.right)));
+}
+
+/**
+ * Match ISPICKVAL/CONTAINS/CASE/... calls that test a field against literal values
+ */
+function isValueCheck(node, field) {
+  return node.type === 'FunctionCall' && VALUE_CHECK_FUNCTIONS.includes(node.name) &&
+    node.args.some(field) && node.args.some(isLiteral);
+}
+
+/**
+ * True when the node sits inside AND/OR/NOT/IF logic that can short-circuit the error condition
+ */
+function isWithinLogicalGuard(ancestors) {
+  return ancestors.some(ancestor =>
+    (ancestor.type === 'FunctionCall' && LOGICAL_FUNCTIONS.includes(ancestor.name)) ||
+    (ancestor.type === 'BinaryExpression' && LOGICAL_OPERATORS.includes(ancestor.operator)) ||
+    (ancestor.type === 'UnaryExpression' && ancestor.operator === '!'));
+}
+
+const USER_ID_LITERAL = /^005[A-Za-z0-9]{12}([A-Za-z0-9]{3})?$/;
+const SETTING_ACCESSORS = ['getinstance', 'getorgdefaults', 'getvalues'];
+
+const isStringToken = token => Boolean(token) && token.type === 'string';
+const isEqualityToken = token => token.type === 'punctuator' && ['==', '!=', '<>'].includes(token.value);
+const isCustomName = token => token.type === 'identifier' && /__c$/i.test(token.value);
+const isSettingAccessor = token => token.type === 'identifier' && SETTING_ACCESSORS.includes(token.value.toLowerCase());
+
+/**
+ * Run a matcher at every token index and collect the non-overlapping hits
+ */
+function findAll(tokens, matcher) {
+  const hits = [];
+  for (let index = 0; index < tokens.length; index++) {
+    const hit = matcher(index);
+    if (hit) {
+      hits.push(hit);
+      index = Math.max(index, hit.end);
+    }
+  }
+  return hits;
+}
+
+const isProfileField = mergeField('$Profile.');
+const isPermissionField = mergeField('$Permission.');
+const isUserIdField = mergeField('$User.Id');
+const isOwnerIdField = anyOf(mergeField('OwnerId'), mergeField('Owner.Id'));
+const isRecordTypeField = anyOf(mergeField('RecordType.Name'), mergeField('RecordType.DeveloperName'), mergeField('RecordTypeId'));
+
 class BypassPatternAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {SuppressionList|Object|string} options.suppressions - Accepted findings, or the path of a suppression file
+   */
+  constructor(options = {}) {
+    this.suppressions = SuppressionList.resolve(options.suppressions);
+    this.formulaParser = new FormulaParser();
+    this.apexLexer = new ApexLexer();
+
+    // Validation rule patterns are predicates over formula AST nodes: match(node, ancestors).
+    // `regex` is the fallback for formulas the parser rejects, matched against the raw text.
     this.validationRulePatterns = [
       {
         name: "Profile-based bypass",
-        regex: /\$Profile\.Name\s*=[=!]=|CONTAINS\(\$Profile\.Name/,
+        // Flagged with or without AND/OR/NOT/IF around it: a bare comparison still ties the rule to a profile
+        match: node =>
+          (node.type === 'FunctionCall' && node.name === 'CASE' && isProfileField(node.args[0] || {})) ||
+          isComparison(node, isProfileField, isLiteral) || isValueCheck(node, isProfileField),
+        regex: /\$Profile\.\w+\s*(?:==?|!=|<>)|(?:CASE|CONTAINS|ISPICKVAL)\s*\(\s*\$Profile\.\w+/gi,
         severity: "Medium",
         description: "Using Profile.Name to bypass validation rules creates maintenance challenges when profiles change and makes rules difficult to manage at scale.",
         recommendedApproach: "Use custom permissions instead, which are more maintainable and explicit."
       },
       {
         name: "Custom permission bypass",
-        regex: /NOT\(\$Permission\.[^)]+\)/,
+        match: node =>
+          (node.type === 'FunctionCall' && node.name === 'NOT' && node.args.length === 1 && isPermissionField(node.args[0])) ||
+          (node.type === 'UnaryExpression' && node.operator === '!' && isPermissionField(node.argument)) ||
+          isComparison(node, isPermissionField, n => n.type === 'Literal' && n.value === false, ['=', '==']),
+        regex: /NOT\s*\(\s*\$Permission\.\w+\s*\)|!\s*\$Permission\.\w+|\$Permission\.\w+\s*==?\s*FALSE\b/gi,
         severity: "Low",
         description: "Using NOT with permissions is generally acceptable but should be documented and consistently implemented.",
         recommendedApproach: "Ensure permission names are consistently structured with prefixes like 'Bypass_' for clarity."
       },
       {
         name: "User ID bypass",
-        regex: /\$User\.Id\s*=[=!]=|CONTAINS\(\$User\.Id/,
+        match: node => isComparison(node, isUserIdField, isLiteral) || isValueCheck(node, isUserIdField),
+        regex: /\$User\.Id\s*(?:==?|!=|<>)\s*['"]|['"]\s*(?:==?|!=|<>)\s*\$User\.Id\b|CONTAINS\s*\(\s*\$User\.Id\b/gi,
         severity: "High",
         description: "Hardcoding specific User IDs creates significant maintenance issues and security risks.",
         recommendedApproach: "Use permission sets, custom permissions, or roles instead of specific User IDs."
       },
       {
         name: "Record Type bypass",
-        regex: /RecordType\.Name\s*!=|RecordType\.Name\s*<>/,
+        match: (node, ancestors) =>
+          isComparison(node, isRecordTypeField, isLiteral, INEQUALITY_OPERATORS) ||
+          (isComparison(node, isRecordTypeField, isLiteral, ['=', '==']) &&
+            ancestors.length > 0 && ancestors[ancestors.length - 1].type === 'FunctionCall' &&
+            ancestors[ancestors.length - 1].name === 'NOT'),
+        regex: /RecordType(?:\.Name|\.DeveloperName|Id)\s*(?:!=|<>)/gi,
         severity: "Medium",
         description: "Explicitly excluding certain record types can create maintenance challenges.",
         recommendedApproach: "Use explicit inclusion rather than exclusion when possible."
       },
       {
         name: "Owner ID bypass",
-        regex: /OwnerId\s*=[=!]=\s*\$User\.Id/,
+        match: node => isComparison(node, isOwnerIdField, isUserIdField),
+        regex: /\b(?:OwnerId|Owner\.Id)\s*(?:==?|!=|<>)\s*\$User\.Id\b|\$User\.Id\s*(?:==?|!=|<>)\s*(?:OwnerId|Owner\.Id)\b/gi,
         severity: "Medium",
         description: "Bypassing validation for record owners may create inconsistent data validation.",
         recommendedApproach: "Consider permission-based approaches that don't depend on record ownership."
       }
     ];
 
+    // Apex trigger patterns match on lexer tokens: match(tokens, lexer) returns the
+    // { start, end } token ranges of every hit
     this.apexTriggerPatterns = [
       {
         name: "Feature management permission check",
-        regex: /FeatureManagement\.checkPermission\s*\(\s*['"]([^'"]+)['"]\s*\)/,
+        match: (tokens, lexer) => findAll(tokens, index => {
+          const end = lexer.matchSequence(tokens, index, ['FeatureManagement', '.', 'checkPermission', '(', isStringToken, ')']);
+          return end === -1 ? null : { start: index, end };
+        }),
         severity: "Low",
         description: "Using FeatureManagement to check permissions is recommended, but should be implemented consistently.",
         recommendedApproach: "Use a consistent pattern like return !FeatureManagement.checkPermission('Bypass_Trigger');"
       },
       {
         name: "Custom setting bypass",
-        regex: /([A-Za-z0-9_]+__c)\.([A-Za-z0-9_]+__c)/,
+        match: (tokens, lexer) => findAll(tokens, index => {
+          // Setting__c.Field__c
+          const direct = lexer.matchSequence(tokens, index, [isCustomName, '.', isCustomName]);
+          if (direct !== -1) {
+            return { start: index, end: direct };
+          }
+          // Setting__c.getInstance(...).Field__c
+          const call = lexer.matchSequence(tokens, index, [isCustomName, '.', isSettingAccessor, '(']);
+          if (call === -1) {
+            return null;
+          }
+          const close = lexer.findClosingParen(tokens, call);
+          const end = close === -1 ? -1 : lexer.matchSequence(tokens, close + 1, ['.', isCustomName]);
+          return end === -1 ? null : { start: index, end };
+        }),
         severity: "Medium",
         description: "Using custom settings to control trigger execution can create maintenance challenges.",
         recommendedApproach: "Document the custom setting usage and ensure consistent implementation."
       },
       {
         name: "Hardcoded User ID check",
-        regex: /Id\s*==\s*['"]005[A-Za-z0-9]{12,15}['"]/,
+        match: tokens => findAll(tokens, index =>
+          isStringToken(tokens[index]) && USER_ID_LITERAL.test(tokens[index].value) ? { start: index, end: index } : null),
         severity: "High",
         description: "Hardcoding User IDs creates significant maintenance issues and security risks.",
         recommendedApproach: "Use permission sets, custom permissions, or roles instead of specific User IDs."
       },
       {
         name: "Profile name check",
-        regex: /profile\.name\s*==\s*['"]|userinfo\.getprofileid\(\)\s*==\s*['"]/i,
+        match: (tokens, lexer) => findAll(tokens, index => {
+          const profileAccess = [['Profile', '.', 'Name'], ['UserInfo', '.', 'getProfileId', '(', ')']];
+          for (const sequence of profileAccess) {
+            const end = lexer.matchSequence(tokens, index, sequence);
+            if (end === -1) {
+              continue;
+            }
+            // <profile access> == 'literal'
+            if (lexer.matchSequence(tokens, end + 1, [isEqualityToken, isStringToken]) !== -1) {
+              return { start: index, end: end + 2 };
+            }
+            // 'literal' == <profile access>, allowing a qualifier such as user.Profile.Name
+            let chainStart = index;
+            while (chainStart >= 2 && lexer.isPunctuator(tokens[chainStart - 1], '.') && tokens[chainStart - 2].type === 'identifier') {
+              chainStart -= 2;
+            }
+            if (chainStart >= 2 && lexer.matchSequence(tokens, chainStart - 2, [isStringToken, isEqualityToken]) !== -1) {
+              return { start: chainStart - 2, end };
+            }
+          }
+          return null;
+        }),
         severity: "Medium",
         description: "Using profile names or IDs to bypass logic creates maintenance challenges.",
         recommendedApproach: "Use custom permissions instead of relying on profiles."
@@ -77,7 +231,7 @@ class BypassPatternAnalyzer {
     this.flowPatterns = [
       {
         name: "Permission-based bypass",
-        locationPattern: /Start|Decision/,
+        locationPattern: /Start|Decision|Formula/,
         conditionPattern: /\$Permission\./,
         severity: "Low",
         description: "Using permissions to control flow execution is a recommended pattern when implemented consistently.",
@@ -85,7 +239,7 @@ class BypassPatternAnalyzer {
       },
       {
         name: "Profile-based bypass",
-        locationPattern: /Start|Decision/,
+        locationPattern: /Start|Decision|Formula/,
         conditionPattern: /\$Profile\./,
         severity: "Medium",
         description: "Using profiles to control flow execution creates maintenance challenges.",
@@ -93,7 +247,7 @@ class BypassPatternAnalyzer {
       },
       {
         name: "User ID bypass",
-        locationPattern: /Start|Decision/,
+        locationPattern: /Start|Decision|Formula/,
         conditionPattern: /\$User\.Id/,
         severity: "High",
         description: "Hardcoding User IDs creates significant maintenance issues and security risks.",
@@ -121,7 +275,10 @@ class BypassPatternAnalyzer {
         Low: []
       },
       totalRules: validationRules.length,
-      rulesWithBypass: 0
+      rulesWithBypass: 0,
+      unparsedRules: [],
+      suppressed: [],
+      expiredSuppressions: []
     };
 
     // Initialize pattern tracking
@@ -133,28 +290,55 @@ class BypassPatternAnalyzer {
     validationRules.forEach(rule => {
       const apiName = rule.apiName || rule.fullName || '';
       const formula = rule.errorConditionFormula || rule.formula || '';
-      const foundPatterns = [];
+      let foundPatterns = [];
 
-      // Check for each bypass pattern
+      let ast = null;
+      try {
+        ast = this.formulaParser.parse(formula);
+      } catch (error) {
+        if (!(error instanceof FormulaParseError)) {
+          throw error;
+        }
+        // Still checked below, with the patterns' regexes, so the rule counts toward the score
+        results.unparsedRules.push({ apiName, error: error.message });
+      }
+
+      // Check for each bypass pattern against every node of the formula
       this.validationRulePatterns.forEach(pattern => {
-        if (pattern.regex.test(formula)) {
+        const ranges = ast ? this.matchFormulaNodes(ast, pattern) : this.matchFormulaText(formula, pattern);
+        const locations = ranges.map(({ start, end }) => buildLocation({
+          filePath: rule.filePath,
+          text: formula,
+          start,
+          end,
+          base: rule.formulaPosition
+        }));
+
+        if (locations.length > 0) {
           foundPatterns.push({
             name: pattern.name,
             severity: pattern.severity,
             description: pattern.description,
-            recommendedApproach: pattern.recommendedApproach
+            recommendedApproach: pattern.recommendedApproach,
+            locations
           });
-          results.rulesByPattern[pattern.name].push(apiName);
         }
       });
 
+      foundPatterns = this.applySuppressions('validationRules', {
+        name: apiName, objectName: rule.objectName || null, filePath: rule.filePath || null
+      }, foundPatterns, results);
+      foundPatterns.forEach(pattern => results.rulesByPattern[pattern.name].push(apiName));
+
       // If patterns were found, add to results
       if (foundPatterns.length > 0) {
         const highestSeverity = this.determineHighestSeverity(foundPatterns);
         const ruleWithPatterns = {
           apiName,
-          active: rule.active || false,
-          description: rule.description || '',
+          objectName: rule.objectName || null,
+          filePath: rule.filePath || null,
+          active: metadataFlag(rule.active),
+          description: metadataText(rule.description),
           patterns: foundPatterns,
           highestSeverity
         };
@@ -166,12 +350,43 @@ class BypassPatternAnalyzer {
     });
 
     // Calculate percentage of rules with bypass patterns
-    results.bypassPercentage = Math.round((results.rulesWithBypass / results.totalRules) * 100);
+    results.bypassPercentage = results.totalRules > 0 ?
+      Math.round((results.rulesWithBypass / results.totalRules) * 100) : 0;
     
     // Calculate security score (0-100)
     results.securityScore = this.calculateSecurityScore(results);
 
-    return results;
+    return SchemaValidator.shared().assertValid('validation-rule-results', results);
+  }
+
+  /**
+   * Find the formula nodes a validation rule pattern matches
+   * @param {Object} ast - Parsed formula
+   * @param {Object} pattern - Validation rule pattern
+   * @returns {Array} { start, end } positions of the matching nodes
+   */
+  matchFormulaNodes(ast, pattern) {
+    const ranges = [];
+    this.formulaParser.walk(ast, (node, ancestors) => {
+      if (pattern.match(node, ancestors)) {
+        ranges.push({ start: node.start, end: node.end });
+      }
+    });
+    return ranges;
+  }
+
+  /**
+   * Find a validation rule pattern's regex matches in a formula the parser rejected
+   * @param {string} formula - Formula text
+   * @param {Object} pattern - Validation rule pattern
+   * @returns {Array} { start, end } positions of the matches
+   */
+  matchFormulaText(formula, pattern) {
+    const at = offset => Object.assign({ offset }, positionAt(formula, offset));
+    return Array.from(formula.matchAll(pattern.regex), match => ({
+      start: at(match.index),
+      end: at(match.index + match[0].length)
+    }));
   }
 
   /**
@@ -193,7 +408,9 @@ class BypassPatternAnalyzer {
         Low: []
       },
       totalTriggers: triggers.length,
-      triggersWithBypass: 0
+      triggersWithBypass: 0,
+      suppressed: [],
+      expiredSuppressions: []
     };
 
     // Initialize pattern tracking
@@ -205,27 +422,46 @@ class BypassPatternAnalyzer {
     triggers.forEach(trigger => {
       const name = trigger.name || '';
       const code = trigger.content || trigger.code || '';
-      const foundPatterns = [];
+      const tokens = this.apexLexer.tokenize(code);
+      const guards = this.apexLexer.findIfGuards(tokens);
+      let foundPatterns = [];
 
       // Check for each bypass pattern
       this.apexTriggerPatterns.forEach(pattern => {
-        if (pattern.regex.test(code)) {
+        const locations = pattern.match(tokens, this.apexLexer).map(hit => Object.assign(
+          buildLocation({
+            filePath: trigger.filePath,
+            text: code,
+            start: tokens[hit.start],
+            end: { line: tokens[hit.end].endLine, column: tokens[hit.end].endColumn }
+          }),
+          { inIfGuard: guards.some(guard => hit.start > guard.start && hit.end < guard.end) }
+        ));
+
+        if (locations.length > 0) {
           foundPatterns.push({
             name: pattern.name,
             severity: pattern.severity,
             description: pattern.description,
-            recommendedApproach: pattern.recommendedApproach
+            recommendedApproach: pattern.recommendedApproach,
+            locations
           });
-          results.triggersByPattern[pattern.name].push(name);
         }
       });
 
+      foundPatterns = this.applySuppressions('triggers', {
+        name, objectName: trigger.objectName || null, filePath: trigger.filePath || null
+      }, foundPatterns, results);
+      foundPatterns.forEach(pattern => results.triggersByPattern[pattern.name].push(name));
+
       // If patterns were found, add to results
       if (foundPatterns.length > 0) {
         const highestSeverity = this.determineHighestSeverity(foundPatterns);
         const triggerWithPatterns = {
           name,
-          active: trigger.active || false,
+          objectName: trigger.objectName || null,
+          filePath: trigger.filePath || null,
+          active: metadataFlag(trigger.active),
           patterns: foundPatterns,
           highestSeverity
         };
@@ -237,12 +473,211 @@ class BypassPatternAnalyzer {
     });
 
     // Calculate percentage of triggers with bypass patterns
-    results.bypassPercentage = Math.round((results.triggersWithBypass / results.totalTriggers) * 100);
+    results.bypassPercentage = results.totalTriggers > 0 ?
+      Math.round((results.triggersWithBypass / results.totalTriggers) * 100) : 0;
     
     // Calculate security score (0-100)
     results.securityScore = this.calculateSecurityScore(results, 'trigger');
 
-    return results;
+    return SchemaValidator.shared().assertValid('trigger-results', results);
+  }
+
+  /**
+   * Analyze Flows for bypass patterns
+   * @param {Array} flows - Array of Flow metadata objects (see scripts/ncino-metadata-extractor.js)
+   * @returns {Object} Analysis results
+   */
+  analyzeFlows(flows) {
+    if (!flows || !Array.isArray(flows)) {
+      throw new Error('Flow data must be provided as an array');
+    }
+
+    const results = {
+      bypassPatterns: [],
+      flowsByPattern: {},
+      flowsBySeverity: {
+        High: [],
+        Medium: [],
+        Low: []
+      },
+      totalFlows: flows.length,
+      flowsWithBypass: 0,
+      suppressed: [],
+      expiredSuppressions: []
+    };
+
+    // Initialize pattern tracking
+    this.flowPatterns.forEach(pattern => {
+      results.flowsByPattern[pattern.name] = [];
+    });
+
+    // Analyze each flow
+    flows.forEach(flow => {
+      const apiName = flow.apiName || flow.fullName || '';
+      const locations = this.collectFlowConditions(flow);
+      let foundPatterns = [];
+
+      // Check for each bypass pattern, remembering which elements matched
+      this.flowPatterns.forEach(pattern => {
+        const matchedLocations = locations
+          .filter(location => pattern.locationPattern.test(location.type) &&
+            location.conditions.some(condition => pattern.conditionPattern.test(condition)));
+
+        if (matchedLocations.length > 0) {
+          foundPatterns.push({
+            name: pattern.name,
+            severity: pattern.severity,
+            description: pattern.description,
+            recommendedApproach: pattern.recommendedApproach,
+            elements: [...new Set(matchedLocations.map(location => `${location.type}: ${location.name}`))],
+            locations: matchedLocations.map(location => ({
+              filePath: flow.filePath || null,
+              // The span of the element's name (of the <start> tag for a start element)
+              startLine: location.line || null,
+              startColumn: location.column || null,
+              endLine: location.line || null,
+              endColumn: location.endColumn || null,
+              excerpt: location.conditions.filter(condition => pattern.conditionPattern.test(condition)).join('\n'),
+              element: `${location.type}: ${location.name}`
+            }))
+          });
+        }
+      });
+
+      foundPatterns = this.applySuppressions('flows', {
+        name: apiName, objectName: flow.objectName || null, filePath: flow.filePath || null
+      }, foundPatterns, results);
+      foundPatterns.forEach(pattern => results.flowsByPattern[pattern.name].push(apiName));
+
+      // If patterns were found, add to results
+      if (foundPatterns.length > 0) {
+        const highestSeverity = this.determineHighestSeverity(foundPatterns);
+        const flowWithPatterns = {
+          apiName,
+          objectName: flow.objectName || null,
+          filePath: flow.filePath || null,
+          active: flow.status === 'Active' || metadataFlag(flow.active),
+          processType: metadataText(flow.processType),
+          patterns: foundPatterns,
+          highestSeverity
+        };
+
+        results.bypassPatterns.push(flowWithPatterns);
+        results.flowsBySeverity[highestSeverity].push(apiName);
+        results.flowsWithBypass++;
+      }
+    });
+
+    // Calculate percentage of flows with bypass patterns
+    results.bypassPercentage = results.totalFlows > 0 ?
+      Math.round((results.flowsWithBypass / results.totalFlows) * 100) : 0;
+
+    // Calculate security score (0-100)
+    results.securityScore = this.calculateSecurityScore(results, 'flow');
+
+    return SchemaValidator.shared().assertValid('flow-results', results);
+  }
+
+  /**
+   * Collect the condition text of every Start, Decision and Formula element in a flow
+   * @param {Object} flow - Flow metadata object
+   * @returns {Array} Locations with their type, name, source line and columns, and condition strings
+   */
+  collectFlowConditions(flow) {
+    const elements = Array.isArray(flow.elements) ? flow.elements : [];
+    const locations = [];
+
+    elements.forEach(element => {
+      const type = element.type || '';
+      const name = element.name || 'Unknown';
+
+      if (type === 'Decision') {
+        // A decision that the flow starts on acts as its entry criteria
+        const locationType = name === flow.startElementReference ? 'Start' : 'Decision';
+        (element.rules || []).forEach(rule => {
+          // A rule is located at its own name, or at its decision's when it has no position
+          const position = rule.line ? rule : element;
+          locations.push({
+            type: locationType,
+            name: `${name}.${rule.name || 'Unknown'}`,
+            line: position.line,
+            column: position.column,
+            endColumn: position.endColumn,
+            conditions: (rule.conditions || []).map(condition => this.describeFlowCondition(condition))
+          });
+        });
+      } else if (type === 'Start') {
+        const conditions = (element.conditions || element.filters || [])
+          .map(condition => this.describeFlowCondition(condition));
+        if (element.filterFormula) {
+          conditions.push(element.filterFormula);
+        }
+        locations.push({ type, name, line: element.line, column: element.column, endColumn: element.endColumn, conditions });
+      } else if (type === 'Formula') {
+        locations.push({
+          type, name, line: element.line, column: element.column, endColumn: element.endColumn,
+          conditions: [element.expression || '']
+        });
+      }
+    });
+
+    return locations;
+  }
+
+  /**
+   * Render a flow condition as "left operator right" text for pattern matching
+   * @param {Object} condition - Flow condition or start filter
+   * @returns {string} Condition text
+   */
+  describeFlowCondition(condition) {
+    const left = condition.leftValueReference || condition.field || '';
+    const right = flowValueToString(condition.rightValue !== undefined ? condition.rightValue : condition.value);
+    return `${left} ${condition.operator || ''} ${right}`.trim();
+  }
+
+  /**
+   * Remove the pattern locations a valid suppression covers, recording them (and any
+   * expired suppressions) in the results. A pattern left without locations is dropped.
+   * @param {string} analysis - Results key: 'validationRules', 'triggers' or 'flows'
+   * @param {Object} component - Component { name, objectName, filePath }
+   * @param {Array} foundPatterns - Patterns found in the component
+   * @param {Object} results - Analysis results being built
+   * @returns {Array} Patterns that still count
+   */
+  applySuppressions(analysis, component, foundPatterns, results) {
+    if (this.suppressions.isEmpty() || foundPatterns.length === 0) {
+      return foundPatterns;
+    }
+
+    const findings = [];
+    foundPatterns.forEach(pattern => {
+      pattern.locations.forEach(location => {
+        findings.push({
+          analysis,
+          component: component.name,
+          objectName: component.objectName,
+          rule: pattern.name,
+          severity: pattern.severity,
+          filePath: location.filePath || component.filePath,
+          location
+        });
+      });
+    });
+    const { kept, suppressed, expired } = this.suppressions.apply(assignFingerprints(findings));
+    results.suppressed.push(...suppressed);
+    results.expiredSuppressions.push(...expired);
+
+    const keptLocations = new Set(kept.map(finding => finding.location));
+    return foundPatterns
+      .map(pattern => {
+        const locations = pattern.locations.filter(location => keptLocations.has(location));
+        const remaining = Object.assign({}, pattern, { locations });
+        if (pattern.elements) {
+          remaining.elements = [...new Set(locations.map(location => location.element))];
+        }
+        return remaining;
+      })
+      .filter(pattern => pattern.locations.length > 0);
   }
 
   /**
@@ -263,7 +698,7 @@ class BypassPatternAnalyzer {
   /**
    * Calculate a security score based on the analysis results
    * @param {Object} results - Analysis results
-   * @param {string} type - Type of component ('validation' or 'trigger')
+   * @param {string} type - Type of component ('validation', 'trigger' or 'flow')
    * @returns {number} Security score (0-100)
    */
   calculateSecurityScore(results, type = 'validation') {
@@ -271,17 +706,18 @@ class BypassPatternAnalyzer {
     let score = 100;
     
     // Determine which results to use based on type
-    const componentsWithBypass = type === 'trigger' ? results.triggersWithBypass : results.rulesWithBypass;
-    const totalComponents = type === 'trigger' ? results.totalTriggers : results.totalRules;
-    const highSeverityComponents = type === 'trigger' ? 
-      results.triggersBySeverity.High.length : 
-      results.rulesBySeverity.High.length;
-    const mediumSeverityComponents = type === 'trigger' ? 
-      results.triggersBySeverity.Medium.length : 
-      results.rulesBySeverity.Medium.length;
+    const keys = {
+      validation: { withBypass: 'rulesWithBypass', total: 'totalRules', bySeverity: 'rulesBySeverity' },
+      trigger: { withBypass: 'triggersWithBypass', total: 'totalTriggers', bySeverity: 'triggersBySeverity' },
+      flow: { withBypass: 'flowsWithBypass', total: 'totalFlows', bySeverity: 'flowsBySeverity' }
+    }[type] || {};
+    const componentsWithBypass = results[keys.withBypass] || 0;
+    const totalComponents = results[keys.total] || 0;
+    const highSeverityComponents = results[keys.bySeverity].High.length;
+    const mediumSeverityComponents = results[keys.bySeverity].Medium.length;
     
     // Deduct for percentage of components with bypass
-    const bypassPercentage = (componentsWithBypass / totalComponents) * 100;
+    const bypassPercentage = totalComponents > 0 ? (componentsWithBypass / totalComponents) * 100 : 0;
     score -= bypassPercentage * 0.3; // Deduct up to 30 points for 100% bypass
     
     // Deduct for high severity issues
@@ -297,7 +733,7 @@ class BypassPatternAnalyzer {
   /**
    * Generate a prioritized list of components to refactor
    * @param {Object} results - Analysis results
-   * @param {string} type - Type of component ('validation' or 'trigger')
+   * @param {string} type - Type of component ('validation', 'trigger' or 'flow')
    * @returns {Array} Prioritized list of components to refactor
    */
   generateRefactoringPriorities(results, type = 'validation') {
@@ -316,7 +752,7 @@ class BypassPatternAnalyzer {
   /**
    * Generate general recommendations based on analysis results
    * @param {Object} results - Analysis results
-   * @param {string} type - Type of component ('validation' or 'trigger')
+   * @param {string} type - Type of component ('validation', 'trigger' or 'flow')
    * @returns {Array} General recommendations
    */
   generateGeneralRecommendations(results, type = 'validation') {
@@ -358,6 +794,18 @@ class BypassPatternAnalyzer {
       recommendations.push(
         "Implement a centralized trigger handler framework with consistent bypass logic"
       );
+    } else if (type === 'flow') {
+      if (results.flowsBySeverity.High.length > 0) {
+        recommendations.push(
+          "Immediately refactor flows with hardcoded User IDs in their entry criteria or decisions"
+        );
+      }
+      
+      if (results.flowsBySeverity.Medium.length > 0) {
+        recommendations.push(
+          "Replace profile checks in flow decisions with custom permission checks"
+        );
+      }
     }
     
     return recommendations;
@@ -0,0 +1,311 @@
+/**
+ * ClaudeFindings.js
+ * Model component for Claude's structured analyses. It writes the output
+ * format section of the naming, validation rule and trigger prompts, parses
+ * the JSON Claude answers with, validates it against the claude-analysis
+ * schema and the rules the local analyzers know, and compares the findings
+ * with the local analyzers' findings.
+ */
+
+const SchemaValidator = require('./SchemaValidator');
+
+// Number of errors listed in a repair prompt or a ClaudeResponseError message
+const MAX_REPORTED_ERRORS = 10;
+
+// Analyses Claude returns structured findings for, with the severities their findings use
+const SEVERITIES = {
+  namingConventions: ['critical', 'medium', 'low'],
+  validationRules: ['High', 'Medium', 'Low'],
+  triggers: ['High', 'Medium', 'Low']
+};
+
+class ClaudeResponseError extends Error {
+  constructor(analysis, errors, text) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+    super(`Claude's ${analysis} response is not valid structured output: ${listed}`);
+    this.name = 'ClaudeResponseError';
+    this.analysis = analysis;
+    this.errors = errors;
+    this.text = text;
+  }
+}
+
+class ClaudeFindings {
+  /**
+   * @param {Object} options - Format options
+   * @param {string} options.analysis - 'namingConventions', 'validationRules' or 'triggers'
+   * @param {Array} options.rules - Rules a finding may name: naming rule ids or bypass pattern names
+   *   ({ name, severity, description })
+   */
+  constructor(options = {}) {
+    if (!SEVERITIES[options.analysis]) {
+      throw new Error(`Unknown structured analysis '${options.analysis}' (available: ${Object.keys(SEVERITIES).join(', ')})`);
+    }
+    this.analysis = options.analysis;
+    this.rules = options.rules || [];
+  }
+
+  /**
+   * Describe the expected JSON for the prompt's output_format section
+   * @returns {string} Output format instructions
+   */
+  toPromptText() {
+    const example = {
+      analysis: this.analysis,
+      summary: 'Two or three sentences on the overall state of these components.',
+      score: 80,
+      findings: [{
+        component: this.analysis === 'triggers' ? 'LoanTrigger' : 'Component_API_Name__c',
+        objectName: this.analysis === 'triggers' ? null : 'LLC_BI__Loan__c',
+        rule: this.rules.length > 0 ? this.rules[0].name : 'rule',
+        severity: SEVERITIES[this.analysis][0],
+        message: 'What is wrong with this component.',
+        recommendation: 'The concrete fix.',
+        line: this.analysis === 'namingConventions' ? null : 1,
+        excerpt: this.analysis === 'namingConventions' ? null : 'The matching code'
+      }],
+      refactoringPriorities: ['Component_API_Name__c'],
+      recommendations: ['A general recommendation.']
+    };
+    const scoreMeaning = this.analysis === 'namingConventions' ?
+      'the percentage of fields that follow the conventions' :
+      'a security score (100 means no bypass patterns)';
+    const ruleLines = this.rules.map(rule =>
+      `- ${rule.name} (${rule.severity})${rule.description ? `: ${rule.description}` : ''}`);
+
+    return [
+      'Respond with a single JSON object and nothing else: no Markdown, no text before or after it.',
+      'It must have this shape:',
+      JSON.stringify(example, null, 2),
+      `"score" is ${scoreMeaning}.`,
+      'Report one finding per component and rule: a component that breaks two rules has two findings.',
+      'Leave out compliant components. Use null for "objectName", "line" and "excerpt" when they don\'t apply.',
+      `"severity" is one of ${SEVERITIES[this.analysis].join(', ')}: the severity of the rule.`,
+      '"rule" must be one of these names, spelled exactly as listed:',
+      ...ruleLines
+    ].join('\n');
+  }
+
+  /**
+   * Parse and validate Claude's answer
+   * @param {string} text - Text of Claude's response
+   * @returns {Object} { valid, data, errors } where data is the parsed analysis
+   *   (schemas/claude-analysis.schema.json) with rule names spelled as listed
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(extractJson(text));
+    } catch (error) {
+      return { valid: false, data: null, errors: [`Response is not a JSON object: ${error.message}`] };
+    }
+
+    const { valid, errors } = SchemaValidator.shared().validate('claude-analysis', data);
+    if (!valid) {
+      return { valid: false, data, errors };
+    }
+
+    const ruleErrors = [];
+    if (data.analysis !== this.analysis) {
+      ruleErrors.push(`/analysis must be "${this.analysis}"`);
+    }
+    if (this.rules.length > 0) {
+      const byName = {};
+      this.rules.forEach(rule => {
+        byName[rule.name.toLowerCase()] = rule.name;
+      });
+      data.findings.forEach((finding, index) => {
+        const name = byName[finding.rule.toLowerCase()];
+        if (name) {
+          finding.rule = name;
+        } else {
+          ruleErrors.push(`/findings/${index}/rule "${finding.rule}" is not one of the listed rules`);
+        }
+      });
+    }
+
+    return { valid: ruleErrors.length === 0, data, errors: ruleErrors };
+  }
+
+  /**
+   * Build the follow-up message asking Claude to correct an invalid answer
+   * @param {Array} errors - Errors from parse()
+   * @returns {string} Repair prompt
+   */
+  repairPrompt(errors) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+      listed.push(`- ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    return [
+      'Your response does not match the required output format:',
+      ...listed,
+      '',
+      'Respond again with the complete, corrected JSON object only. Keep the same findings and fix the errors listed above.'
+    ].join('\n');
+  }
+
+  /**
+   * Merge the analyses of the chunks of one metadata set. Findings are de-duplicated on
+   * component, object and rule (keeping the more severe one), and the score and statistics
+   * are recomputed for the whole set.
+   * @param {Array} parts - Chunk analyses { result, components } where result is the parsed
+   *   analysis (or null when the chunk failed) and components the number of components sent
+   * @returns {Object} Merged analysis with a statistics section
+   */
+  merge(parts) {
+    const severities = SEVERITIES[this.analysis];
+    const rank = severity => severities.indexOf(severity);
+    const done = parts.filter(part => part.result);
+
+    const findings = new Map();
+    done.forEach(part => {
+      part.result.findings.forEach(finding => {
+        const id = `${finding.component}|${finding.objectName || ''}|${finding.rule}`.toLowerCase();
+        const existing = findings.get(id);
+        if (!existing || rank(finding.severity) < rank(existing.severity)) {
+          findings.set(id, finding);
+        }
+      });
+    });
+    const merged = [...findings.values()];
+
+    const components = done.reduce((sum, part) => sum + part.components, 0);
+    const componentsWithFindings = new Set(merged.map(finding => `${finding.objectName || ''}|${finding.component}`.toLowerCase())).size;
+    let score;
+    if (this.analysis === 'namingConventions') {
+      // Compliance is the share of fields without findings, which the merged findings give exactly
+      score = components > 0 ? Math.round(((components - componentsWithFindings) / components) * 100) : 100;
+    } else {
+      // Security scores can't be derived from findings alone, so weight each chunk's score by its size
+      score = components > 0 ?
+        Math.round(done.reduce((sum, part) => sum + part.result.score * part.components, 0) / components) : 100;
+    }
+
+    const findingsBySeverity = {};
+    severities.forEach(severity => {
+      findingsBySeverity[severity] = merged.filter(finding => finding.severity === severity).length;
+    });
+
+    // Highest severity of each component's findings, to order the refactoring priorities
+    const componentRank = {};
+    merged.forEach(finding => {
+      const name = finding.component.toLowerCase();
+      componentRank[name] = Math.min(name in componentRank ? componentRank[name] : severities.length, rank(finding.severity));
+    });
+    const order = name => {
+      const value = componentRank[name.toLowerCase()];
+      return value === undefined ? severities.length : value;
+    };
+    const priorities = unique([].concat(...done.map(part => part.result.refactoringPriorities || [])))
+      .sort((a, b) => order(a) - order(b));
+
+    const summaries = done.map(part => part.result.summary).filter(Boolean);
+    return SchemaValidator.shared().assertValid('claude-analysis', {
+      analysis: this.analysis,
+      summary: done.length > 1 ? `Analyzed ${components} components in ${done.length} chunks. ${summaries.join(' ')}` : (summaries[0] || ''),
+      score,
+      findings: merged,
+      refactoringPriorities: priorities,
+      recommendations: unique([].concat(...done.map(part => part.result.recommendations))),
+      statistics: {
+        components,
+        componentsWithFindings,
+        findingsBySeverity,
+        chunks: parts.length,
+        failedChunks: parts.length - done.length,
+        skippedComponents: parts.filter(part => !part.result).reduce((sum, part) => sum + part.components, 0)
+      }
+    });
+  }
+
+  /**
+   * Compare Claude's findings with the local analyzers' findings of the same analysis.
+   * Findings match on component and rule, case-insensitively; the local analyzers report a
+   * bypass pattern once per location, so their findings are counted once per component and rule.
+   * @param {Object} data - Parsed analysis from parse()
+   * @param {Array} localFindings - Findings from BaselineComparator.collectFindings()
+   * @param {number|null} localScore - Compliance percentage or security score of the local analysis
+   * @returns {Object} { analysis, claudeScore, localScore, matched, claudeOnly, localOnly } where
+   *   matched are { component, rule, claudeSeverity, localSeverity } and the others are { component, rule, severity }
+   */
+  compare(data, localFindings, localScore = null) {
+    const key = finding => `${finding.component}|${finding.rule}`.toLowerCase();
+
+    const local = {};
+    localFindings.filter(finding => finding.analysis === this.analysis).forEach(finding => {
+      local[key(finding)] = local[key(finding)] || finding;
+    });
+
+    const comparison = {
+      analysis: this.analysis,
+      claudeScore: data.score,
+      localScore,
+      matched: [],
+      claudeOnly: [],
+      localOnly: []
+    };
+
+    const seen = new Set();
+    data.findings.forEach(finding => {
+      const id = key(finding);
+      if (seen.has(id)) {
+        return;
+      }
+      seen.add(id);
+      if (local[id]) {
+        comparison.matched.push({
+          component: local[id].component,
+          rule: local[id].rule,
+          claudeSeverity: finding.severity,
+          localSeverity: local[id].severity
+        });
+      } else {
+        comparison.claudeOnly.push({ component: finding.component, rule: finding.rule, severity: finding.severity });
+      }
+    });
+    Object.keys(local).filter(id => !seen.has(id)).forEach(id => {
+      comparison.localOnly.push({ component: local[id].component, rule: local[id].rule, severity: local[id].severity });
+    });
+
+    return comparison;
+  }
+}
+
+/**
+ * Remove repeated strings, comparing them case-insensitively and ignoring surrounding whitespace
+ * @param {Array} values - Strings
+ * @returns {Array} First occurrence of each string, in order
+ */
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.trim().toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get the JSON object out of a response: the whole text, a fenced code block,
+ * or the span from the first '{' to the last '}'
+ * @param {string} text - Response text
+ * @returns {string} JSON text
+ */
+function extractJson(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+  if (fenced) {
+    return fenced[1];
+  }
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  return start >= 0 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+}
+
+module.exports = ClaudeFindings;
+module.exports.ClaudeResponseError = ClaudeResponseError;
+module.exports.extractJson = extractJson;
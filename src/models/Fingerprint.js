@@ -0,0 +1,52 @@
+/**
+ * Fingerprint.js
+ * Stable identities for findings: a short hash of the analysis, component,
+ * rule and normalized location. Baselines match findings between runs by
+ * fingerprint, and suppressions can pin an accepted finding to one.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Normalize a finding's location for fingerprinting: the file path with forward slashes
+ * plus the whitespace-collapsed excerpt (or flow element). Line and column numbers are
+ * left out, so edits elsewhere in the file don't change the fingerprint.
+ * @param {Object} finding - Finding { filePath, location }
+ * @returns {string} Normalized location
+ */
+function normalizeLocation(finding) {
+  const location = finding.location || {};
+  const filePath = (finding.filePath || '').replace(/\\/g, '/');
+  const text = (location.element || location.excerpt || '').replace(/\s+/g, ' ').trim();
+  return `${filePath}#${text}`;
+}
+
+/**
+ * Hash a finding key into a short, stable fingerprint
+ * @param {string} key - Finding key
+ * @returns {string} 16 hex characters
+ */
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Add a fingerprint to each finding. Identical findings (e.g. the same check twice in
+ * one trigger) get an occurrence number, so each keeps an identity of its own.
+ * @param {Array} findings - Findings { analysis, component, rule, filePath, location }
+ * @returns {Array} Copies of the findings with a leading fingerprint property
+ */
+function assignFingerprints(findings) {
+  const seen = {};
+  return findings.map(finding => {
+    const key = [finding.analysis, finding.component, finding.rule, normalizeLocation(finding)].join('|');
+    seen[key] = (seen[key] || 0) + 1;
+    return Object.assign({ fingerprint: fingerprint(seen[key] > 1 ? `${key}|${seen[key]}` : key) }, finding);
+  });
+}
+
+module.exports = {
+  normalizeLocation,
+  fingerprint,
+  assignFingerprints
+};
@@ -0,0 +1,267 @@
+/**
+ * FormulaParser.js
+ * Model component for tokenizing and parsing Salesforce formula expressions
+ * (validation rule error conditions, formula fields and flow formula resources)
+ */
+
+const OPERATORS = ['&&', '||', '==', '!=', '<>', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '^', '&', '!'];
+
+// Binary operator precedence, lowest first
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['=', '==', '!=', '<>', '<', '>', '<=', '>='],
+  ['+', '-', '&'],
+  ['*', '/'],
+  ['^']
+];
+
+const KEYWORD_LITERALS = {
+  TRUE: { valueType: 'boolean', value: true },
+  FALSE: { valueType: 'boolean', value: false },
+  NULL: { valueType: 'null', value: null }
+};
+
+class FormulaParseError extends Error {
+  constructor(message, position) {
+    super(position ? `${message} (line ${position.line}, column ${position.column})` : message);
+    this.name = 'FormulaParseError';
+    this.position = position || null;
+  }
+}
+
+class FormulaParser {
+  /**
+   * Split a formula into tokens, dropping whitespace and comments
+   * @param {string} formula - Formula source text
+   * @returns {Array} Tokens with type, value and start/end positions
+   */
+  tokenize(formula) {
+    const source = formula || '';
+    const tokens = [];
+    let offset = 0;
+    let line = 1;
+    let column = 1;
+
+    const position = () => ({ offset, line, column });
+    const advance = count => {
+      for (let i = 0; i < count; i++) {
+        if (source[offset] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        offset++;
+      }
+    };
+
+    while (offset < source.length) {
+      const char = source[offset];
+      const start = position();
+
+      // Whitespace, including newlines between arguments
+      if (/\s/.test(char)) {
+        advance(1);
+        continue;
+      }
+
+      // Block comments
+      if (source.startsWith('/*', offset)) {
+        const close = source.indexOf('*/', offset + 2);
+        if (close === -1) {
+          throw new FormulaParseError('Unterminated comment', start);
+        }
+        advance(close + 2 - offset);
+        continue;
+      }
+
+      // String literals, single or double quoted, with backslash escapes
+      if (char === '\'' || char === '"') {
+        let value = '';
+        advance(1);
+        while (offset < source.length && source[offset] !== char) {
+          if (source[offset] === '\\' && offset + 1 < source.length) {
+            advance(1);
+          }
+          value += source[offset];
+          advance(1);
+        }
+        if (offset >= source.length) {
+          throw new FormulaParseError('Unterminated string literal', start);
+        }
+        advance(1);
+        tokens.push({ type: 'string', value, start, end: position() });
+        continue;
+      }
+
+      // Numbers
+      const numberMatch = /^(\d+(\.\d+)?|\.\d+)/.exec(source.slice(offset));
+      if (numberMatch) {
+        advance(numberMatch[0].length);
+        tokens.push({ type: 'number', value: numberMatch[0], start, end: position() });
+        continue;
+      }
+
+      // Identifiers: functions, fields, relationships and $ merge fields
+      const identifierMatch = /^[A-Za-z_$][A-Za-z0-9_]*(\.[A-Za-z_$][A-Za-z0-9_]*)*/.exec(source.slice(offset));
+      if (identifierMatch) {
+        advance(identifierMatch[0].length);
+        tokens.push({ type: 'identifier', value: identifierMatch[0], start, end: position() });
+        continue;
+      }
+
+      // Punctuation
+      if (char === '(' || char === ')' || char === ',') {
+        advance(1);
+        tokens.push({ type: char === ',' ? 'comma' : 'paren', value: char, start, end: position() });
+        continue;
+      }
+
+      // Operators, longest match first
+      const operator = OPERATORS.find(op => source.startsWith(op, offset));
+      if (operator) {
+        advance(operator.length);
+        tokens.push({ type: 'operator', value: operator, start, end: position() });
+        continue;
+      }
+
+      throw new FormulaParseError(`Unexpected character '${char}'`, start);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a formula into an abstract syntax tree
+   * @param {string} formula - Formula source text
+   * @returns {Object} Root AST node, or null for an empty formula
+   */
+  parse(formula) {
+    const tokens = this.tokenize(formula);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (type, value) => {
+      const token = next();
+      if (!token || token.type !== type || (value && token.value !== value)) {
+        const found = token ? `'${token.value}'` : 'end of formula';
+        throw new FormulaParseError(`Expected '${value || type}' but found ${found}`, token ? token.start : null);
+      }
+      return token;
+    };
+
+    const parseBinary = level => {
+      if (level >= PRECEDENCE.length) {
+        return parseUnary();
+      }
+      let left = parseBinary(level + 1);
+      while (peek() && peek().type === 'operator' && PRECEDENCE[level].includes(peek().value)) {
+        const operator = next().value;
+        const right = parseBinary(level + 1);
+        left = { type: 'BinaryExpression', operator, left, right, start: left.start, end: right.end };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (token && token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+        next();
+        const argument = parseUnary();
+        return { type: 'UnaryExpression', operator: token.value, argument, start: token.start, end: argument.end };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new FormulaParseError('Unexpected end of formula');
+      }
+
+      if (token.type === 'string') {
+        return { type: 'Literal', valueType: 'string', value: token.value, start: token.start, end: token.end };
+      }
+
+      if (token.type === 'number') {
+        return { type: 'Literal', valueType: 'number', value: Number(token.value), start: token.start, end: token.end };
+      }
+
+      if (token.type === 'paren' && token.value === '(') {
+        const expression = parseBinary(0);
+        const close = expect('paren', ')');
+        return Object.assign({}, expression, { start: token.start, end: close.end });
+      }
+
+      if (token.type === 'identifier') {
+        // Function call
+        if (peek() && peek().type === 'paren' && peek().value === '(') {
+          next();
+          const args = [];
+          if (!(peek() && peek().type === 'paren' && peek().value === ')')) {
+            args.push(parseBinary(0));
+            while (peek() && peek().type === 'comma') {
+              next();
+              args.push(parseBinary(0));
+            }
+          }
+          const close = expect('paren', ')');
+          return { type: 'FunctionCall', name: token.value.toUpperCase(), args, start: token.start, end: close.end };
+        }
+
+        const keyword = KEYWORD_LITERALS[token.value.toUpperCase()];
+        if (keyword) {
+          return Object.assign({ type: 'Literal' }, keyword, { start: token.start, end: token.end });
+        }
+
+        return {
+          type: 'MergeField',
+          name: token.value,
+          path: token.value.split('.'),
+          global: token.value.startsWith('$'),
+          start: token.start,
+          end: token.end
+        };
+      }
+
+      throw new FormulaParseError(`Unexpected '${token.value}'`, token.start);
+    };
+
+    const ast = parseBinary(0);
+    if (index < tokens.length) {
+      throw new FormulaParseError(`Unexpected '${tokens[index].value}'`, tokens[index].start);
+    }
+    return ast;
+  }
+
+  /**
+   * Visit every node of an AST depth-first
+   * @param {Object} node - Root node
+   * @param {Function} visitor - Called with (node, ancestors), ancestors ordered root first
+   * @param {Array} ancestors - Ancestors of the root node (used internally)
+   */
+  walk(node, visitor, ancestors = []) {
+    if (!node) {
+      return;
+    }
+    visitor(node, ancestors);
+
+    const path = ancestors.concat(node);
+    if (node.type === 'FunctionCall') {
+      node.args.forEach(arg => this.walk(arg, visitor, path));
+    } else if (node.type === 'BinaryExpression') {
+      this.walk(node.left, visitor, path);
+      this.walk(node.right, visitor, path);
+    } else if (node.type === 'UnaryExpression') {
+      this.walk(node.argument, visitor, path);
+    }
+  }
+}
+
+module.exports = FormulaParser;
+module.exports.FormulaParseError = FormulaParseError;
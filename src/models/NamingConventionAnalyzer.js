@@ -3,41 +3,24 @@
  * Model component for analyzing Salesforce field naming conventions
  */
 
-class NamingConventionAnalyzer {
-  constructor() {
-    this.conventionRules = [
-      {
-        pattern: /^LLC_BI__/,
-        description: "Managed package fields from nCino",
-        expected: true
-      },
-      {
-        pattern: /^nc_/,
-        description: "Custom project-specific fields",
-        expected: true
-      },
-      {
-        pattern: /^[a-z]/,
-        description: "Fields should not start with lowercase letters",
-        expected: false
-      }
-    ];
+const { buildLocation } = require('./SourceLocation');
+const RulePack = require('./RulePack');
+const SchemaValidator = require('./SchemaValidator');
+const SuppressionList = require('./SuppressionList');
+const { assignFingerprints } = require('./Fingerprint');
+const { metadataText } = require('./TextUtils');
 
-    this.loanObjectConventions = {
-      standardPatterns: [
-        /^LLC_BI__Loan__c$/,
-        /^LLC_BI__.*__c$/
-      ],
-      customPatterns: [
-        /^nc_Loan_.*__c$/,
-        /^nc_.*__c$/
-      ],
-      invalidPatterns: [
-        /^Loan_/,
-        /^loan_/,
-        /__X$/
-      ]
-    };
+const SEVERITY_ORDER = ['critical', 'medium', 'low'];
+
+class NamingConventionAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {RulePack|Object|string} options.rulePack - Rule pack, pack definition, pack name or path (default: ncino-default)
+   * @param {SuppressionList|Object|string} options.suppressions - Accepted findings, or the path of a suppression file
+   */
+  constructor(options = {}) {
+    this.rulePack = RulePack.resolve(options.rulePack);
+    this.suppressions = SuppressionList.resolve(options.suppressions);
   }
 
   /**
@@ -51,6 +34,7 @@ class NamingConventionAnalyzer {
     }
 
     const results = {
+      rulePack: this.rulePack.name,
       violations: [],
       compliantFieldCount: 0,
       totalFieldCount: fields.length,
@@ -58,54 +42,50 @@ class NamingConventionAnalyzer {
         critical: [],
         medium: [],
         low: []
-      }
+      },
+      suppressed: [],
+      expiredSuppressions: []
     };
 
     // Analyze each field
     fields.forEach(field => {
       const apiName = field.apiName || field.fullName || '';
-      const violations = [];
+      let violations = [];
 
-      // Check against convention rules
-      this.conventionRules.forEach(rule => {
-        const matches = rule.pattern.test(apiName);
-        if ((rule.expected && !matches) || (!rule.expected && matches)) {
-          violations.push({
-            rule: rule.description,
-            pattern: rule.pattern.toString(),
-            expected: rule.expected
-          });
+      // Check against the rule pack's rules for this field's object. A rule is violated
+      // when its requirements (required / anyOf / allOf) don't hold or a forbidden condition does.
+      const subject = { apiName, objectName: field.objectName || '' };
+      this.rulePack.rulesFor(field.objectName).forEach(rule => {
+        if (rule.when && !this.rulePack.evaluate(rule.when, subject)) {
+          return;
         }
-      });
-
-      // Check against Loan object specific patterns
-      if (apiName.includes('Loan') || apiName.includes('loan')) {
-        // Check if it's not following standard patterns
-        const isStandard = this.loanObjectConventions.standardPatterns.some(pattern => pattern.test(apiName));
-        const isCustom = this.loanObjectConventions.customPatterns.some(pattern => pattern.test(apiName));
-        const hasInvalidPattern = this.loanObjectConventions.invalidPatterns.some(pattern => pattern.test(apiName));
-
-        if (!isStandard && !isCustom && apiName.includes('Loan')) {
+        const missing = rule.required && !this.rulePack.evaluate(rule.required, subject);
+        const forbidden = rule.forbidden && this.rulePack.evaluate(rule.forbidden, subject);
+        if (missing || forbidden) {
           violations.push({
-            rule: "Loan-related fields must follow standard or custom patterns",
-            severity: "critical"
+            rule: rule.message,
+            ruleId: rule.id,
+            pattern: missing ?
+              this.rulePack.describe(rule.required) :
+              this.rulePack.describeMatch(rule.forbidden, subject),
+            expected: Boolean(missing),
+            severity: rule.severity
           });
         }
+      });
 
-        if (hasInvalidPattern) {
-          violations.push({
-            rule: "Field uses an invalid naming pattern",
-            severity: "critical"
-          });
-        }
-      }
+      // Suppressed violations don't count; a field whose violations are all suppressed is compliant
+      const location = this.locateField(field, apiName);
+      violations = this.applySuppressions(apiName, field.objectName || null, location, violations, results);
 
       // If violations were found, add to results
       if (violations.length > 0) {
         const fieldViolation = {
           apiName,
-          label: field.label || '',
-          type: field.type || '',
+          objectName: field.objectName || null,
+          label: metadataText(field.label),
+          type: metadataText(field.type),
+          location,
           violations,
           recommendedFix: this.generateRecommendation(apiName, violations)
         };
@@ -119,10 +99,63 @@ class NamingConventionAnalyzer {
       }
     });
 
-    // Calculate compliance percentage
-    results.compliancePercentage = Math.round((results.compliantFieldCount / results.totalFieldCount) * 100);
+    // Calculate compliance percentage (no fields means nothing is out of compliance)
+    results.compliancePercentage = results.totalFieldCount > 0 ?
+      Math.round((results.compliantFieldCount / results.totalFieldCount) * 100) : 100;
+
+    return SchemaValidator.shared().assertValid('naming-results', results);
+  }
+
+  /**
+   * Remove the violations a valid suppression covers, recording them (and any
+   * expired suppressions) in the results
+   * @param {string} apiName - Field API name
+   * @param {string} objectName - Object API name, if known
+   * @param {Object} location - Field location, if known
+   * @param {Array} violations - Violations found for the field
+   * @param {Object} results - Analysis results being built
+   * @returns {Array} Violations that still count
+   */
+  applySuppressions(apiName, objectName, location, violations, results) {
+    if (this.suppressions.isEmpty() || violations.length === 0) {
+      return violations;
+    }
+
+    const findings = assignFingerprints(violations.map(violation => ({
+      analysis: 'namingConventions',
+      component: apiName,
+      objectName,
+      rule: violation.ruleId,
+      severity: violation.severity,
+      filePath: location ? location.filePath : null,
+      location
+    })));
+    const { kept, suppressed, expired } = this.suppressions.apply(findings);
+    results.suppressed.push(...suppressed);
+    results.expiredSuppressions.push(...expired);
+
+    const keptRules = kept.map(finding => finding.rule);
+    return violations.filter(violation => keptRules.includes(violation.ruleId));
+  }
 
-    return results;
+  /**
+   * Locate the field's API name in its metadata file
+   * @param {Object} field - Field metadata object (filePath and namePosition come from MetadataExtractor)
+   * @param {string} apiName - Field API name
+   * @returns {Object|null} Finding location, or null when the field has no source file
+   */
+  locateField(field, apiName) {
+    if (!field.filePath) {
+      return null;
+    }
+    const start = field.namePosition || { line: 1, column: 1 };
+    return buildLocation({
+      filePath: field.filePath,
+      text: apiName,
+      start: { line: 1, column: 1 },
+      end: { line: 1, column: apiName.length + 1 },
+      base: start
+    });
   }
 
   /**
@@ -131,16 +164,9 @@ class NamingConventionAnalyzer {
    * @returns {string} Severity level: 'critical', 'medium', or 'low'
    */
   determineSeverity(violations) {
-    if (violations.some(v => v.severity === 'critical')) {
-      return 'critical';
-    }
-    if (violations.some(v => v.rule.includes('Loan') || v.rule.includes('standard patterns'))) {
-      return 'critical';
-    }
-    if (violations.some(v => v.rule.includes('custom project-specific'))) {
-      return 'medium';
-    }
-    return 'low';
+    // Every violation carries its rule's severity; use the most severe one
+    const severities = violations.map(v => v.severity || 'low');
+    return SEVERITY_ORDER.find(severity => severities.includes(severity)) || 'low';
   }
 
   /**
@@ -150,33 +176,20 @@ class NamingConventionAnalyzer {
    * @returns {string} Recommended fix
    */
   generateRecommendation(apiName, violations) {
-    let recommendation = '';
-    
-    // Check for lowercase starting violations
-    if (violations.some(v => v.rule.includes('lowercase'))) {
-      const firstChar = apiName.charAt(0);
-      recommendation = `Change first character '${firstChar}' to uppercase: '${firstChar.toUpperCase() + apiName.slice(1)}'`;
-    }
-    // Check for missing prefixes
-    else if (violations.some(v => v.rule.includes('Managed package') || v.rule.includes('Custom project-specific'))) {
-      if (apiName.includes('Loan') && !apiName.startsWith('LLC_BI__') && !apiName.startsWith('nc_')) {
-        recommendation = `Add 'nc_' prefix: 'nc_${apiName}'`;
-      } else {
-        recommendation = `Add appropriate prefix ('LLC_BI__' for managed package fields or 'nc_' for custom fields)`;
-      }
-    }
-    // Check for invalid patterns
-    else if (violations.some(v => v.rule.includes('invalid'))) {
-      if (apiName.endsWith('__X')) {
-        recommendation = `Remove '__X' suffix: '${apiName.replace('__X', '__c')}'`;
-      } else if (apiName.startsWith('loan_')) {
-        recommendation = `Change to 'nc_Loan_${apiName.slice(5)}'`;
-      } else {
-        recommendation = `Rename to follow standard pattern (LLC_BI__*__c) or custom pattern (nc_*__c)`;
+    // Use the fix template of the first violated rule (in pack order) that has one
+    const violatedIds = violations.map(v => v.ruleId);
+    const rules = this.rulePack.rulesFor(null)
+      .concat(...Object.values(this.rulePack.objectRules))
+      .filter(rule => violatedIds.includes(rule.id));
+
+    for (const rule of rules) {
+      const recommendation = this.rulePack.renderFix(rule, apiName);
+      if (recommendation) {
+        return recommendation;
       }
     }
     
-    return recommendation || 'Review field naming and apply appropriate convention';
+    return this.rulePack.defaultFix;
   }
 
   /**
@@ -185,7 +198,8 @@ class NamingConventionAnalyzer {
    * @returns {Object} Summary report
    */
   generateSummaryReport(results) {
-    return {
+    return SchemaValidator.shared().assertValid('naming-summary', {
+      rulePack: results.rulePack,
       totalFields: results.totalFieldCount,
       compliantFields: results.compliantFieldCount,
       compliancePercentage: results.compliancePercentage,
@@ -195,7 +209,7 @@ class NamingConventionAnalyzer {
       lowViolations: results.bySeverity.low.length,
       topIssues: this.identifyTopIssues(results.violations),
       recommendations: this.generateGeneralRecommendations(results)
-    };
+    });
   }
 
   /**
@@ -0,0 +1,446 @@
+/**
+ * RulePack.js
+ * Model component for naming rule packs: JSON or YAML files that define the
+ * prefixes, rules (required, alternative and forbidden conditions), per-object
+ * rules, severities, messages and fix templates a naming convention analysis checks against
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { escapeXml, objectPatternRegex } = require('./TextUtils');
+
+const RULE_PACK_DIR = path.join(__dirname, '../../rule-packs');
+const DEFAULT_RULE_PACK = 'ncino-default';
+const RULE_PACK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const SEVERITIES = ['critical', 'medium', 'low'];
+const DEFAULT_FIX = 'Review field naming and apply appropriate convention';
+
+class RulePackError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'RulePackError';
+    this.source = source || null;
+  }
+}
+
+class RulePack {
+  /**
+   * @param {Object} definition - Parsed rule pack
+   * @param {string} source - Where the pack came from, for error messages
+   */
+  constructor(definition, source) {
+    if (!definition || typeof definition !== 'object') {
+      throw new RulePackError('Rule pack must be an object', source);
+    }
+    if (!Array.isArray(definition.rules) && !definition.objects) {
+      throw new RulePackError('Rule pack must define rules or objects', source);
+    }
+
+    this.source = source || null;
+    this.name = definition.name || (source ? path.basename(source, path.extname(source)) : 'custom');
+    this.description = definition.description || '';
+    this.prefixes = definition.prefixes || {};
+    this.defaultFix = definition.defaultFix || DEFAULT_FIX;
+
+    this.rules = (definition.rules || []).map((rule, index) => this.compileRule(rule, `rules[${index}]`, null));
+
+    this.objectRules = {};
+    Object.entries(definition.objects || {}).forEach(([objectName, objectDefinition]) => {
+      const rules = Array.isArray(objectDefinition) ? objectDefinition : (objectDefinition || {}).rules;
+      if (!Array.isArray(rules)) {
+        throw new RulePackError(`objects.${objectName} must list rules`, source);
+      }
+      this.objectRules[objectName.toLowerCase()] = rules.map((rule, index) =>
+        this.compileRule(rule, `objects.${objectName}.rules[${index}]`, objectName));
+    });
+  }
+
+  /**
+   * Load a rule pack by name (from the rule-packs directory) or by file path
+   * @param {string} nameOrPath - Pack name, e.g. 'ncino-default', or path to a .yaml/.yml/.json file
+   * @returns {RulePack} Loaded rule pack
+   */
+  static load(nameOrPath) {
+    const filePath = RulePack.findFile(nameOrPath);
+    if (!filePath) {
+      throw new RulePackError(`Rule pack not found: ${nameOrPath} (available: ${RulePack.list().join(', ')})`);
+    }
+
+    let definition;
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      definition = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new RulePackError(`Could not parse rule pack: ${error.message}`, filePath);
+    }
+
+    return new RulePack(definition, filePath);
+  }
+
+  /**
+   * Turn whatever a caller passed as a rule pack into a RulePack
+   * @param {RulePack|Object|string} rulePack - Pack instance, parsed definition, name or path (default: ncino-default)
+   * @returns {RulePack} Rule pack
+   */
+  static resolve(rulePack) {
+    if (rulePack instanceof RulePack) {
+      return rulePack;
+    }
+    if (rulePack && typeof rulePack === 'object') {
+      return new RulePack(rulePack);
+    }
+    return RulePack.load(rulePack || DEFAULT_RULE_PACK);
+  }
+
+  /**
+   * Find the file for a pack name or path
+   * @param {string} nameOrPath - Pack name or path
+   * @returns {string|null} File path, or null if there is no such pack
+   */
+  static findFile(nameOrPath) {
+    if (fs.existsSync(nameOrPath) && fs.statSync(nameOrPath).isFile()) {
+      return nameOrPath;
+    }
+    const candidate = RULE_PACK_EXTENSIONS
+      .map(extension => path.join(RULE_PACK_DIR, `${nameOrPath}${extension}`))
+      .find(file => fs.existsSync(file));
+    return candidate || null;
+  }
+
+  /**
+   * List the names of the packs shipped in the rule-packs directory
+   * @returns {Array} Pack names
+   */
+  static list() {
+    if (!fs.existsSync(RULE_PACK_DIR)) {
+      return [];
+    }
+    return fs.readdirSync(RULE_PACK_DIR)
+      .filter(file => RULE_PACK_EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file)));
+  }
+
+  /**
+   * Validate a rule definition and compile its patterns
+   * @param {Object} rule - Rule definition
+   * @param {string} where - Location of the rule in the pack, for error messages
+   * @param {string|null} objectName - Object the rule is scoped to
+   * @returns {Object} Compiled rule
+   */
+  compileRule(rule, where, objectName) {
+    if (!rule || typeof rule !== 'object') {
+      throw new RulePackError(`${where} must be an object`, this.source);
+    }
+    if (!rule.message) {
+      throw new RulePackError(`${where} needs a message`, this.source);
+    }
+    if (!rule.required && !rule.anyOf && !rule.allOf && !rule.forbidden) {
+      throw new RulePackError(`${where} needs a required, anyOf, allOf or forbidden condition`, this.source);
+    }
+    if (!rule.severity) {
+      throw new RulePackError(`${where} needs a severity (${SEVERITIES.join(', ')})`, this.source);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new RulePackError(`${where} has unknown severity '${rule.severity}' (expected ${SEVERITIES.join(', ')})`, this.source);
+    }
+
+    // required (a list means all of them), anyOf and allOf all have to hold
+    const requirements = [];
+    if (rule.required) {
+      requirements.push(this.compileCondition(rule.required, `${where}.required`, 'allOf'));
+    }
+    if (rule.anyOf) {
+      requirements.push(this.compileCondition({ anyOf: rule.anyOf }, where));
+    }
+    if (rule.allOf) {
+      requirements.push(this.compileCondition({ allOf: rule.allOf }, where));
+    }
+
+    const fixes = rule.fix === undefined ? [] : (Array.isArray(rule.fix) ? rule.fix : [rule.fix]);
+
+    return {
+      id: rule.id || `${where}`,
+      message: rule.message,
+      severity: rule.severity,
+      objectName,
+      when: rule.when ? this.compileCondition(rule.when, `${where}.when`, 'allOf') : null,
+      required: requirements.length === 0 ? null :
+        (requirements.length === 1 ? requirements[0] : { type: 'allOf', conditions: requirements }),
+      // a list of forbidden conditions is violated when any of them holds
+      forbidden: rule.forbidden ? this.compileCondition(rule.forbidden, `${where}.forbidden`, 'anyOf') : null,
+      fixes: fixes.map(fix => {
+        const entry = typeof fix === 'string' ? { template: fix } : (fix || {});
+        if (!entry.template) {
+          throw new RulePackError(`${where}.fix entries need a template`, this.source);
+        }
+        return {
+          match: entry.match ? this.compilePattern(entry.match, `${where}.fix`) : null,
+          replace: entry.replace !== undefined ? this.expandPrefixes(String(entry.replace)) : null,
+          template: entry.template
+        };
+      })
+    };
+  }
+
+  /**
+   * Compile a condition. A condition is a name pattern (string or { pattern }),
+   * { anyOf: [...] } (one must hold), { allOf: [...] } (all must hold),
+   * { not: condition }, or { object: 'Name' | ['LLC_BI__*', ...] } (the field's
+   * object matches one of the names, '*' and '?' being wildcards).
+   * @param {string|Array|Object} condition - Condition definition
+   * @param {string} where - Location in the pack, for error messages
+   * @param {string} listType - How a plain list combines: 'allOf' or 'anyOf'
+   * @returns {Object} Compiled condition
+   */
+  compileCondition(condition, where, listType = 'allOf') {
+    if (Array.isArray(condition)) {
+      return this.compileCondition({ [listType]: condition }, where);
+    }
+    if (typeof condition === 'string' || condition instanceof RegExp) {
+      return { type: 'pattern', pattern: this.compilePattern(condition instanceof RegExp ? condition.source : condition, where) };
+    }
+    if (!condition || typeof condition !== 'object') {
+      throw new RulePackError(`${where} must be a pattern or a condition object`, this.source);
+    }
+
+    if (condition.pattern !== undefined) {
+      return { type: 'pattern', pattern: this.compilePattern(condition.pattern, where) };
+    }
+    if (condition.anyOf || condition.allOf) {
+      const type = condition.anyOf ? 'anyOf' : 'allOf';
+      const children = condition[type];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new RulePackError(`${where}.${type} must be a non-empty list`, this.source);
+      }
+      return {
+        type,
+        conditions: children.map((child, index) => this.compileCondition(child, `${where}.${type}[${index}]`))
+      };
+    }
+    if (condition.not !== undefined) {
+      return { type: 'not', condition: this.compileCondition(condition.not, `${where}.not`) };
+    }
+    if (condition.object !== undefined) {
+      const names = toList(condition.object).map(String);
+      return {
+        type: 'object',
+        names,
+        patterns: names.map(objectPatternRegex)
+      };
+    }
+
+    throw new RulePackError(`${where} must have one of pattern, anyOf, allOf, not or object`, this.source);
+  }
+
+  /**
+   * Evaluate a compiled condition against a field
+   * @param {Object} condition - Compiled condition
+   * @param {Object} subject - { apiName, objectName }
+   * @returns {boolean} Whether the condition holds
+   */
+  evaluate(condition, subject) {
+    switch (condition.type) {
+      case 'pattern':
+        return condition.pattern.test(subject.apiName);
+      case 'anyOf':
+        return condition.conditions.some(child => this.evaluate(child, subject));
+      case 'allOf':
+        return condition.conditions.every(child => this.evaluate(child, subject));
+      case 'not':
+        return !this.evaluate(condition.condition, subject);
+      case 'object':
+        return Boolean(subject.objectName) && condition.patterns.some(pattern => pattern.test(subject.objectName));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Describe a compiled condition in one line, e.g. "one of /^LLC_BI__/, /^nc_/"
+   * @param {Object} condition - Compiled condition
+   * @returns {string} Description
+   */
+  describe(condition) {
+    switch (condition.type) {
+      case 'pattern':
+        return condition.pattern.toString();
+      case 'anyOf':
+        return `one of ${condition.conditions.map(child => this.describe(child)).join(', ')}`;
+      case 'allOf':
+        return condition.conditions.length === 1 ?
+          this.describe(condition.conditions[0]) :
+          `all of ${condition.conditions.map(child => this.describe(child)).join(', ')}`;
+      case 'not':
+        return `not ${this.describe(condition.condition)}`;
+      case 'object':
+        return `object ${condition.names.join(', ')}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Describe the part of a condition that made it hold (for a list of forbidden
+   * patterns, the pattern that matched)
+   * @param {Object} condition - Compiled condition
+   * @param {Object} subject - { apiName, objectName }
+   * @returns {string} Description
+   */
+  describeMatch(condition, subject) {
+    if (condition.type === 'anyOf') {
+      const matched = condition.conditions.find(child => this.evaluate(child, subject));
+      if (matched) {
+        return this.describeMatch(matched, subject);
+      }
+    }
+    return this.describe(condition);
+  }
+
+  /**
+   * Compile a pattern, expanding {prefixes.name} placeholders (regex-escaped)
+   * @param {string} pattern - Regular expression source
+   * @param {string} where - Location of the rule in the pack, for error messages
+   * @returns {RegExp} Compiled pattern
+   */
+  compilePattern(pattern, where) {
+    const source = String(pattern).replace(/\{prefixes\.([A-Za-z0-9_]+)\}/g, (placeholder, name) => {
+      if (this.prefixes[name] === undefined) {
+        throw new RulePackError(`${where} references unknown prefix '${name}'`, this.source);
+      }
+      return String(this.prefixes[name]).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      throw new RulePackError(`${where} has an invalid pattern: ${error.message}`, this.source);
+    }
+  }
+
+  /**
+   * Expand {prefixes.name} placeholders in text
+   * @param {string} text - Text with placeholders
+   * @returns {string} Expanded text
+   */
+  expandPrefixes(text) {
+    return text.replace(/\{prefixes\.([A-Za-z0-9_]+)\}/g, (placeholder, name) =>
+      this.prefixes[name] !== undefined ? String(this.prefixes[name]) : placeholder);
+  }
+
+  /**
+   * Get the rules that apply to a field: the pack-wide rules plus the rules scoped to its object
+   * @param {string} objectName - Object the field belongs to (may be empty)
+   * @returns {Array} Compiled rules
+   */
+  rulesFor(objectName) {
+    const objectRules = objectName ? this.objectRules[objectName.toLowerCase()] || [] : [];
+    return this.rules.concat(objectRules);
+  }
+
+  /**
+   * Find a compiled rule by id
+   * @param {string} id - Rule id
+   * @returns {Object|undefined} Compiled rule
+   */
+  findRule(id) {
+    return this.rules.concat(...Object.values(this.objectRules)).find(rule => rule.id === id);
+  }
+
+  /**
+   * Render the first applicable fix template of a rule for a field name
+   * @param {Object} rule - Compiled rule
+   * @param {string} apiName - Field API name
+   * @returns {string|null} Recommended fix, or null if the rule has no applicable fix
+   */
+  renderFix(rule, apiName) {
+    for (const fix of rule.fixes) {
+      const match = fix.match ? fix.match.exec(apiName) : null;
+      if (fix.match && !match) {
+        continue;
+      }
+      const values = {
+        apiName,
+        match: match ? match[0] : '',
+        fixed: fix.match && fix.replace !== null ? apiName.replace(fix.match, fix.replace) : apiName,
+        capitalized: apiName.charAt(0).toUpperCase() + apiName.slice(1)
+      };
+      return this.expandPrefixes(fix.template).replace(/\{(apiName|match|fixed|capitalized)\}/g, (placeholder, name) => values[name]);
+    }
+    return null;
+  }
+
+  /**
+   * Describe the pack as XML for the naming convention prompt, so Claude checks
+   * against exactly the rules the local analyzer uses
+   * @returns {string} Rule pack XML
+   */
+  toPromptXml() {
+    const lines = [`<rule_pack name="${escapeXml(this.name)}">`];
+    if (this.description) {
+      lines.push(`  <description>${escapeXml(this.description)}</description>`);
+    }
+
+    const prefixes = Object.entries(this.prefixes);
+    if (prefixes.length > 0) {
+      lines.push('  <prefixes>');
+      prefixes.forEach(([name, value]) => lines.push(`    <prefix name="${escapeXml(name)}">${escapeXml(value)}</prefix>`));
+      lines.push('  </prefixes>');
+    }
+
+    const conditionXml = (condition, pad) => {
+      switch (condition.type) {
+        case 'pattern':
+          return [`${pad}<pattern>${escapeXml(condition.pattern.source)}</pattern>`];
+        case 'object':
+          return [`${pad}<object_name>${escapeXml(condition.names.join(', '))}</object_name>`];
+        case 'not':
+          return [`${pad}<not>`, ...conditionXml(condition.condition, `${pad}  `), `${pad}</not>`];
+        default: {
+          const tag = condition.type === 'anyOf' ? 'one_of' : 'all_of';
+          const children = [].concat(...condition.conditions.map(child => conditionXml(child, `${pad}  `)));
+          return [`${pad}<${tag}>`, ...children, `${pad}</${tag}>`];
+        }
+      }
+    };
+    const ruleXml = (rule, indent) => {
+      const pad = ' '.repeat(indent);
+      const out = [`${pad}<rule id="${escapeXml(rule.id)}" severity="${rule.severity}">`];
+      out.push(`${pad}  <description>${escapeXml(rule.message)}</description>`);
+      [['applies_when', rule.when], ['must_satisfy', rule.required], ['must_not_satisfy', rule.forbidden]]
+        .filter(([, condition]) => condition)
+        .forEach(([tag, condition]) => {
+          out.push(`${pad}  <${tag}>`, ...conditionXml(condition, `${pad}    `), `${pad}  </${tag}>`);
+        });
+      out.push(`${pad}</rule>`);
+      return out.join('\n');
+    };
+
+    this.rules.forEach(rule => lines.push(ruleXml(rule, 2)));
+    Object.values(this.objectRules).forEach(rules => {
+      if (rules.length > 0) {
+        lines.push(`  <object name="${escapeXml(rules[0].objectName)}">`);
+        rules.forEach(rule => lines.push(ruleXml(rule, 4)));
+        lines.push('  </object>');
+      }
+    });
+
+    lines.push('</rule_pack>');
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Normalize a pattern or list of patterns to a list
+ * @param {string|Array} value - Pattern(s)
+ * @returns {Array} Patterns
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = RulePack;
+module.exports.RulePackError = RulePackError;
+module.exports.DEFAULT_RULE_PACK = DEFAULT_RULE_PACK;
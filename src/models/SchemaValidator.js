@@ -0,0 +1,111 @@
+/**
+ * SchemaValidator.js
+ * Validates metadata, analyzer results and reports against the JSON Schemas
+ * published in the schemas/ directory, so every output matches its documented shape
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '../../schemas');
+const SCHEMA_SUFFIX = '.schema.json';
+
+// Number of schema errors listed in a SchemaValidationError message
+const MAX_REPORTED_ERRORS = 5;
+
+class SchemaValidationError extends Error {
+  constructor(schemaName, errors) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (+${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    super(`Output does not match the ${schemaName} schema: ${listed}${more}`);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+  }
+}
+
+let sharedValidator = null;
+
+class SchemaValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {string} options.schemaDir - Directory holding the *.schema.json files (default: schemas/)
+   */
+  constructor(options = {}) {
+    this.schemaDir = options.schemaDir || SCHEMA_DIR;
+    this.schemas = {};
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+    fs.readdirSync(this.schemaDir)
+      .filter(file => file.endsWith(SCHEMA_SUFFIX))
+      .forEach(file => {
+        const name = file.slice(0, -SCHEMA_SUFFIX.length);
+        this.schemas[name] = JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf8'));
+        this.ajv.addSchema(this.schemas[name], name);
+      });
+  }
+
+  /**
+   * Get the validator for the published schemas, created on first use
+   * @returns {SchemaValidator} Shared validator
+   */
+  static shared() {
+    if (!sharedValidator) {
+      sharedValidator = new SchemaValidator();
+    }
+    return sharedValidator;
+  }
+
+  /**
+   * List the names of the available schemas
+   * @returns {Array} Schema names, e.g. 'naming-results'
+   */
+  list() {
+    return Object.keys(this.schemas).sort();
+  }
+
+  /**
+   * Get a schema document by name
+   * @param {string} name - Schema name
+   * @returns {Object} JSON Schema
+   */
+  getSchema(name) {
+    if (!this.schemas[name]) {
+      throw new Error(`Unknown schema: ${name} (available: ${this.list().join(', ')})`);
+    }
+    return this.schemas[name];
+  }
+
+  /**
+   * Validate data against a schema
+   * @param {string} name - Schema name
+   * @param {*} data - Data to validate
+   * @returns {Object} { valid, errors } where errors are "path message" strings
+   */
+  validate(name, data) {
+    this.getSchema(name);
+    const validateFn = this.ajv.getSchema(name);
+    // Round-trip through JSON so the data is checked the way consumers will see it
+    const valid = validateFn(JSON.parse(JSON.stringify(data === undefined ? null : data)));
+    const errors = valid ? [] : validateFn.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    return { valid, errors };
+  }
+
+  /**
+   * Validate data against a schema and throw if it doesn't match
+   * @param {string} name - Schema name
+   * @param {*} data - Data to validate
+   * @returns {*} The data, unchanged
+   */
+  assertValid(name, data) {
+    const { valid, errors } = this.validate(name, data);
+    if (!valid) {
+      throw new SchemaValidationError(name, errors);
+    }
+    return data;
+  }
+}
+
+module.exports = SchemaValidator;
+module.exports.SchemaValidationError = SchemaValidationError;
@@ -0,0 +1,244 @@
+/**
+ * SourceLocation.js
+ * Helpers for attaching file/line/column locations and code excerpts to findings
+ */
+
+const MAX_EXCERPT_LENGTH = 200;
+const MAX_EXCERPT_LINES = 3;
+
+const CDATA_OPEN = '<![CDATA[';
+const CDATA_CLOSE = ']]>';
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }
+ */
+function positionAt(text, offset) {
+  const before = (text || '').slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Find where the content of the first <tag> element starts in an XML document.
+ * Parsed content has its entities decoded (&lt; becomes <), so offsets into it
+ * run short of the raw XML; `shifts` records where, for buildLocation.
+ * @param {string} xml - Raw XML
+ * @param {string} tag - Element name
+ * @param {number} fromIndex - Character offset to start searching from
+ * @returns {Object|null} { line, column } of the element content, plus shifts when it holds entities
+ *   or CDATA (see contentShifts), or null if absent
+ */
+function findElementContent(xml, tag, fromIndex = 0) {
+  const pattern = new RegExp(`<${tag}>`, 'g');
+  pattern.lastIndex = fromIndex;
+  const match = pattern.exec(xml || '');
+  if (!match) {
+    return null;
+  }
+  const start = match.index + match[0].length;
+  const position = positionAt(xml, start);
+  const shifts = contentShifts(xml, start, `</${tag}>`);
+  return shifts.length > 0 ? Object.assign(position, { shifts }) : position;
+}
+
+/**
+ * List where an element's raw content is longer than its decoded text: after each entity
+ * reference, and around CDATA markers
+ * @param {string} xml - Raw XML
+ * @param {number} start - Offset of the element content
+ * @param {string} closingTag - Closing tag ending the content
+ * @returns {Array} Shifts { offset, extra }: decoded text from offset on sits extra characters
+ *   further into the raw XML, on top of the earlier shifts
+ */
+function contentShifts(xml, start, closingTag) {
+  const close = xml.indexOf(closingTag, start);
+  const stop = close < 0 ? xml.length : close;
+  const shifts = [];
+  let decoded = 0;
+  let index = start;
+
+  while (index < stop) {
+    if (xml.startsWith(CDATA_OPEN, index)) {
+      const cdataClose = xml.indexOf(CDATA_CLOSE, index + CDATA_OPEN.length);
+      const cdataEnd = cdataClose < 0 ? stop : cdataClose;
+      shifts.push({ offset: decoded, extra: CDATA_OPEN.length });
+      decoded += cdataEnd - (index + CDATA_OPEN.length);
+      index = cdataEnd + CDATA_CLOSE.length;
+      // Only text after the section is shifted, so a span ending with it doesn't take in the marker
+      if (index < stop) {
+        shifts.push({ offset: decoded, extra: CDATA_CLOSE.length });
+      }
+      continue;
+    }
+
+    const entity = xml[index] === '&' ? /^&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/.exec(xml.slice(index, index + 12)) : null;
+    if (entity) {
+      // Characters outside the Basic Multilingual Plane decode to two UTF-16 code units
+      const codePoint = entity[1][0] === '#' ?
+        parseInt(entity[1].slice(entity[1][1] === 'x' ? 2 : 1), entity[1][1] === 'x' ? 16 : 10) : 0;
+      const length = codePoint > 0xFFFF ? 2 : 1;
+      decoded += length;
+      index += entity[0].length;
+      shifts.push({ offset: decoded, extra: entity[0].length - length });
+      continue;
+    }
+
+    decoded++;
+    index++;
+  }
+
+  return shifts;
+}
+
+/**
+ * Move a position in decoded element content to the matching column of the raw XML
+ * @param {string} text - Decoded content
+ * @param {Object} position - { offset, line, column } in the decoded content
+ * @param {Array} shifts - Shifts from contentShifts()
+ * @returns {number} Column in the raw content's line
+ */
+function rawColumn(text, position, shifts) {
+  const lineStart = (text || '').lastIndexOf('\n', position.offset - 1) + 1;
+  const extra = shifts
+    .filter(shift => shift.offset >= lineStart && shift.offset <= position.offset)
+    .reduce((sum, shift) => sum + shift.extra, 0);
+  return position.column + extra;
+}
+
+/**
+ * Find every <tag>...</tag> element in an XML document, e.g. the <fields>
+ * entries of an MDAPI .object file
+ * @param {string} xml - Raw XML
+ * @param {string} tag - Element name
+ * @returns {Array} { offset, content } of each element, offset being where the opening tag starts
+ */
+function findElementBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml || '')) !== null) {
+    blocks.push({ offset: match.index, content: match[1] });
+  }
+  return blocks;
+}
+
+/**
+ * Locate the flow elements the bypass analysis reports on. Decisions, their rules and
+ * formulas are found by their own <name>, searched within the element so that a name
+ * also used elsewhere in the flow resolves to the right place; the start element by
+ * its opening tag.
+ * @param {string} flowXml - Raw flow XML
+ * @returns {Object} Spans { line, column, endLine, endColumn } keyed 'start', 'decisions/<name>',
+ *   'decisions/<name>/rules/<name>' and 'formulas/<name>'
+ */
+function locateFlowElements(flowXml) {
+  const xml = flowXml || '';
+  const spans = {};
+  const span = (start, end) => {
+    const from = positionAt(xml, start);
+    const to = positionAt(xml, end);
+    return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+  };
+  // Record each <tag> block under its name, ignoring the names of the blocks nested in it
+  const locateNamed = (content, offset, tag, prefix, nestedTag) => {
+    findElementBlocks(content, tag).forEach(block => {
+      const contentOffset = offset + block.offset + tag.length + 2;
+      const ownContent = nestedTag ?
+        block.content.replace(new RegExp(`<${nestedTag}>[\\s\\S]*?</${nestedTag}>`, 'g'), nested => ' '.repeat(nested.length)) :
+        block.content;
+      const nameMatch = /<name>([^<]*)<\/name>/.exec(ownContent);
+      if (!nameMatch) {
+        return;
+      }
+      const nameStart = contentOffset + nameMatch.index + '<name>'.length;
+      const key = `${prefix}${nameMatch[1].trim()}`;
+      spans[key] = span(nameStart, nameStart + nameMatch[1].length);
+      if (nestedTag) {
+        locateNamed(block.content, contentOffset, nestedTag, `${key}/${nestedTag}/`);
+      }
+    });
+  };
+
+  locateNamed(xml, 0, 'decisions', 'decisions/', 'rules');
+  locateNamed(xml, 0, 'formulas', 'formulas/');
+  const start = xml.indexOf('<start>');
+  if (start !== -1) {
+    spans.start = span(start, start + '<start>'.length);
+  }
+  return spans;
+}
+
+/**
+ * Build a short excerpt from the source lines spanned by a range
+ * @param {string} text - Source text
+ * @param {number} startLine - First line (1-based)
+ * @param {number} endLine - Last line (1-based)
+ * @returns {string} Trimmed excerpt
+ */
+function excerptLines(text, startLine, endLine) {
+  const lines = (text || '').split('\n')
+    .slice(startLine - 1, Math.min(endLine, startLine + MAX_EXCERPT_LINES - 1))
+    .map(line => line.trim())
+    .filter(Boolean);
+  const excerpt = lines.join('\n');
+  return excerpt.length > MAX_EXCERPT_LENGTH ? `${excerpt.slice(0, MAX_EXCERPT_LENGTH - 3)}...` : excerpt;
+}
+
+/**
+ * Build a finding location from a range within a component's source text.
+ * When the text is embedded in a larger file (e.g. a formula inside a
+ * .validationRule-meta.xml file), `base` is where the text starts in that file;
+ * its shifts (from findElementContent) map offsets in the decoded text back to the raw XML.
+ * @param {Object} params - { filePath, text, start, end, base }
+ * @returns {Object} { filePath, startLine, startColumn, endLine, endColumn, excerpt }
+ */
+function buildLocation({ filePath, text, start, end, base }) {
+  const shift = position => {
+    if (!base) {
+      return position;
+    }
+    const column = base.shifts && position.offset !== undefined ?
+      rawColumn(text, position, base.shifts) : position.column;
+    return {
+      line: base.line + position.line - 1,
+      column: position.line === 1 ? base.column + column - 1 : column
+    };
+  };
+  const from = shift(start);
+  const to = shift(end || start);
+
+  return {
+    filePath: filePath || null,
+    startLine: from.line,
+    startColumn: from.column,
+    endLine: to.line,
+    endColumn: to.column,
+    excerpt: excerptLines(text, start.line, (end || start).line)
+  };
+}
+
+/**
+ * Render a location as path:line:column for reports
+ * @param {Object} location - Finding location
+ * @returns {string} Formatted location
+ */
+function formatLocation(location) {
+  if (!location) {
+    return '';
+  }
+  const position = `${location.startLine}:${location.startColumn}`;
+  return location.filePath ? `${location.filePath}:${position}` : `line ${position}`;
+}
+
+module.exports = {
+  positionAt,
+  findElementContent,
+  findElementBlocks,
+  locateFlowElements,
+  excerptLines,
+  buildLocation,
+  formatLocation
+};
@@ -0,0 +1,188 @@
+/**
+ * SuppressionList.js
+ * Model component for suppression files: JSON or YAML lists of accepted
+ * findings (e.g. an integration user's custom permission bypass), each with
+ * a reason, an approver and an expiry date. The analyzers leave suppressed
+ * findings out of their scores and report them as accepted risk; once a
+ * suppression expires its findings are reported again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const SchemaValidator = require('./SchemaValidator');
+
+class SuppressionError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'SuppressionError';
+    this.source = source || null;
+  }
+}
+
+class SuppressionList {
+  /**
+   * @param {Object|Array} definition - Parsed suppression file ({ suppressions: [...] }) or the list itself
+   * @param {Object} options - List options
+   * @param {string} options.source - Where the list came from, for error messages
+   * @param {Date} options.now - Date expiries are checked against (default: the day each check runs)
+   */
+  constructor(definition = {}, options = {}) {
+    const entries = Array.isArray(definition) ? definition : (definition || {}).suppressions || [];
+    const document = { suppressions: entries.map(entry => normalizeEntry(entry)) };
+
+    const { valid, errors } = SchemaValidator.shared().validate('suppressions', document);
+    if (!valid) {
+      throw new SuppressionError(`Invalid suppression file: ${errors.slice(0, 5).join('; ')}`, options.source);
+    }
+
+    this.source = options.source || null;
+    this.now = options.now || null;
+    this.entries = document.suppressions;
+  }
+
+  /**
+   * Load a suppression file
+   * @param {string} filePath - Path to a .yaml/.yml/.json file
+   * @param {Object} options - List options (see the constructor)
+   * @returns {SuppressionList} Loaded list
+   */
+  static load(filePath, options = {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new SuppressionError(`Suppression file not found: ${filePath}`);
+    }
+
+    let definition;
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      definition = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new SuppressionError(`Could not parse suppression file: ${error.message}`, filePath);
+    }
+
+    return new SuppressionList(definition, Object.assign({}, options, { source: filePath }));
+  }
+
+  /**
+   * Turn whatever a caller passed as suppressions into a SuppressionList
+   * @param {SuppressionList|Object|Array|string} suppressions - List instance, parsed definition, or file path
+   *   (default: an empty list)
+   * @returns {SuppressionList} Suppression list
+   */
+  static resolve(suppressions) {
+    if (suppressions instanceof SuppressionList) {
+      return suppressions;
+    }
+    if (typeof suppressions === 'string') {
+      return SuppressionList.load(suppressions);
+    }
+    return new SuppressionList(suppressions || {});
+  }
+
+  /**
+   * Whether the list has any entries
+   * @returns {boolean} True when no suppressions are defined
+   */
+  isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  /**
+   * Split fingerprinted findings into the ones to report and the accepted ones.
+   * A finding under an expired suppression is reported again and also listed as expired.
+   * @param {Array} findings - Findings { fingerprint, analysis, component, objectName, rule, severity, location }
+   * @returns {Object} { kept, suppressed, expired }: kept are findings; suppressed and expired are
+   *   accepted-finding records (schemas/suppressions.schema.json#/definitions/acceptedFinding)
+   */
+  apply(findings) {
+    const outcome = { kept: [], suppressed: [], expired: [] };
+
+    findings.forEach(finding => {
+      const matches = this.entries.filter(entry => this.matches(entry, finding));
+      const active = matches.find(entry => !this.isExpired(entry));
+
+      if (active) {
+        outcome.suppressed.push(acceptedFinding(finding, active, false));
+      } else {
+        outcome.kept.push(finding);
+        if (matches.length > 0) {
+          // Report the suppression that lapsed most recently
+          const latest = matches.slice().sort((a, b) => b.expires.localeCompare(a.expires))[0];
+          outcome.expired.push(acceptedFinding(finding, latest, true));
+        }
+      }
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Check whether a suppression covers a finding. Component, pattern and object names
+   * compare case-insensitively, like Salesforce API names.
+   * @param {Object} entry - Suppression entry
+   * @param {Object} finding - Fingerprinted finding
+   * @returns {boolean} True when the entry covers the finding
+   */
+  matches(entry, finding) {
+    const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    return same(entry.component, finding.component) &&
+      same(entry.pattern, finding.rule) &&
+      (!entry.object || same(entry.object, finding.objectName)) &&
+      (!entry.analysis || entry.analysis === finding.analysis) &&
+      (!entry.fingerprint || entry.fingerprint === finding.fingerprint);
+  }
+
+  /**
+   * Check whether a suppression has expired; it stays valid through its expiry date
+   * @param {Object} entry - Suppression entry
+   * @returns {boolean} True when the expiry date has passed
+   */
+  isExpired(entry) {
+    // A long-running server checks against the current day, so suppressions lapse without a restart
+    const today = (this.now || new Date()).toISOString().slice(0, 10);
+    return entry.expires < today;
+  }
+}
+
+/**
+ * Normalize a suppression entry as parsed from the file. YAML reads an unquoted
+ * 2025-12-31 as a Date, so dates are turned back into YYYY-MM-DD strings.
+ * @param {Object} entry - Parsed entry
+ * @returns {Object} Entry
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return entry;
+  }
+  const normalized = Object.assign({}, entry);
+  if (normalized.expires instanceof Date) {
+    normalized.expires = normalized.expires.toISOString().slice(0, 10);
+  }
+  return normalized;
+}
+
+/**
+ * Build the accepted-finding record of a suppressed (or formerly suppressed) finding
+ * @param {Object} finding - Fingerprinted finding
+ * @param {Object} entry - Suppression entry that covers it
+ * @param {boolean} expired - Whether the suppression has expired
+ * @returns {Object} Accepted finding
+ */
+function acceptedFinding(finding, entry, expired) {
+  return {
+    fingerprint: finding.fingerprint,
+    analysis: finding.analysis,
+    component: finding.component,
+    objectName: finding.objectName || null,
+    rule: finding.rule,
+    severity: finding.severity,
+    location: finding.location || null,
+    reason: entry.reason,
+    approvedBy: entry.approvedBy,
+    expires: entry.expires,
+    expired
+  };
+}
+
+module.exports = SuppressionList;
+module.exports.SuppressionError = SuppressionError;
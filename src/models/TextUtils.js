@@ -0,0 +1,106 @@
+/**
+ * TextUtils.js
+ * Text helpers shared by the extractors, analyzers, rule packs and exporters:
+ * XML escaping, object name wildcards ('*' for any run of characters, '?' for
+ * one), flattening flow values and reading loosely typed metadata values.
+ */
+
+/**
+ * Escape a value for XML text and attributes
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value (empty for undefined or null)
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Check whether an object name contains wildcards
+ * @param {string} pattern - Object API name or wildcard
+ * @returns {boolean} True when the name contains '*' or '?'
+ */
+function isObjectPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Compile an object name wildcard into a case-insensitive regex matching whole names
+ * @param {string} pattern - Object API name or wildcard
+ * @returns {RegExp} Regex
+ */
+function objectPatternRegex(pattern) {
+  const source = String(pattern)
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Match an object API name against a wildcard
+ * @param {string} objectName - Object API name
+ * @param {string} pattern - Object API name or wildcard
+ * @returns {boolean} True when the name matches
+ */
+function matchesObjectPattern(objectName, pattern) {
+  return objectPatternRegex(pattern).test(objectName);
+}
+
+/**
+ * Flatten a flow value element (stringValue, elementReference, ...) to a string
+ * @param {*} value - Parsed value, with or without xml2js's explicit arrays (e.g. { stringValue: ['x'] })
+ * @returns {string} Flattened value
+ */
+function flowValueToString(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(flowValueToString).join(' ');
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).map(flowValueToString).join(' ');
+  }
+  return String(value);
+}
+
+/**
+ * Read a metadata flag that may be a boolean or, from XML, the string 'true'
+ * @param {*} value - Flag value
+ * @returns {boolean} True for true or 'true' (in any case)
+ */
+function metadataFlag(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() === 'true' : value === true;
+}
+
+/**
+ * Read a metadata text value that may have been parsed as a number or left out
+ * @param {*} value - Text value
+ * @returns {string} The value as a string (empty for undefined or null)
+ */
+function metadataText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = {
+  escapeXml,
+  isObjectPattern,
+  objectPatternRegex,
+  matchesObjectPattern,
+  flowValueToString,
+  metadataFlag,
+  metadataText
+};
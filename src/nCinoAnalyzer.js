@@ -1,6 +1,19 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const RulePack = require('./models/RulePack');
+const SuppressionList = require('./models/SuppressionList');
+const ClaudeFindings = require('./models/ClaudeFindings');
+const { ClaudeResponseError } = ClaudeFindings;
+const ClaudeIntegration = require('./integrations/ClaudeIntegration');
+const HistoryStore = require('./reports/HistoryStore');
+const PromptChunker = require('./integrations/PromptChunker');
+const LlmProvider = require('./integrations/LlmProvider');
+const ReplayProvider = require('./integrations/ReplayProvider');
+const ResponseCache = require('./integrations/ResponseCache');
+
+// Analysis engines: 'claude' sends the metadata to Claude, 'rules' runs the local analyzers
+// only (no network), 'hybrid' runs the local analyzers and asks Claude for narrative and fixes
+const ENGINES = ['claude', 'rules', 'hybrid'];
 
 /**
  * nCinoAnalyzer - Core class for analyzing Salesforce/nCino metadata using Claude
@@ -8,20 +21,46 @@ const axios = require('axios');
 class nCinoAnalyzer {
   constructor(config) {
     this.config = config || {};
-    this.apiKey = config.apiKey || process.env.CLAUDE_API_KEY;
-    this.apiUrl = config.apiUrl || 'https://api.anthropic.com/v1/messages';
-    this.model = config.model || 'claude-3-opus-20240229';
-    this.maxTokens = config.maxTokens || 4096;
+    this.engine = config.engine || 'claude';
+    if (!ENGINES.includes(this.engine)) {
+      throw new Error(`Unknown analysis engine '${this.engine}' (available: ${ENGINES.join(', ')})`);
+    }
+    // Prompts go to the provider config.provider selects: 'anthropic' (default) calls the Claude API,
+    // retrying transient failures; 'replay' serves responses from the fixture files in config.fixturesDir
+    this.provider = LlmProvider.create(config);
+    // Live responses are also written as replay fixtures to config.recordDir
+    this.recordDir = config.recordDir || null;
+    this.usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
+    // Follow-up requests asking Claude to correct an answer that doesn't match the findings schema
+    this.maxRepairAttempts = config.maxRepairAttempts === undefined ? 1 : config.maxRepairAttempts;
+    // Large metadata sets are split into chunks, analyzed up to `concurrency` at a time
+    this.chunker = new PromptChunker({ chunkTokens: config.chunkTokens, chunkSize: config.chunkSize });
+    this.concurrency = config.concurrency || 3;
     this.promptDir = config.promptDir || path.join(__dirname, '..', 'prompts');
     this.outputDir = config.outputDir || path.join(__dirname, '..', 'output');
+    // Claude's responses are cached in the output directory unless cache is false;
+    // refreshCache sends every request again and replaces the cached responses
+    this.cache = config.cache === false ? null : new ResponseCache({
+      dir: config.cacheDir || path.join(this.outputDir, 'claude-cache'),
+      ttlMs: config.cacheTtlMs,
+      maxBytes: config.cacheMaxBytes,
+      refresh: config.refreshCache
+    });
+    this.rulePack = RulePack.resolve(config.rulePack);
+    this.suppressions = SuppressionList.resolve(config.suppressions);
+    // Every run is recorded in the history unless history is false
+    this.history = config.history === false ? null :
+      new HistoryStore({ filePath: config.history || path.join(this.outputDir, 'history.jsonl') });
+    this.org = config.org || 'default';
   }
 
   /**
    * Initialize the analyzer
    */
   async initialize() {
-    if (!this.apiKey) {
-      throw new Error('Claude API key is required. Set CLAUDE_API_KEY environment variable or pass in config.');
+    // The rules engine never calls Claude
+    if (this.engine !== 'rules') {
+      this.provider.assertReady();
     }
 
     // Create output directory if it doesn't exist
@@ -68,44 +107,182 @@ class nCinoAnalyzer {
   }
 
   /**
-   * Send a prompt to Claude API and get the response
-   * @param {string} prompt - The full prompt to send to Claude
-   * @returns {Promise<object>} Claude's response
+   * Send a prompt to the LLM provider and get the response. A response cached for the same
+   * request is returned without calling the provider.
+   * @param {string|Array} prompt - The full prompt to send to Claude, or the messages of a conversation
+   * @returns {Promise<object>} Content blocks of Claude's response
    */
   async analyzeWithClaude(prompt) {
-    try {
-      const response = await axios.post(
-        this.apiUrl,
+    const request = {
+      messages: Array.isArray(prompt) ? prompt : [
         {
-          model: this.model,
-          max_tokens: this.maxTokens,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          }
+          role: 'user',
+          content: prompt
         }
-      );
+      ]
+    };
+    // Providers without a cache identity (e.g. replay) answer deterministically, so aren't cached
+    const identity = this.cache ? this.provider.cacheIdentity() : null;
+    const cacheKey = identity ? ResponseCache.key({ provider: identity, messages: request.messages }) : null;
+
+    let response = null;
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        response = { content: cached, model: identity.model, usage: { inputTokens: 0, outputTokens: 0 } };
+      }
+    }
 
-      return response.data.content;
-    } catch (error) {
-      console.error('Error calling Claude API:', error.response ? error.response.data : error.message);
-      throw error;
+    if (!response) {
+      try {
+        response = await this.provider.complete(request);
+      } catch (error) {
+        console.error('Error calling Claude API:', error.message);
+        throw error;
+      }
+      this.usage.requests++;
+      this.usage.inputTokens += response.usage.inputTokens;
+      this.usage.outputTokens += response.usage.outputTokens;
+
+      if (cacheKey) {
+        try {
+          this.cache.set(cacheKey, response.content, { model: response.model });
+        } catch (cacheError) {
+          console.warn(`Could not cache Claude's response: ${cacheError.message}`);
+        }
+      }
+    }
+
+    // Cached responses are recorded too, so a recording covers the whole run
+    if (this.recordDir) {
+      ReplayProvider.record(this.recordDir, request, response);
+    }
+    return response.content;
+  }
+
+  /**
+   * Get the structured output format of an analysis, listing the rules the local analyzers check
+   * @param {string} analysis - 'namingConventions', 'validationRules' or 'triggers'
+   * @returns {ClaudeFindings} Output format
+   */
+  findingsFormat(analysis) {
+    let rules;
+    if (analysis === 'namingConventions') {
+      const byId = {};
+      this.rulePack.rules.concat(...Object.values(this.rulePack.objectRules)).forEach(rule => {
+        byId[rule.id] = byId[rule.id] || { name: rule.id, severity: rule.severity, description: rule.message };
+      });
+      rules = Object.values(byId);
+    } else {
+      const bypassAnalyzer = this.getPresenter().controller.bypassAnalyzer;
+      const catalog = analysis === 'triggers' ? bypassAnalyzer.apexTriggerPatterns : bypassAnalyzer.validationRulePatterns;
+      rules = catalog.map(pattern => ({ name: pattern.name, severity: pattern.severity, description: pattern.description }));
     }
+    return new ClaudeFindings({ analysis, rules });
+  }
+
+  /**
+   * Ask Claude for a structured analysis. The prompt's output_format section is filled in, and an
+   * answer that doesn't match the findings schema is sent back for correction up to maxRepairAttempts times.
+   * @param {string} prompt - Prompt with an output_format element
+   * @param {string} analysis - 'namingConventions', 'validationRules' or 'triggers'
+   * @returns {Promise<object>} Analysis (schemas/claude-analysis.schema.json)
+   */
+  async analyzeStructured(prompt, analysis) {
+    const format = this.findingsFormat(analysis);
+    const messages = [{ role: 'user', content: this.insertMetadata(prompt, format.toPromptText(), 'output_format') }];
+
+    for (let attempt = 0; ; attempt++) {
+      const text = this.responseText(await this.analyzeWithClaude(messages));
+      const { valid, data, errors } = format.parse(text);
+      if (valid) {
+        return data;
+      }
+      if (attempt >= this.maxRepairAttempts) {
+        throw new ClaudeResponseError(analysis, errors, text);
+      }
+
+      console.warn(`Claude's ${analysis} response doesn't match the findings schema (${errors.length} error(s)), asking for a correction...`);
+      messages.push({ role: 'assistant', content: text }, { role: 'user', content: format.repairPrompt(errors) });
+    }
+  }
+
+  /**
+   * Ask Claude for a structured analysis of a metadata set that may not fit in one prompt. The
+   * components are split into chunks by estimated tokens, the chunks are analyzed concurrently
+   * (up to this.concurrency at a time) and their analyses merged. A failed chunk is left out of the
+   * merged analysis and counted in its statistics; the analysis only fails when every chunk does.
+   * @param {string} analysis - 'namingConventions', 'validationRules' or 'triggers'
+   * @param {Array} items - Components to analyze
+   * @param {object} options - Prompt options
+   * @param {Function} options.render - Renders one component as prompt XML
+   * @param {Function} options.buildPrompt - Builds the full prompt from the rendered components of a chunk
+   * @param {Function} options.groupBy - Group kept in one chunk where it fits, e.g. the object (optional)
+   * @returns {Promise<object>} Merged analysis (schemas/claude-analysis.schema.json)
+   */
+  async analyzeInChunks(analysis, items, { render, buildPrompt, groupBy }) {
+    const format = this.findingsFormat(analysis);
+    const overheadTokens = PromptChunker.estimateTokens(buildPrompt('')) + PromptChunker.estimateTokens(format.toPromptText());
+    const chunks = this.chunker.chunk(items, { render, overheadTokens, groupBy });
+    if (chunks.length === 0) {
+      chunks.push({ items: [], tokens: 0 });
+    }
+    if (chunks.length > 1) {
+      console.log(`Split ${items.length} components into ${chunks.length} chunks, analyzing up to ${this.concurrency} at a time...`);
+    }
+
+    const parts = await this.mapConcurrently(chunks, async (chunk, index) => {
+      try {
+        const result = await this.analyzeStructured(buildPrompt(chunk.items.map(render).join('\n')), analysis);
+        return { result, components: chunk.items.length };
+      } catch (error) {
+        console.error(`Error analyzing chunk ${index + 1} of ${chunks.length}:`, error.message);
+        return { result: null, components: chunk.items.length, error };
+      }
+    });
+
+    if (parts.every(part => !part.result)) {
+      throw parts[0].error;
+    }
+    return format.merge(parts);
+  }
+
+  /**
+   * Run an async worker on each item, at most this.concurrency at a time
+   * @param {Array} items - Items
+   * @param {Function} worker - async (item, index) => result
+   * @returns {Promise<Array>} Results in the order of the items
+   */
+  async mapConcurrently(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, run));
+    return results;
+  }
+
+  /**
+   * Save a structured analysis as JSON, and as Markdown for the comprehensive report
+   * @param {string} baseName - Output file name without extension, e.g. 'naming_convention_analysis'
+   * @param {object} result - Analysis from analyzeStructured
+   * @returns {string} Path of the JSON file
+   */
+  saveStructuredResult(baseName, result) {
+    const outputPath = path.join(this.outputDir, `${baseName}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2), 'utf8');
+    fs.writeFileSync(path.join(this.outputDir, `${baseName}.md`), this.getPresenter().formatClaudeAnalysis(result), 'utf8');
+    return outputPath;
   }
 
   /**
    * Analyze naming conventions for nCino fields
    * @param {string} fieldsJsonPath - Path to the JSON file containing field metadata
-   * @returns {Promise<object>} Analysis results
+   * @returns {Promise<object>} Analysis (schemas/claude-analysis.schema.json)
    */
   async analyzeNamingConventions(fieldsJsonPath) {
     console.log('Analyzing naming conventions...');
@@ -117,6 +294,7 @@ class nCinoAnalyzer {
     const fieldsMetadata = fieldsData.map(field => {
       return {
         apiName: field.apiName,
+        objectName: field.objectName,
         label: field.label,
         type: field.type,
         description: field.description
@@ -124,36 +302,39 @@ class nCinoAnalyzer {
     });
     
     // Format as XML for Claude
-    const fieldsXml = `<fields>\n${fieldsMetadata.map(field => 
-      `  <field>
+    const renderField = field => `  <field>
     <apiName>${field.apiName}</apiName>
+    <object>${field.objectName || ''}</object>
     <label>${field.label || ''}</label>
     <type>${field.type || ''}</type>
     <description>${field.description || ''}</description>
-  </field>`).join('\n')}\n</fields>`;
+  </field>`;
     
     // Load naming convention prompt template
     const promptTemplate = this.loadPromptTemplate('naming_convention_analysis');
     
-    // Insert field metadata into prompt
-    const prompt = this.insertMetadata(promptTemplate, fieldsXml);
+    // Insert the naming rules from the selected rule pack, then the field metadata of each chunk
+    const promptWithRules = this.insertMetadata(promptTemplate, this.rulePack.toPromptXml(), 'convention_rules');
     
-    // Analyze with Claude
-    const response = await this.analyzeWithClaude(prompt);
+    // Analyze with Claude, one chunk of fields (grouped by object) per prompt
+    const result = await this.analyzeInChunks('namingConventions', fieldsMetadata, {
+      render: renderField,
+      buildPrompt: fieldsXml => this.insertMetadata(promptWithRules, `<fields>\n${fieldsXml}\n</fields>`),
+      groupBy: field => field.objectName
+    });
     
-    // Save response
-    const outputPath = path.join(this.outputDir, 'naming_convention_analysis.md');
-    fs.writeFileSync(outputPath, response, 'utf8');
+    // Save results
+    const outputPath = this.saveStructuredResult('naming_convention_analysis', result);
     
     console.log(`Naming convention analysis complete. Results saved to ${outputPath}`);
     
-    return response;
+    return result;
   }
 
   /**
    * Analyze validation rules for bypass patterns
    * @param {string} validationRulesJsonPath - Path to the JSON file containing validation rule metadata
-   * @returns {Promise<object>} Analysis results
+   * @returns {Promise<object>} Analysis (schemas/claude-analysis.schema.json)
    */
   async analyzeValidationRules(validationRulesJsonPath) {
     console.log('Analyzing validation rules for bypass patterns...');
@@ -162,38 +343,38 @@ class nCinoAnalyzer {
     const validationRulesData = JSON.parse(fs.readFileSync(validationRulesJsonPath, 'utf8'));
     
     // Format as XML for Claude
-    const validationRulesXml = `<rules>\n${validationRulesData.map(rule => 
-      `  <rule>
+    const renderRule = rule => `  <rule>
     <apiName>${rule.apiName}</apiName>
+    <object>${rule.objectName || ''}</object>
     <active>${rule.active}</active>
     <description>${rule.description || ''}</description>
     <errorMessage>${rule.errorMessage || ''}</errorMessage>
     <errorDisplayField>${rule.errorDisplayField || ''}</errorDisplayField>
     <formula><![CDATA[${rule.errorConditionFormula || ''}]]></formula>
-  </rule>`).join('\n')}\n</rules>`;
+  </rule>`;
     
     // Load validation rule prompt template
     const promptTemplate = this.loadPromptTemplate('validation_rule_analysis');
     
-    // Insert validation rule metadata into prompt
-    const prompt = this.insertValidationRules(promptTemplate, validationRulesXml);
-    
-    // Analyze with Claude
-    const response = await this.analyzeWithClaude(prompt);
+    // Analyze with Claude, inserting one chunk of validation rules (grouped by object) per prompt
+    const result = await this.analyzeInChunks('validationRules', validationRulesData, {
+      render: renderRule,
+      buildPrompt: rulesXml => this.insertValidationRules(promptTemplate, `<rules>\n${rulesXml}\n</rules>`),
+      groupBy: rule => rule.objectName
+    });
     
-    // Save response
-    const outputPath = path.join(this.outputDir, 'validation_rule_analysis.md');
-    fs.writeFileSync(outputPath, response, 'utf8');
+    // Save results
+    const outputPath = this.saveStructuredResult('validation_rule_analysis', result);
     
     console.log(`Validation rule analysis complete. Results saved to ${outputPath}`);
     
-    return response;
+    return result;
   }
 
   /**
    * Analyze Apex triggers for bypass patterns
    * @param {string} triggersJsonPath - Path to the JSON file containing trigger metadata
-   * @returns {Promise<object>} Analysis results
+   * @returns {Promise<object>} Analysis (schemas/claude-analysis.schema.json)
    */
   async analyzeApexTriggers(triggersJsonPath) {
     console.log('Analyzing Apex triggers for bypass patterns...');
@@ -202,15 +383,14 @@ class nCinoAnalyzer {
     const triggersData = JSON.parse(fs.readFileSync(triggersJsonPath, 'utf8'));
     
     // Format as XML for Claude
-    const triggersXml = `<triggers>\n${triggersData.map(trigger => 
-      `  <trigger>
+    const renderTrigger = trigger => `  <trigger>
     <name>${trigger.name}</name>
     <active>${trigger.active}</active>
     <code><![CDATA[${trigger.content || ''}]]></code>
-  </trigger>`).join('\n')}\n</triggers>`;
+  </trigger>`;
     
     // Create a prompt template for Apex trigger analysis
-    const promptTemplate = `
+    const buildPrompt = triggersXml => `
 <apex_bypass_detection>
   <s>
     You are an expert Salesforce developer specializing in nCino implementations with deep knowledge of metadata structures and best practices.
@@ -242,7 +422,9 @@ class nCinoAnalyzer {
   </patterns_to_detect>
   
   <apex_code>
-    ${triggersXml}
+    <triggers>
+${triggersXml}
+    </triggers>
   </apex_code>
   
   <analysis_request>
@@ -255,23 +437,200 @@ class nCinoAnalyzer {
     4. Recommended improvements
     
     Then provide:
-    1. Overall security assessment
-    2. Statistics on bypass pattern usage
-    3. Prioritized list of triggers that should be refactored
-    4. General recommendations for trigger security best practices
+    1. Overall security score (0-100) and a summary with statistics on bypass pattern usage
+    2. Prioritized list of triggers that should be refactored
+    3. General recommendations for trigger security best practices
+    
+    Answer in the output format below.
   </analysis_request>
+  
+  <output_format>
+  </output_format>
 </apex_bypass_detection>`;
     
-    // Analyze with Claude
-    const response = await this.analyzeWithClaude(promptTemplate);
+    // Analyze with Claude, one chunk of triggers per prompt
+    const result = await this.analyzeInChunks('triggers', triggersData, {
+      render: renderTrigger,
+      buildPrompt
+    });
     
-    // Save response
-    const outputPath = path.join(this.outputDir, 'apex_trigger_analysis.md');
-    fs.writeFileSync(outputPath, response, 'utf8');
+    // Save results
+    const outputPath = this.saveStructuredResult('apex_trigger_analysis', result);
     
     console.log(`Apex trigger analysis complete. Results saved to ${outputPath}`);
     
-    return response;
+    return result;
+  }
+
+  /**
+   * Compare Claude's structured findings with the local analyzers' findings
+   * @param {object} claudeFindings - Analyses from analyzeStructured, keyed by analysis
+   * @param {object} results - Local analyzer results from runRulesAnalysis
+   * @returns {Array} One comparison per analysis both ran (see ClaudeFindings.compare())
+   */
+  compareWithRules(claudeFindings, results) {
+    const localFindings = this.getPresenter().controller.baselineComparator.collectFindings(results);
+    return Object.keys(claudeFindings).filter(analysis => results[analysis]).map(analysis => {
+      const localScore = analysis === 'namingConventions' ?
+        results[analysis].compliancePercentage : results[analysis].securityScore;
+      return this.findingsFormat(analysis).compare(claudeFindings[analysis], localFindings, localScore);
+    });
+  }
+
+  /**
+   * Get the text of a Claude response
+   * @param {Array|string} response - Content blocks returned by analyzeWithClaude
+   * @returns {string} Concatenated text blocks
+   */
+  responseText(response) {
+    return LlmProvider.contentText(response);
+  }
+
+  /**
+   * Run the local analyzers on the metadata files (no network access)
+   * @param {object} options - Analysis options (same as runCompleteAnalysis)
+   * @returns {Promise<object>} { inputData, results, report } where report is the
+   *   comprehensive report described in docs/report_schema.md
+   */
+  async runRulesAnalysis(options = {}) {
+    const readJson = (filePath, defaultName) => {
+      const resolved = filePath || path.join(this.outputDir, defaultName);
+      return fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, 'utf8')) : undefined;
+    };
+
+    const inputData = {
+      fields: options.analyzeNamingConventions !== false ? readJson(options.fieldsPath, 'loan_fields.json') : undefined,
+      validationRules: options.analyzeValidationRules !== false ?
+        readJson(options.validationRulesPath, 'validation_rules.json') : undefined,
+      triggers: options.analyzeApexTriggers !== false ? readJson(options.triggersPath, 'loan_triggers.json') : undefined,
+      flows: options.flowsPath ? readJson(options.flowsPath) : undefined
+    };
+
+    const controller = this.getPresenter().controller;
+    const results = await controller.performAnalyses(inputData);
+
+    // A failed analysis is left out of the report rather than failing the run
+    Object.keys(results).filter(key => key.endsWith('Error')).forEach(key => {
+      console.error(`Error analyzing ${key.replace(/Error$/, '')}: ${results[key]}`);
+      delete results[key];
+    });
+
+    return { inputData, results, report: controller.generateComprehensiveReport(results) };
+  }
+
+  /**
+   * Record a run in the history and add its trend to the report
+   * @param {object} analyses - { inputData, results, report } from runRulesAnalysis
+   * @returns {object} The report with its trend section, or the report unchanged when history is off
+   */
+  recordRun({ inputData, results, report }) {
+    if (!this.history) {
+      return report;
+    }
+
+    const entry = this.history.createEntry({ report, results, inputData, org: this.org });
+    const trend = this.history.trend(entry);
+    this.history.record(entry);
+
+    return this.getPresenter().controller.reportBuilder.addTrend(report, trend);
+  }
+
+  /**
+   * Ask Claude for a narrative and fix suggestions on the rules engine's report
+   * @param {object} report - Comprehensive report from runRulesAnalysis
+   * @returns {Promise<string>} Markdown with a Narrative and a Suggested Fixes section
+   */
+  async narrateReport(report) {
+    console.log('Asking Claude for the report narrative and fix suggestions...');
+
+    const promptTemplate = this.loadPromptTemplate('report_narrative');
+    const prompt = this.insertMetadata(promptTemplate, `<![CDATA[${JSON.stringify(report, null, 2)}]]>`, 'findings');
+
+    const narrative = this.responseText(await this.analyzeWithClaude(prompt));
+
+    const outputPath = path.join(this.outputDir, 'report_narrative.md');
+    fs.writeFileSync(outputPath, narrative, 'utf8');
+
+    console.log(`Report narrative complete. Results saved to ${outputPath}`);
+
+    return narrative;
+  }
+
+  /**
+   * Render the rules engine's report as the Markdown comprehensive report
+   * @param {object} report - Comprehensive report from runRulesAnalysis
+   * @param {string} narrative - Claude's narrative and fix suggestions (hybrid engine only)
+   * @returns {string} Comprehensive report in Markdown format
+   */
+  renderRulesReport(report, narrative) {
+    const formatted = this.getPresenter().formatResultsForClaude(report);
+    const source = narrative ?
+      'The findings and scores below were produced by the local rule-based analyzers; the narrative and suggested fixes were written by Claude from those findings.' :
+      'The findings and scores below were produced by the local rule-based analyzers without network access.';
+
+    const sections = [
+      '# nCino Configuration Analysis Report',
+      source,
+      formatted.overallScore.trim(),
+      formatted.executiveSummary.trim()
+    ];
+    if (formatted.trend) {
+      sections.push(formatted.trend.trim());
+    }
+    if (narrative) {
+      sections.push(narrative.trim());
+    }
+    sections.push(
+      `## Key Recommendations\n\n${formatted.recommendations.map((recommendation, index) => `${index + 1}. ${recommendation}`).join('\n')}`,
+      formatted.detailedFindings.trim()
+    );
+    if (formatted.acceptedRisk) {
+      sections.push(formatted.acceptedRisk.trim());
+    }
+
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Get the presenter used to format rules engine reports (created on first use)
+   * @returns {ClaudeIntegration} Presenter, whose controller runs the local analyzers
+   */
+  getPresenter() {
+    if (!this.presenter) {
+      this.presenter = new ClaudeIntegration({
+        tempDir: this.outputDir,
+        rulePack: this.rulePack,
+        suppressions: this.suppressions
+      });
+    }
+    return this.presenter;
+  }
+
+  /**
+   * Run the local analyzers and write the Markdown report; the hybrid engine adds Claude's narrative
+   * @param {object} options - Analysis options
+   * @returns {Promise<object>} Analysis results, report and Markdown report
+   */
+  async runRulesEngineAnalysis(options = {}) {
+    const analyses = await this.runRulesAnalysis(options);
+    analyses.report = this.recordRun(analyses);
+
+    if (this.engine === 'hybrid') {
+      try {
+        analyses.narrative = await this.narrateReport(analyses.report);
+      } catch (error) {
+        console.error('Error generating the report narrative:', error.message);
+      }
+    }
+
+    console.log('Generating comprehensive report...');
+    const markdown = this.renderRulesReport(analyses.report, analyses.narrative);
+    const outputPath = path.join(this.outputDir, 'comprehensive_report.md');
+    fs.writeFileSync(outputPath, markdown, 'utf8');
+    console.log(`Comprehensive report generated. Saved to ${outputPath}`);
+
+    analyses.comprehensiveReport = markdown;
+    return analyses;
   }
 
   /**
@@ -296,6 +655,10 @@ ${analyses.validationRuleSummary || ''}
 
 ${analyses.apexTriggerSummary || ''}
 
+${analyses.trendSection || ''}
+
+${analyses.comparisonSection || ''}
+
 ## Key Recommendations
 
 1. Standardize naming conventions across all custom fields
@@ -334,20 +697,32 @@ This analysis identified several areas for improvement in the current nCino impl
   /**
    * Run a complete analysis on nCino metadata
    * @param {object} options - Analysis options
-   * @returns {Promise<object>} Analysis results
+   * @returns {Promise<object>} Analysis results, with the local analyzers' { inputData, results, report }
+   *   (see runRulesAnalysis) unless they failed
    */
   async runCompleteAnalysis(options = {}) {
     await this.initialize();
+    this.provider.resetBudget();
+    this.usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
+    if (this.cache) {
+      this.cache.resetStats();
+    }
+    
+    if (this.engine !== 'claude') {
+      return this.runRulesEngineAnalysis(options);
+    }
     
-    const analyses = {};
+    const analyses = { claudeFindings: {} };
+    const presenter = this.getPresenter();
     
     // Analyze naming conventions
     if (options.analyzeNamingConventions !== false) {
       const fieldsPath = options.fieldsPath || path.join(this.outputDir, 'loan_fields.json');
       try {
         const namingResults = await this.analyzeNamingConventions(fieldsPath);
-        analyses.namingConventionDetails = namingResults;
-        analyses.namingConventionSummary = 'Analysis of field naming conventions identified several compliance issues.';
+        analyses.claudeFindings.namingConventions = namingResults;
+        analyses.namingConventionDetails = presenter.formatClaudeAnalysis(namingResults);
+        analyses.namingConventionSummary = `**Naming conventions:** ${namingResults.summary}`;
       } catch (error) {
         console.error('Error analyzing naming conventions:', error.message);
       }
@@ -358,8 +733,9 @@ This analysis identified several areas for improvement in the current nCino impl
       const validationRulesPath = options.validationRulesPath || path.join(this.outputDir, 'validation_rules.json');
       try {
         const validationResults = await this.analyzeValidationRules(validationRulesPath);
-        analyses.validationRuleDetails = validationResults;
-        analyses.validationRuleSummary = 'Validation rule analysis found several bypass patterns that may pose security risks.';
+        analyses.claudeFindings.validationRules = validationResults;
+        analyses.validationRuleDetails = presenter.formatClaudeAnalysis(validationResults);
+        analyses.validationRuleSummary = `**Validation rules:** ${validationResults.summary}`;
       } catch (error) {
         console.error('Error analyzing validation rules:', error.message);
       }
@@ -370,13 +746,45 @@ This analysis identified several areas for improvement in the current nCino impl
       const triggersPath = options.triggersPath || path.join(this.outputDir, 'loan_triggers.json');
       try {
         const triggerResults = await this.analyzeApexTriggers(triggersPath);
-        analyses.apexTriggerDetails = triggerResults;
-        analyses.apexTriggerSummary = 'Apex trigger analysis identified potential security concerns in bypass mechanisms.';
+        analyses.claudeFindings.triggers = triggerResults;
+        analyses.apexTriggerDetails = presenter.formatClaudeAnalysis(triggerResults);
+        analyses.apexTriggerSummary = `**Apex triggers:** ${triggerResults.summary}`;
       } catch (error) {
         console.error('Error analyzing Apex triggers:', error.message);
       }
     }
     
+    // Claude's answers aren't scored, so the local analyzers provide the scores for the history
+    // and the findings Claude's are checked against
+    let local = null;
+    try {
+      local = await this.runRulesAnalysis(options);
+    } catch (error) {
+      console.error('Error running the local analyzers:', error.message);
+    }
+    
+    if (local && this.history) {
+      try {
+        local.report = this.recordRun(local);
+        analyses.trendSection = presenter.formatTrend(local.report.trend);
+      } catch (error) {
+        console.error('Error recording the run history:', error.message);
+      }
+    }
+    
+    if (local && Object.keys(analyses.claudeFindings).length > 0) {
+      analyses.comparison = this.compareWithRules(analyses.claudeFindings, local.results);
+      analyses.comparisonSection = presenter.formatClaudeComparison(analyses.comparison);
+      const comparisonPath = path.join(this.outputDir, 'claude_comparison.json');
+      fs.writeFileSync(comparisonPath, JSON.stringify(analyses.comparison, null, 2), 'utf8');
+      console.log(`Comparison with the local analyzers saved to ${comparisonPath}`);
+    }
+    
+    // The local results are returned as the other engines return them, for the files built from them
+    if (local) {
+      Object.assign(analyses, { inputData: local.inputData, results: local.results, report: local.report });
+    }
+    
     // Generate comprehensive report
     const report = this.generateComprehensiveReport(analyses);
     analyses.comprehensiveReport = report;
@@ -385,4 +793,5 @@ This analysis identified several areas for improvement in the current nCino impl
   }
 }
 
-module.exports = nCinoAnalyzer;
\ No newline at end of file
+module.exports = nCinoAnalyzer;
+module.exports.ENGINES = ENGINES;
\ No newline at end of file
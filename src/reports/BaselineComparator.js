@@ -0,0 +1,215 @@
+/**
+ * BaselineComparator.js
+ * Saves analysis runs as snapshots and compares a run against a baseline
+ * snapshot: new, resolved and unchanged findings, score deltas and added or
+ * removed components. Findings are matched by fingerprint, so a finding keeps
+ * its identity when unrelated edits move it to another line.
+ */
+
+const ReportBuilder = require('./ReportBuilder');
+const SchemaValidator = require('../models/SchemaValidator');
+const { normalizeLocation, assignFingerprints } = require('../models/Fingerprint');
+const { version } = require('../../package.json');
+
+// Bump the major version for breaking layout changes, the minor version for additions
+const SNAPSHOT_VERSION = '1.0.0';
+
+const TOOL_NAME = 'salesforce-ncino-analyzer';
+
+// Bypass analyses in the results
+const BYPASS_SECTIONS = ['validationRules', 'triggers', 'flows'];
+
+// Component lists: snapshot key, input list and the component identity
+const COMPONENT_LISTS = [
+  { key: 'fields', input: 'fields', name: item => qualify(item.objectName, item.apiName || item.fullName) },
+  { key: 'validationRules', input: 'validationRules', name: item => qualify(item.objectName, item.apiName || item.fullName) },
+  { key: 'triggers', input: 'triggers', name: item => item.name },
+  { key: 'flows', input: 'flows', name: item => item.apiName || item.fullName }
+];
+
+// Analyses a snapshot can hold findings for
+const ANALYSES = ['namingConventions', ...BYPASS_SECTIONS];
+
+// Scores compared between runs
+const SCORES = ['overall', ...ANALYSES];
+
+class BaselineComparator {
+  /**
+   * @param {Object} options - Comparator options
+   * @param {ReportBuilder} options.reportBuilder - Builder used to compute the overall score
+   */
+  constructor(options = {}) {
+    this.reportBuilder = options.reportBuilder || new ReportBuilder();
+  }
+
+  /**
+   * Create a snapshot of an analysis run, to save as a baseline
+   * @param {Object} results - Analyzer results: namingConventions, validationRules, triggers and flows
+   * @param {Object} inputData - The metadata that was analyzed; its component lists let a
+   *   comparison report added and removed components
+   * @returns {Object} Snapshot (schemas/snapshot.schema.json)
+   */
+  createSnapshot(results = {}, inputData = {}) {
+    const report = this.reportBuilder.build(results);
+
+    const scores = {
+      overall: report.overallScore.rating === 'N/A' ? null : report.overallScore.score,
+      namingConventions: results.namingConventions ? results.namingConventions.compliancePercentage : null
+    };
+    BYPASS_SECTIONS.forEach(key => {
+      scores[key] = results[key] ? results[key].securityScore : null;
+    });
+
+    const components = {};
+    COMPONENT_LISTS.forEach(list => {
+      components[list.key] = Array.isArray(inputData[list.input]) ?
+        [...new Set(inputData[list.input].map(list.name))].sort() : null;
+    });
+
+    const snapshot = {
+      snapshotVersion: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      tool: { name: TOOL_NAME, version },
+      rulePack: results.namingConventions ? results.namingConventions.rulePack : null,
+      scores,
+      components,
+      findings: this.collectFindings(results)
+    };
+
+    return SchemaValidator.shared().assertValid('snapshot', snapshot);
+  }
+
+  /**
+   * Flatten analyzer results into fingerprinted findings: one per naming rule a field
+   * violates and one per bypass pattern location
+   * @param {Object} results - Analyzer results
+   * @returns {Array} Findings { fingerprint, analysis, component, rule, severity, message, filePath, location }
+   */
+  collectFindings(results = {}) {
+    const findings = [];
+
+    if (results.namingConventions) {
+      results.namingConventions.violations.forEach(fieldViolation => {
+        fieldViolation.violations.forEach(violation => {
+          findings.push({
+            analysis: 'namingConventions',
+            component: fieldViolation.apiName,
+            rule: violation.ruleId || violation.rule,
+            severity: violation.severity,
+            message: violation.rule,
+            filePath: fieldViolation.location ? fieldViolation.location.filePath : null,
+            location: fieldViolation.location || null
+          });
+        });
+      });
+    }
+
+    BYPASS_SECTIONS.forEach(key => {
+      if (!results[key]) {
+        return;
+      }
+      results[key].bypassPatterns.forEach(component => {
+        const name = component.apiName || component.name;
+        component.patterns.forEach(pattern => {
+          // Patterns found without a location (e.g. API-extracted metadata) are one finding each
+          const locations = pattern.locations && pattern.locations.length > 0 ? pattern.locations : [null];
+          locations.forEach(location => {
+            findings.push({
+              analysis: key,
+              component: name,
+              rule: pattern.name,
+              severity: pattern.severity,
+              message: pattern.description,
+              filePath: (location && location.filePath) || component.filePath || null,
+              location
+            });
+          });
+        });
+      });
+    });
+
+    return assignFingerprints(findings);
+  }
+
+  /**
+   * Compare a run against a baseline
+   * @param {Object} baseline - Baseline snapshot
+   * @param {Object} current - Snapshot of the current run
+   * @returns {Object} Comparison (schemas/comparison.schema.json)
+   */
+  compare(baseline, current) {
+    const validator = SchemaValidator.shared();
+    validator.assertValid('snapshot', baseline);
+    validator.assertValid('snapshot', current);
+
+    // Only analyses both runs performed are compared, so a skipped analysis doesn't look resolved
+    const analyses = ANALYSES.filter(key => baseline.scores[key] !== null && current.scores[key] !== null);
+    const compared = snapshot => snapshot.findings.filter(finding => analyses.includes(finding.analysis));
+    const baselineFindings = compared(baseline);
+    const currentFindings = compared(current);
+
+    const baselineFingerprints = new Set(baselineFindings.map(finding => finding.fingerprint));
+    const currentFingerprints = new Set(currentFindings.map(finding => finding.fingerprint));
+
+    const findings = {
+      new: currentFindings.filter(finding => !baselineFingerprints.has(finding.fingerprint)),
+      resolved: baselineFindings.filter(finding => !currentFingerprints.has(finding.fingerprint)),
+      unchanged: currentFindings.filter(finding => baselineFingerprints.has(finding.fingerprint))
+    };
+
+    const scores = {};
+    SCORES.forEach(key => {
+      const before = baseline.scores[key];
+      const after = current.scores[key];
+      scores[key] = {
+        baseline: before,
+        current: after,
+        delta: before === null || after === null ? null : after - before
+      };
+    });
+
+    // Components can only be compared when both runs recorded the list
+    const components = {};
+    COMPONENT_LISTS.forEach(list => {
+      const before = baseline.components[list.key];
+      const after = current.components[list.key];
+      if (before && after) {
+        components[list.key] = {
+          added: after.filter(name => !before.includes(name)),
+          removed: before.filter(name => !after.includes(name))
+        };
+      }
+    });
+
+    const comparison = {
+      snapshotVersion: SNAPSHOT_VERSION,
+      baseline: { createdAt: baseline.createdAt, rulePack: baseline.rulePack },
+      current: { createdAt: current.createdAt, rulePack: current.rulePack },
+      analyses,
+      summary: {
+        new: findings.new.length,
+        resolved: findings.resolved.length,
+        unchanged: findings.unchanged.length
+      },
+      scores,
+      components,
+      findings
+    };
+
+    return validator.assertValid('comparison', comparison);
+  }
+}
+
+/**
+ * Qualify a component name with its object, e.g. 'LLC_BI__Loan__c.nc_Amount__c'
+ * @param {string} objectName - Object API name, if known
+ * @param {string} name - Component name
+ * @returns {string} Qualified name
+ */
+function qualify(objectName, name) {
+  return objectName ? `${objectName}.${name || ''}` : (name || '');
+}
+
+module.exports = BaselineComparator;
+module.exports.SNAPSHOT_VERSION = SNAPSHOT_VERSION;
+module.exports.normalizeLocation = normalizeLocation;
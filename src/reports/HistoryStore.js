@@ -0,0 +1,244 @@
+/**
+ * HistoryStore.js
+ * Keeps a history of analysis runs in a JSON-lines file: one entry per run
+ * with the overall and component scores, risk counts and per-object metrics,
+ * tagged with the org and a timestamp. The history feeds the trend section of
+ * the comprehensive report and the MCP salesforce.history resource.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('../models/SchemaValidator');
+
+// Bump the major version for breaking layout changes, the minor version for additions
+const HISTORY_ENTRY_VERSION = '1.0.0';
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '../../output/history.jsonl');
+
+// Runs listed in a trend's series
+const DEFAULT_TREND_LENGTH = 10;
+
+// Bypass analyses: results key and the name of their per-object metrics
+const BYPASS_SECTIONS = [
+  { key: 'validationRules', total: 'validationRules', withBypass: 'validationRulesWithBypass' },
+  { key: 'triggers', total: 'triggers', withBypass: 'triggersWithBypass' },
+  { key: 'flows', total: 'flows', withBypass: 'flowsWithBypass' }
+];
+
+const COMPONENT_SCORES = ['namingConventions', 'validationRules', 'triggers', 'flows'];
+
+class HistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - History file (default: output/history.jsonl)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || DEFAULT_HISTORY_FILE;
+  }
+
+  /**
+   * Build the history entry for a run
+   * @param {Object} run - Run details
+   * @param {Object} run.report - Comprehensive report of the run
+   * @param {Object} run.results - Analyzer results the report was built from
+   * @param {Object} run.inputData - Metadata that was analyzed (gives the per-object totals)
+   * @param {string} run.org - Org alias, username or project the run analyzed
+   * @param {string} run.timestamp - ISO 8601 timestamp (default: now)
+   * @returns {Object} History entry (schemas/history-entry.schema.json)
+   */
+  createEntry({ report, results = {}, inputData = {}, org, timestamp }) {
+    const componentScores = {};
+    COMPONENT_SCORES.forEach(key => {
+      const findings = report.detailedFindings[key];
+      if (!findings) {
+        componentScores[key] = null;
+      } else {
+        componentScores[key] = key === 'namingConventions' ? findings.compliancePercentage : findings.securityScore;
+      }
+    });
+
+    const entry = {
+      entryVersion: HISTORY_ENTRY_VERSION,
+      timestamp: timestamp || new Date().toISOString(),
+      org: org || 'default',
+      rulePack: results.namingConventions ? results.namingConventions.rulePack : null,
+      overallScore: {
+        score: report.overallScore.rating === 'N/A' ? null : report.overallScore.score,
+        rating: report.overallScore.rating
+      },
+      componentScores,
+      risks: Object.assign({}, report.executiveSummary.risksIdentified),
+      objects: this.collectObjectMetrics(results, inputData)
+    };
+
+    return SchemaValidator.shared().assertValid('history-entry', entry);
+  }
+
+  /**
+   * Count components and findings per object
+   * @param {Object} results - Analyzer results
+   * @param {Object} inputData - Metadata that was analyzed
+   * @returns {Object} Metrics keyed by object API name
+   */
+  collectObjectMetrics(results, inputData) {
+    const objects = {};
+    const metricsFor = objectName => {
+      if (!objects[objectName]) {
+        objects[objectName] = {
+          fields: 0,
+          namingViolations: 0,
+          namingCompliance: null,
+          validationRules: 0,
+          validationRulesWithBypass: 0,
+          triggers: 0,
+          triggersWithBypass: 0,
+          flows: 0,
+          flowsWithBypass: 0
+        };
+      }
+      return objects[objectName];
+    };
+
+    // Components without an object (e.g. scheduled flows) aren't attributed to any object
+    (inputData.fields || []).filter(field => field.objectName).forEach(field => {
+      metricsFor(field.objectName).fields++;
+    });
+    if (results.namingConventions) {
+      results.namingConventions.violations.filter(violation => violation.objectName).forEach(violation => {
+        metricsFor(violation.objectName).namingViolations++;
+      });
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      (inputData[section.key] || []).filter(component => component.objectName).forEach(component => {
+        metricsFor(component.objectName)[section.total]++;
+      });
+      if (results[section.key]) {
+        results[section.key].bypassPatterns.filter(component => component.objectName).forEach(component => {
+          metricsFor(component.objectName)[section.withBypass]++;
+        });
+      }
+    });
+
+    Object.values(objects).forEach(metrics => {
+      if (metrics.fields > 0 && results.namingConventions) {
+        metrics.namingCompliance = Math.round(((metrics.fields - metrics.namingViolations) / metrics.fields) * 100);
+      }
+    });
+
+    return objects;
+  }
+
+  /**
+   * Append an entry to the history file
+   * @param {Object} entry - History entry from createEntry()
+   * @returns {Object} The entry
+   */
+  record(entry) {
+    SchemaValidator.shared().assertValid('history-entry', entry);
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  }
+
+  /**
+   * Read history entries, oldest first
+   * @param {Object} filter - Query filter
+   * @param {string} filter.org - Only entries for this org
+   * @param {string} filter.since - Only entries at or after this ISO 8601 timestamp
+   * @param {string} filter.until - Only entries at or before this ISO 8601 timestamp
+   * @param {number} filter.limit - Only the most recent entries
+   * @returns {Array} History entries
+   */
+  query(filter = {}) {
+    let entries = this.readAll();
+
+    if (filter.org) {
+      entries = entries.filter(entry => entry.org === filter.org);
+    }
+    if (filter.since) {
+      entries = entries.filter(entry => entry.timestamp >= filter.since);
+    }
+    if (filter.until) {
+      entries = entries.filter(entry => entry.timestamp <= filter.until);
+    }
+    if (filter.limit) {
+      entries = entries.slice(-filter.limit);
+    }
+
+    return entries;
+  }
+
+  /**
+   * List the orgs with recorded runs
+   * @returns {Array} Org names
+   */
+  orgs() {
+    return [...new Set(this.readAll().map(entry => entry.org))].sort();
+  }
+
+  /**
+   * Describe how a run compares with the earlier runs of its org
+   * @param {Object} entry - History entry of the run (recorded or not)
+   * @param {Object} options - Trend options
+   * @param {number} options.limit - Number of runs in the series, including this one (default: 10)
+   * @returns {Object} Trend { org, runs, previous, deltas, series }; previous and deltas are null for a first run
+   */
+  trend(entry, options = {}) {
+    const limit = options.limit || DEFAULT_TREND_LENGTH;
+    const earlier = this.query({ org: entry.org, until: entry.timestamp })
+      .filter(other => other.timestamp !== entry.timestamp);
+    const previous = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+
+    let deltas = null;
+    if (previous) {
+      const delta = (before, after) => before === null || after === null ? null : after - before;
+      deltas = { overall: delta(previous.overallScore.score, entry.overallScore.score) };
+      COMPONENT_SCORES.forEach(key => {
+        deltas[key] = delta(previous.componentScores[key], entry.componentScores[key]);
+      });
+      ['critical', 'medium', 'low'].forEach(key => {
+        deltas[key] = entry.risks[key] - previous.risks[key];
+      });
+    }
+
+    return {
+      org: entry.org,
+      runs: earlier.length + 1,
+      previous: previous ? { timestamp: previous.timestamp, overallScore: previous.overallScore.score } : null,
+      deltas,
+      series: earlier.concat(entry).slice(-limit).map(run => ({
+        timestamp: run.timestamp,
+        overallScore: run.overallScore.score
+      }))
+    };
+  }
+
+  /**
+   * Read every entry of the history file, oldest first. Lines that aren't valid entries are skipped.
+   * @returns {Array} History entries
+   */
+  readAll() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const validator = SchemaValidator.shared();
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry && validator.validate('history-entry', entry).valid)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+}
+
+module.exports = HistoryStore;
+module.exports.HISTORY_ENTRY_VERSION = HISTORY_ENTRY_VERSION;
+module.exports.DEFAULT_HISTORY_FILE = DEFAULT_HISTORY_FILE;
@@ -0,0 +1,557 @@
+/**
+ * HtmlReportWriter.js
+ * Renders the comprehensive report as a single, self-contained HTML file for
+ * readers who won't open Markdown: a score gauge, the severity breakdown, the
+ * bypass pattern distribution and sortable, filterable finding tables. CSS,
+ * JavaScript and SVG charts are inline, so the file works offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatLocation } = require('../models/SourceLocation');
+
+const DEFAULT_TITLE = 'nCino Configuration Analysis Report';
+
+const RATING_COLORS = {
+  Excellent: '#1e8449', Good: '#27ae60', Fair: '#d4ac0d', Poor: '#e67e22', Critical: '#c0392b', 'N/A': '#95a5a6'
+};
+
+// Severities of both analyses on one scale: rank (for sorting and filtering), label and color
+const SEVERITIES = {
+  critical: { rank: 0, label: 'Critical', color: '#c0392b' },
+  High: { rank: 0, label: 'High', color: '#c0392b' },
+  medium: { rank: 1, label: 'Medium', color: '#e67e22' },
+  Medium: { rank: 1, label: 'Medium', color: '#e67e22' },
+  low: { rank: 2, label: 'Low', color: '#2980b9' },
+  Low: { rank: 2, label: 'Low', color: '#2980b9' }
+};
+
+// Bypass sections of the report: key, finding type label and the name of the component field
+const BYPASS_SECTIONS = [
+  { key: 'validationRules', label: 'Validation rule', componentField: 'rule' },
+  { key: 'triggers', label: 'Apex trigger', componentField: 'trigger' },
+  { key: 'flows', label: 'Flow', componentField: 'flow' }
+];
+
+const CHART_COLORS = ['#2e86c1', '#8e44ad', '#16a085', '#d35400', '#2c3e50', '#c0392b', '#7f8c8d'];
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1c2833; background: #f4f6f7; }
+  header { background: #1b2631; color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 24px; }
+  header p { margin: 0; color: #aeb6bf; font-size: 13px; }
+  main { max-width: 1200px; margin: 0 auto; padding: 24px 32px 48px; }
+  section { background: #fff; border-radius: 6px; padding: 20px 24px; margin-bottom: 20px; box-shadow: 0 1px 2px rgba(0,0,0,0.08); }
+  h2 { margin: 0 0 16px; font-size: 18px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+  .grid section { margin-bottom: 0; }
+  .gauge { text-align: center; }
+  .gauge .rating { font-size: 18px; font-weight: 600; }
+  .muted { color: #717d7e; font-size: 13px; }
+  .legend { list-style: none; padding: 0; margin: 12px 0 0; }
+  .legend li { display: inline-block; margin-right: 16px; font-size: 13px; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; }
+  .controls { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 12px; align-items: center; }
+  .controls input, .controls select { padding: 6px 8px; border: 1px solid #ccd1d1; border-radius: 4px; font-size: 14px; }
+  .controls input { flex: 1; min-width: 200px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e8e8; vertical-align: top; }
+  th { background: #f8f9f9; position: sticky; top: 0; }
+  th.sortable { cursor: pointer; user-select: none; }
+  th.sortable::after { content: " \\2195"; color: #aab7b8; }
+  th.asc::after { content: " \\2191"; color: #1c2833; }
+  th.desc::after { content: " \\2193"; color: #1c2833; }
+  code { font-family: SFMono-Regular, Consolas, monospace; font-size: 12px; word-break: break-all; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; color: #fff; font-size: 12px; font-weight: 600; }
+  .empty { color: #717d7e; font-style: italic; }
+  @media print {
+    body { background: #fff; }
+    section { box-shadow: none; border: 1px solid #e5e8e8; page-break-inside: avoid; }
+    .controls { display: none; }
+  }
+`;
+
+// Sorting and filtering for tables marked data-findings; works on the rendered rows, so the
+// tables are complete without JavaScript
+const SCRIPT = `
+(function () {
+  document.querySelectorAll('table[data-findings]').forEach(function (table) {
+    var tbody = table.tBodies[0];
+    var rows = Array.prototype.slice.call(tbody.rows);
+    var controls = document.getElementById(table.getAttribute('data-controls'));
+    var count = controls ? controls.querySelector('[data-count]') : null;
+
+    function applyFilters() {
+      var text = controls ? controls.querySelector('[data-filter="text"]').value.toLowerCase() : '';
+      var severity = controls ? controls.querySelector('[data-filter="severity"]').value : '';
+      var type = controls ? controls.querySelector('[data-filter="type"]').value : '';
+      var shown = 0;
+      rows.forEach(function (row) {
+        var visible = (!text || row.textContent.toLowerCase().indexOf(text) !== -1) &&
+          (!severity || row.getAttribute('data-severity') === severity) &&
+          (!type || row.getAttribute('data-type') === type);
+        row.style.display = visible ? '' : 'none';
+        if (visible) shown++;
+      });
+      if (count) count.textContent = 'Showing ' + shown + ' of ' + rows.length;
+    }
+
+    if (controls) {
+      controls.querySelectorAll('[data-filter]').forEach(function (control) {
+        control.addEventListener('input', applyFilters);
+        control.addEventListener('change', applyFilters);
+      });
+    }
+
+    table.querySelectorAll('th.sortable').forEach(function (header) {
+      header.addEventListener('click', function () {
+        var ascending = !header.classList.contains('asc');
+        table.querySelectorAll('th.sortable').forEach(function (other) { other.classList.remove('asc', 'desc'); });
+        header.classList.add(ascending ? 'asc' : 'desc');
+        var index = header.cellIndex;
+        rows.sort(function (a, b) {
+          var x = a.cells[index].getAttribute('data-value') || a.cells[index].textContent;
+          var y = b.cells[index].getAttribute('data-value') || b.cells[index].textContent;
+          var result = isNaN(x) || isNaN(y) ? x.localeCompare(y) : Number(x) - Number(y);
+          return ascending ? result : -result;
+        });
+        rows.forEach(function (row) { tbody.appendChild(row); });
+      });
+    });
+
+    applyFilters();
+  });
+})();
+`;
+
+class HtmlReportWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {string} options.title - Page title (default: 'nCino Configuration Analysis Report')
+   */
+  constructor(options = {}) {
+    this.title = options.title || DEFAULT_TITLE;
+  }
+
+  /**
+   * Render a report as a self-contained HTML document
+   * @param {Object} report - Comprehensive report (see docs/report_schema.md)
+   * @param {Object} options - Render options
+   * @param {Object} options.visualizationData - Chart datasets from ClaudeIntegration.prepareVisualizationData():
+   *   scoreChart, issueBreakdown and bypassPatternDistribution
+   * @param {string} options.generatedAt - ISO 8601 timestamp shown in the header (default: now)
+   * @returns {string} HTML document
+   */
+  render(report, options = {}) {
+    const charts = options.visualizationData || {};
+    const generatedAt = options.generatedAt || new Date().toISOString();
+
+    const sections = [
+      `<div class="grid">
+        ${this.renderScoreGauge(report.overallScore)}
+        ${this.renderChartSection('Component Scores', this.renderBarChart(charts.scoreChart, { max: 100 }))}
+      </div>`,
+      this.renderSummary(report.executiveSummary),
+      `<div class="grid">
+        ${this.renderChartSection('Severity Breakdown', this.renderDonutChart(charts.issueBreakdown))}
+        ${this.renderChartSection('Bypass Pattern Distribution', this.renderBarChart(charts.bypassPatternDistribution))}
+      </div>`,
+      this.renderTrend(report.trend),
+      this.renderFindings(report.detailedFindings || {}),
+      this.renderAcceptedRisk(report.acceptedRisk),
+      this.renderRecommendations(report.recommendations || [])
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(this.title)}</h1>
+  <p>Generated ${escapeHtml(generatedAt)} &middot; report schema ${escapeHtml(report.schemaVersion || '')}</p>
+</header>
+<main>
+${sections.join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a report and write it to a file
+   * @param {string} filePath - Output file
+   * @param {Object} report - Comprehensive report
+   * @param {Object} options - Render options (see render())
+   * @returns {string} The file path
+   */
+  write(filePath, report, options = {}) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, this.render(report, options), 'utf8');
+    return filePath;
+  }
+
+  /**
+   * Render the overall score as a half-circle gauge
+   * @param {Object} score - Overall score { score, rating }
+   * @returns {string} HTML section
+   */
+  renderScoreGauge(score = {}) {
+    const rated = score.rating && score.rating !== 'N/A';
+    const value = rated ? Math.max(0, Math.min(100, score.score)) : 0;
+    const color = RATING_COLORS[score.rating] || RATING_COLORS['N/A'];
+
+    return `<section class="gauge">
+      <h2>Overall Health Score</h2>
+      <svg viewBox="0 0 200 120" width="260" role="img" aria-label="Overall score ${rated ? value : 'not available'} out of 100">
+        <path d="M 20 100 A 80 80 0 0 1 180 100" fill="none" stroke="#e5e8e8" stroke-width="18" pathLength="100"/>
+        <path d="M 20 100 A 80 80 0 0 1 180 100" fill="none" stroke="${color}" stroke-width="18" pathLength="100" stroke-dasharray="${value} 100"/>
+        <text x="100" y="92" text-anchor="middle" font-size="34" font-weight="700" fill="#1c2833">${rated ? value : '&ndash;'}</text>
+        <text x="100" y="114" text-anchor="middle" font-size="11" fill="#717d7e">out of 100</text>
+      </svg>
+      <div class="rating" style="color: ${color}">${escapeHtml(score.rating || 'N/A')}</div>
+    </section>`;
+  }
+
+  /**
+   * Wrap a chart in a titled section
+   * @param {string} title - Section title
+   * @param {string} chart - Chart HTML
+   * @returns {string} HTML section
+   */
+  renderChartSection(title, chart) {
+    return `<section>
+      <h2>${escapeHtml(title)}</h2>
+      ${chart}
+    </section>`;
+  }
+
+  /**
+   * Render the first dataset of a Chart.js-style chart as horizontal SVG bars
+   * @param {Object} chart - { labels, datasets: [{ label, data, backgroundColor }] }
+   * @param {Object} options - Chart options
+   * @param {number} options.max - Value of a full-width bar (default: the largest value)
+   * @returns {string} SVG, or a note when there is no data
+   */
+  renderBarChart(chart, options = {}) {
+    const labels = (chart && chart.labels) || [];
+    const dataset = (chart && chart.datasets && chart.datasets[0]) || { data: [] };
+    if (labels.length === 0) {
+      return '<p class="empty">No data for this chart.</p>';
+    }
+
+    const max = options.max || Math.max(1, ...dataset.data);
+    const rowHeight = 28;
+    const labelWidth = 190;
+    const barWidth = 240;
+    const bars = labels.map((label, index) => {
+      const value = dataset.data[index] || 0;
+      const width = Math.round((value / max) * barWidth);
+      const color = colorAt(dataset.backgroundColor, index);
+      const y = index * rowHeight;
+      return `<text x="${labelWidth - 8}" y="${y + 18}" text-anchor="end" font-size="12" fill="#1c2833">${escapeHtml(truncate(label, 30))}<title>${escapeHtml(label)}</title></text>
+        <rect x="${labelWidth}" y="${y + 6}" width="${barWidth}" height="16" fill="#f2f3f4" rx="2"/>
+        <rect x="${labelWidth}" y="${y + 6}" width="${width}" height="16" fill="${color}" rx="2"/>
+        <text x="${labelWidth + width + 6}" y="${y + 18}" font-size="12" fill="#1c2833">${value}</text>`;
+    });
+
+    return `<svg viewBox="0 0 ${labelWidth + barWidth + 40} ${labels.length * rowHeight + 8}" width="100%" role="img" aria-label="${escapeHtml(dataset.label || 'Chart')}">
+      ${bars.join('\n')}
+    </svg>`;
+  }
+
+  /**
+   * Render the first dataset of a Chart.js-style chart as an SVG donut with a legend
+   * @param {Object} chart - { labels, datasets: [{ label, data, backgroundColor }] }
+   * @returns {string} SVG and legend, or a note when there is no data
+   */
+  renderDonutChart(chart) {
+    const labels = (chart && chart.labels) || [];
+    const dataset = (chart && chart.datasets && chart.datasets[0]) || { data: [] };
+    const total = dataset.data.reduce((sum, value) => sum + (value || 0), 0);
+    if (total === 0) {
+      return '<p class="empty">No findings.</p>';
+    }
+
+    let offset = 0;
+    const slices = labels.map((label, index) => {
+      const share = ((dataset.data[index] || 0) / total) * 100;
+      const slice = `<circle cx="60" cy="60" r="45" fill="none" stroke="${colorAt(dataset.backgroundColor, index)}" stroke-width="22" pathLength="100" stroke-dasharray="${share} ${100 - share}" stroke-dashoffset="${-offset}" transform="rotate(-90 60 60)"><title>${escapeHtml(label)}: ${dataset.data[index] || 0}</title></circle>`;
+      offset += share;
+      return slice;
+    });
+    const legend = labels.map((label, index) =>
+      `<li><span class="swatch" style="background: ${colorAt(dataset.backgroundColor, index)}"></span>${escapeHtml(label)}: ${dataset.data[index] || 0}</li>`);
+
+    return `<svg viewBox="0 0 120 120" width="180" role="img" aria-label="${escapeHtml(dataset.label || 'Chart')}">
+      ${slices.join('\n')}
+      <text x="60" y="66" text-anchor="middle" font-size="18" font-weight="700" fill="#1c2833">${total}</text>
+    </svg>
+    <ul class="legend">${legend.join('')}</ul>`;
+  }
+
+  /**
+   * Render the executive summary
+   * @param {Object} summary - Executive summary
+   * @returns {string} HTML section, or an empty string without a summary
+   */
+  renderSummary(summary) {
+    if (!summary) {
+      return '';
+    }
+    const findings = (summary.keyFindings || []).map(finding => `<li>${escapeHtml(finding)}</li>`).join('');
+    return `<section>
+      <h2>Executive Summary</h2>
+      <p>${escapeHtml(summary.overallAssessment)}</p>
+      ${findings ? `<ul>${findings}</ul>` : ''}
+    </section>`;
+  }
+
+  /**
+   * Render the trend against earlier runs as a sparkline of the overall score
+   * @param {Object} trend - Trend from the report (see HistoryStore.trend())
+   * @returns {string} HTML section, or an empty string without a trend
+   */
+  renderTrend(trend) {
+    if (!trend) {
+      return '';
+    }
+    if (!trend.previous) {
+      return `<section>
+        <h2>Trend</h2>
+        <p>This is the first recorded run for ${escapeHtml(trend.org)}. Later runs will show the change since this one.</p>
+      </section>`;
+    }
+
+    const points = trend.series.filter(run => run.overallScore !== null);
+    const step = points.length > 1 ? 280 / (points.length - 1) : 0;
+    const line = points.map((run, index) => `${10 + index * step},${70 - (run.overallScore / 100) * 60}`).join(' ');
+    const signed = value => value === null ? '&ndash;' : `${value > 0 ? '+' : ''}${value}`;
+
+    return `<section>
+      <h2>Trend</h2>
+      <p>Run ${trend.runs} for ${escapeHtml(trend.org)}. Overall score ${signed(trend.deltas.overall)} since the previous run (${escapeHtml(trend.previous.timestamp)}).</p>
+      <svg viewBox="0 0 300 80" width="300" role="img" aria-label="Overall score over the last ${points.length} runs">
+        <polyline points="${line}" fill="none" stroke="#2e86c1" stroke-width="2"/>
+        ${points.map((run, index) => `<circle cx="${10 + index * step}" cy="${70 - (run.overallScore / 100) * 60}" r="3" fill="#2e86c1"><title>${escapeHtml(run.timestamp)}: ${run.overallScore}</title></circle>`).join('')}
+      </svg>
+      <p class="muted">Risks: ${signed(trend.deltas.critical)} critical, ${signed(trend.deltas.medium)} medium, ${signed(trend.deltas.low)} low</p>
+    </section>`;
+  }
+
+  /**
+   * Render every finding of the report in one sortable, filterable table
+   * @param {Object} detailedFindings - Detailed findings of the report
+   * @returns {string} HTML section
+   */
+  renderFindings(detailedFindings) {
+    const rows = [];
+
+    if (detailedFindings.namingConventions) {
+      detailedFindings.namingConventions.violations.forEach(violation => {
+        rows.push({
+          type: 'Naming',
+          component: violation.field,
+          finding: violation.issues.join('; '),
+          severity: violation.severity,
+          locations: violation.location ? [violation.location] : [],
+          action: violation.recommendation
+        });
+      });
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      const findings = detailedFindings[section.key];
+      if (!findings) {
+        return;
+      }
+      findings.patterns.forEach(entry => {
+        rows.push({
+          type: section.label,
+          component: entry[section.componentField],
+          finding: entry.patterns.join(', '),
+          severity: entry.severity,
+          locations: entry.locations || [],
+          action: ''
+        });
+      });
+    });
+
+    if (rows.length === 0) {
+      return `<section>
+        <h2>Findings</h2>
+        <p class="empty">No findings.</p>
+      </section>`;
+    }
+
+    const types = [...new Set(rows.map(row => row.type))];
+    const body = rows.map(row => {
+      const severity = SEVERITIES[row.severity] || { rank: 3, label: row.severity, color: '#7f8c8d' };
+      const location = row.locations.length > 0 ?
+        `<code>${escapeHtml(formatLocation(row.locations[0]))}</code>${row.locations.length > 1 ? ` <span class="muted">(+${row.locations.length - 1} more)</span>` : ''}` :
+        '<span class="muted">&ndash;</span>';
+      return `<tr data-severity="${severity.rank}" data-type="${escapeHtml(row.type)}">
+          <td>${escapeHtml(row.type)}</td>
+          <td>${escapeHtml(row.component)}</td>
+          <td>${escapeHtml(row.finding)}</td>
+          <td data-value="${severity.rank}">${badge(severity)}</td>
+          <td>${location}</td>
+          <td>${escapeHtml(row.action)}</td>
+        </tr>`;
+    });
+
+    return `<section>
+      <h2>Findings</h2>
+      <div class="controls" id="finding-controls">
+        <input type="search" placeholder="Filter findings" data-filter="text" aria-label="Filter findings">
+        <select data-filter="severity" aria-label="Severity">
+          <option value="">All severities</option>
+          <option value="0">Critical / High</option>
+          <option value="1">Medium</option>
+          <option value="2">Low</option>
+        </select>
+        <select data-filter="type" aria-label="Type">
+          <option value="">All types</option>
+          ${types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+        </select>
+        <span class="muted" data-count>${rows.length} findings</span>
+      </div>
+      <table data-findings data-controls="finding-controls">
+        <thead>
+          <tr>
+            <th class="sortable">Type</th>
+            <th class="sortable">Component</th>
+            <th class="sortable">Finding</th>
+            <th class="sortable">Severity</th>
+            <th class="sortable">Location</th>
+            <th>Recommended Fix</th>
+          </tr>
+        </thead>
+        <tbody>
+        ${body.join('\n')}
+        </tbody>
+      </table>
+    </section>`;
+  }
+
+  /**
+   * Render the accepted risk section: suppressed findings and expired suppressions
+   * @param {Object} acceptedRisk - Accepted risk from the report ({ accepted, expired })
+   * @returns {string} HTML section, or an empty string when no suppression applied
+   */
+  renderAcceptedRisk(acceptedRisk) {
+    if (!acceptedRisk) {
+      return '';
+    }
+
+    const table = findings => `<table data-findings>
+        <thead>
+          <tr>
+            <th class="sortable">Component</th>
+            <th class="sortable">Finding</th>
+            <th class="sortable">Severity</th>
+            <th class="sortable">Approved By</th>
+            <th class="sortable">Expires</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+        ${findings.map(finding => {
+          const severity = SEVERITIES[finding.severity] || { rank: 3, label: finding.severity, color: '#7f8c8d' };
+          return `<tr>
+            <td>${escapeHtml(finding.component)}</td>
+            <td>${escapeHtml(finding.rule)}</td>
+            <td data-value="${severity.rank}">${badge(severity)}</td>
+            <td>${escapeHtml(finding.approvedBy)}</td>
+            <td>${escapeHtml(finding.expires)}</td>
+            <td>${escapeHtml(finding.reason)}</td>
+          </tr>`;
+        }).join('\n')}
+        </tbody>
+      </table>`;
+
+    return `<section>
+      <h2>Accepted Risk</h2>
+      ${acceptedRisk.accepted.length > 0 ?
+        `<p>${acceptedRisk.accepted.length} finding(s) are suppressed with an approved justification. They are left out of every score.</p>${table(acceptedRisk.accepted)}` :
+        '<p class="empty">No findings are currently suppressed.</p>'}
+      ${acceptedRisk.expired.length > 0 ?
+        `<h2>Expired Suppressions</h2><p>${acceptedRisk.expired.length} suppression(s) have expired, so their findings are reported and scored again.</p>${table(acceptedRisk.expired)}` :
+        ''}
+    </section>`;
+  }
+
+  /**
+   * Render the recommendations
+   * @param {Array} recommendations - Recommendation texts
+   * @returns {string} HTML section, or an empty string without recommendations
+   */
+  renderRecommendations(recommendations) {
+    if (recommendations.length === 0) {
+      return '';
+    }
+    return `<section>
+      <h2>Key Recommendations</h2>
+      <ol>${recommendations.map(recommendation => `<li>${escapeHtml(recommendation)}</li>`).join('')}</ol>
+    </section>`;
+  }
+}
+
+/**
+ * Render a severity badge
+ * @param {Object} severity - Entry of SEVERITIES
+ * @returns {string} HTML
+ */
+function badge(severity) {
+  return `<span class="badge" style="background: ${severity.color}">${escapeHtml(severity.label)}</span>`;
+}
+
+/**
+ * Pick the color of a chart item: the dataset's own color when it has one, otherwise the palette's
+ * @param {Array|string} colors - Dataset backgroundColor
+ * @param {number} index - Item index
+ * @returns {string} CSS color
+ */
+function colorAt(colors, index) {
+  if (Array.isArray(colors) && colors[index]) {
+    return colors[index];
+  }
+  if (typeof colors === 'string') {
+    return colors;
+  }
+  return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * Shorten a label for a chart axis
+ * @param {string} text - Label
+ * @param {number} length - Maximum length
+ * @returns {string} Label, with an ellipsis when shortened
+ */
+function truncate(text, length) {
+  const value = String(text);
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Escape a value for HTML text and attributes
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = HtmlReportWriter;
@@ -0,0 +1,201 @@
+/**
+ * JunitExporter.js
+ * Exports analysis results as JUnit XML for CI systems: one test suite per
+ * analysis with one test case per component (field, validation rule, trigger
+ * or flow), failing when the component has findings, plus a suite for the
+ * quality gates.
+ */
+
+const { formatLocation } = require('../models/SourceLocation');
+const { escapeXml } = require('../models/TextUtils');
+
+// Components are named per object, so a field or rule name can repeat across objects
+const componentKey = (objectName, name) => `${objectName || ''}.${name}`;
+
+// Bypass analyses: analyses/input key, suite name, test case classname and the name of an input component
+const SUITES = [
+  {
+    key: 'validationRules', name: 'Validation rule bypass patterns', classname: 'bypass.validationRules',
+    componentName: component => component.apiName || component.fullName || ''
+  },
+  {
+    key: 'triggers', name: 'Apex trigger bypass patterns', classname: 'bypass.triggers',
+    componentName: component => component.name || ''
+  },
+  {
+    key: 'flows', name: 'Flow bypass patterns', classname: 'bypass.flows',
+    componentName: component => component.apiName || component.fullName || ''
+  }
+];
+
+class JunitExporter {
+  /**
+   * Export analysis results as JUnit XML
+   * @param {Object} analyses - Analyzer results: namingConventions, validationRules, triggers and flows
+   * @param {Object} inputData - The metadata that was analyzed ({ fields, validationRules, triggers, flows }),
+   *   so components without findings are reported as passing test cases
+   * @param {Object} gateResults - Result of QualityGate.evaluate(), reported as a suite of its own
+   * @returns {string} JUnit XML document
+   */
+  export(analyses = {}, inputData = {}, gateResults = null) {
+    const suites = [];
+
+    if (analyses.namingConventions) {
+      suites.push(this.buildNamingSuite(analyses.namingConventions, inputData.fields || []));
+    }
+
+    SUITES.forEach(suite => {
+      if (analyses[suite.key]) {
+        suites.push(this.buildBypassSuite(suite, analyses[suite.key], inputData[suite.key] || []));
+      }
+    });
+
+    if (gateResults) {
+      suites.push(this.buildGateSuite(gateResults));
+    }
+
+    const totals = suites.reduce((sum, suite) => ({
+      tests: sum.tests + suite.cases.length,
+      failures: sum.failures + suite.cases.filter(testCase => testCase.failure).length,
+      skipped: sum.skipped + suite.cases.filter(testCase => testCase.skipped).length
+    }), { tests: 0, failures: 0, skipped: 0 });
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="salesforce-ncino-analyzer" tests="${totals.tests}" failures="${totals.failures}" errors="0" skipped="${totals.skipped}" time="0">`
+    ];
+    suites.forEach(suite => lines.push(...this.renderSuite(suite)));
+    lines.push('</testsuites>');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build the naming convention suite: one test case per field
+   * @param {Object} results - NamingConventionAnalyzer results
+   * @param {Array} fields - Analyzed fields
+   * @returns {Object} Suite { name, cases }
+   */
+  buildNamingSuite(results, fields) {
+    const violations = {};
+    results.violations.forEach(violation => {
+      violations[componentKey(violation.objectName, violation.apiName)] = violation;
+    });
+
+    // Fall back to the violations alone when the analyzed fields weren't passed in
+    const names = fields.length > 0 ?
+      fields.map(field => ({ apiName: field.apiName || field.fullName || '', objectName: field.objectName })) :
+      results.violations.map(violation => ({ apiName: violation.apiName, objectName: violation.objectName }));
+
+    return {
+      name: `Naming conventions (${results.rulePack})`,
+      cases: names.map(({ apiName, objectName }) => {
+        const violation = violations[componentKey(objectName, apiName)];
+        const testCase = { classname: objectName ? `naming.${objectName}` : 'naming', name: apiName };
+        if (violation) {
+          const severities = violation.violations.map(issue => issue.severity);
+          testCase.failure = {
+            type: ['critical', 'medium', 'low'].find(severity => severities.includes(severity)) || 'low',
+            message: violation.violations.map(issue => issue.rule).join('; '),
+            body: [
+              ...violation.violations.map(issue => `${issue.severity}: ${issue.rule} (${issue.pattern})`),
+              `Recommended fix: ${violation.recommendedFix}`,
+              violation.location ? `at ${formatLocation(violation.location)}` : null
+            ].filter(Boolean).join('\n')
+          };
+        }
+        return testCase;
+      })
+    };
+  }
+
+  /**
+   * Build a bypass pattern suite: one test case per component
+   * @param {Object} suite - Entry of SUITES
+   * @param {Object} results - BypassPatternAnalyzer results
+   * @param {Array} components - Analyzed components
+   * @returns {Object} Suite { name, cases }
+   */
+  buildBypassSuite(suite, results, components) {
+    const findings = {};
+    results.bypassPatterns.forEach(component => {
+      findings[componentKey(component.objectName, component.apiName || component.name)] = component;
+    });
+
+    const names = components.length > 0 ?
+      components.map(component => ({ name: suite.componentName(component), objectName: component.objectName })) :
+      results.bypassPatterns.map(component => ({ name: component.apiName || component.name, objectName: component.objectName }));
+
+    return {
+      name: suite.name,
+      cases: names.map(({ name, objectName }) => {
+        const component = findings[componentKey(objectName, name)];
+        const testCase = { classname: suite.classname, name };
+        if (component) {
+          testCase.failure = {
+            type: component.highestSeverity,
+            message: component.patterns.map(pattern => `${pattern.name} (${pattern.severity})`).join('; '),
+            body: component.patterns.map(pattern => [
+              `${pattern.severity}: ${pattern.name} - ${pattern.description}`,
+              `Recommended approach: ${pattern.recommendedApproach}`,
+              ...(pattern.locations || []).map(location =>
+                `at ${formatLocation(location)}${location.excerpt ? `: ${location.excerpt.replace(/\s*\n\s*/g, ' ')}` : ''}`)
+            ].join('\n')).join('\n\n')
+          };
+        }
+        return testCase;
+      })
+    };
+  }
+
+  /**
+   * Build the quality gate suite: one test case per gate
+   * @param {Object} gateResults - Result of QualityGate.evaluate()
+   * @returns {Object} Suite { name, cases }
+   */
+  buildGateSuite(gateResults) {
+    return {
+      name: 'Quality gates',
+      cases: gateResults.results.map(result => {
+        const testCase = { classname: 'gates', name: result.gate };
+        if (result.status === 'failed') {
+          testCase.failure = { type: 'gate', message: result.message, body: result.message };
+        } else if (result.status === 'skipped') {
+          testCase.skipped = result.message;
+        }
+        return testCase;
+      })
+    };
+  }
+
+  /**
+   * Render a suite as XML lines
+   * @param {Object} suite - Suite { name, cases }
+   * @returns {Array} XML lines
+   */
+  renderSuite(suite) {
+    const failures = suite.cases.filter(testCase => testCase.failure).length;
+    const skipped = suite.cases.filter(testCase => testCase.skipped).length;
+    const lines = [`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="0">`];
+
+    suite.cases.forEach(testCase => {
+      const open = `    <testcase classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}" time="0"`;
+      if (testCase.failure) {
+        lines.push(`${open}>`);
+        lines.push(`      <failure type="${escapeXml(testCase.failure.type)}" message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.body)}</failure>`);
+        lines.push('    </testcase>');
+      } else if (testCase.skipped) {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${escapeXml(testCase.skipped)}"/>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    });
+
+    lines.push('  </testsuite>');
+    return lines;
+  }
+}
+
+module.exports = JunitExporter;
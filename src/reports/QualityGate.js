@@ -0,0 +1,157 @@
+/**
+ * QualityGate.js
+ * Evaluates CI gates such as "high>0" (any High bypass), "naming<90" (naming
+ * compliance below 90%) or "score<75" (overall score below 75) against a
+ * comprehensive report. A gate fails when its condition holds.
+ */
+
+const GATE_PATTERN = /^\s*([A-Za-z]+)\s*(<=|>=|<|>|=)\s*(\d+(?:\.\d+)?)\s*$/;
+
+const DEFAULT_GATES = ['high>0', 'naming<90', 'score<75'];
+
+// Bypass analyses in the report's detailed findings
+const BYPASS_SECTIONS = ['validationRules', 'triggers', 'flows'];
+
+// Metrics a gate can test; each reads the report and returns a number, or null when
+// the analysis it depends on didn't run (the gate is then skipped)
+const METRICS = {
+  score: {
+    description: 'overall score',
+    read: report => report.overallScore.rating === 'N/A' ? null : report.overallScore.score
+  },
+  naming: {
+    description: 'naming compliance %',
+    read: report => findings(report, 'namingConventions', section => section.compliancePercentage)
+  },
+  validationRules: {
+    description: 'validation rule security score',
+    read: report => findings(report, 'validationRules', section => section.securityScore)
+  },
+  triggers: {
+    description: 'Apex trigger security score',
+    read: report => findings(report, 'triggers', section => section.securityScore)
+  },
+  flows: {
+    description: 'flow security score',
+    read: report => findings(report, 'flows', section => section.securityScore)
+  },
+  high: {
+    description: 'components with High bypass patterns',
+    read: report => countBypass(report, 'High')
+  },
+  medium: {
+    description: 'components with Medium bypass patterns',
+    read: report => countBypass(report, 'Medium')
+  },
+  low: {
+    description: 'components with Low bypass patterns',
+    read: report => countBypass(report, 'Low')
+  },
+  critical: {
+    description: 'fields with critical naming violations',
+    read: report => findings(report, 'namingConventions', section =>
+      section.violations.filter(violation => violation.severity === 'critical').length)
+  },
+  violations: {
+    description: 'fields with naming violations',
+    read: report => findings(report, 'namingConventions', section => section.violations.length)
+  }
+};
+
+const COMPARE = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '=': (value, threshold) => value === threshold
+};
+
+class QualityGate {
+  /**
+   * @param {Array|string} gates - Gate expressions, or a comma-separated list (default: high>0, naming<90, score<75)
+   */
+  constructor(gates) {
+    const specs = typeof gates === 'string' ? gates.split(',') : (gates || DEFAULT_GATES);
+    this.gates = specs.map(spec => spec.trim()).filter(Boolean).map(spec => QualityGate.parse(spec));
+  }
+
+  /**
+   * Parse a gate expression such as 'naming<90'
+   * @param {string} spec - Gate expression: <metric><operator><number>
+   * @returns {Object} { spec, metric, operator, threshold }
+   */
+  static parse(spec) {
+    const match = GATE_PATTERN.exec(spec);
+    if (!match) {
+      throw new Error(`Invalid gate '${spec}': expected <metric><operator><number>, e.g. 'naming<90'`);
+    }
+    const [, metric, operator, threshold] = match;
+    if (!METRICS[metric]) {
+      throw new Error(`Unknown gate metric '${metric}' in '${spec}' (available: ${Object.keys(METRICS).join(', ')})`);
+    }
+    return { spec: `${metric}${operator}${threshold}`, metric, operator, threshold: Number(threshold) };
+  }
+
+  /**
+   * List the metrics gates can test
+   * @returns {Object} Metric names mapped to their description
+   */
+  static metrics() {
+    return Object.fromEntries(Object.entries(METRICS).map(([name, metric]) => [name, metric.description]));
+  }
+
+  /**
+   * Evaluate every gate against a report
+   * @param {Object} report - Comprehensive report (see docs/report_schema.md)
+   * @returns {Object} { passed, results } where each result is
+   *   { gate, metric, description, value, status: 'passed' | 'failed' | 'skipped', message }
+   */
+  evaluate(report) {
+    const results = this.gates.map(gate => {
+      const metric = METRICS[gate.metric];
+      const value = metric.read(report);
+      const base = { gate: gate.spec, metric: gate.metric, description: metric.description, value };
+
+      if (value === null || value === undefined) {
+        return Object.assign(base, { status: 'skipped', message: `${gate.spec}: skipped, no ${metric.description} (analysis not run)` });
+      }
+      const failed = COMPARE[gate.operator](value, gate.threshold);
+      return Object.assign(base, {
+        status: failed ? 'failed' : 'passed',
+        message: `${gate.spec}: ${failed ? 'FAILED' : 'passed'} (${metric.description} is ${value})`
+      });
+    });
+
+    return { passed: results.every(result => result.status !== 'failed'), results };
+  }
+}
+
+/**
+ * Read a value from a detailed findings section, or null when the section is missing
+ * @param {Object} report - Comprehensive report
+ * @param {string} key - Section key
+ * @param {Function} read - Reads the value from the section
+ * @returns {number|null} Value
+ */
+function findings(report, key, read) {
+  const section = report.detailedFindings[key];
+  return section ? read(section) : null;
+}
+
+/**
+ * Count the bypass components with a given highest severity across all bypass analyses
+ * @param {Object} report - Comprehensive report
+ * @param {string} severity - 'High', 'Medium' or 'Low'
+ * @returns {number|null} Count, or null when no bypass analysis ran
+ */
+function countBypass(report, severity) {
+  const sections = BYPASS_SECTIONS.map(key => report.detailedFindings[key]).filter(Boolean);
+  if (sections.length === 0) {
+    return null;
+  }
+  return sections.reduce((count, section) =>
+    count + section.patterns.filter(pattern => pattern.severity === severity).length, 0);
+}
+
+module.exports = QualityGate;
+module.exports.DEFAULT_GATES = DEFAULT_GATES;
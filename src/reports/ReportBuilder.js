@@ -0,0 +1,359 @@
+/**
+ * ReportBuilder.js
+ * Builds the comprehensive analysis report from analyzer results. The MCP
+ * server and AnalysisController both use this module, so the same metadata
+ * produces the same report everywhere. The report layout is versioned and
+ * documented in docs/report_schema.md.
+ */
+
+const NamingConventionAnalyzer = require('../models/NamingConventionAnalyzer');
+const BypassPatternAnalyzer = require('../models/BypassPatternAnalyzer');
+const SchemaValidator = require('../models/SchemaValidator');
+
+// Bump the major version for breaking layout changes, the minor version for additions
+const REPORT_SCHEMA_VERSION = '2.0.0';
+
+// Number of components listed under refactoringPriorities
+const MAX_REFACTORING_PRIORITIES = 5;
+
+const SEVERITY_ORDER = ['critical', 'medium', 'low'];
+
+const GENERAL_RECOMMENDATIONS = [
+  "Implement a governance process to regularly review and audit configuration changes.",
+  "Document all configuration standards and patterns in a central location.",
+  "Provide training to developers on secure and maintainable configuration practices."
+];
+
+// Bypass analysis sections: analyses key, analyzer type, severity buckets and the name of the component field
+const BYPASS_SECTIONS = [
+  { key: 'validationRules', type: 'validation', bySeverity: 'rulesBySeverity', componentField: 'rule' },
+  { key: 'triggers', type: 'trigger', bySeverity: 'triggersBySeverity', componentField: 'trigger' },
+  { key: 'flows', type: 'flow', bySeverity: 'flowsBySeverity', componentField: 'flow' }
+];
+
+class ReportBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {BypassPatternAnalyzer} options.bypassAnalyzer - Analyzer used to derive missing priorities and recommendations
+   */
+  constructor(options = {}) {
+    this.bypassAnalyzer = options.bypassAnalyzer || new BypassPatternAnalyzer();
+  }
+
+  /**
+   * Build the comprehensive report
+   * @param {Object} analyses - Analyzer results: namingConventions, validationRules, triggers and flows,
+   *   optionally with namingConventionsSummary and <key>RefactoringPriorities / <key>Recommendations
+   *   (derived from the results when missing)
+   * @returns {Object} Report (see docs/report_schema.md)
+   */
+  build(analyses = {}) {
+    const normalized = this.normalize(analyses);
+
+    const report = {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      executiveSummary: this.buildExecutiveSummary(normalized),
+      detailedFindings: {},
+      recommendations: this.buildRecommendations(normalized),
+      overallScore: this.calculateOverallScore(normalized)
+    };
+
+    if (normalized.namingConventions) {
+      report.detailedFindings.namingConventions = this.buildNamingFindings(normalized);
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      if (normalized[section.key]) {
+        report.detailedFindings[section.key] = this.buildBypassFindings(normalized, section);
+      }
+    });
+
+    const acceptedRisk = this.buildAcceptedRisk(normalized);
+    if (acceptedRisk) {
+      report.acceptedRisk = acceptedRisk;
+    }
+
+    return SchemaValidator.shared().assertValid('report', report);
+  }
+
+  /**
+   * Add the trend against earlier runs (see HistoryStore.trend()) to a built report
+   * @param {Object} report - Report from build()
+   * @param {Object} trend - Trend of the run
+   * @returns {Object} The report with its trend section
+   */
+  addTrend(report, trend) {
+    return SchemaValidator.shared().assertValid('report', Object.assign({}, report, { trend }));
+  }
+
+  /**
+   * Collect the suppressed findings of every analysis, and the findings whose suppression expired
+   * @param {Object} analyses - Analyzer results
+   * @returns {Object|null} { accepted, expired }, or null when no suppression applied
+   */
+  buildAcceptedRisk(analyses) {
+    const acceptedRisk = { accepted: [], expired: [] };
+    ['namingConventions', ...BYPASS_SECTIONS.map(section => section.key)].forEach(key => {
+      if (analyses[key]) {
+        acceptedRisk.accepted.push(...(analyses[key].suppressed || []));
+        acceptedRisk.expired.push(...(analyses[key].expiredSuppressions || []));
+      }
+    });
+
+    return acceptedRisk.accepted.length > 0 || acceptedRisk.expired.length > 0 ? acceptedRisk : null;
+  }
+
+  /**
+   * Fill in the summary, priorities and recommendations a caller didn't pass
+   * @param {Object} analyses - Analyzer results
+   * @returns {Object} Analyses with every derived part present
+   */
+  normalize(analyses) {
+    const normalized = Object.assign({}, analyses);
+
+    if (normalized.namingConventions && !normalized.namingConventionsSummary) {
+      // The summary only reads the results, so any rule pack will do
+      normalized.namingConventionsSummary = new NamingConventionAnalyzer()
+        .generateSummaryReport(normalized.namingConventions);
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      const results = normalized[section.key];
+      if (!results) {
+        return;
+      }
+      if (!normalized[`${section.key}RefactoringPriorities`]) {
+        // generateRefactoringPriorities sorts in place, so hand it a copy
+        normalized[`${section.key}RefactoringPriorities`] = this.bypassAnalyzer.generateRefactoringPriorities(
+          Object.assign({}, results, { bypassPatterns: results.bypassPatterns.slice() }), section.type);
+      }
+      if (!normalized[`${section.key}Recommendations`]) {
+        normalized[`${section.key}Recommendations`] =
+          this.bypassAnalyzer.generateGeneralRecommendations(results, section.type);
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Build the naming convention findings
+   * @param {Object} analyses - Normalized analyses
+   * @returns {Object} Naming convention findings
+   */
+  buildNamingFindings(analyses) {
+    const results = analyses.namingConventions;
+    return {
+      rulePack: results.rulePack || null,
+      compliancePercentage: results.compliancePercentage,
+      violations: results.violations.map(v => ({
+        field: v.apiName,
+        severity: mostSevere(v.violations.map(issue => issue.severity)),
+        location: v.location || null,
+        issues: v.violations.map(issue => issue.rule),
+        recommendation: v.recommendedFix
+      })),
+      topIssues: analyses.namingConventionsSummary.topIssues || []
+    };
+  }
+
+  /**
+   * Build the findings of a bypass pattern analysis
+   * @param {Object} analyses - Normalized analyses
+   * @param {Object} section - Entry of BYPASS_SECTIONS
+   * @returns {Object} Bypass pattern findings
+   */
+  buildBypassFindings(analyses, section) {
+    const results = analyses[section.key];
+    return {
+      securityScore: results.securityScore,
+      bypassPercentage: results.bypassPercentage,
+      patterns: results.bypassPatterns.map(p => ({
+        [section.componentField]: componentName(p),
+        patterns: p.patterns.map(pattern => pattern.name),
+        severity: p.highestSeverity,
+        locations: this.collectPatternLocations(p)
+      })),
+      refactoringPriorities: analyses[`${section.key}RefactoringPriorities`]
+        .slice(0, MAX_REFACTORING_PRIORITIES)
+        .map(p => ({
+          name: componentName(p),
+          severity: p.highestSeverity,
+          patterns: p.patterns.map(pattern => pattern.name)
+        }))
+    };
+  }
+
+  /**
+   * Flatten the locations of every pattern found in a component, tagged with the pattern name
+   * @param {Object} component - Component entry from the bypass analyzer results
+   * @returns {Array} Locations with their pattern name
+   */
+  collectPatternLocations(component) {
+    return component.patterns.reduce((locations, pattern) => locations.concat(
+      (pattern.locations || []).map(location => Object.assign({ pattern: pattern.name }, location))
+    ), []);
+  }
+
+  /**
+   * Build the executive summary
+   * @param {Object} analyses - Normalized analyses
+   * @returns {Object} Executive summary
+   */
+  buildExecutiveSummary(analyses) {
+    const summary = {
+      overallAssessment: '',
+      keyFindings: [],
+      risksIdentified: {
+        critical: 0,
+        medium: 0,
+        low: 0
+      }
+    };
+
+    // Count risks by severity; bypass analyses use High/Medium/Low
+    if (analyses.namingConventions) {
+      summary.risksIdentified.critical += analyses.namingConventions.bySeverity.critical.length;
+      summary.risksIdentified.medium += analyses.namingConventions.bySeverity.medium.length;
+      summary.risksIdentified.low += analyses.namingConventions.bySeverity.low.length;
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      const bySeverity = analyses[section.key] && analyses[section.key][section.bySeverity];
+      if (bySeverity) {
+        summary.risksIdentified.critical += bySeverity.High.length;
+        summary.risksIdentified.medium += bySeverity.Medium.length;
+        summary.risksIdentified.low += bySeverity.Low.length;
+      }
+    });
+
+    // Generate overall assessment
+    const totalIssues = summary.risksIdentified.critical + summary.risksIdentified.medium + summary.risksIdentified.low;
+    const criticalPercent = (summary.risksIdentified.critical / totalIssues) * 100 || 0;
+
+    if (summary.risksIdentified.critical > 5 || criticalPercent > 20) {
+      summary.overallAssessment = 'Critical attention required. The configuration contains significant risk factors that should be addressed immediately.';
+    } else if (summary.risksIdentified.critical > 0 || summary.risksIdentified.medium > 10) {
+      summary.overallAssessment = 'Moderate risk identified. The configuration has several issues that should be addressed in the near term.';
+    } else {
+      summary.overallAssessment = 'Low risk identified. The configuration is generally sound with minor improvements recommended.';
+    }
+
+    // Add key findings
+    if (analyses.namingConventions) {
+      summary.keyFindings.push(`${analyses.namingConventions.compliancePercentage}% of fields comply with naming conventions.`);
+    }
+
+    if (analyses.validationRules) {
+      summary.keyFindings.push(`${analyses.validationRules.bypassPercentage}% of validation rules contain bypass patterns.`);
+    }
+
+    if (analyses.triggers) {
+      summary.keyFindings.push(`${analyses.triggers.bypassPercentage}% of Apex triggers contain bypass patterns.`);
+    }
+
+    if (analyses.flows) {
+      summary.keyFindings.push(`${analyses.flows.bypassPercentage}% of flows contain bypass patterns.`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Build the prioritized recommendations
+   * @param {Object} analyses - Normalized analyses
+   * @returns {Array} Recommendations, without duplicates
+   */
+  buildRecommendations(analyses) {
+    const recommendations = [];
+
+    if (analyses.namingConventionsSummary && analyses.namingConventionsSummary.recommendations) {
+      recommendations.push(...analyses.namingConventionsSummary.recommendations);
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      if (analyses[`${section.key}Recommendations`]) {
+        recommendations.push(...analyses[`${section.key}Recommendations`]);
+      }
+    });
+
+    recommendations.push(...GENERAL_RECOMMENDATIONS);
+
+    return [...new Set(recommendations)];
+  }
+
+  /**
+   * Calculate the overall score: a weighted average of the component scores
+   * @param {Object} analyses - Normalized analyses
+   * @returns {Object} Overall score, rating and component scores (null for analyses that didn't run)
+   */
+  calculateOverallScore(analyses) {
+    const scores = [];
+    const weights = [];
+
+    if (analyses.namingConventions) {
+      scores.push(analyses.namingConventions.compliancePercentage);
+      weights.push(1);
+    }
+
+    BYPASS_SECTIONS.forEach(section => {
+      if (analyses[section.key]) {
+        scores.push(analyses[section.key].securityScore);
+        weights.push(1.5);
+      }
+    });
+
+    if (scores.length === 0) {
+      return { score: 0, rating: 'N/A' };
+    }
+
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const weightedSum = scores.reduce((sum, score, i) => sum + (score * weights[i]), 0);
+    const weightedAverage = Math.round(weightedSum / totalWeight);
+
+    let rating;
+    if (weightedAverage >= 90) {
+      rating = 'Excellent';
+    } else if (weightedAverage >= 75) {
+      rating = 'Good';
+    } else if (weightedAverage >= 60) {
+      rating = 'Fair';
+    } else if (weightedAverage >= 40) {
+      rating = 'Poor';
+    } else {
+      rating = 'Critical';
+    }
+
+    return {
+      score: weightedAverage,
+      rating,
+      componentScores: {
+        namingConventions: analyses.namingConventions ? analyses.namingConventions.compliancePercentage : null,
+        validationRules: analyses.validationRules ? analyses.validationRules.securityScore : null,
+        triggers: analyses.triggers ? analyses.triggers.securityScore : null,
+        flows: analyses.flows ? analyses.flows.securityScore : null
+      }
+    };
+  }
+}
+
+/**
+ * Name of a bypass analysis component (validation rules and flows use apiName, triggers use name)
+ * @param {Object} component - Component entry from the bypass analyzer results
+ * @returns {string} Component name
+ */
+function componentName(component) {
+  return component.apiName || component.name;
+}
+
+/**
+ * Pick the most severe naming severity
+ * @param {Array} severities - Severities ('critical', 'medium', 'low')
+ * @returns {string} Most severe one, 'low' if none
+ */
+function mostSevere(severities) {
+  return SEVERITY_ORDER.find(severity => severities.includes(severity)) || 'low';
+}
+
+module.exports = ReportBuilder;
+module.exports.REPORT_SCHEMA_VERSION = REPORT_SCHEMA_VERSION;
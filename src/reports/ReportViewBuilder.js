@@ -0,0 +1,270 @@
+/**
+ * ReportViewBuilder.js
+ * Derives audience-specific views from the comprehensive report. The
+ * executive view keeps the score, the top risks and the trend; the manager
+ * view aggregates compliance by area, issue counts by priority and an
+ * estimated remediation effort; the technical view lists every finding with
+ * its location and fix. The 'full' profile is the report itself.
+ */
+
+const BypassPatternAnalyzer = require('../models/BypassPatternAnalyzer');
+const SchemaValidator = require('../models/SchemaValidator');
+
+const PROFILES = ['full', 'executive', 'manager', 'technical'];
+
+// Risks listed in the executive view
+const MAX_TOP_RISKS = 5;
+
+// Components listed under the manager view's refactoring priorities
+const MAX_REFACTORING_PRIORITIES = 10;
+
+// Rough hours to fix one finding: a naming violation is per field (renaming means updating every
+// reference), a bypass finding is per pattern in a component (refactor and regression-test the logic)
+const DEFAULT_EFFORT_HOURS = {
+  naming: { critical: 4, medium: 2, low: 1 },
+  bypass: { High: 8, Medium: 4, Low: 2 }
+};
+
+// Both severity scales on the report's priority scale (see executiveSummary.risksIdentified)
+const PRIORITIES = {
+  critical: 'critical', High: 'critical',
+  medium: 'medium', Medium: 'medium',
+  low: 'low', Low: 'low'
+};
+const PRIORITY_ORDER = ['critical', 'medium', 'low'];
+
+// Areas of the report: detailed findings key, label, pattern catalog on BypassPatternAnalyzer
+// and the name of the component field
+const AREAS = [
+  { key: 'namingConventions', label: 'Naming conventions' },
+  { key: 'validationRules', label: 'Validation rules', catalog: 'validationRulePatterns', componentField: 'rule' },
+  { key: 'triggers', label: 'Apex triggers', catalog: 'apexTriggerPatterns', componentField: 'trigger' },
+  { key: 'flows', label: 'Flows', catalog: 'flowPatterns', componentField: 'flow' }
+];
+
+class ReportViewBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {BypassPatternAnalyzer} options.bypassAnalyzer - Source of the bypass pattern catalog (severities and fixes)
+   * @param {Object} options.effortHours - Hours per finding, { naming: { critical, medium, low }, bypass: { High, Medium, Low } }
+   *   (default: 4/2/1 per field for naming, 8/4/2 per pattern for bypasses)
+   */
+  constructor(options = {}) {
+    this.bypassAnalyzer = options.bypassAnalyzer || new BypassPatternAnalyzer();
+    this.effortHours = {
+      naming: Object.assign({}, DEFAULT_EFFORT_HOURS.naming, (options.effortHours || {}).naming),
+      bypass: Object.assign({}, DEFAULT_EFFORT_HOURS.bypass, (options.effortHours || {}).bypass)
+    };
+  }
+
+  /**
+   * List the available profiles
+   * @returns {Array} Profile names
+   */
+  static profiles() {
+    return PROFILES.slice();
+  }
+
+  /**
+   * Build the view of a report for an audience
+   * @param {Object} report - Comprehensive report (see docs/report_schema.md)
+   * @param {string} profile - 'full' (the report itself), 'executive', 'manager' or 'technical'
+   * @returns {Object} The report, or a view (schemas/report-view.schema.json)
+   */
+  build(report, profile = 'full') {
+    if (!PROFILES.includes(profile)) {
+      throw new Error(`Unknown report profile '${profile}' (available: ${PROFILES.join(', ')})`);
+    }
+    if (profile === 'full') {
+      return report;
+    }
+
+    const builders = {
+      executive: () => this.buildExecutiveView(report),
+      manager: () => this.buildManagerView(report),
+      technical: () => this.buildTechnicalView(report)
+    };
+    return SchemaValidator.shared().assertValid('report-view', builders[profile]());
+  }
+
+  /**
+   * Executive view: the overall score, the top risks and the trend
+   * @param {Object} report - Comprehensive report
+   * @returns {Object} Executive view
+   */
+  buildExecutiveView(report) {
+    const risks = this.collectFindings(report)
+      .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority) ||
+        // Bypasses are security findings, so they outrank naming findings of the same priority
+        (a.area === 'namingConventions') - (b.area === 'namingConventions'))
+      .slice(0, MAX_TOP_RISKS)
+      .map(finding => ({
+        area: finding.area,
+        component: finding.component,
+        priority: finding.priority,
+        issue: finding.issue,
+        location: finding.locations[0] || null
+      }));
+
+    const trend = report.trend ? {
+      runs: report.trend.runs,
+      previous: report.trend.previous,
+      overallChange: report.trend.deltas ? report.trend.deltas.overall : null,
+      series: report.trend.series
+    } : null;
+
+    return {
+      profile: 'executive',
+      schemaVersion: report.schemaVersion,
+      overallScore: { score: report.overallScore.score, rating: report.overallScore.rating },
+      assessment: report.executiveSummary.overallAssessment,
+      keyFindings: report.executiveSummary.keyFindings,
+      risksIdentified: Object.assign({}, report.executiveSummary.risksIdentified),
+      topRisks: risks,
+      trend,
+      acceptedRisk: this.countAcceptedRisk(report)
+    };
+  }
+
+  /**
+   * Manager view: compliance by area, issue counts by priority and the estimated remediation effort
+   * @param {Object} report - Comprehensive report
+   * @returns {Object} Manager view
+   */
+  buildManagerView(report) {
+    const findings = this.collectFindings(report);
+
+    const complianceByArea = AREAS.filter(area => report.detailedFindings[area.key]).map(area => {
+      const section = report.detailedFindings[area.key];
+      return {
+        area: area.key,
+        label: area.label,
+        metric: area.catalog ? 'securityScore' : 'compliancePercentage',
+        score: area.catalog ? section.securityScore : section.compliancePercentage,
+        findings: findings.filter(finding => finding.area === area.key).length
+      };
+    });
+
+    const remediationEffort = {
+      totalHours: 0,
+      byArea: {},
+      byPriority: { critical: 0, medium: 0, low: 0 },
+      hoursPerFinding: this.effortHours
+    };
+    complianceByArea.forEach(area => {
+      remediationEffort.byArea[area.area] = 0;
+    });
+    findings.forEach(finding => {
+      remediationEffort.totalHours += finding.effortHours;
+      remediationEffort.byArea[finding.area] += finding.effortHours;
+      remediationEffort.byPriority[finding.priority] += finding.effortHours;
+    });
+
+    const refactoringPriorities = [];
+    AREAS.filter(area => area.catalog && report.detailedFindings[area.key]).forEach(area => {
+      report.detailedFindings[area.key].refactoringPriorities.forEach(priority => {
+        refactoringPriorities.push(Object.assign({ area: area.key }, priority));
+      });
+    });
+    refactoringPriorities.sort((a, b) => PRIORITY_ORDER.indexOf(PRIORITIES[a.severity]) - PRIORITY_ORDER.indexOf(PRIORITIES[b.severity]));
+
+    return {
+      profile: 'manager',
+      schemaVersion: report.schemaVersion,
+      overallScore: { score: report.overallScore.score, rating: report.overallScore.rating },
+      complianceByArea,
+      issuesByPriority: Object.assign({}, report.executiveSummary.risksIdentified),
+      remediationEffort,
+      refactoringPriorities: refactoringPriorities.slice(0, MAX_REFACTORING_PRIORITIES),
+      acceptedRisk: this.countAcceptedRisk(report)
+    };
+  }
+
+  /**
+   * Technical view: every finding with its locations and fix
+   * @param {Object} report - Comprehensive report
+   * @returns {Object} Technical view
+   */
+  buildTechnicalView(report) {
+    const naming = report.detailedFindings.namingConventions;
+    return {
+      profile: 'technical',
+      schemaVersion: report.schemaVersion,
+      rulePack: naming ? naming.rulePack : null,
+      findings: this.collectFindings(report).map(finding => ({
+        area: finding.area,
+        component: finding.component,
+        priority: finding.priority,
+        severity: finding.severity,
+        issue: finding.issue,
+        locations: finding.locations,
+        fix: finding.fix
+      })),
+      recommendations: report.recommendations
+    };
+  }
+
+  /**
+   * Flatten the report's detailed findings: one finding per non-compliant field and one per
+   * bypass pattern in a component
+   * @param {Object} report - Comprehensive report
+   * @returns {Array} Findings { area, component, severity, priority, issue, locations, fix, effortHours }
+   */
+  collectFindings(report) {
+    const findings = [];
+
+    const naming = report.detailedFindings.namingConventions;
+    if (naming) {
+      naming.violations.forEach(violation => {
+        findings.push({
+          area: 'namingConventions',
+          component: violation.field,
+          severity: violation.severity,
+          priority: PRIORITIES[violation.severity],
+          issue: violation.issues.join('; '),
+          locations: violation.location ? [violation.location] : [],
+          fix: violation.recommendation,
+          effortHours: this.effortHours.naming[violation.severity] || 0
+        });
+      });
+    }
+
+    AREAS.filter(area => area.catalog && report.detailedFindings[area.key]).forEach(area => {
+      const catalog = this.bypassAnalyzer[area.catalog];
+      report.detailedFindings[area.key].patterns.forEach(entry => {
+        entry.patterns.forEach(name => {
+          // The report keeps the component's highest severity; the catalog knows each pattern's own
+          const pattern = catalog.find(candidate => candidate.name === name) || {};
+          const severity = pattern.severity || entry.severity;
+          findings.push({
+            area: area.key,
+            component: entry[area.componentField],
+            severity,
+            priority: PRIORITIES[severity],
+            issue: pattern.description ? `${name}: ${pattern.description}` : name,
+            locations: (entry.locations || []).filter(location => !location.pattern || location.pattern === name),
+            fix: pattern.recommendedApproach || '',
+            effortHours: this.effortHours.bypass[severity] || 0
+          });
+        });
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Count the report's suppressed findings and expired suppressions
+   * @param {Object} report - Comprehensive report
+   * @returns {Object|null} { accepted, expired }, or null when no suppression applied
+   */
+  countAcceptedRisk(report) {
+    return report.acceptedRisk ? {
+      accepted: report.acceptedRisk.accepted.length,
+      expired: report.acceptedRisk.expired.length
+    } : null;
+  }
+}
+
+module.exports = ReportViewBuilder;
+module.exports.PROFILES = PROFILES;
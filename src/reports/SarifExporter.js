@@ -0,0 +1,288 @@
+/**
+ * SarifExporter.js
+ * Exports analysis findings as a SARIF 2.1.0 log for code scanning tools
+ * (GitHub code scanning, Azure DevOps). Every bypass pattern and naming rule
+ * becomes a SARIF rule; every finding becomes a result with its file location.
+ * Suppressed findings are exported as results with an accepted suppression.
+ */
+
+const BypassPatternAnalyzer = require('../models/BypassPatternAnalyzer');
+const RulePack = require('../models/RulePack');
+const { version } = require('../../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'salesforce-ncino-analyzer';
+
+// SARIF levels for bypass (High/Medium/Low) and naming (critical/medium/low) severities
+const LEVELS = {
+  High: 'error', Medium: 'warning', Low: 'note',
+  critical: 'error', medium: 'warning', low: 'note'
+};
+
+// GitHub code scanning security-severity scores (0-10); only bypass findings are security findings
+const SECURITY_SEVERITY = { High: '8.0', Medium: '5.0', Low: '2.0' };
+
+// Bypass analyses: analyses key, pattern catalog on BypassPatternAnalyzer, rule id prefix and component label
+const BYPASS_SECTIONS = [
+  { key: 'validationRules', catalog: 'validationRulePatterns', prefix: 'bypass/validation-rule', label: 'Validation rule' },
+  { key: 'triggers', catalog: 'apexTriggerPatterns', prefix: 'bypass/apex-trigger', label: 'Apex trigger' },
+  { key: 'flows', catalog: 'flowPatterns', prefix: 'bypass/flow', label: 'Flow' }
+];
+
+class SarifExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {BypassPatternAnalyzer} options.bypassAnalyzer - Source of the bypass pattern catalog
+   * @param {RulePack|Object|string} options.rulePack - Rule pack the naming results were checked against
+   *   (default: the pack named in the results)
+   */
+  constructor(options = {}) {
+    this.bypassAnalyzer = options.bypassAnalyzer || new BypassPatternAnalyzer();
+    this.rulePack = options.rulePack || null;
+  }
+
+  /**
+   * Export analysis findings as a SARIF log
+   * @param {Object} analyses - Analyzer results: namingConventions, validationRules, triggers and flows
+   *   (the same input as ReportBuilder.build())
+   * @returns {Object} SARIF 2.1.0 log
+   */
+  export(analyses = {}) {
+    const rules = [];
+    const results = [];
+    const ruleIndex = {};
+
+    const addRule = rule => {
+      if (ruleIndex[rule.id] === undefined) {
+        ruleIndex[rule.id] = rules.length;
+        rules.push(rule);
+      }
+    };
+
+    BYPASS_SECTIONS.forEach(section => {
+      if (!analyses[section.key]) {
+        return;
+      }
+      this.bypassAnalyzer[section.catalog].forEach(pattern => addRule(this.buildBypassRule(section, pattern)));
+
+      analyses[section.key].bypassPatterns.forEach(component => {
+        const name = component.apiName || component.name;
+        component.patterns.forEach(pattern => {
+          const id = ruleId(section.prefix, pattern.name);
+          addRule(this.buildBypassRule(section, pattern));
+          results.push({
+            ruleId: id,
+            ruleIndex: ruleIndex[id],
+            level: LEVELS[pattern.severity] || 'warning',
+            message: { text: `${section.label} ${name}: ${pattern.description}` },
+            locations: this.buildLocations(pattern.locations, name, component.filePath)
+          });
+        });
+      });
+    });
+
+    if (analyses.namingConventions) {
+      const rulePack = this.resolveRulePack(analyses.namingConventions.rulePack);
+      if (rulePack) {
+        rulePack.rules.concat(...Object.values(rulePack.objectRules))
+          .forEach(rule => addRule(this.buildNamingRule(rulePack, rule)));
+      }
+
+      analyses.namingConventions.violations.forEach(fieldViolation => {
+        fieldViolation.violations.forEach(violation => {
+          const id = ruleId('naming', violation.ruleId || violation.rule);
+          // Rules missing from the pack (e.g. results from another pack) are described by their message
+          addRule({
+            id,
+            name: violation.ruleId || violation.rule,
+            shortDescription: { text: violation.rule },
+            defaultConfiguration: { level: LEVELS[violation.severity] || 'warning' },
+            properties: { tags: ['naming'] }
+          });
+          results.push({
+            ruleId: id,
+            ruleIndex: ruleIndex[id],
+            level: LEVELS[violation.severity] || 'warning',
+            message: { text: `Field ${fieldViolation.apiName}: ${violation.rule}. ${fieldViolation.recommendedFix}` },
+            locations: this.buildLocations(fieldViolation.location ? [fieldViolation.location] : [], fieldViolation.apiName)
+          });
+        });
+      });
+    }
+
+    // Accepted findings stay in the log, so code scanning shows them as suppressed rather than fixed
+    ['namingConventions', ...BYPASS_SECTIONS.map(section => section.key)].forEach(key => {
+      ((analyses[key] || {}).suppressed || []).forEach(finding => {
+        const section = BYPASS_SECTIONS.find(candidate => candidate.key === key);
+        const id = ruleId(section ? section.prefix : 'naming', finding.rule);
+        addRule({
+          id,
+          name: finding.rule,
+          shortDescription: { text: finding.rule },
+          defaultConfiguration: { level: LEVELS[finding.severity] || 'warning' },
+          properties: { tags: section ? ['security', 'bypass'] : ['naming'] }
+        });
+        results.push({
+          ruleId: id,
+          ruleIndex: ruleIndex[id],
+          level: LEVELS[finding.severity] || 'warning',
+          message: { text: `${section ? section.label : 'Field'} ${finding.component}: ${finding.rule} (accepted risk)` },
+          locations: this.buildLocations(finding.location ? [finding.location] : [], finding.component),
+          suppressions: [{
+            kind: 'external',
+            status: 'accepted',
+            justification: `${finding.reason} (approved by ${finding.approvedBy}, expires ${finding.expires})`
+          }]
+        });
+      });
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version,
+            rules
+          }
+        },
+        columnKind: 'utf16CodeUnits',
+        results
+      }]
+    };
+  }
+
+  /**
+   * Find the rule pack naming results were checked against
+   * @param {string} packName - Pack name recorded in the results
+   * @returns {RulePack|null} Rule pack, or null when it can't be loaded
+   */
+  resolveRulePack(packName) {
+    try {
+      return RulePack.resolve(this.rulePack || packName);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the SARIF rule for a bypass pattern
+   * @param {Object} section - Entry of BYPASS_SECTIONS
+   * @param {Object} pattern - Pattern definition or found pattern ({ name, severity, description, recommendedApproach })
+   * @returns {Object} SARIF reportingDescriptor
+   */
+  buildBypassRule(section, pattern) {
+    return {
+      id: ruleId(section.prefix, pattern.name),
+      name: pattern.name,
+      shortDescription: { text: `${section.label}: ${pattern.name}` },
+      fullDescription: { text: pattern.description },
+      help: { text: pattern.recommendedApproach },
+      defaultConfiguration: { level: LEVELS[pattern.severity] || 'warning' },
+      properties: {
+        tags: ['security', 'bypass'],
+        'security-severity': SECURITY_SEVERITY[pattern.severity] || '5.0'
+      }
+    };
+  }
+
+  /**
+   * Build the SARIF rule for a naming rule of a rule pack
+   * @param {RulePack} rulePack - Rule pack
+   * @param {Object} rule - Compiled rule
+   * @returns {Object} SARIF reportingDescriptor
+   */
+  buildNamingRule(rulePack, rule) {
+    const conditions = [];
+    if (rule.when) {
+      conditions.push(`Applies to names satisfying ${rulePack.describe(rule.when)}`);
+    }
+    if (rule.required) {
+      conditions.push(`Names must satisfy ${rulePack.describe(rule.required)}`);
+    }
+    if (rule.forbidden) {
+      conditions.push(`Names must not satisfy ${rulePack.describe(rule.forbidden)}`);
+    }
+    if (rule.objectName) {
+      conditions.push(`Only checked on ${rule.objectName} fields`);
+    }
+
+    return {
+      id: ruleId('naming', rule.id),
+      name: rule.id,
+      shortDescription: { text: rule.message },
+      fullDescription: { text: `${rule.message} (rule pack ${rulePack.name})` },
+      help: { text: `${conditions.join('. ')}.` },
+      defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' },
+      properties: {
+        tags: ['naming']
+      }
+    };
+  }
+
+  /**
+   * Convert finding locations to SARIF locations. Findings without a file get a
+   * logical location naming the component instead.
+   * @param {Array} locations - Finding locations (see SourceLocation.buildLocation)
+   * @param {string} componentName - Component the finding belongs to
+   * @param {string} filePath - Component file, used when the finding has no location
+   * @returns {Array} SARIF locations
+   */
+  buildLocations(locations, componentName, filePath) {
+    const withFiles = (locations || []).filter(location => location.filePath);
+
+    if (withFiles.length === 0) {
+      const location = { logicalLocations: [{ name: componentName }] };
+      if (filePath) {
+        location.physicalLocation = { artifactLocation: { uri: toUri(filePath) } };
+      }
+      return [location];
+    }
+
+    return withFiles.map(location => {
+      const physicalLocation = { artifactLocation: { uri: toUri(location.filePath) } };
+      if (location.startLine) {
+        physicalLocation.region = { startLine: location.startLine };
+        if (location.startColumn) {
+          physicalLocation.region.startColumn = location.startColumn;
+        }
+        if (location.endLine) {
+          physicalLocation.region.endLine = location.endLine;
+        }
+        if (location.endColumn) {
+          physicalLocation.region.endColumn = location.endColumn;
+        }
+        if (location.excerpt) {
+          physicalLocation.region.snippet = { text: location.excerpt };
+        }
+      }
+      return { physicalLocation, logicalLocations: [{ name: componentName }] };
+    });
+  }
+}
+
+/**
+ * Build a stable SARIF rule id, e.g. 'bypass/validation-rule/profile-based-bypass'
+ * @param {string} prefix - Rule id prefix
+ * @param {string} name - Pattern name or naming rule id
+ * @returns {string} Rule id
+ */
+function ruleId(prefix, name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${prefix}/${slug}`;
+}
+
+/**
+ * Turn a file path into a relative SARIF artifact URI (forward slashes, URI-encoded segments)
+ * @param {string} filePath - File path
+ * @returns {string} URI
+ */
+function toUri(filePath) {
+  return filePath.split(/[\\/]/).map(segment => encodeURIComponent(segment)).join('/');
+}
+
+module.exports = SarifExporter;
+module.exports.SARIF_VERSION = SARIF_VERSION;
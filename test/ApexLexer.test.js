@@ -0,0 +1,44 @@
+/**
+ * ApexLexer: tokens, sequence matching and if guards, with string literals that look
+ * like punctuation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ApexLexer = require('../src/models/ApexLexer');
+
+const lexer = new ApexLexer();
+
+describe('ApexLexer', () => {
+  it('keeps string literals whole and drops comments', () => {
+    const tokens = lexer.tokenize("if (s == '(') { // ( comment\n  x = 1; /* ) */ }");
+
+    assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+      ['identifier', 'if'], ['punctuator', '('], ['identifier', 's'], ['punctuator', '=='], ['string', '('],
+      ['punctuator', ')'], ['punctuator', '{'], ['identifier', 'x'], ['punctuator', '='], ['number', '1'],
+      ['punctuator', ';'], ['punctuator', '}']
+    ]);
+    assert.deepEqual([tokens[7].line, tokens[7].column], [2, 3]);
+  });
+
+  it('skips parentheses inside string literals when finding the closing one', () => {
+    const tokens = lexer.tokenize("log('(', value) + ')';");
+
+    assert.equal(lexer.findClosingParen(tokens, 1), 5);
+    assert.equal(tokens[5].type, 'punctuator');
+  });
+
+  it('finds if conditions whose string literals contain parentheses', () => {
+    const tokens = lexer.tokenize("if (name.endsWith(')') && isAdmin) { run(); }\nif (')' == name) {}");
+    const guards = lexer.findIfGuards(tokens);
+
+    assert.deepEqual(guards.map(guard => [tokens[guard.start].offset, tokens[guard.end].offset]), [[3, 33], [49, 61]]);
+  });
+
+  it('matches literal sequence items against code, never string literals', () => {
+    const tokens = lexer.tokenize("Profile '.' Name; Profile.Name");
+
+    assert.equal(lexer.matchSequence(tokens, 0, ['Profile', '.', 'Name']), -1);
+    assert.equal(lexer.matchSequence(tokens, 4, ['profile', '.', 'name']), 6);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * BypassPatternAnalyzer: validation rule, trigger and flow results, including metadata
+ * whose values arrive loosely typed (XML strings, numbers)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BypassPatternAnalyzer = require('../src/models/BypassPatternAnalyzer');
+
+const PROFILE_FORMULA = "AND($Profile.Name <> 'System Administrator', ISBLANK(LLC_BI__Amount__c))";
+const PROFILE_TRIGGER = "trigger LoanTrigger on LLC_BI__Loan__c (before insert) {\n" +
+  "  if (UserInfo.getProfileId() == '00e000000000001') { return; }\n}";
+
+describe('BypassPatternAnalyzer with loosely typed metadata', () => {
+  const analyzer = new BypassPatternAnalyzer();
+
+  it('reads validation rule flags and descriptions given as strings and numbers', () => {
+    const results = analyzer.analyzeValidationRules([
+      { apiName: 'Require_Amount', objectName: 'LLC_BI__Loan__c', active: 'true', description: 42, errorConditionFormula: PROFILE_FORMULA },
+      { apiName: 'Require_Term', objectName: 'LLC_BI__Loan__c', active: 'false', errorConditionFormula: PROFILE_FORMULA }
+    ]);
+
+    assert.deepEqual(results.bypassPatterns.map(rule => [rule.apiName, rule.active, rule.description]),
+      [['Require_Amount', true, '42'], ['Require_Term', false, '']]);
+  });
+
+  it('reads trigger flags given as strings', () => {
+    const results = analyzer.analyzeApexTriggers([
+      { name: 'LoanTrigger', objectName: 'LLC_BI__Loan__c', active: 'TRUE', content: PROFILE_TRIGGER }
+    ]);
+
+    assert.equal(results.bypassPatterns.length, 1);
+    assert.equal(results.bypassPatterns[0].active, true);
+  });
+
+  it('reads flow flags and process types given as strings and numbers', () => {
+    const results = analyzer.analyzeFlows([{
+      apiName: 'Loan_Status_Update',
+      objectName: 'LLC_BI__Loan__c',
+      active: 'true',
+      processType: 7,
+      elements: [{ type: 'Formula', name: 'IsAdmin', expression: "$Profile.Name = 'System Administrator'" }]
+    }]);
+
+    assert.equal(results.bypassPatterns.length, 1);
+    assert.equal(results.bypassPatterns[0].active, true);
+    assert.equal(results.bypassPatterns[0].processType, '7');
+  });
+});
+
+describe('BypassPatternAnalyzer trigger patterns', () => {
+  const analyzer = new BypassPatternAnalyzer();
+  const analyze = content => analyzer.analyzeApexTriggers([{ name: 'LoanTrigger', objectName: 'LLC_BI__Loan__c', content }]);
+
+  it('ends an if guard at its own parenthesis, not one in a string literal', () => {
+    const results = analyze("if (label.endsWith(')') && Profile.Name == 'System Administrator') { return; }");
+    const [location] = results.bypassPatterns[0].patterns[0].locations;
+
+    assert.equal(results.bypassPatterns[0].patterns[0].name, 'Profile name check');
+    assert.equal(location.inIfGuard, true);
+  });
+
+  it('does not read a string literal dot as a qualifier of Profile.Name', () => {
+    assert.equal(analyze("String s = 'System Administrator' == prefix '.' Profile.Name;").bypassPatterns.length, 0);
+    assert.equal(analyze("Boolean admin = 'System Administrator' == user.Profile.Name;").bypassPatterns.length, 1);
+  });
+});
+
+describe('BypassPatternAnalyzer validation rule patterns', () => {
+  const analyzer = new BypassPatternAnalyzer();
+  const patternsOf = formula => {
+    const results = analyzer.analyzeValidationRules([{ apiName: 'Require_Amount', objectName: 'LLC_BI__Loan__c', errorConditionFormula: formula }]);
+    return results.bypassPatterns.length ? results.bypassPatterns[0].patterns.map(pattern => pattern.name) : [];
+  };
+
+  it('flags a profile comparison that is the whole error condition', () => {
+    assert.deepEqual(patternsOf("$Profile.Name = 'System Administrator'"), ['Profile-based bypass']);
+    assert.deepEqual(patternsOf("ISPICKVAL($Profile.UserType, 'Standard')"), ['Profile-based bypass']);
+  });
+
+  it('flags a profile comparison inside AND/OR logic', () => {
+    assert.deepEqual(patternsOf(PROFILE_FORMULA), ['Profile-based bypass']);
+  });
+
+  it('does not flag a formula without profile checks', () => {
+    assert.deepEqual(patternsOf('ISBLANK(LLC_BI__Amount__c)'), []);
+  });
+});
+
+describe('BypassPatternAnalyzer flow locations', () => {
+  const analyzer = new BypassPatternAnalyzer();
+
+  it('spans the name of the element a flow pattern was found in', () => {
+    const results = analyzer.analyzeFlows([{
+      apiName: 'Loan_Admin_Check',
+      filePath: 'flows/Loan_Admin_Check.flow-meta.xml',
+      elements: [{
+        type: 'Decision',
+        name: 'Admin_Check',
+        line: 13,
+        column: 15,
+        endColumn: 26,
+        rules: [
+          { name: 'Is_Admin', line: 16, column: 19, endColumn: 27, conditions: [{ leftValueReference: '$Profile.Name', operator: 'EqualTo', rightValue: 'System Administrator' }] },
+          { name: 'Is_Owner', conditions: [{ leftValueReference: '$User.Id', operator: 'EqualTo', rightValue: '005000000000001' }] }
+        ]
+      }]
+    }]);
+    const locationsOf = name => results.bypassPatterns[0].patterns.find(pattern => pattern.name === name).locations
+      .map(location => [location.startLine, location.startColumn, location.endLine, location.endColumn]);
+
+    assert.deepEqual(locationsOf('Profile-based bypass'), [[16, 19, 16, 27]]);
+    // A rule without a position falls back to its decision's
+    assert.deepEqual(locationsOf('User ID bypass'), [[13, 15, 13, 26]]);
+  });
+
+  it('leaves the positions of flows read without a file null', () => {
+    const results = analyzer.analyzeFlows([{
+      apiName: 'Loan_Admin_Check',
+      elements: [{ type: 'Formula', name: 'Is_Admin', expression: "$Profile.Name = 'System Administrator'" }]
+    }]);
+    const [location] = results.bypassPatterns[0].patterns[0].locations;
+
+    assert.deepEqual([location.startLine, location.startColumn, location.endLine, location.endColumn], [null, null, null, null]);
+  });
+});
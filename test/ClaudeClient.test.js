@@ -0,0 +1,116 @@
+/**
+ * ClaudeClient retries, backoff, timeouts and request budget, driven by the mock
+ * Claude server's failure scenarios. Waits are recorded instead of slept.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ClaudeClient = require('../src/integrations/ClaudeClient');
+const { ClaudeApiError, RequestBudgetError } = ClaudeClient;
+const { startMockClaudeServer } = require('../scripts/mock-claude-server');
+
+const MESSAGES = [{ role: 'user', content: 'Analyze' }];
+
+describe('ClaudeClient against the mock server', () => {
+  let mock = null;
+
+  /**
+   * Start the mock with a scenario and create a client for it that records its waits
+   */
+  async function setup(scenario, options = {}) {
+    mock = await startMockClaudeServer({ scenario, answer: 'done' });
+    const delays = [];
+    const client = new ClaudeClient(Object.assign({
+      apiKey: 'test',
+      apiUrl: mock.url,
+      model: 'test-model',
+      maxTokens: 100,
+      sleep: async ms => {
+        delays.push(ms);
+      },
+      random: () => 0.5
+    }, options));
+    return { client, delays };
+  }
+
+  afterEach(async () => {
+    if (mock) {
+      await mock.close();
+      mock = null;
+    }
+  });
+
+  it('retries rate limits, overload and dropped connections until a request succeeds', async () => {
+    const { client, delays } = await setup(['429', '529', 'reset', 'ok'], { baseDelayMs: 100 });
+    const response = await client.createMessage(MESSAGES);
+
+    assert.equal(response.content[0].text, 'done');
+    assert.deepEqual(mock.requests.map(request => request.step), ['429', '529', 'reset', 'ok']);
+    // Full jitter over a doubling ceiling: half of 100, 200 and 400
+    assert.deepEqual(delays, [50, 100, 200]);
+  });
+
+  it('retries a request that times out', async () => {
+    const { client, delays } = await setup(['timeout', 'ok'], { timeoutMs: 200, baseDelayMs: 10 });
+    const response = await client.createMessage(MESSAGES);
+
+    assert.equal(response.content[0].text, 'done');
+    assert.equal(mock.requests.length, 2);
+    assert.equal(delays.length, 1);
+  });
+
+  it('waits for retry-after, but no longer than maxDelayMs', async () => {
+    const { client, delays } = await setup(['429:30', '429:0.1', 'ok'], { maxDelayMs: 250 });
+    await client.createMessage(MESSAGES);
+
+    assert.deepEqual(delays, [250, 100]);
+  });
+
+  it('gives up after maxRetries retries', async () => {
+    const { client, delays } = await setup(['529'], { maxRetries: 2, baseDelayMs: 10 });
+    const error = await client.createMessage(MESSAGES).then(() => null, failure => failure);
+
+    assert.ok(error instanceof ClaudeApiError);
+    assert.equal(error.status, 529);
+    assert.equal(error.type, 'overloaded_error');
+    assert.equal(error.retryable, true);
+    assert.equal(error.attempts, 3);
+    assert.equal(mock.requests.length, 3);
+    assert.equal(delays.length, 2);
+  });
+
+  it('fails at once on errors that are not retryable', async () => {
+    const { client, delays } = await setup(['400', 'ok']);
+    const error = await client.createMessage(MESSAGES).then(() => null, failure => failure);
+
+    assert.ok(error instanceof ClaudeApiError);
+    assert.equal(error.status, 400);
+    assert.equal(error.retryable, false);
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it('stops with a RequestBudgetError once the budget is used up, retries included', async () => {
+    const { client, delays } = await setup(['529', 'ok'], { requestBudget: 1, baseDelayMs: 10 });
+    const error = await client.createMessage(MESSAGES).then(() => null, failure => failure);
+
+    assert.ok(error instanceof RequestBudgetError);
+    assert.equal(error.budget, 1);
+    assert.match(error.message, /budget of 1 requests for this run is used up/);
+    assert.equal(mock.requests.length, 1);
+    // The retry the budget won't allow isn't waited for
+    assert.deepEqual(delays, []);
+  });
+
+  it('sends no request once the budget is used up, until resetBudget()', async () => {
+    const { client } = await setup(['ok'], { requestBudget: 2 });
+    await client.createMessage(MESSAGES);
+    await client.createMessage(MESSAGES);
+    await assert.rejects(client.createMessage(MESSAGES), RequestBudgetError);
+    assert.equal(mock.requests.length, 2);
+
+    client.resetBudget();
+    await client.createMessage(MESSAGES);
+    assert.equal(mock.requests.length, 3);
+  });
+});
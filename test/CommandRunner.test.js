@@ -0,0 +1,45 @@
+/**
+ * CommandRunner: argument arrays, environment, stdin and failures of real child processes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CommandRunner = require('../src/integrations/CommandRunner');
+
+const runner = new CommandRunner();
+
+describe('CommandRunner.run', () => {
+  it('passes arguments as-is, without a shell', async () => {
+    const output = await runner.run(process.execPath, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', '$HOME', 'a b;c']);
+    assert.deepEqual(JSON.parse(output), ['$HOME', 'a b;c']);
+  });
+
+  it('merges extra environment variables over the current environment', async () => {
+    const output = await runner.run(process.execPath, ['-e', 'process.stdout.write(process.env.SFDX_ACCESS_TOKEN)'], {
+      env: { SFDX_ACCESS_TOKEN: '00D!token' }
+    });
+    assert.equal(output, '00D!token');
+  });
+
+  it('writes the input to stdin', async () => {
+    const output = await runner.run(process.execPath, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'force://url' });
+    assert.equal(output, 'force://url');
+  });
+
+  it('rejects with the subcommand and stderr, but no argument values', async () => {
+    const error = await runner.run(process.execPath, ['-e', 'console.error("bad alias"); process.exit(3)', 'SECRET'])
+      .then(() => null, failure => failure);
+    assert.ok(error);
+    assert.match(error.message, /failed: bad alias$/);
+    assert.ok(!error.message.includes('SECRET'));
+    assert.equal(error.exitCode, 3);
+  });
+
+  it('settles instead of crashing when the command exits without reading its input', async () => {
+    // Large enough that writing it outlasts the process, so the pipe breaks
+    const input = 'x'.repeat(8 * 1024 * 1024);
+    await runner.run(process.execPath, ['-e', 'process.exit(0)'], { input }).catch(error => {
+      assert.match(error.message, /failed/);
+    });
+  });
+});
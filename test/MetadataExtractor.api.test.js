@@ -0,0 +1,142 @@
+/**
+ * API extraction backend against the mock Salesforce server: the recorded org in
+ * fixtures/salesforce, plus generated fixtures for query paging and readMetadata batches.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetadataExtractor = require('../src/controllers/MetadataExtractor');
+const SalesforceApiClient = require('../src/integrations/SalesforceApiClient');
+const SchemaValidator = require('../src/models/SchemaValidator');
+const { startMockSalesforceServer } = require('../scripts/mock-salesforce-server');
+
+const QUERY_PATH = '/services/data/v56.0/tooling/query';
+const METADATA_PATH = '/services/Soap/m/56.0';
+
+describe('MetadataExtractor API backend', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockSalesforceServer();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  it('extracts the recorded org in the normalized metadata shape', async () => {
+    const extractor = new MetadataExtractor({ backend: 'api' });
+    const metadata = await extractor.extractMetadata({ instanceUrl: mock.url, accessToken: 'test' }, { objects: ['LLC_BI__*'] });
+
+    assert.deepEqual(SchemaValidator.shared().validate('metadata', metadata).errors, []);
+    assert.deepEqual(Object.keys(metadata.objects), ['LLC_BI__Loan__c']);
+
+    const loan = metadata.objects.LLC_BI__Loan__c;
+    assert.deepEqual(loan.fields.map(field => [field.apiName, field.type]),
+      [['LLC_BI__Amount__c', 'Currency'], ['Bypass_Validation__c', 'Checkbox']]);
+    assert.equal(loan.validationRules.length, 1);
+    assert.equal(loan.validationRules[0].apiName, 'Require_Amount');
+    assert.equal(loan.validationRules[0].active, true);
+    // Entities are decoded by the SOAP parser
+    assert.match(loan.validationRules[0].errorConditionFormula, /\$Profile\.Name <> 'System Administrator'/);
+    assert.deepEqual(loan.triggers.map(trigger => [trigger.name, trigger.active]), [['LoanTrigger', true]]);
+    // The flow on another object is left out
+    assert.deepEqual(loan.flows.map(flow => flow.apiName), ['Loan_Status_Update']);
+    assert.deepEqual(metadata.flows.map(flow => flow.apiName), ['Loan_Status_Update']);
+
+    // Flattened lists carry the same components, without file paths
+    assert.equal(metadata.fields.length, 2);
+    [...metadata.fields, ...metadata.validationRules, ...metadata.triggers, ...metadata.flows]
+      .forEach(component => assert.equal(component.filePath, null));
+  });
+
+  it('logs in with a username and password through the login fixture', async () => {
+    const extractor = new MetadataExtractor({ backend: 'api' });
+    const start = mock.requests.length;
+    const metadata = await extractor.extractMetadata(
+      { username: 'admin@example.com', password: 'secret', loginUrl: mock.url },
+      { objects: ['LLC_BI__Loan__c'] }
+    );
+
+    assert.equal(mock.requests[start].fixture, 'login.json');
+    assert.equal(metadata.validationRules.length, 1);
+  });
+
+  it('reports requests no fixture answers', async () => {
+    const extractor = new MetadataExtractor({ backend: 'api' });
+    await assert.rejects(
+      extractor.extractMetadata({ instanceUrl: mock.url, accessToken: 'test' }, { objects: ['Account'] }),
+      /NOT_FOUND: No mock fixture answers GET .*QualifiedApiName IN \('Account'\)/
+    );
+  });
+});
+
+describe('SalesforceApiClient paging and batching', () => {
+  const FIELD_COUNT = 12;
+  const fieldNames = Array.from({ length: FIELD_COUNT }, (_, index) => `Field_${String(index + 1).padStart(2, '0')}__c`);
+  let fixturesDir;
+  let mock;
+
+  const queryPage = (records, nextRecordsUrl) => ({
+    size: records.length,
+    totalSize: FIELD_COUNT,
+    done: !nextRecordsUrl,
+    nextRecordsUrl,
+    records: records.map(name => ({ attributes: { type: 'CustomField' }, DeveloperName: name.replace(/__c$/, '') }))
+  });
+
+  const readResponse = names => '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="http://soap.sforce.com/2006/04/metadata" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><soapenv:Body><readMetadataResponse><result>' +
+    names.map(name => `<records xsi:type="CustomField"><fullName>LLC_BI__Loan__c.${name}</fullName><type>Text</type></records>`).join('') +
+    '</result></readMetadataResponse></soapenv:Body></soapenv:Envelope>';
+
+  const writeFixture = (name, request, body) => {
+    fs.writeFileSync(path.join(fixturesDir, name), JSON.stringify({ request, response: { body } }));
+  };
+
+  before(async () => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'salesforce-fixtures-'));
+    writeFixture('query_page_1.json', { method: 'GET', path: QUERY_PATH, match: ['FROM CustomField'] },
+      queryPage(fieldNames.slice(0, 5), `${QUERY_PATH}/01gPAGE-5`));
+    writeFixture('query_page_2.json', { method: 'GET', path: `${QUERY_PATH}/01gPAGE-5` },
+      queryPage(fieldNames.slice(5, 10), `${QUERY_PATH}/01gPAGE-10`));
+    writeFixture('query_page_3.json', { method: 'GET', path: `${QUERY_PATH}/01gPAGE-10` },
+      queryPage(fieldNames.slice(10)));
+    writeFixture('read_batch_1.json', { method: 'POST', path: METADATA_PATH, match: [`.${fieldNames[0]}</met:fullNames>`] },
+      readResponse(fieldNames.slice(0, 10)));
+    writeFixture('read_batch_2.json', { method: 'POST', path: METADATA_PATH, match: [`.${fieldNames[10]}</met:fullNames>`] },
+      readResponse(fieldNames.slice(10)));
+    mock = await startMockSalesforceServer({ fixturesDir });
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('follows nextRecordsUrl until the query is done', async () => {
+    const client = new SalesforceApiClient({ instanceUrl: mock.url, accessToken: 'test' });
+    const start = mock.requests.length;
+    const records = await client.toolingQuery('SELECT DeveloperName FROM CustomField');
+
+    assert.deepEqual(records.map(record => `${record.DeveloperName}__c`), fieldNames);
+    assert.deepEqual(mock.requests.slice(start).map(request => request.fixture),
+      ['query_page_1.json', 'query_page_2.json', 'query_page_3.json']);
+  });
+
+  it('reads metadata in batches of at most 10 full names', async () => {
+    const client = new SalesforceApiClient({ instanceUrl: mock.url, accessToken: 'test' });
+    const start = mock.requests.length;
+    const definitions = await client.readMetadata('CustomField', fieldNames.map(name => `LLC_BI__Loan__c.${name}`));
+
+    assert.deepEqual(definitions.map(definition => definition.fullName), fieldNames.map(name => `LLC_BI__Loan__c.${name}`));
+    const requests = mock.requests.slice(start);
+    assert.deepEqual(requests.map(request => request.fixture), ['read_batch_1.json', 'read_batch_2.json']);
+    assert.deepEqual(requests.map(request => (request.body.match(/<met:fullNames>/g) || []).length), [10, 2]);
+    requests.forEach(request => assert.match(request.body, /<met:sessionId>test<\/met:sessionId>/));
+  });
+});
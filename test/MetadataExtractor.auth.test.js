@@ -0,0 +1,128 @@
+/**
+ * Org authentication: each credential set runs the Salesforce CLI with the expected
+ * arguments, and secrets travel in the environment or on stdin, never in argv.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MetadataExtractor = require('../src/controllers/MetadataExtractor');
+
+const WORKING_DIR = '/tmp/extraction_test';
+const ALIAS = 'ncino_analyzer_extraction_test';
+
+const SOAP_LOGIN_RESPONSE = '<soapenv:Envelope><soapenv:Body><loginResponse><result>' +
+  '<serverUrl>https://na1.my.salesforce.com/services/Soap/u/56.0/00D000000000001</serverUrl>' +
+  '<sessionId>00D000000000001!session</sessionId>' +
+  '</result></loginResponse></soapenv:Body></soapenv:Envelope>';
+
+/**
+ * Create an extractor whose command runner and HTTP client record their calls
+ */
+function createExtractor() {
+  const calls = [];
+  const posts = [];
+  const extractor = new MetadataExtractor({
+    commandRunner: {
+      run: async (command, args, options) => {
+        calls.push({ command, args, options });
+        return '{}';
+      }
+    },
+    httpClient: {
+      post: async (url, body, options) => {
+        posts.push({ url, body, options });
+        return { data: SOAP_LOGIN_RESPONSE };
+      }
+    }
+  });
+  return { extractor, calls, posts };
+}
+
+describe('MetadataExtractor.authenticateWithSalesforce', () => {
+  it('stores an access token with the token in SFDX_ACCESS_TOKEN', async () => {
+    const { extractor, calls } = createExtractor();
+    const alias = await extractor.authenticateWithSalesforce(
+      { instanceUrl: 'https://example.my.salesforce.com', accessToken: '00D!token' }, WORKING_DIR);
+
+    assert.equal(alias, ALIAS);
+    assert.deepEqual(calls, [{
+      command: 'sfdx',
+      args: ['force:auth:accesstoken:store', '-r', 'https://example.my.salesforce.com', '-a', ALIAS, '--noprompt'],
+      options: { cwd: WORKING_DIR, env: { SFDX_ACCESS_TOKEN: '00D!token' } }
+    }]);
+  });
+
+  it('passes an SFDX auth URL on stdin', async () => {
+    const { extractor, calls } = createExtractor();
+    await extractor.authenticateWithSalesforce({ sfdxAuthUrl: 'force://id:secret:refresh@example.my.salesforce.com' }, WORKING_DIR);
+
+    assert.deepEqual(calls, [{
+      command: 'sfdx',
+      args: ['force:auth:sfdxurl:store', '--sfdx-url-stdin', '-a', ALIAS],
+      options: { cwd: WORKING_DIR, input: 'force://id:secret:refresh@example.my.salesforce.com' }
+    }]);
+  });
+
+  it('runs the JWT bearer flow with the login URL when given', async () => {
+    const { extractor, calls } = createExtractor();
+    await extractor.authenticateWithSalesforce({
+      clientId: '3MVG9-client',
+      username: 'ci@example.com',
+      jwtKeyFile: '/keys/server.key',
+      loginUrl: 'https://test.salesforce.com'
+    }, WORKING_DIR);
+
+    assert.deepEqual(calls, [{
+      command: 'sfdx',
+      args: [
+        'force:auth:jwt:grant',
+        '-i', '3MVG9-client',
+        '-f', '/keys/server.key',
+        '-u', 'ci@example.com',
+        '-a', ALIAS,
+        '-r', 'https://test.salesforce.com'
+      ],
+      options: { cwd: WORKING_DIR }
+    }]);
+  });
+
+  it('logs in over SOAP with a password, then stores the session as an access token', async () => {
+    const { extractor, calls, posts } = createExtractor();
+    await extractor.authenticateWithSalesforce({
+      username: 'admin@example.com',
+      password: 'p&ss<word',
+      securityToken: 'TOKEN',
+      loginUrl: 'https://test.salesforce.com/'
+    }, WORKING_DIR);
+
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].url, 'https://test.salesforce.com/services/Soap/u/56.0');
+    assert.match(posts[0].body, /<urn:username>admin@example\.com<\/urn:username>/);
+    // The security token is appended to the password, and both are XML-escaped
+    assert.match(posts[0].body, /<urn:password>p&amp;ss&lt;wordTOKEN<\/urn:password>/);
+
+    assert.deepEqual(calls, [{
+      command: 'sfdx',
+      args: ['force:auth:accesstoken:store', '-r', 'https://na1.my.salesforce.com', '-a', ALIAS, '--noprompt'],
+      options: { cwd: WORKING_DIR, env: { SFDX_ACCESS_TOKEN: '00D000000000001!session' } }
+    }]);
+  });
+
+  it('never puts a secret on the command line', async () => {
+    const { extractor, calls } = createExtractor();
+    await extractor.authenticateWithSalesforce({ instanceUrl: 'https://example.my.salesforce.com', accessToken: 'SECRET' }, WORKING_DIR);
+    await extractor.authenticateWithSalesforce({ sfdxAuthUrl: 'force://SECRET@example.my.salesforce.com' }, WORKING_DIR);
+    await extractor.authenticateWithSalesforce({ username: 'admin@example.com', password: 'SECRET' }, WORKING_DIR);
+
+    calls.forEach(call => assert.ok(!call.args.some(arg => arg.includes('SECRET')), call.args.join(' ')));
+  });
+
+  it('rejects incomplete credentials without running the CLI', async () => {
+    const { extractor, calls } = createExtractor();
+    await assert.rejects(
+      extractor.authenticateWithSalesforce({ username: 'admin@example.com' }, WORKING_DIR),
+      /Salesforce authentication failed: Insufficient credentials provided/
+    );
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Flow parsing: each element is located by its own name, even when the same text
+ * appears earlier in the file
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MetadataExtractor = require('../src/controllers/MetadataExtractor');
+
+// The action's input parameter shares the decision's name, and comes first
+const FLOW_XML = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<Flow xmlns="http://soap.sforce.com/2006/04/metadata">',
+  '    <actionCalls>',
+  '        <name>Notify</name>',
+  '        <inputParameters>',
+  '            <name>Admin_Check</name>',
+  '            <value>',
+  '                <elementReference>Is_Admin</elementReference>',
+  '            </value>',
+  '        </inputParameters>',
+  '    </actionCalls>',
+  '    <decisions>',
+  '        <name>Admin_Check</name>',
+  '        <label>Admin Check</label>',
+  '        <rules>',
+  '            <name>Is_Admin</name>',
+  '            <conditions>',
+  '                <leftValueReference>$Profile.Name</leftValueReference>',
+  '                <operator>EqualTo</operator>',
+  '                <rightValue>',
+  '                    <stringValue>System Administrator</stringValue>',
+  '                </rightValue>',
+  '            </conditions>',
+  '        </rules>',
+  '    </decisions>',
+  '    <formulas>',
+  '        <name>Is_Admin_Formula</name>',
+  '        <dataType>Boolean</dataType>',
+  '        <expression>$Profile.Name = \'System Administrator\'</expression>',
+  '    </formulas>',
+  '    <start>',
+  '        <object>LLC_BI__Loan__c</object>',
+  '    </start>',
+  '    <status>Active</status>',
+  '</Flow>'
+].join('\n');
+
+describe('MetadataExtractor.parseFlow', () => {
+  it('locates each element at its own name', async () => {
+    const flow = await new MetadataExtractor().parseFlow(FLOW_XML, 'Loan_Admin_Check', 'flows/Loan_Admin_Check.flow-meta.xml');
+    const [decision, start, formula] = flow.elements;
+
+    assert.deepEqual([decision.name, decision.line, decision.column, decision.endColumn], ['Admin_Check', 13, 15, 26]);
+    assert.deepEqual([decision.rules[0].name, decision.rules[0].line, decision.rules[0].column], ['Is_Admin', 16, 19]);
+    assert.deepEqual([start.type, start.line, start.column, start.endColumn], ['Start', 31, 5, 12]);
+    assert.deepEqual([formula.name, formula.line, formula.column], ['Is_Admin_Formula', 27, 15]);
+  });
+
+  it('leaves the positions of flows read without a file null', () => {
+    const flow = new MetadataExtractor().buildFlowMetadata({
+      fullName: 'Loan_Admin_Check',
+      decisions: { name: 'Admin_Check', rules: { name: 'Is_Admin' } }
+    }, { apiName: 'Loan_Admin_Check', filePath: null });
+
+    assert.deepEqual([flow.elements[0].line, flow.elements[0].column, flow.elements[0].endColumn], [null, null, null]);
+    assert.equal(flow.elements[0].rules[0].line, null);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * NamingConventionAnalyzer: field results and the summary report, including field
+ * metadata whose values arrive loosely typed
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const NamingConventionAnalyzer = require('../src/models/NamingConventionAnalyzer');
+
+describe('NamingConventionAnalyzer', () => {
+  it('reports fields whose label and type were parsed as numbers', () => {
+    const analyzer = new NamingConventionAnalyzer();
+    const results = analyzer.analyzeFields([
+      { apiName: 'bypass_validation__c', objectName: 'LLC_BI__Loan__c', label: 2024, type: 1 },
+      { apiName: 'LLC_BI__Amount__c', objectName: 'LLC_BI__Loan__c', label: 'Amount' }
+    ]);
+
+    assert.equal(results.totalFieldCount, 2);
+    assert.deepEqual(results.violations.map(field => [field.apiName, field.label, field.type]),
+      [['bypass_validation__c', '2024', '1']]);
+
+    const summary = analyzer.generateSummaryReport(results);
+    assert.equal(summary.violationCount, 1);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Record and replay end to end: a naming convention analysis against the mock Claude
+ * server is recorded, then replayed without the server, and served from the response
+ * cache when it runs again.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nCinoAnalyzer = require('../src/nCinoAnalyzer');
+const ReplayProvider = require('../src/integrations/ReplayProvider');
+const { ReplayFixtureError } = ReplayProvider;
+const { startMockClaudeServer } = require('../scripts/mock-claude-server');
+
+const FIELDS = [
+  { apiName: 'LLC_BI__Amount__c', objectName: 'LLC_BI__Loan__c', label: 'Amount', type: 'Currency', description: '' },
+  { apiName: 'bypass_validation__c', objectName: 'LLC_BI__Loan__c', label: 'Bypass', type: 'Checkbox', description: '' }
+];
+
+const ANSWER = JSON.stringify({
+  analysis: 'namingConventions',
+  summary: 'Recorded naming convention analysis',
+  score: 80,
+  findings: [],
+  recommendations: ['Use the LLC_BI__ prefix on every custom field']
+});
+
+describe('ReplayProvider', () => {
+  let dir;
+  let fieldsPath;
+  let mock;
+
+  /**
+   * Run the naming convention analysis with an analyzer writing to its own output directory
+   */
+  async function analyze(name, config) {
+    const analyzer = new nCinoAnalyzer(Object.assign({ outputDir: path.join(dir, name), history: false }, config));
+    await analyzer.initialize();
+    const result = await analyzer.analyzeNamingConventions(fieldsPath);
+    return { analyzer, result };
+  }
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    fieldsPath = path.join(dir, 'fields.json');
+    fs.writeFileSync(fieldsPath, JSON.stringify(FIELDS));
+    mock = await startMockClaudeServer({ answer: ANSWER });
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays a recorded analysis without calling the API', async () => {
+    const fixturesDir = path.join(dir, 'recorded');
+    const recorded = await analyze('record', { apiKey: 'test', apiUrl: mock.url, cache: false, recordDir: fixturesDir });
+    assert.equal(mock.requests.length, 1);
+    assert.equal(recorded.result.summary, 'Recorded naming convention analysis');
+
+    const files = fs.readdirSync(fixturesDir);
+    assert.equal(files.length, 1);
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, files[0]), 'utf8'));
+    assert.equal(files[0], `${fixture.key}.json`);
+
+    const replayed = await analyze('replay', { provider: 'replay', fixturesDir });
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(replayed.result, recorded.result);
+  });
+
+  it('serves a repeated run from the response cache', async () => {
+    const cacheDir = path.join(dir, 'cache');
+    const start = mock.requests.length;
+    const first = await analyze('cache_1', { apiKey: 'test', apiUrl: mock.url, cacheDir });
+    assert.deepEqual(first.analyzer.cache.stats, { hits: 0, misses: 1, writes: 1 });
+
+    const second = await analyze('cache_2', { apiKey: 'test', apiUrl: mock.url, cacheDir });
+    assert.deepEqual(second.analyzer.cache.stats, { hits: 1, misses: 0, writes: 0 });
+    assert.equal(mock.requests.length, start + 1);
+    assert.deepEqual(second.result, first.result);
+  });
+
+  it('never caches replayed responses', async () => {
+    const cacheDir = path.join(dir, 'replay_cache_entries');
+    const { analyzer } = await analyze('replay_cache', { provider: 'replay', cacheDir });
+
+    assert.deepEqual(analyzer.cache.stats, { hits: 0, misses: 0, writes: 0 });
+    assert.ok(!fs.existsSync(cacheDir) || fs.readdirSync(cacheDir).length === 0);
+  });
+
+  it('answers the analysis prompts from the hand-written fixtures', async () => {
+    const { result } = await analyze('hand_written', { provider: 'replay' });
+
+    assert.equal(result.analysis, 'namingConventions');
+    assert.match(result.summary, /^Replayed naming convention analysis/);
+  });
+
+  it('names the key to record when no fixture answers a request', async () => {
+    const fixturesDir = path.join(dir, 'empty');
+    fs.mkdirSync(fixturesDir);
+    const request = { system: 'system', messages: [{ role: 'user', content: 'Analyze' }] };
+    const provider = new ReplayProvider({ fixturesDir });
+
+    const error = await provider.complete(request).then(() => null, failure => failure);
+    assert.ok(error instanceof ReplayFixtureError);
+    assert.ok(error.message.includes(`key ${ReplayProvider.key(request)}`), error.message);
+
+    ReplayProvider.record(fixturesDir, request, { model: 'test-model', content: [{ type: 'text', text: 'done' }], usage: { inputTokens: 1, outputTokens: 2 } });
+    const response = await new ReplayProvider({ fixturesDir }).complete(request);
+    assert.equal(response.text, 'done');
+    assert.deepEqual(response.usage, { inputTokens: 1, outputTokens: 2 });
+  });
+
+  it('rejects a missing fixtures directory up front', () => {
+    const provider = new ReplayProvider({ fixturesDir: path.join(dir, 'missing') });
+    assert.throws(() => provider.assertReady(), /Replay fixtures directory not found/);
+  });
+});
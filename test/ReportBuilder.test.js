@@ -0,0 +1,52 @@
+/**
+ * ReportBuilder: the overall score and component scores, including runs where some
+ * analyses were skipped
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ReportBuilder = require('../src/reports/ReportBuilder');
+const HistoryStore = require('../src/reports/HistoryStore');
+const BypassPatternAnalyzer = require('../src/models/BypassPatternAnalyzer');
+const NamingConventionAnalyzer = require('../src/models/NamingConventionAnalyzer');
+
+const RULES = [
+  { apiName: 'Require_Amount', objectName: 'LLC_BI__Loan__c', active: true, errorConditionFormula: "AND($Profile.Name <> 'System Administrator', ISBLANK(LLC_BI__Amount__c))" },
+  { apiName: 'Require_Term', objectName: 'LLC_BI__Loan__c', active: true, errorConditionFormula: 'ISBLANK(LLC_BI__Term__c)' }
+];
+
+describe('ReportBuilder overall score', () => {
+  it('reports null for analyses that did not run and leaves them out of the overall score', () => {
+    const validationRules = new BypassPatternAnalyzer().analyzeValidationRules(RULES);
+    const report = new ReportBuilder().build({ validationRules });
+
+    assert.deepEqual(report.overallScore.componentScores, {
+      namingConventions: null,
+      validationRules: validationRules.securityScore,
+      triggers: null,
+      flows: null
+    });
+    assert.equal(report.overallScore.score, validationRules.securityScore);
+
+    const entry = new HistoryStore({ filePath: '/dev/null' }).createEntry({ report, results: { validationRules } });
+    assert.deepEqual(entry.componentScores, report.overallScore.componentScores);
+  });
+
+  it('keeps a real score of 0', () => {
+    const namingConventions = new NamingConventionAnalyzer().analyzeFields([
+      { apiName: 'bypass_validation__c', objectName: 'LLC_BI__Loan__c' }
+    ]);
+    const report = new ReportBuilder().build({ namingConventions });
+
+    assert.equal(namingConventions.compliancePercentage, 0);
+    assert.equal(report.overallScore.componentScores.namingConventions, 0);
+    assert.equal(report.overallScore.score, 0);
+  });
+
+  it('rates a run that analyzed nothing N/A', () => {
+    const report = new ReportBuilder().build({});
+
+    assert.equal(report.overallScore.rating, 'N/A');
+    assert.equal(report.overallScore.componentScores, undefined);
+  });
+});
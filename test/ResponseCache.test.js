@@ -0,0 +1,109 @@
+/**
+ * ResponseCache: keys, hits and misses, refresh, expiry and least recently used eviction
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('../src/integrations/ResponseCache');
+
+const PROVIDER = { provider: 'anthropic', apiUrl: 'http://127.0.0.1/v1/messages', model: 'test-model', maxTokens: 100 };
+const keyOf = text => ResponseCache.key({ provider: PROVIDER, messages: [{ role: 'user', content: text }] });
+const answer = text => [{ type: 'text', text }];
+
+/**
+ * Set an entry's last use, which orders evictions, to a time in the past
+ */
+function lastUsed(cache, key, secondsAgo) {
+  const time = new Date(Date.now() - secondsAgo * 1000);
+  fs.utimesSync(cache.entryPath(key), time, time);
+}
+
+describe('ResponseCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keys requests by provider settings and messages', () => {
+    assert.equal(keyOf('a'), keyOf('a'));
+    assert.notEqual(keyOf('a'), keyOf('b'));
+    assert.notEqual(keyOf('a'), ResponseCache.key({
+      provider: Object.assign({}, PROVIDER, { model: 'other-model' }),
+      messages: [{ role: 'user', content: 'a' }]
+    }));
+  });
+
+  it('misses, then hits once the response is stored', () => {
+    const cache = new ResponseCache({ dir });
+    assert.equal(cache.get(keyOf('a')), null);
+
+    cache.set(keyOf('a'), answer('A'), { model: 'test-model' });
+    assert.deepEqual(cache.get(keyOf('a')), answer('A'));
+    assert.deepEqual(cache.stats, { hits: 1, misses: 1, writes: 1 });
+  });
+
+  it('misses on refresh, but still stores the new response', () => {
+    new ResponseCache({ dir }).set(keyOf('a'), answer('old'));
+    const cache = new ResponseCache({ dir, refresh: true });
+
+    assert.equal(cache.get(keyOf('a')), null);
+    cache.set(keyOf('a'), answer('new'));
+    assert.deepEqual(new ResponseCache({ dir }).get(keyOf('a')), answer('new'));
+  });
+
+  it('stops serving entries older than the time to live', () => {
+    const cache = new ResponseCache({ dir, ttlMs: 60 * 1000 });
+    cache.set(keyOf('a'), answer('A'));
+
+    // Backdate the entry past the TTL
+    const entryPath = cache.entryPath(keyOf('a'));
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    entry.createdAt = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+    fs.writeFileSync(entryPath, JSON.stringify(entry));
+
+    assert.equal(cache.get(keyOf('a')), null);
+    assert.equal(cache.stats.misses, 1);
+  });
+
+  it('removes entries unused for the whole time to live when writing', () => {
+    const cache = new ResponseCache({ dir, ttlMs: 60 * 1000 });
+    cache.set(keyOf('stale'), answer('stale'));
+    lastUsed(cache, keyOf('stale'), 120);
+
+    cache.set(keyOf('fresh'), answer('fresh'));
+    assert.ok(!fs.existsSync(cache.entryPath(keyOf('stale'))));
+    assert.ok(fs.existsSync(cache.entryPath(keyOf('fresh'))));
+  });
+
+  it('evicts the least recently used entries once it outgrows its size limit', () => {
+    const writer = new ResponseCache({ dir });
+    ['a', 'b', 'c'].forEach(text => writer.set(keyOf(text), answer(text)));
+    const entrySize = fs.statSync(writer.entryPath(keyOf('a'))).size;
+    // Written in order a, b, c; then a is read, so b is the least recently used
+    lastUsed(writer, keyOf('a'), 30);
+    lastUsed(writer, keyOf('b'), 20);
+    lastUsed(writer, keyOf('c'), 10);
+    assert.deepEqual(writer.get(keyOf('a')), answer('a'));
+
+    // Room for three entries: writing a fourth evicts one
+    const cache = new ResponseCache({ dir, maxBytes: entrySize * 3 + Math.floor(entrySize / 2) });
+    cache.set(keyOf('d'), answer('d'));
+
+    const remaining = ['a', 'b', 'c', 'd'].filter(text => fs.existsSync(cache.entryPath(keyOf(text))));
+    assert.deepEqual(remaining, ['a', 'c', 'd']);
+  });
+
+  it('treats an unreadable entry as a miss', () => {
+    const cache = new ResponseCache({ dir });
+    fs.writeFileSync(cache.entryPath(keyOf('a')), '{not json');
+    assert.equal(cache.get(keyOf('a')), null);
+  });
+});